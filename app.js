@@ -17,6 +17,10 @@ const csaRoutes = require('./routes/csaRoutes');
 const exportRoutes = require('./routes/exportRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const integrationRoutes = require('./routes/integrationRoutes');
+const feedRoutes = require('./routes/feedRoutes');
+const webFormRoutes = require('./routes/webFormRoutes');
+const whatsappRoutes = require('./routes/whatsappRoutes');
+const viewRoutes = require('./routes/viewRoutes');
 
 const app = express();
 
@@ -28,10 +32,13 @@ connectDB();
 
 // Security middleware
 app.use(helmet());
-app.use(cors({
+// Public web forms are posted from dealer websites; each site's allowed origins are checked by webFormAuth
+const webFormCors = cors({ origin: true });
+const appCors = cors({
     origin: process.env.DOMAIN_FRONTEND || 'http://localhost:3000',
     credentials: true
-}));
+});
+app.use((req, res, next) => (req.path.startsWith('/api/web-forms') ? webFormCors : appCors)(req, res, next));
 
 // Raw body middleware for DocuSign webhooks (must be before other body parsers)
 app.use('/api/webhooks/docusign', express.raw({ type: '*/*', limit: '10mb' }), (req, res, next) => {
@@ -59,11 +66,20 @@ app.use('/api/webhooks/docusign', express.raw({ type: '*/*', limit: '10mb' }), (
     next();
 });
 
+// WhatsApp webhooks are signed over the exact request bytes
+app.use('/api/webhooks/whatsapp', express.json({
+    limit: '1mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
+
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Logging middleware
+// Logging middleware (feed tokens passed in the query string are not logged)
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/gi, '$1[redacted]'));
 if (process.env.NODE_ENV === 'development') {
     app.use(morgan('dev'));
 } else {
@@ -87,8 +103,12 @@ app.use('/api/v1/sales', salesRoutes);
 app.use('/api/v1/investors', investorRoutes);
 app.use('/api/v1/csa', csaRoutes);
 app.use('/api/v1/export', exportRoutes);
+app.use('/api/v1/whatsapp', whatsappRoutes);
+app.use('/api/v1/views', viewRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/integrations', integrationRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/web-forms', webFormRoutes);
 
 // 404 handler
 app.use((req, res) => {
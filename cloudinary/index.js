@@ -48,8 +48,56 @@ const getInlineViewUrl = (url, fileType, leadId, docId) => {
   return url;
 };
 
+// Delivery transformations for gallery images
+const THUMBNAIL_TRANSFORMATION = 'c_fill,g_auto,w_400,h_300,q_auto,f_auto';
+const FULL_SIZE_TRANSFORMATION = 'c_limit,w_1920,q_auto,f_auto';
+
+/**
+ * Build thumbnail and full-size delivery URLs for a Cloudinary image
+ * @param {string} url - Original Cloudinary URL
+ * @returns {{thumbnailUrl: string, fullUrl: string}} Both fall back to the original URL for non-Cloudinary images
+ */
+const getImageVariantUrls = (url) => {
+  if (!url || !url.includes('/image/upload/')) {
+    return { thumbnailUrl: url || null, fullUrl: url || null };
+  }
+
+  return {
+    thumbnailUrl: url.replace('/image/upload/', `/image/upload/${THUMBNAIL_TRANSFORMATION}/`),
+    fullUrl: url.replace('/image/upload/', `/image/upload/${FULL_SIZE_TRANSFORMATION}/`)
+  };
+};
+
+/**
+ * Upload an in-memory file (e.g. an email attachment) to the same folder multer uploads go to
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.filename - Original file name
+ * @param {string} options.mimetype - MIME type
+ * @returns {Promise<{url: string, publicId: string, resourceType: string}>}
+ */
+const uploadBuffer = (buffer, { filename, mimetype }) => {
+  const resourceType = mimetype && mimetype.startsWith('image/') ? 'image' : 'raw';
+  const baseName = String(filename || 'attachment').replace(/\.[^/.]+$/, "").replace(/[^A-Za-z0-9_-]+/g, "_");
+
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream({
+      folder: "ZRS CRM",
+      public_id: `${Date.now()}-${baseName}`,
+      resource_type: resourceType,
+      transformation: resourceType === 'image' ? [{ quality: "auto:low" }] : undefined
+    }, (error, result) => {
+      if (error) return reject(error);
+      resolve({ url: result.secure_url, publicId: result.public_id, resourceType });
+    });
+    stream.end(buffer);
+  });
+};
+
 module.exports = {
   cloudinary,
   storage,
-  getInlineViewUrl
+  uploadBuffer,
+  getInlineViewUrl,
+  getImageVariantUrls
 };
@@ -5,9 +5,25 @@ const Investor = require('../models/Investor');
 const Sale = require('../models/Sale');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const Lead = require('../models/Lead');
+const Vehicle = require('../models/Vehicle');
 const AuditLog = require('../models/AuditLog');
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const FeedChannel = require('../models/FeedChannel');
+const WebFormSite = require('../models/WebFormSite');
+const WebFormSubmission = require('../models/WebFormSubmission');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const LossReason = require('../models/LossReason');
+const StockLocation = require('../models/StockLocation');
+const LeadPipeline = require('../models/LeadPipeline');
+const LeadScoringConfig = require('../models/LeadScoringConfig');
+const AssignmentRule = require('../models/AssignmentRule');
 const logger = require('../utils/logger');
-const { logUserManagement } = require('../utils/auditLogger');
+const { logUserManagement, logSettings, logLead } = require('../utils/auditLogger');
+const { formatGallery, formatCoverImage, getOrderedPictures } = require('../utils/carGallery');
+const { enqueueJob } = require('../utils/jobQueue');
+const { reassignManagerLeads, assignUnassignedLeads } = require('../utils/leadAssignment');
+const { getLeadPipeline, getPipelineDefinitionError, formatPipelineStage, DEFAULT_PIPELINES, SYSTEM_ONLY_STAGE_KEYS } = require('../utils/leadPipeline');
+const { parseSortBy } = require('../utils/listQuery');
 const { generateInviteToken } = require('../utils/otpHelper');
 const { sendMailtrapEmail } = require('../services/mailtrapService');
 
@@ -100,10 +116,8 @@ exports.getDashboard = async (req, res, next) => {
                     minSellingPrice: lead.priceAnalysis?.minSellingPrice,
                     maxSellingPrice: lead.priceAnalysis?.maxSellingPrice
                 },
-                images: (lead.attachments || []).filter(a => a.category === 'carPictures').map(img => ({
-                    url: img.url,
-                    publicId: img.publicId
-                })),
+                images: formatGallery(lead.attachments),
+                coverImage: formatCoverImage(lead.attachments),
                 investor: investorSummary,
                 status: lead.status,
                 createdAt: lead.createdAt
@@ -194,16 +208,26 @@ exports.updateManagerStatus = async (req, res, next) => {
 
         logger.info(`Manager ${manager.email} status updated to ${status}`);
 
+        // Hand the open leads of a deactivated manager to the rest of the team
+        const reassignment = oldStatus === 'active' && status === 'inactive'
+            ? await reassignManagerLeads(manager._id, { req })
+            : null;
+
         // Audit log
         await logUserManagement(req, 'manager_status_updated', `Updated manager ${manager.email} status from ${oldStatus} to ${status}`, manager, {
             oldStatus,
-            newStatus: status
+            newStatus: status,
+            leadsReassigned: reassignment ? reassignment.reassigned.length : undefined,
+            leadsUnassigned: reassignment ? reassignment.unassigned.length : undefined
         });
 
         res.status(200).json({
             success: true,
-            message: 'Manager status updated',
-            data: manager
+            message: reassignment
+                ? `Manager status updated. ${reassignment.reassigned.length} lead(s) reassigned, ${reassignment.unassigned.length} left unassigned`
+                : 'Manager status updated',
+            data: manager,
+            reassignment: reassignment || undefined
         });
     } catch (error) {
         logger.error('Update manager status error:', error);
@@ -211,6 +235,59 @@ exports.updateManagerStatus = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Update a manager's teams and automatic assignment settings
+ * @route   PUT /api/v1/admin/managers/:id/assignment
+ * @access  Private (Admin only)
+ */
+exports.updateManagerAssignment = async (req, res, next) => {
+    try {
+        const { teams, enabled, weight } = req.body;
+
+        const manager = await Manager.findById(req.params.id);
+
+        if (!manager) {
+            return res.status(404).json({
+                success: false,
+                message: 'Manager not found'
+            });
+        }
+
+        const previous = {
+            teams: [...(manager.teams || [])],
+            enabled: manager.assignment?.enabled !== false,
+            weight: manager.assignment?.weight || 1
+        };
+
+        if (teams !== undefined) manager.teams = [...new Set(teams.map(t => t.trim()).filter(Boolean))];
+        if (enabled !== undefined) manager.assignment.enabled = enabled;
+        if (weight !== undefined) manager.assignment.weight = weight;
+        await manager.save();
+
+        await logUserManagement(req, 'manager_assignment_updated', `Updated assignment settings for manager ${manager.email}`, manager, {
+            previous,
+            teams: manager.teams,
+            enabled: manager.assignment.enabled,
+            weight: manager.assignment.weight
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Manager assignment settings updated',
+            data: {
+                _id: manager._id,
+                name: manager.name,
+                email: manager.email,
+                teams: manager.teams,
+                assignment: manager.assignment
+            }
+        });
+    } catch (error) {
+        logger.error('Update manager assignment error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    Get all admins
  * @route   GET /api/v1/admin/admins
@@ -364,7 +441,7 @@ exports.getAuditLogs = async (req, res, next) => {
  */
 exports.searchLeads = async (req, res, next) => {
     try {
-        const { q } = req.query;
+        const { q, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
         if (!q || q.trim().length < 2) {
             return res.status(200).json({
@@ -429,14 +506,13 @@ exports.searchLeads = async (req, res, next) => {
         const leads = await Lead.find({
             $or: searchConditions
         })
-            .select('leadId contactInfo vehicleInfo attachments status type')
+            .select('leadId contactInfo vehicleInfo attachments status type score')
             .limit(20)
-            .sort({ createdAt: -1 });
+            .sort(parseSortBy('purchaseLeads', sortBy, sortOrder));
 
         // Format results with image URL
         const formattedLeads = leads.map(lead => {
-            const carPictures = (lead.attachments || []).filter(a => a.category === 'carPictures');
-            const firstImage = carPictures.length > 0 ? carPictures[0].url : null;
+            const coverImage = formatCoverImage(lead.attachments);
 
             return {
                 _id: lead._id,
@@ -445,7 +521,9 @@ exports.searchLeads = async (req, res, next) => {
                 vehicleInfo: lead.vehicleInfo,
                 status: lead.status,
                 type: lead.type,
-                imageUrl: firstImage
+                score: lead.score,
+                imageUrl: coverImage?.url || null,
+                thumbnailUrl: coverImage?.thumbnailUrl || null
             };
         });
 
@@ -455,6 +533,9 @@ exports.searchLeads = async (req, res, next) => {
             data: formattedLeads
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error('Search leads error:', error);
         next(error);
     }
@@ -563,3 +644,1561 @@ exports.updateAdminGroups = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get operational checklist templates
+ * @route   GET /api/v1/admin/checklist-templates
+ * @access  Private (Admin only)
+ */
+exports.getChecklistTemplates = async (req, res, next) => {
+    try {
+        const query = {};
+        if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+        const templates = await ChecklistTemplate.find(query)
+            .populate('createdBy', 'name email')
+            .populate('updatedBy', 'name email')
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        logger.error('Get checklist templates error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create operational checklist template
+ * @route   POST /api/v1/admin/checklist-templates
+ * @access  Private (Admin only)
+ */
+exports.createChecklistTemplate = async (req, res, next) => {
+    try {
+        const { name, description, appliesTo, items, isActive } = req.body;
+
+        const template = await ChecklistTemplate.create({
+            name,
+            description,
+            appliesTo,
+            items,
+            isActive,
+            createdBy: req.userId,
+            updatedBy: req.userId
+        });
+
+        logger.info(`Checklist template ${template.name} created by ${req.user.email}`);
+
+        await logSettings(req, 'checklist_template_created', `Created checklist template ${template.name}`, {
+            templateId: template._id,
+            itemCount: template.items.length,
+            appliesTo: template.appliesTo
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Checklist template created',
+            data: template
+        });
+    } catch (error) {
+        logger.error('Create checklist template error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update operational checklist template
+ * @route   PUT /api/v1/admin/checklist-templates/:id
+ * @access  Private (Admin only)
+ */
+exports.updateChecklistTemplate = async (req, res, next) => {
+    try {
+        const template = await ChecklistTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Checklist template not found'
+            });
+        }
+
+        const { name, description, appliesTo, items, isActive } = req.body;
+        if (name !== undefined) template.name = name;
+        if (description !== undefined) template.description = description;
+        if (appliesTo !== undefined) template.appliesTo = appliesTo;
+        if (items !== undefined) template.items = items;
+        if (isActive !== undefined) template.isActive = isActive;
+        template.updatedBy = req.userId;
+
+        await template.save();
+
+        logger.info(`Checklist template ${template.name} updated by ${req.user.email}`);
+
+        await logSettings(req, 'checklist_template_updated', `Updated checklist template ${template.name}`, {
+            templateId: template._id,
+            itemCount: template.items.length,
+            appliesTo: template.appliesTo,
+            isActive: template.isActive
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Checklist template updated. Vehicles already in stock keep their current checklist until it is re-applied.',
+            data: template
+        });
+    } catch (error) {
+        logger.error('Update checklist template error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Deactivate operational checklist template
+ * @route   DELETE /api/v1/admin/checklist-templates/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteChecklistTemplate = async (req, res, next) => {
+    try {
+        const template = await ChecklistTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Checklist template not found'
+            });
+        }
+
+        // Soft delete - vehicles keep a reference to the template they were seeded from
+        template.isActive = false;
+        template.updatedBy = req.userId;
+        await template.save();
+
+        await logSettings(req, 'checklist_template_deactivated', `Deactivated checklist template ${template.name}`, {
+            templateId: template._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Checklist template deactivated'
+        });
+    } catch (error) {
+        logger.error('Delete checklist template error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get listing feed channels
+ * @route   GET /api/v1/admin/feed-channels
+ * @access  Private (Admin only)
+ */
+exports.getFeedChannels = async (req, res, next) => {
+    try {
+        const channels = await FeedChannel.find()
+            .populate('createdBy', 'name email')
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: channels.length,
+            data: channels
+        });
+    } catch (error) {
+        logger.error('Get feed channels error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create listing feed channel. The token is only returned in this response.
+ * @route   POST /api/v1/admin/feed-channels
+ * @access  Private (Admin only)
+ */
+exports.createFeedChannel = async (req, res, next) => {
+    try {
+        const { name, description, formats } = req.body;
+
+        const channel = new FeedChannel({
+            name,
+            description,
+            formats,
+            createdBy: req.userId,
+            updatedBy: req.userId
+        });
+        const token = channel.generateToken();
+        await channel.save();
+
+        logger.info(`Feed channel ${channel.name} created by ${req.user.email}`);
+
+        await logSettings(req, 'feed_channel_created', `Created listing feed channel ${channel.name}`, {
+            channelId: channel._id,
+            formats: channel.formats
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Feed channel created. Store the token now; it will not be shown again.',
+            data: {
+                ...channel.toJSON(),
+                token
+            }
+        });
+    } catch (error) {
+        logger.error('Create feed channel error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update listing feed channel (name, formats, active flag)
+ * @route   PUT /api/v1/admin/feed-channels/:id
+ * @access  Private (Admin only)
+ */
+exports.updateFeedChannel = async (req, res, next) => {
+    try {
+        const channel = await FeedChannel.findById(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({
+                success: false,
+                message: 'Feed channel not found'
+            });
+        }
+
+        const { name, description, formats, isActive } = req.body;
+        if (name !== undefined) channel.name = name;
+        if (description !== undefined) channel.description = description;
+        if (formats !== undefined) channel.formats = formats;
+        if (isActive !== undefined) channel.isActive = isActive;
+        channel.updatedBy = req.userId;
+
+        await channel.save();
+
+        await logSettings(req, 'feed_channel_updated', `Updated listing feed channel ${channel.name}`, {
+            channelId: channel._id,
+            formats: channel.formats,
+            isActive: channel.isActive
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Feed channel updated',
+            data: channel
+        });
+    } catch (error) {
+        logger.error('Update feed channel error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rotate a feed channel's token; the old token stops working immediately
+ * @route   POST /api/v1/admin/feed-channels/:id/rotate-token
+ * @access  Private (Admin only)
+ */
+exports.rotateFeedChannelToken = async (req, res, next) => {
+    try {
+        const channel = await FeedChannel.findById(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({
+                success: false,
+                message: 'Feed channel not found'
+            });
+        }
+
+        const token = channel.generateToken();
+        channel.updatedBy = req.userId;
+        await channel.save();
+
+        await logSettings(req, 'feed_channel_token_rotated', `Rotated token for listing feed channel ${channel.name}`, {
+            channelId: channel._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Feed token rotated. Store the new token now; it will not be shown again.',
+            data: {
+                ...channel.toJSON(),
+                token
+            }
+        });
+    } catch (error) {
+        logger.error('Rotate feed channel token error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Deactivate listing feed channel
+ * @route   DELETE /api/v1/admin/feed-channels/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteFeedChannel = async (req, res, next) => {
+    try {
+        const channel = await FeedChannel.findById(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({
+                success: false,
+                message: 'Feed channel not found'
+            });
+        }
+
+        channel.isActive = false;
+        channel.updatedBy = req.userId;
+        await channel.save();
+
+        await logSettings(req, 'feed_channel_deactivated', `Deactivated listing feed channel ${channel.name}`, {
+            channelId: channel._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Feed channel deactivated'
+        });
+    } catch (error) {
+        logger.error('Delete feed channel error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get public web form sites
+ * @route   GET /api/v1/admin/web-form-sites
+ * @access  Private (Admin only)
+ */
+exports.getWebFormSites = async (req, res, next) => {
+    try {
+        const sites = await WebFormSite.find()
+            .populate('createdBy', 'name email')
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: sites.length,
+            data: sites
+        });
+    } catch (error) {
+        logger.error('Get web form sites error:', error);
+        next(error);
+    }
+};
+
+/**
+ * Normalise allowed origins to scheme://host[:port] without a trailing slash
+ * @param {Array<string>} origins
+ * @returns {Array<string>}
+ */
+const normalizeOrigins = (origins) => [...new Set(origins.map(o => String(o).trim().toLowerCase().replace(/\/+$/, '')))];
+
+/**
+ * @desc    Create public web form site. The API key is only returned in this response.
+ * @route   POST /api/v1/admin/web-form-sites
+ * @access  Private (Admin only)
+ */
+exports.createWebFormSite = async (req, res, next) => {
+    try {
+        const { name, description, allowedOrigins, formTypes, honeypotField, requireCaptcha } = req.body;
+
+        const site = new WebFormSite({
+            name,
+            description,
+            allowedOrigins: normalizeOrigins(allowedOrigins || []),
+            formTypes,
+            honeypotField,
+            requireCaptcha,
+            createdBy: req.userId,
+            updatedBy: req.userId
+        });
+        const apiKey = site.generateApiKey();
+        await site.save();
+
+        logger.info(`Web form site ${site.name} created by ${req.user.email}`);
+
+        await logSettings(req, 'web_form_site_created', `Created web form site ${site.name}`, {
+            siteId: site._id,
+            allowedOrigins: site.allowedOrigins,
+            formTypes: site.formTypes,
+            requireCaptcha: site.requireCaptcha
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Web form site created. Store the API key now; it will not be shown again.',
+            data: {
+                ...site.toJSON(),
+                apiKey
+            }
+        });
+    } catch (error) {
+        logger.error('Create web form site error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update public web form site (origins, form types, spam checks, active flag)
+ * @route   PUT /api/v1/admin/web-form-sites/:id
+ * @access  Private (Admin only)
+ */
+exports.updateWebFormSite = async (req, res, next) => {
+    try {
+        const site = await WebFormSite.findById(req.params.id);
+
+        if (!site) {
+            return res.status(404).json({
+                success: false,
+                message: 'Web form site not found'
+            });
+        }
+
+        const { name, description, allowedOrigins, formTypes, honeypotField, requireCaptcha, isActive } = req.body;
+        if (name !== undefined) site.name = name;
+        if (description !== undefined) site.description = description;
+        if (allowedOrigins !== undefined) site.allowedOrigins = normalizeOrigins(allowedOrigins);
+        if (formTypes !== undefined) site.formTypes = formTypes;
+        if (honeypotField !== undefined) site.honeypotField = honeypotField;
+        if (requireCaptcha !== undefined) site.requireCaptcha = requireCaptcha;
+        if (isActive !== undefined) site.isActive = isActive;
+        site.updatedBy = req.userId;
+
+        await site.save();
+
+        await logSettings(req, 'web_form_site_updated', `Updated web form site ${site.name}`, {
+            siteId: site._id,
+            allowedOrigins: site.allowedOrigins,
+            formTypes: site.formTypes,
+            requireCaptcha: site.requireCaptcha,
+            isActive: site.isActive
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Web form site updated',
+            data: site
+        });
+    } catch (error) {
+        logger.error('Update web form site error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rotate a web form site's API key; the old key stops working immediately
+ * @route   POST /api/v1/admin/web-form-sites/:id/rotate-key
+ * @access  Private (Admin only)
+ */
+exports.rotateWebFormSiteKey = async (req, res, next) => {
+    try {
+        const site = await WebFormSite.findById(req.params.id);
+
+        if (!site) {
+            return res.status(404).json({
+                success: false,
+                message: 'Web form site not found'
+            });
+        }
+
+        const apiKey = site.generateApiKey();
+        site.updatedBy = req.userId;
+        await site.save();
+
+        await logSettings(req, 'web_form_site_key_rotated', `Rotated API key for web form site ${site.name}`, {
+            siteId: site._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'API key rotated. Store the new key now; it will not be shown again.',
+            data: {
+                ...site.toJSON(),
+                apiKey
+            }
+        });
+    } catch (error) {
+        logger.error('Rotate web form site key error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Deactivate public web form site
+ * @route   DELETE /api/v1/admin/web-form-sites/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteWebFormSite = async (req, res, next) => {
+    try {
+        const site = await WebFormSite.findById(req.params.id);
+
+        if (!site) {
+            return res.status(404).json({
+                success: false,
+                message: 'Web form site not found'
+            });
+        }
+
+        site.isActive = false;
+        site.updatedBy = req.userId;
+        await site.save();
+
+        await logSettings(req, 'web_form_site_deactivated', `Deactivated web form site ${site.name}`, {
+            siteId: site._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Web form site deactivated'
+        });
+    } catch (error) {
+        logger.error('Delete web form site error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get web form submissions with origin and IP (filter by site, status, form type, IP)
+ * @route   GET /api/v1/admin/web-form-submissions
+ * @access  Private (Admin only)
+ */
+exports.getWebFormSubmissions = async (req, res, next) => {
+    try {
+        const { site, status, reviewStatus, formType, ipAddress, startDate, endDate, limit = 100 } = req.query;
+
+        const query = {};
+        if (site) query.site = site;
+        if (status) query.status = status;
+        if (reviewStatus) query['review.status'] = reviewStatus;
+        if (formType) query.formType = formType;
+        if (ipAddress) query.ipAddress = ipAddress;
+
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+
+        const submissions = await WebFormSubmission.find(query)
+            .populate('site', 'name')
+            .populate('lead', 'leadId type status contactInfo.name assignedTo')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit));
+
+        // Per-status counts of the returned submissions
+        const statusCounts = submissions.reduce((acc, submission) => {
+            acc[submission.status] = (acc[submission.status] || 0) + 1;
+            return acc;
+        }, {});
+
+        res.status(200).json({
+            success: true,
+            count: submissions.length,
+            statusCounts,
+            data: submissions
+        });
+    } catch (error) {
+        logger.error('Get web form submissions error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Apply a repeat web form enquiry to the lead it matched, or dismiss it
+ * @route   PUT /api/v1/admin/web-form-submissions/:id/review
+ * @access  Private (Admin only)
+ */
+exports.reviewWebFormSubmission = async (req, res, next) => {
+    try {
+        const { action } = req.body;
+
+        const submission = await WebFormSubmission.findById(req.params.id);
+        if (!submission || submission.status !== 'duplicate') {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission waiting for review not found'
+            });
+        }
+
+        if (submission.review?.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Submission was already ${submission.review?.status || 'handled'}`
+            });
+        }
+
+        const lead = action === 'apply' ? await Lead.findById(submission.lead) : null;
+        if (action === 'apply') {
+            if (!lead) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Matched lead no longer exists'
+                });
+            }
+
+            lead.notes.push({ content: submission.note, addedAt: submission.createdAt });
+            const nextOrder = getOrderedPictures(lead.attachments).length;
+            submission.photos.forEach((photo, index) => {
+                lead.attachments.push({
+                    category: 'carPictures',
+                    fileName: photo.fileName,
+                    fileType: photo.fileType,
+                    fileSize: photo.fileSize,
+                    url: photo.url,
+                    publicId: photo.publicId,
+                    order: nextOrder + index,
+                    uploadedAt: new Date()
+                });
+            });
+            await lead.save();
+
+            await logLead(req, 'lead_web_form_repeat_applied', `Added repeat web form enquiry ${submission.reference} to lead ${lead.leadId}`, lead, {
+                submissionId: submission._id,
+                photoCount: submission.photos.length
+            });
+        } else {
+            // Dismissed photos are not kept anywhere
+            const { cloudinary } = require('../cloudinary');
+            await Promise.all(submission.photos.map(async (photo) => {
+                try {
+                    await cloudinary.uploader.destroy(photo.publicId, { resource_type: 'image' });
+                } catch (cloudError) {
+                    logger.error('Cloudinary deletion error:', cloudError);
+                }
+            }));
+            submission.photos = [];
+        }
+
+        submission.review = { status: action === 'apply' ? 'applied' : 'dismissed', reviewedBy: req.userId, reviewedAt: new Date() };
+        await submission.save();
+
+        await logSettings(req, 'web_form_submission_reviewed', `${action === 'apply' ? 'Applied' : 'Dismissed'} repeat web form enquiry ${submission.reference}`, {
+            submissionId: submission._id,
+            lead: submission.lead
+        });
+
+        res.status(200).json({
+            success: true,
+            message: action === 'apply' ? `Enquiry added to lead ${lead.leadId}` : 'Enquiry dismissed',
+            data: submission
+        });
+    } catch (error) {
+        logger.error('Review web form submission error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get WhatsApp message templates
+ * @route   GET /api/v1/admin/whatsapp-templates
+ * @access  Private (Admin only)
+ */
+exports.getWhatsAppTemplates = async (req, res, next) => {
+    try {
+        const templates = await WhatsAppTemplate.find()
+            .populate('createdBy', 'name email')
+            .sort({ name: 1, language: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        logger.error('Get WhatsApp templates error:', error);
+        next(error);
+    }
+};
+
+/**
+ * Placeholder mismatch between a template body and its variables
+ * @param {Object} template - WhatsAppTemplate
+ * @returns {string|null}
+ */
+const getWhatsAppTemplateError = (template) => {
+    const placeholders = template.getPlaceholderCount();
+    if (template.variables.length > placeholders) {
+        return `Template body has ${placeholders} placeholder(s) but ${template.variables.length} variable(s) are defined`;
+    }
+    return null;
+};
+
+/**
+ * @desc    Register a WhatsApp template (as approved with the provider)
+ * @route   POST /api/v1/admin/whatsapp-templates
+ * @access  Private (Admin only)
+ */
+exports.createWhatsAppTemplate = async (req, res, next) => {
+    try {
+        const { name, language, category, body, variables, leadType } = req.body;
+
+        const template = new WhatsAppTemplate({
+            name,
+            language,
+            category,
+            body,
+            variables,
+            leadType,
+            createdBy: req.userId,
+            updatedBy: req.userId
+        });
+
+        const templateError = getWhatsAppTemplateError(template);
+        if (templateError) {
+            return res.status(400).json({
+                success: false,
+                message: templateError
+            });
+        }
+
+        await template.save();
+
+        await logSettings(req, 'whatsapp_template_created', `Created WhatsApp template ${template.name} (${template.language})`, {
+            templateId: template._id,
+            category: template.category,
+            leadType: template.leadType
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'WhatsApp template created',
+            data: template
+        });
+    } catch (error) {
+        logger.error('Create WhatsApp template error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update WhatsApp template
+ * @route   PUT /api/v1/admin/whatsapp-templates/:id
+ * @access  Private (Admin only)
+ */
+exports.updateWhatsAppTemplate = async (req, res, next) => {
+    try {
+        const template = await WhatsAppTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'WhatsApp template not found'
+            });
+        }
+
+        const { name, language, category, body, variables, leadType, isActive } = req.body;
+        if (name !== undefined) template.name = name;
+        if (language !== undefined) template.language = language;
+        if (category !== undefined) template.category = category;
+        if (body !== undefined) template.body = body;
+        if (variables !== undefined) template.variables = variables;
+        if (leadType !== undefined) template.leadType = leadType;
+        if (isActive !== undefined) template.isActive = isActive;
+        template.updatedBy = req.userId;
+
+        const templateError = getWhatsAppTemplateError(template);
+        if (templateError) {
+            return res.status(400).json({
+                success: false,
+                message: templateError
+            });
+        }
+
+        await template.save();
+
+        await logSettings(req, 'whatsapp_template_updated', `Updated WhatsApp template ${template.name} (${template.language})`, {
+            templateId: template._id,
+            isActive: template.isActive
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'WhatsApp template updated',
+            data: template
+        });
+    } catch (error) {
+        logger.error('Update WhatsApp template error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Deactivate WhatsApp template
+ * @route   DELETE /api/v1/admin/whatsapp-templates/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteWhatsAppTemplate = async (req, res, next) => {
+    try {
+        const template = await WhatsAppTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'WhatsApp template not found'
+            });
+        }
+
+        template.isActive = false;
+        template.updatedBy = req.userId;
+        await template.save();
+
+        await logSettings(req, 'whatsapp_template_deactivated', `Deactivated WhatsApp template ${template.name} (${template.language})`, {
+            templateId: template._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'WhatsApp template deactivated'
+        });
+    } catch (error) {
+        logger.error('Delete WhatsApp template error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get loss reasons offered when a lead is lost or cancelled
+ * @route   GET /api/v1/admin/loss-reasons
+ * @access  Private (Admin only)
+ */
+exports.getLossReasons = async (req, res, next) => {
+    try {
+        await LossReason.ensureDefaults();
+
+        const query = {};
+        if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+        const reasons = await LossReason.find(query)
+            .populate('createdBy', 'name email')
+            .sort({ order: 1, label: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: reasons.length,
+            data: reasons
+        });
+    } catch (error) {
+        logger.error('Get loss reasons error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create loss reason
+ * @route   POST /api/v1/admin/loss-reasons
+ * @access  Private (Admin only)
+ */
+exports.createLossReason = async (req, res, next) => {
+    try {
+        const { label, description, statuses, leadType, expectsCompetitor, order } = req.body;
+
+        const reason = await LossReason.create({
+            label,
+            description,
+            statuses,
+            leadType,
+            expectsCompetitor,
+            order,
+            createdBy: req.userId,
+            updatedBy: req.userId
+        });
+
+        await logSettings(req, 'loss_reason_created', `Created loss reason ${reason.label}`, {
+            reasonId: reason._id,
+            statuses: reason.statuses,
+            leadType: reason.leadType
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Loss reason created',
+            data: reason
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A loss reason with this label already exists for this lead type'
+            });
+        }
+        logger.error('Create loss reason error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update loss reason
+ * @route   PUT /api/v1/admin/loss-reasons/:id
+ * @access  Private (Admin only)
+ */
+exports.updateLossReason = async (req, res, next) => {
+    try {
+        const reason = await LossReason.findById(req.params.id);
+
+        if (!reason) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loss reason not found'
+            });
+        }
+
+        ['label', 'description', 'statuses', 'leadType', 'expectsCompetitor', 'order', 'isActive']
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => { reason[field] = req.body[field]; });
+        reason.updatedBy = req.userId;
+
+        await reason.save();
+
+        await logSettings(req, 'loss_reason_updated', `Updated loss reason ${reason.label}`, {
+            reasonId: reason._id,
+            isActive: reason.isActive
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Loss reason updated',
+            data: reason
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A loss reason with this label already exists for this lead type'
+            });
+        }
+        logger.error('Update loss reason error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Deactivate loss reason (leads that used it keep its label)
+ * @route   DELETE /api/v1/admin/loss-reasons/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteLossReason = async (req, res, next) => {
+    try {
+        const reason = await LossReason.findById(req.params.id);
+
+        if (!reason) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loss reason not found'
+            });
+        }
+
+        reason.isActive = false;
+        reason.updatedBy = req.userId;
+        await reason.save();
+
+        await logSettings(req, 'loss_reason_deactivated', `Deactivated loss reason ${reason.label}`, {
+            reasonId: reason._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Loss reason deactivated'
+        });
+    } catch (error) {
+        logger.error('Delete loss reason error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get stock locations (showrooms, yards, workshops)
+ * @route   GET /api/v1/admin/stock-locations
+ * @access  Private (Admin only)
+ */
+exports.getStockLocations = async (req, res, next) => {
+    try {
+        const query = {};
+        if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+        const locations = await StockLocation.find(query)
+            .populate('createdBy', 'name email')
+            .populate('updatedBy', 'name email')
+            .sort({ name: 1 });
+
+        // Cars currently parked at each site
+        const counts = await Vehicle.aggregate([
+            { $match: { status: { $in: Vehicle.IN_STOCK_STATUSES }, 'location.site': { $ne: null } } },
+            { $group: { _id: '$location.site', count: { $sum: 1 } } }
+        ]);
+        const countBySite = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+        const data = locations.map(location => ({
+            ...location.toObject(),
+            vehicleCount: countBySite.get(location._id.toString()) || 0
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        logger.error('Get stock locations error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create stock location
+ * @route   POST /api/v1/admin/stock-locations
+ * @access  Private (Admin only)
+ */
+exports.createStockLocation = async (req, res, next) => {
+    try {
+        const { name, type, address, contactName, contactPhone, isActive } = req.body;
+
+        const existing = await StockLocation.findOne({ name: name.trim() });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A stock location with this name already exists'
+            });
+        }
+
+        const location = await StockLocation.create({
+            name,
+            type,
+            address,
+            contactName,
+            contactPhone,
+            isActive,
+            createdBy: req.userId,
+            updatedBy: req.userId
+        });
+
+        await logSettings(req, 'stock_location_created', `Created stock location ${location.name}`, {
+            locationId: location._id,
+            type: location.type
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Stock location created',
+            data: location
+        });
+    } catch (error) {
+        logger.error('Create stock location error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update stock location
+ * @route   PUT /api/v1/admin/stock-locations/:id
+ * @access  Private (Admin only)
+ */
+exports.updateStockLocation = async (req, res, next) => {
+    try {
+        const location = await StockLocation.findById(req.params.id);
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock location not found'
+            });
+        }
+
+        const { name, type, address, contactName, contactPhone, isActive } = req.body;
+        if (name !== undefined) location.name = name;
+        if (type !== undefined) location.type = type;
+        if (address !== undefined) location.address = address;
+        if (contactName !== undefined) location.contactName = contactName;
+        if (contactPhone !== undefined) location.contactPhone = contactPhone;
+        if (isActive !== undefined) location.isActive = isActive;
+        location.updatedBy = req.userId;
+
+        await location.save();
+
+        await logSettings(req, 'stock_location_updated', `Updated stock location ${location.name}`, {
+            locationId: location._id,
+            type: location.type,
+            isActive: location.isActive
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Stock location updated',
+            data: location
+        });
+    } catch (error) {
+        logger.error('Update stock location error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Deactivate stock location
+ * @route   DELETE /api/v1/admin/stock-locations/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteStockLocation = async (req, res, next) => {
+    try {
+        const location = await StockLocation.findById(req.params.id);
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock location not found'
+            });
+        }
+
+        // Cars must be moved out first so none end up at a site nobody can pick
+        const vehicleCount = await Vehicle.countDocuments({
+            'location.site': location._id,
+            status: { $in: Vehicle.IN_STOCK_STATUSES }
+        });
+        if (vehicleCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot deactivate ${location.name} while ${vehicleCount} vehicle(s) are located there`
+            });
+        }
+
+        location.isActive = false;
+        location.updatedBy = req.userId;
+        await location.save();
+
+        await logSettings(req, 'stock_location_deactivated', `Deactivated stock location ${location.name}`, {
+            locationId: location._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Stock location deactivated'
+        });
+    } catch (error) {
+        logger.error('Delete stock location error:', error);
+        next(error);
+    }
+};
+
+/**
+ * Pipeline for admin responses
+ */
+const formatLeadPipeline = (pipeline) => ({
+    leadType: pipeline.leadType,
+    isDefault: pipeline.isNew,
+    stages: [...pipeline.stages].sort((a, b) => a.order - b.order).map(formatPipelineStage),
+    sla: {
+        atRiskPercent: pipeline.sla?.atRiskPercent,
+        adminEscalationHours: pipeline.sla?.adminEscalationHours
+    },
+    updatedBy: pipeline.updatedBy,
+    updatedAt: pipeline.updatedAt
+});
+
+/**
+ * @desc    Get lead pipelines (stages, transitions, required fields, automations, SLAs) for every lead type
+ * @route   GET /api/v1/admin/pipelines
+ * @access  Private (Admin only)
+ */
+exports.getLeadPipelines = async (req, res, next) => {
+    try {
+        const pipelines = await Promise.all(['purchase', 'sales'].map(getLeadPipeline));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                pipelines: pipelines.map(formatLeadPipeline),
+                requiredFieldOptions: LeadPipeline.REQUIRED_FIELD_OPTIONS,
+                automationActions: LeadPipeline.AUTOMATION_ACTIONS
+            }
+        });
+    } catch (error) {
+        logger.error('Get lead pipelines error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Replace the pipeline of a lead type. Stages that leads are still in
+ *          cannot be removed or deactivated.
+ * @route   PUT /api/v1/admin/pipelines/:leadType
+ * @access  Private (Admin only)
+ */
+exports.updateLeadPipeline = async (req, res, next) => {
+    try {
+        const { leadType } = req.params;
+
+        const stages = req.body.stages.map((stage, index) => {
+            const key = String(stage.key).trim().toLowerCase();
+            return {
+                key,
+                label: stage.label,
+                order: stage.order !== undefined ? stage.order : index + 1,
+                isTerminal: Boolean(stage.isTerminal),
+                // Conversion stages are always entered by the purchase order workflow
+                systemOnly: SYSTEM_ONLY_STAGE_KEYS.includes(key) || Boolean(stage.systemOnly),
+                allowedTransitions: (stage.allowedTransitions || []).map(t => String(t).trim().toLowerCase()),
+                requiredFields: stage.requiredFields || [],
+                entryAutomations: stage.entryAutomations || [],
+                slaHours: stage.slaHours || {},
+                isActive: stage.isActive !== false
+            };
+        });
+
+        const definitionError = getPipelineDefinitionError(leadType, stages);
+        if (definitionError) {
+            return res.status(400).json({
+                success: false,
+                message: definitionError
+            });
+        }
+
+        const pipeline = await getLeadPipeline(leadType);
+        const activeKeys = stages.filter(s => s.isActive).map(s => s.key);
+        const droppedKeys = pipeline.stages.map(s => s.key).filter(key => !activeKeys.includes(key));
+
+        if (droppedKeys.length > 0) {
+            const occupied = await Lead.aggregate([
+                { $match: { type: leadType, status: { $in: droppedKeys }, mergedInto: null } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]);
+            if (occupied.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Move leads out of these stages first: ${occupied.map(o => `${o._id} (${o.count})`).join(', ')}`
+                });
+            }
+        }
+
+        const previousStages = pipeline.stages.map(s => s.key);
+        pipeline.stages = stages;
+        if (req.body.sla) {
+            ['atRiskPercent', 'adminEscalationHours']
+                .filter(field => req.body.sla[field] !== undefined)
+                .forEach(field => { pipeline.sla[field] = req.body.sla[field]; });
+        }
+        pipeline.updatedBy = req.userId;
+        await pipeline.save();
+
+        logger.info(`${leadType} lead pipeline updated by ${req.user.email}`);
+
+        await logSettings(req, 'lead_pipeline_updated', `Updated ${leadType} lead pipeline`, {
+            leadType,
+            previousStages,
+            stages: stages.map(s => s.key),
+            inactiveStages: stages.filter(s => !s.isActive).map(s => s.key),
+            slaHours: stages.reduce((hours, s) => ({ ...hours, [s.key]: s.slaHours }), {}),
+            sla: req.body.sla
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Lead pipeline updated',
+            data: formatLeadPipeline(pipeline)
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Update lead pipeline error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Restore the default pipeline of a lead type
+ * @route   DELETE /api/v1/admin/pipelines/:leadType
+ * @access  Private (Admin only)
+ */
+exports.resetLeadPipeline = async (req, res, next) => {
+    try {
+        const { leadType } = req.params;
+
+        const defaultKeys = DEFAULT_PIPELINES[leadType].map(s => s.key);
+        const stranded = await Lead.countDocuments({ type: leadType, status: { $nin: defaultKeys }, mergedInto: null });
+        if (stranded > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${stranded} lead(s) are in stages that the default pipeline does not have`
+            });
+        }
+
+        await LeadPipeline.deleteOne({ leadType });
+
+        await logSettings(req, 'lead_pipeline_reset', `Restored default ${leadType} lead pipeline`, { leadType });
+
+        const pipeline = await getLeadPipeline(leadType);
+
+        res.status(200).json({
+            success: true,
+            message: 'Lead pipeline restored to defaults',
+            data: formatLeadPipeline(pipeline)
+        });
+    } catch (error) {
+        logger.error('Reset lead pipeline error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get lead scoring weights and parameters
+ * @route   GET /api/v1/admin/lead-scoring
+ * @access  Private (Admin only)
+ */
+exports.getLeadScoringConfig = async (req, res, next) => {
+    try {
+        const config = await LeadScoringConfig.getActive({ fresh: true });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...config.toObject(),
+                isDefault: config.isNew,
+                factors: LeadScoringConfig.SCORE_FACTORS
+            }
+        });
+    } catch (error) {
+        logger.error('Get lead scoring config error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Tune lead scoring weights and parameters, then queue a rescore of open purchase leads
+ * @route   PUT /api/v1/admin/lead-scoring
+ * @access  Private (Admin only)
+ */
+exports.updateLeadScoringConfig = async (req, res, next) => {
+    try {
+        const { weights, sourceScores, freshnessHalfLifeDays, maxVehicleAgeYears, maxMileage, activityWindowDays } = req.body;
+
+        const config = await LeadScoringConfig.getActive({ fresh: true });
+        const previousWeights = { ...config.toObject().weights };
+
+        if (weights) {
+            LeadScoringConfig.SCORE_FACTORS
+                .filter(factor => weights[factor] !== undefined)
+                .forEach(factor => { config.weights[factor] = Number(weights[factor]); });
+        }
+        if (sourceScores) {
+            Object.entries(sourceScores).forEach(([source, points]) => config.sourceScores.set(source, Number(points)));
+        }
+        if (freshnessHalfLifeDays !== undefined) config.freshnessHalfLifeDays = freshnessHalfLifeDays;
+        if (maxVehicleAgeYears !== undefined) config.maxVehicleAgeYears = maxVehicleAgeYears;
+        if (maxMileage !== undefined) config.maxMileage = maxMileage;
+        if (activityWindowDays !== undefined) config.activityWindowDays = activityWindowDays;
+
+        const totalWeight = LeadScoringConfig.SCORE_FACTORS.reduce((sum, factor) => sum + (config.weights[factor] || 0), 0);
+        if (totalWeight <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one scoring weight must be greater than zero'
+            });
+        }
+
+        config.updatedBy = req.userId;
+        await config.save();
+        LeadScoringConfig.clearActiveCache();
+
+        // The worker rescores open leads, the same set as its hourly refresh
+        let rescoreQueued = true;
+        try {
+            await enqueueJob('leads', 'rescore-after-config-change', { updatedBy: String(req.userId) });
+        } catch (queueError) {
+            rescoreQueued = false;
+            logger.error('Queue lead rescore error:', queueError);
+        }
+
+        await logSettings(req, 'lead_scoring_updated', 'Updated lead scoring weights', {
+            previousWeights,
+            weights: config.toObject().weights,
+            rescoreQueued
+        });
+
+        res.status(200).json({
+            success: true,
+            message: rescoreQueued
+                ? 'Lead scoring updated. Open lead scores are being recalculated'
+                : 'Lead scoring updated. Open lead scores will be recalculated at the next hourly refresh',
+            data: {
+                ...config.toObject(),
+                factors: LeadScoringConfig.SCORE_FACTORS
+            },
+            rescoreQueued
+        });
+    } catch (error) {
+        logger.error('Update lead scoring config error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get lead assignment rules in the order they are checked
+ * @route   GET /api/v1/admin/assignment-rules
+ * @access  Private (Admin only)
+ */
+exports.getAssignmentRules = async (req, res, next) => {
+    try {
+        const rules = await AssignmentRule.find()
+            .populate('target.managers', 'name email status')
+            .populate('updatedBy', 'name email')
+            .sort({ priority: 1, createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: rules.length,
+            data: rules
+        });
+    } catch (error) {
+        logger.error('Get assignment rules error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create lead assignment rule
+ * @route   POST /api/v1/admin/assignment-rules
+ * @access  Private (Admin only)
+ */
+exports.createAssignmentRule = async (req, res, next) => {
+    try {
+        const { name, description, priority, leadType, conditions, target, isActive } = req.body;
+
+        const existing = await AssignmentRule.findOne({ name: name.trim() });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'An assignment rule with this name already exists'
+            });
+        }
+
+        const rule = await AssignmentRule.create({
+            name,
+            description,
+            priority,
+            leadType,
+            conditions,
+            target,
+            isActive,
+            createdBy: req.userId,
+            updatedBy: req.userId
+        });
+
+        await logSettings(req, 'assignment_rule_created', `Created lead assignment rule ${rule.name}`, {
+            ruleId: rule._id,
+            priority: rule.priority,
+            leadType: rule.leadType,
+            conditions: rule.conditions,
+            target: rule.target
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Assignment rule created',
+            data: rule
+        });
+    } catch (error) {
+        logger.error('Create assignment rule error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update lead assignment rule
+ * @route   PUT /api/v1/admin/assignment-rules/:id
+ * @access  Private (Admin only)
+ */
+exports.updateAssignmentRule = async (req, res, next) => {
+    try {
+        const rule = await AssignmentRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment rule not found'
+            });
+        }
+
+        const { name, description, priority, leadType, conditions, target, isActive } = req.body;
+        if (name !== undefined) rule.name = name;
+        if (description !== undefined) rule.description = description;
+        if (priority !== undefined) rule.priority = priority;
+        if (leadType !== undefined) rule.leadType = leadType;
+        if (conditions !== undefined) rule.conditions = conditions;
+        if (target !== undefined) rule.target = target;
+        if (isActive !== undefined) rule.isActive = isActive;
+        rule.updatedBy = req.userId;
+
+        await rule.save();
+
+        await logSettings(req, 'assignment_rule_updated', `Updated lead assignment rule ${rule.name}`, {
+            ruleId: rule._id,
+            priority: rule.priority,
+            leadType: rule.leadType,
+            conditions: rule.conditions,
+            target: rule.target,
+            isActive: rule.isActive
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Assignment rule updated',
+            data: rule
+        });
+    } catch (error) {
+        logger.error('Update assignment rule error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete lead assignment rule
+ * @route   DELETE /api/v1/admin/assignment-rules/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteAssignmentRule = async (req, res, next) => {
+    try {
+        const rule = await AssignmentRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment rule not found'
+            });
+        }
+
+        await rule.deleteOne();
+
+        await logSettings(req, 'assignment_rule_deleted', `Deleted lead assignment rule ${rule.name}`, {
+            ruleId: rule._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Assignment rule deleted'
+        });
+    } catch (error) {
+        logger.error('Delete assignment rule error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Auto-assign every open lead that has no manager yet
+ * @route   POST /api/v1/admin/assignment-rules/run
+ * @access  Private (Admin only)
+ */
+exports.runLeadAssignment = async (req, res, next) => {
+    try {
+        const result = await assignUnassignedLeads({ req, type: req.body.type });
+
+        logger.info(`Backlog assignment by ${req.user.email}: ${result.assigned.length} assigned, ${result.remaining} remaining`);
+
+        res.status(200).json({
+            success: true,
+            message: `${result.assigned.length} lead(s) assigned${result.remaining > 0 ? `, ${result.remaining} still unassigned` : ''}`,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Run lead assignment error:', error);
+        next(error);
+    }
+};
@@ -1,5 +1,6 @@
 const CSATicket = require('../models/CSATicket');
 const logger = require('../utils/logger');
+const { parseListOptions, applyListConditions, runListQuery, resolveListParams, LIST_DEFINITIONS } = require('../utils/listQuery');
 
 /**
  * @desc    Create CSA ticket
@@ -36,9 +37,11 @@ exports.createTicket = async (req, res, next) => {
  */
 exports.getTickets = async (req, res, next) => {
     try {
-        const { status, priority, type, assignedTo, search } = req.query;
+        const { params, view } = await resolveListParams(req, 'tickets');
+        const { status, priority, type, assignedTo, search } = params;
+        const options = parseListOptions('tickets', params);
 
-        const query = {};
+        let query = {};
 
         if (status) query.status = status;
         if (priority) query.priority = priority;
@@ -58,16 +61,24 @@ exports.getTickets = async (req, res, next) => {
             ];
         }
 
-        const tickets = await CSATicket.find(query)
-            .populate('assignedTo', 'name email')
-            .sort({ priority: -1, createdAt: -1 });
+        query = applyListConditions(query, options.conditions);
+
+        const { docs: tickets, pagination } = await runListQuery(CSATicket, query, options, {
+            defaultSort: LIST_DEFINITIONS.tickets.defaultSort,
+            decorate: (cursor) => cursor.populate('assignedTo', 'name email')
+        });
 
         res.status(200).json({
             success: true,
             count: tickets.length,
-            data: tickets
+            data: tickets,
+            ...(pagination && { pagination }),
+            ...(view && { view })
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error('Get tickets error:', error);
         next(error);
     }
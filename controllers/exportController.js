@@ -3,7 +3,9 @@ const Lead = require('../models/Lead');
 const Sale = require('../models/Sale');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const Investor = require('../models/Investor');
+const Vehicle = require('../models/Vehicle');
 const logger = require('../utils/logger');
+const { buildInventoryAgingReport, AGING_BUCKETS } = require('../utils/inventoryAging');
 
 /**
  * @desc    Export inventory to Excel
@@ -36,6 +38,7 @@ exports.exportInventory = async (req, res, next) => {
             { header: 'Mileage', key: 'mileage', width: 12 },
             { header: 'Status', key: 'status', width: 15 },
             { header: 'Purchase Price', key: 'purchasePrice', width: 15 },
+            { header: 'Cost Basis', key: 'costBasis', width: 15 },
             { header: 'Selling Price', key: 'sellingPrice', width: 15 },
             { header: 'Owner', key: 'ownerName', width: 20 },
             { header: 'Investors', key: 'investors', width: 30 },
@@ -65,6 +68,7 @@ exports.exportInventory = async (req, res, next) => {
                 mileage: vehicle.mileage,
                 status: vehicle.status,
                 purchasePrice: vehicle.purchasePrice || vehicle.askingPrice,
+                costBasis: vehicle.costBasis?.total || '',
                 sellingPrice: vehicle.sellingPrice || '',
                 ownerName: vehicle.ownerName,
                 investors: investors || 'N/A',
@@ -93,6 +97,123 @@ exports.exportInventory = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Export inventory aging and holding-cost report to Excel
+ * @route   GET /api/v1/export/inventory-aging
+ * @access  Private
+ */
+exports.exportInventoryAging = async (req, res, next) => {
+    try {
+        const { overpricedAfterDays, holdingCostRate, bucket } = req.query;
+
+        const { rows, summary } = await buildInventoryAgingReport({
+            overpricedAfterDays: overpricedAfterDays !== undefined ? parseInt(overpricedAfterDays, 10) : undefined,
+            holdingCostRate: holdingCostRate !== undefined ? parseFloat(holdingCostRate) : undefined,
+            bucket
+        });
+
+        // Create workbook
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Inventory Aging');
+
+        // Add headers
+        worksheet.columns = [
+            { header: 'Vehicle ID', key: 'vehicleId', width: 15 },
+            { header: 'Lead ID', key: 'leadId', width: 12 },
+            { header: 'PO ID', key: 'poId', width: 12 },
+            { header: 'Vehicle', key: 'vehicle', width: 30 },
+            { header: 'Status', key: 'status', width: 15 },
+            { header: 'Ownership', key: 'ownershipType', width: 12 },
+            { header: 'In Stock Since', key: 'stockedAt', width: 15 },
+            { header: 'Days In Stock', key: 'daysInStock', width: 14 },
+            { header: 'Aging Bucket', key: 'agingBucket', width: 13 },
+            { header: 'Capitalised Cost', key: 'capitalisedCost', width: 16 },
+            { header: 'Holding Cost', key: 'holdingCost', width: 14 },
+            { header: 'Total Cost', key: 'totalCost', width: 14 },
+            { header: 'Listing Price', key: 'currentPrice', width: 16 },
+            { header: 'Max Selling Price', key: 'maxSellingPrice', width: 16 },
+            { header: 'Overpriced', key: 'isOverpriced', width: 12 }
+        ];
+
+        // Style header row
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.getRow(1).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FF4472C4' }
+        };
+        worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+        // Add data
+        rows.forEach(row => {
+            const excelRow = worksheet.addRow({
+                vehicleId: row.vehicleId,
+                leadId: row.leadId || '',
+                poId: row.poId || '',
+                vehicle: `${row.make || ''} ${row.model || ''} ${row.year || ''}`.trim(),
+                status: row.status,
+                ownershipType: row.ownershipType,
+                stockedAt: row.stockedAt ? new Date(row.stockedAt).toLocaleDateString() : '',
+                daysInStock: row.daysInStock,
+                agingBucket: row.agingBucket,
+                capitalisedCost: row.capitalisedCost,
+                holdingCost: row.holdingCost,
+                totalCost: row.totalCost,
+                currentPrice: row.hasListingPrice ? row.currentPrice : 'No listing price',
+                maxSellingPrice: row.maxSellingPrice ?? '',
+                isOverpriced: row.isOverpriced ? 'YES' : ''
+            });
+
+            // Highlight cars priced above max selling price after the threshold
+            if (row.isOverpriced) {
+                excelRow.fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: 'FFFFC7CE' }
+                };
+            }
+        });
+
+        // Add bucket summary
+        worksheet.addRow({});
+        worksheet.addRow({ vehicleId: 'SUMMARY' }).font = { bold: true };
+        AGING_BUCKETS.forEach(({ key }) => {
+            const bucketSummary = summary.buckets[key];
+            worksheet.addRow({
+                vehicleId: `${key} days`,
+                daysInStock: bucketSummary.count,
+                capitalisedCost: bucketSummary.capitalisedCost,
+                holdingCost: bucketSummary.holdingCost
+            });
+        });
+        worksheet.addRow({
+            vehicleId: 'TOTAL',
+            daysInStock: summary.totalVehicles,
+            capitalisedCost: summary.totalCapitalisedCost,
+            holdingCost: summary.totalHoldingCost
+        }).font = { bold: true };
+
+        // Set response headers
+        res.setHeader(
+            'Content-Type',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename=inventory_aging_${Date.now()}.xlsx`
+        );
+
+        // Write to response
+        await workbook.xlsx.write(res);
+        res.end();
+
+        logger.info(`Inventory aging report exported: ${rows.length} vehicles`);
+    } catch (error) {
+        logger.error('Export inventory aging error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    Export leads to Excel
  * @route   GET /api/v1/export/leads
@@ -274,6 +395,7 @@ exports.exportSales = async (req, res, next) => {
             { header: 'Vehicle', key: 'vehicle', width: 30 },
             { header: 'Customer', key: 'customer', width: 20 },
             { header: 'Purchase Price', key: 'purchasePrice', width: 15 },
+            { header: 'Cost Basis', key: 'costBasis', width: 15 },
             { header: 'Selling Price', key: 'sellingPrice', width: 15 },
             { header: 'Profit', key: 'profit', width: 15 },
             { header: 'Profit %', key: 'profitPercentage', width: 12 },
@@ -386,7 +508,7 @@ exports.exportInvestorSOA = async (req, res, next) => {
 
         // Add investment data
         for (const investment of investor.investments) {
-            const vehicle = await Vehicle.findById(investment.carId);
+            const vehicle = await Vehicle.findOne({ leadId: investment.leadId });
             worksheet.addRow({
                 vehicle: vehicle ? `${vehicle.vehicleId} - ${vehicle.make} ${vehicle.model}` : 'N/A',
                 investment: `AED ${investment.amount.toLocaleString()}`,
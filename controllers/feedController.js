@@ -0,0 +1,64 @@
+const logger = require('../utils/logger');
+const { buildFeedListings, toMetaCatalogCsv, toXmlFeed } = require('../utils/listingFeed');
+
+/**
+ * @desc    Meta (Facebook) vehicle catalog feed
+ * @route   GET /api/feeds/meta.csv
+ * @access  Public (feed channel token)
+ */
+exports.getMetaCatalogFeed = async (req, res, next) => {
+    try {
+        const listings = await buildFeedListings();
+
+        logger.info(`Meta catalog feed served to channel ${req.feedChannel.name} (${listings.length} listing(s))`);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="meta-catalog.csv"');
+        res.status(200).send(toMetaCatalogCsv(listings));
+    } catch (error) {
+        logger.error('Meta catalog feed error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Generic XML listing feed
+ * @route   GET /api/feeds/listings.xml
+ * @access  Public (feed channel token)
+ */
+exports.getXmlFeed = async (req, res, next) => {
+    try {
+        const listings = await buildFeedListings();
+
+        logger.info(`XML listing feed served to channel ${req.feedChannel.name} (${listings.length} listing(s))`);
+
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.status(200).send(toXmlFeed(listings));
+    } catch (error) {
+        logger.error('XML listing feed error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    JSON listing feed
+ * @route   GET /api/feeds/listings.json
+ * @access  Public (feed channel token)
+ */
+exports.getJsonFeed = async (req, res, next) => {
+    try {
+        const listings = await buildFeedListings();
+
+        logger.info(`JSON listing feed served to channel ${req.feedChannel.name} (${listings.length} listing(s))`);
+
+        res.status(200).json({
+            success: true,
+            generatedAt: new Date().toISOString(),
+            count: listings.length,
+            data: listings
+        });
+    } catch (error) {
+        logger.error('JSON listing feed error:', error);
+        next(error);
+    }
+};
@@ -7,6 +7,7 @@ const Sale = require('../models/Sale');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const logger = require('../utils/logger');
 const { logInvestor, logUserManagement } = require('../utils/auditLogger');
+const { formatGallery, formatCoverImage } = require('../utils/carGallery');
 const { sendMailtrapEmail } = require('../services/mailtrapService');
 const { generateInviteToken } = require('../utils/otpHelper');
 const docusignService = require('../services/docusignService');
@@ -43,8 +44,9 @@ exports.getInvestorSOA = async (req, res, next) => {
             const lead = await Lead.findById(investment.leadId);
             let sale = null;
 
-            if (lead && lead.status === 'sold') {
-                sale = await Sale.findOne({ leadId: lead._id });
+            // Sales are recorded against the Vehicle the lead was converted into
+            if (lead && lead.vehicle) {
+                sale = await Sale.findOne({ vehicleId: lead.vehicle });
             }
 
             investments.push({
@@ -66,10 +68,8 @@ exports.getInvestorSOA = async (req, res, next) => {
                     minSellingPrice: lead.priceAnalysis?.minSellingPrice,
                     maxSellingPrice: lead.priceAnalysis?.maxSellingPrice
                 } : null,
-                images: lead?.attachments?.filter(a => a.category === 'carPictures').map(img => ({
-                    url: img.url,
-                    publicId: img.publicId
-                })) || [],
+                images: formatGallery(lead?.attachments),
+                coverImage: formatCoverImage(lead?.attachments),
                 investmentDate: investment.date,
                 investmentAmount: investment.amount,
                 investmentPercentage: investment.percentage,
@@ -166,10 +166,8 @@ exports.getInvestorInventory = async (req, res, next) => {
                 sellingPrice: null,
                 investmentAmount: allocation?.amount ?? investment?.amount,
                 investmentPercentage: allocation?.percentage ?? investment?.percentage ?? 100,
-                images: (lead.attachments || []).filter(a => a.category === 'carPictures').map(img => ({
-                    url: img.url,
-                    publicId: img.publicId
-                }))
+                images: formatGallery(lead.attachments),
+                coverImage: formatCoverImage(lead.attachments)
             };
         });
 
@@ -1,7 +1,38 @@
 const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const Lead = require('../models/Lead');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const Invoice = require('../models/Invoice');
+const Vehicle = require('../models/Vehicle');
+const Sale = require('../models/Sale');
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const StockLocation = require('../models/StockLocation');
+const StockTake = require('../models/StockTake');
+const LeadImport = require('../models/LeadImport');
+const LossReason = require('../models/LossReason');
+const { buildInventoryAgingReport } = require('../utils/inventoryAging');
+const { inspectVin } = require('../utils/vinDecoder');
+const { findDuplicateLeads, getMatchKeys } = require('../utils/leadDuplicates');
+const {
+    readLeadSpreadsheet,
+    suggestLeadImportMapping,
+    getLeadImportMappingErrors,
+    buildLeadFromRow,
+    buildImportErrorWorkbook,
+    IMPORT_FIELDS,
+    MAX_IMPORT_ROWS,
+    LEAD_IMPORT_JOB_OPTIONS
+} = require('../utils/leadImport');
+const { getOrderedPictures, formatGallery, formatCoverImage } = require('../utils/carGallery');
+const { buildPricingRecommendation } = require('../utils/pricingRecommendation');
+const { autoAssignLead } = require('../utils/leadAssignment');
+const { buildLeadTimeline } = require('../utils/leadTimeline');
+const { getSlaRiskLeads } = require('../utils/leadSla');
+const { resolveLossDetails, buildWinLossReport } = require('../utils/winLoss');
+const { parseListOptions, parseSortBy, applyListConditions, runListQuery, resolveListParams, pickFields, LIST_DEFINITIONS } = require('../utils/listQuery');
+const { getLeadPipeline, getStageChangeError, getMissingRequiredFields, runStageEntryAutomations, formatPipelineStage } = require('../utils/leadPipeline');
+const { enqueueJob } = require('../utils/jobQueue');
+const AuditLog = require('../models/AuditLog');
 /**
  * @desc    Upsert a draft Purchase Order for a Lead with required cost fields
  * @route   PUT /api/v1/purchases/leads/:id/purchase-order
@@ -153,7 +184,7 @@ const Investor = require('../models/Investor');
 const FollowUp = require('../models/FollowUp');
 const logger = require('../utils/logger');
 const { sendNotificationEmail } = require('../utils/emailService');
-const { logLead, logPurchaseOrder, logInventory, logApproval } = require('../utils/auditLogger');
+const { logLead, logPurchaseOrder, logInventory, logApproval, logStockTake } = require('../utils/auditLogger');
 const AdminGroup = require('../models/AdminGroup');
 const docusignService = require('../services/docusignService');
 /**
@@ -184,13 +215,42 @@ exports.createLead = async (req, res, next) => {
             createdByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
         };
 
-        const lead = await Lead.create(leadData);
+        // Validate and decode the VIN against the bundled WMI table
+        let vinCheck = null;
+        if (leadData.vehicleInfo?.vin) {
+            vinCheck = inspectVin(leadData.vehicleInfo.vin, leadData.vehicleInfo);
+            if (vinCheck.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid VIN: ${vinCheck.errors.join('; ')}`
+                });
+            }
+            leadData.vehicleInfo = { ...leadData.vehicleInfo, vin: vinCheck.vin };
+        }
 
-        // Auto-generate follow-ups if status is under_review
-        if (lead.status === 'under_review') {
-            await createAutoFollowUps(lead._id, lead.assignedTo);
+        // A lead may start in any active stage that can be entered by hand
+        const pipeline = await getLeadPipeline('purchase');
+        if (leadData.status) {
+            const initialStage = pipeline.getStage(leadData.status);
+            if (!initialStage || !initialStage.isActive || initialStage.systemOnly) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid lead status: ${leadData.status}`
+                });
+            }
         }
 
+        // Look for existing leads for the same car or seller before inserting
+        const duplicates = await findDuplicateLeads(leadData);
+
+        const lead = await Lead.create(leadData);
+
+        // Nobody picked a manager: apply the assignment rules
+        const autoAssignment = lead.assignedTo ? null : await autoAssignLead(lead, { req, reason: 'new_lead' });
+
+        // Stage-entry automations of the stage the lead starts in
+        await runStageEntryAutomations(lead, pipeline);
+
         logger.info(`Purchase lead ${lead.leadId} created by ${req.user.email}`);
 
         // Get assigned manager details if applicable
@@ -211,13 +271,21 @@ exports.createLead = async (req, res, next) => {
             assignedManager: assignedManager ? {
                 name: assignedManager.name,
                 email: assignedManager.email
-            } : 'Unassigned'
+            } : 'Unassigned',
+            vinWarnings: vinCheck?.warnings.length > 0 ? vinCheck.warnings : undefined,
+            possibleDuplicates: duplicates.length > 0 ? duplicates.map(d => d.leadId) : undefined
         });
 
         res.status(201).json({
             success: true,
-            message: 'Lead created successfully',
-            data: lead
+            message: duplicates.length > 0
+                ? `Lead created successfully. ${duplicates.length} possible duplicate(s) found`
+                : 'Lead created successfully',
+            data: lead,
+            duplicates,
+            autoAssignment: autoAssignment || undefined,
+            vinDecoded: vinCheck?.decoded || undefined,
+            warnings: vinCheck?.warnings.length > 0 ? vinCheck.warnings : undefined
         });
     } catch (error) {
         logger.error('Create lead error:', error);
@@ -244,6 +312,8 @@ exports.bulkCreateLeads = async (req, res, next) => {
         const Manager = require('../models/Manager');
         const createdLeads = [];
         const errors = [];
+        const warnings = [];
+        const duplicates = [];
 
         for (let i = 0; i < leads.length; i++) {
             try {
@@ -270,16 +340,37 @@ exports.bulkCreateLeads = async (req, res, next) => {
                     }
                 }
 
+                let vinCheck = null;
+                if (leadData.vehicleInfo.vin) {
+                    vinCheck = inspectVin(leadData.vehicleInfo.vin, leadData.vehicleInfo);
+                    if (vinCheck.errors.length > 0) {
+                        errors.push({
+                            index: i,
+                            error: `Invalid VIN: ${vinCheck.errors.join('; ')}`
+                        });
+                        continue;
+                    }
+                }
+
                 const leadPayload = {
                     ...leadData,
+                    vehicleInfo: vinCheck ? { ...leadData.vehicleInfo, vin: vinCheck.vin } : leadData.vehicleInfo,
                     type: 'purchase',
                     assignedTo: leadData.assignedTo || null,
                     createdBy: req.userId,
                     createdByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
                 };
 
+                // Earlier rows of this import are already saved, so they are matched too
+                const rowDuplicates = await findDuplicateLeads(leadPayload);
+
                 const lead = await Lead.create(leadPayload);
 
+                // Rows without a manager are assigned by the assignment rules
+                if (!lead.assignedTo) {
+                    await autoAssignLead(lead, { req, reason: 'bulk_import' });
+                }
+
                 // Get assigned manager details if applicable
                 let assignedManager = null;
                 if (lead.assignedTo) {
@@ -298,10 +389,26 @@ exports.bulkCreateLeads = async (req, res, next) => {
                     assignedManager: assignedManager ? {
                         name: assignedManager.name,
                         email: assignedManager.email
-                    } : 'Unassigned'
+                    } : 'Unassigned',
+                    vinWarnings: vinCheck?.warnings.length > 0 ? vinCheck.warnings : undefined,
+                    possibleDuplicates: rowDuplicates.length > 0 ? rowDuplicates.map(d => d.leadId) : undefined
                 });
 
                 createdLeads.push(lead);
+                if (rowDuplicates.length > 0) {
+                    duplicates.push({
+                        index: i,
+                        leadId: lead.leadId,
+                        duplicates: rowDuplicates
+                    });
+                }
+                if (vinCheck?.warnings.length > 0) {
+                    warnings.push({
+                        index: i,
+                        leadId: lead.leadId,
+                        warnings: vinCheck.warnings
+                    });
+                }
             } catch (error) {
                 errors.push({
                     index: i,
@@ -318,12 +425,15 @@ exports.bulkCreateLeads = async (req, res, next) => {
             message: `Successfully created ${createdLeads.length} lead(s)${errors.length > 0 ? `, ${errors.length} failed` : ''}`,
             data: {
                 created: createdLeads,
-                errors: errors.length > 0 ? errors : undefined
+                errors: errors.length > 0 ? errors : undefined,
+                warnings: warnings.length > 0 ? warnings : undefined,
+                duplicates: duplicates.length > 0 ? duplicates : undefined
             },
             stats: {
                 total: leads.length,
                 created: createdLeads.length,
-                failed: errors.length
+                failed: errors.length,
+                possibleDuplicates: duplicates.length
             }
         });
     } catch (error) {
@@ -332,6 +442,379 @@ exports.bulkCreateLeads = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Import purchase leads from an XLSX/CSV upload. Columns are mapped to lead
+ *          fields (suggested from the headers unless a mapping is given); dry runs only validate,
+ *          commits are created by the background worker.
+ * @route   POST /api/v1/purchases/leads/import
+ * @access  Private (Admin only)
+ */
+exports.importLeads = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload an XLSX or CSV file in the "file" field'
+            });
+        }
+
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+        const skipDuplicates = req.body.skipDuplicates === true || req.body.skipDuplicates === 'true';
+        const defaults = {
+            source: req.body.defaultSource || 'other',
+            priority: req.body.defaultPriority
+        };
+
+        let requestedMapping = req.body.mapping;
+        if (typeof requestedMapping === 'string' && requestedMapping.trim()) {
+            try {
+                requestedMapping = JSON.parse(requestedMapping);
+            } catch (parseError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'mapping must be a JSON object of column header to lead field'
+                });
+            }
+        }
+
+        const sheet = await readLeadSpreadsheet(req.file.buffer, {
+            fileName: req.file.originalname,
+            sheetName: req.body.sheetName
+        });
+
+        if (sheet.rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The file has no data rows'
+            });
+        }
+        if (sheet.rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `The file has ${sheet.rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`
+            });
+        }
+
+        const mapping = requestedMapping && typeof requestedMapping === 'object'
+            ? requestedMapping
+            : suggestLeadImportMapping(sheet.headers);
+        const mappingErrors = getLeadImportMappingErrors(mapping, sheet.headers);
+        const availableFields = Object.entries(IMPORT_FIELDS).map(([field, definition]) => ({
+            field,
+            label: definition.label,
+            required: !!definition.required,
+            values: definition.values
+        }));
+
+        if (mappingErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Column mapping is incomplete',
+                errors: mappingErrors,
+                data: { headers: sheet.headers, mapping, availableFields }
+            });
+        }
+
+        const Manager = require('../models/Manager');
+        const managers = await Manager.find({ status: 'active' }).select('name email');
+        const managersByEmail = new Map(managers.map(m => [m.email.toLowerCase(), m]));
+
+        // First row each phone/email/VIN/ID appears on, to reject repeats within the file
+        const seenKeys = new Map();
+        const validRows = [];
+        const rejectedRows = [];
+
+        for (const row of sheet.rows) {
+            const { leadData, managerEmail, note, errors } = buildLeadFromRow(row, mapping, defaults);
+            const warnings = [];
+
+            if (leadData.vehicleInfo.vin) {
+                const vinCheck = inspectVin(leadData.vehicleInfo.vin, leadData.vehicleInfo);
+                if (vinCheck.errors.length > 0) {
+                    errors.push(`Invalid VIN: ${vinCheck.errors.join('; ')}`);
+                } else {
+                    leadData.vehicleInfo.vin = vinCheck.vin;
+                    warnings.push(...vinCheck.warnings);
+                }
+            }
+
+            if (managerEmail) {
+                const manager = managersByEmail.get(managerEmail);
+                if (manager) {
+                    leadData.assignedTo = manager._id;
+                } else {
+                    errors.push(`No active manager with email ${managerEmail}`);
+                }
+            }
+
+            const keys = getMatchKeys(leadData);
+            Object.entries(keys).forEach(([key, value]) => {
+                if (!value) return;
+                const seenKey = `${key}:${value}`;
+                if (seenKeys.has(seenKey)) {
+                    errors.push(`Same ${key === 'idNumber' ? 'Emirates ID/passport' : key} as row ${seenKeys.get(seenKey)}`);
+                }
+            });
+
+            let rowDuplicates = [];
+            if (errors.length === 0) {
+                rowDuplicates = await findDuplicateLeads(leadData, { type: 'purchase' });
+                if (rowDuplicates.length > 0 && skipDuplicates) {
+                    errors.push(`Matches existing lead(s) ${rowDuplicates.map(d => d.leadId).join(', ')}`);
+                }
+            }
+
+            if (errors.length > 0) {
+                rejectedRows.push({ rowNumber: row.rowNumber, reasons: errors, values: row.values });
+                continue;
+            }
+
+            Object.entries(keys).forEach(([key, value]) => {
+                if (value && !seenKeys.has(`${key}:${value}`)) seenKeys.set(`${key}:${value}`, row.rowNumber);
+            });
+            validRows.push({ rowNumber: row.rowNumber, leadData, note, warnings, duplicates: rowDuplicates });
+        }
+
+        const leadImport = await LeadImport.create({
+            fileName: req.file.originalname,
+            sheetName: sheet.sheetName,
+            dryRun,
+            headers: sheet.headers,
+            mapping,
+            options: { defaultSource: defaults.source, defaultPriority: defaults.priority, skipDuplicates },
+            stats: {
+                totalRows: sheet.rows.length,
+                valid: validRows.length,
+                rejected: rejectedRows.length,
+                created: 0
+            },
+            rejectedRows,
+            // Leads are created by the background worker; the client polls the import
+            status: dryRun || validRows.length === 0 ? 'completed' : 'queued',
+            pendingRows: dryRun ? [] : validRows.map(r => ({
+                rowNumber: r.rowNumber,
+                leadData: r.leadData,
+                note: r.note,
+                warnings: r.warnings,
+                possibleDuplicates: r.duplicates.map(d => d.leadId),
+                values: sheet.rows.find(row => row.rowNumber === r.rowNumber).values
+            })),
+            completedAt: dryRun || validRows.length === 0 ? new Date() : undefined,
+            createdBy: req.userId,
+            createdByModel: req.userRole === 'admin' ? 'Admin' : 'Manager',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        if (leadImport.status === 'queued') {
+            try {
+                await enqueueJob('lead-imports', 'commit-lead-import', { importId: leadImport._id.toString() }, {
+                    ...LEAD_IMPORT_JOB_OPTIONS,
+                    jobId: `lead-import-${leadImport._id}`
+                });
+            } catch (queueError) {
+                logger.error(`Queue lead import ${leadImport._id} error:`, queueError);
+                leadImport.status = 'failed';
+                leadImport.failureReason = 'The import could not be queued';
+                leadImport.pendingRows = [];
+                leadImport.completedAt = new Date();
+                await leadImport.save();
+
+                return res.status(503).json({
+                    success: false,
+                    message: 'The import could not be started, please try again shortly'
+                });
+            }
+        }
+
+        logger.info(`Lead import ${leadImport._id} (${dryRun ? 'dry run' : 'commit'}) of ${req.file.originalname} by ${req.user.email}: ${validRows.length} valid, ${rejectedRows.length} rejected`);
+
+        res.status(dryRun ? 200 : 202).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${validRows.length} row(s) valid, ${rejectedRows.length} rejected`
+                : `Import started: ${validRows.length} lead(s) will be created${rejectedRows.length > 0 ? `, ${rejectedRows.length} row(s) rejected` : ''}`,
+            data: {
+                importId: leadImport._id,
+                dryRun,
+                status: leadImport.status,
+                statusUrl: `/api/v1/purchases/leads/imports/${leadImport._id}`,
+                headers: sheet.headers,
+                mapping,
+                availableFields,
+                stats: leadImport.stats,
+                valid: dryRun ? validRows.map(r => ({
+                    rowNumber: r.rowNumber,
+                    contactInfo: r.leadData.contactInfo,
+                    vehicleInfo: r.leadData.vehicleInfo,
+                    warnings: r.warnings.length > 0 ? r.warnings : undefined,
+                    possibleDuplicates: r.duplicates.length > 0 ? r.duplicates.map(d => d.leadId) : undefined
+                })) : undefined,
+                rejected: rejectedRows.map(r => ({ rowNumber: r.rowNumber, reasons: r.reasons })),
+                errorReportUrl: rejectedRows.length > 0 ? `/api/v1/purchases/leads/imports/${leadImport._id}/errors` : undefined
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Import leads error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a lead import's status, summary and rejected rows (polled while a commit runs)
+ * @route   GET /api/v1/purchases/leads/imports/:id
+ * @access  Private (Admin only)
+ */
+exports.getLeadImport = async (req, res, next) => {
+    try {
+        const leadImport = await LeadImport.findById(req.params.id)
+            .select('-pendingRows -ipAddress -userAgent')
+            .populate('createdLeads', 'leadId contactInfo.name vehicleInfo.make vehicleInfo.model status assignedTo')
+            .populate('createdBy', 'name email');
+
+        if (!leadImport) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead import not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: leadImport
+        });
+    } catch (error) {
+        logger.error('Get lead import error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download the rejected rows of a lead import as an Excel workbook
+ * @route   GET /api/v1/purchases/leads/imports/:id/errors
+ * @access  Private (Admin only)
+ */
+exports.downloadLeadImportErrors = async (req, res, next) => {
+    try {
+        const leadImport = await LeadImport.findById(req.params.id);
+
+        if (!leadImport) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead import not found'
+            });
+        }
+
+        if (leadImport.rejectedRows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'This import has no rejected rows'
+            });
+        }
+
+        const workbook = buildImportErrorWorkbook(leadImport);
+        const baseName = (leadImport.fileName || 'leads').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+
+        res.setHeader(
+            'Content-Type',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename=${baseName}_rejected_${leadImport._id}.xlsx`
+        );
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        logger.error('Download lead import errors error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Open leads that are at risk of breaching, or have breached, their stage SLA
+ * @route   GET /api/v1/purchases/leads/sla
+ * @access  Private (Admin, Manager)
+ */
+exports.getLeadSlaReport = async (req, res, next) => {
+    try {
+        const { leadType, status, assignedTo } = req.query;
+
+        // Managers only see their own leads
+        const leads = await getSlaRiskLeads({
+            leadType,
+            status,
+            assignedTo: req.userRole === 'manager' ? req.userId : assignedTo
+        });
+
+        res.status(200).json({
+            success: true,
+            count: leads.length,
+            data: leads,
+            summary: {
+                atRisk: leads.filter(l => l.sla.status === 'at_risk').length,
+                breached: leads.filter(l => l.sla.status === 'breached').length
+            }
+        });
+    } catch (error) {
+        logger.error('Get lead SLA report error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Active loss reasons to pick from when a lead is lost or cancelled
+ * @route   GET /api/v1/purchases/loss-reasons
+ * @access  Private (Admin, Manager)
+ */
+exports.getActiveLossReasons = async (req, res, next) => {
+    try {
+        await LossReason.ensureDefaults();
+
+        const query = { isActive: true };
+        if (req.query.status) query.statuses = req.query.status;
+        if (req.query.leadType) query.leadType = { $in: [req.query.leadType, 'any'] };
+
+        const reasons = await LossReason.find(query)
+            .select('label description statuses leadType expectsCompetitor order')
+            .sort({ order: 1, label: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: reasons.length,
+            data: reasons
+        });
+    } catch (error) {
+        logger.error('Get loss reasons error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Win-loss report: loss reasons, competitors and outcomes by source, manager, make and price band
+ * @route   GET /api/v1/purchases/leads/win-loss
+ * @access  Private (Admin only)
+ */
+exports.getWinLossReport = async (req, res, next) => {
+    try {
+        const { leadType, startDate, endDate, assignedTo } = req.query;
+
+        const report = await buildWinLossReport({ leadType, startDate, endDate, assignedTo });
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Get win-loss report error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    Get all purchase leads
  * @route   GET /api/v1/purchases/leads
@@ -339,10 +822,13 @@ exports.bulkCreateLeads = async (req, res, next) => {
  */
 exports.getLeads = async (req, res, next) => {
     try {
-        const { status, source, assignedTo, priority, search } = req.query;
+        const { params, view } = await resolveListParams(req, 'purchaseLeads');
+        const { status, source, assignedTo, priority, search, sortBy, sortOrder = 'desc' } = params;
+        const options = parseListOptions('purchaseLeads', params);
 
-        // Build query
-        const query = { type: 'purchase' };
+        // Build query (leads merged into another lead are hidden unless requested)
+        let query = { type: 'purchase' };
+        if (params.includeMerged !== 'true' && params.includeMerged !== true) query.mergedInto = null;
 
         if (status) query.status = status;
         if (source) query.source = source;
@@ -364,20 +850,34 @@ exports.getLeads = async (req, res, next) => {
             ];
         }
 
-        const leads = await Lead.find(query)
-            .populate('assignedTo', 'name email')
-            .populate('createdBy', 'name email')
-            .populate('followUps')
-            // Include minimal PurchaseOrder status so UI can reflect DocuSign completion
-            .populate('purchaseOrder', 'docuSignStatus status')
-            .sort({ createdAt: -1 });
+        query = applyListConditions(query, options.conditions);
+
+        // sortBy/sortOrder predate the sort parameter and are still honoured without it
+        if (!options.sort && sortBy) {
+            options.sort = parseSortBy('purchaseLeads', sortBy, sortOrder);
+        }
+
+        const { docs: leads, pagination } = await runListQuery(Lead, query, options, {
+            defaultSort: LIST_DEFINITIONS.purchaseLeads.defaultSort,
+            decorate: (cursor) => cursor
+                .populate('assignedTo', 'name email')
+                .populate('createdBy', 'name email')
+                .populate('followUps')
+                // Include minimal PurchaseOrder status so UI can reflect DocuSign completion
+                .populate('purchaseOrder', 'docuSignStatus status')
+        });
 
         res.status(200).json({
             success: true,
             count: leads.length,
-            data: leads
+            data: leads,
+            ...(pagination && { pagination }),
+            ...(view && { view })
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error('Get leads error:', error);
         next(error);
     }
@@ -395,6 +895,7 @@ exports.getLeadById = async (req, res, next) => {
             .populate('createdBy', 'name email')
             .populate('notes.addedBy', 'name email')
             .populate('notes.editedBy', 'name email')
+            .populate('priceAnalysisHistory.changedBy', 'name email')
             .populate('followUps')
             .populate({
                 path: 'purchaseOrder',
@@ -448,6 +949,22 @@ exports.getLeadById = async (req, res, next) => {
                 viewUrl: getInlineViewUrl(doc.url, doc.fileType, leadObj._id, doc._id) // Add separate viewUrl for inline viewing
             }));
         }
+        leadObj.coverImage = formatCoverImage(lead.attachments);
+        leadObj.gallery = formatGallery(lead.attachments);
+        leadObj.priceVariance = lead.getPriceAnalysisVariance();
+
+        // Stages this lead can be moved to by hand, with any fields still missing for each
+        const pipeline = await getLeadPipeline(lead.type);
+        const currentStage = pipeline.getStage(lead.status);
+        leadObj.stage = currentStage ? { key: currentStage.key, label: currentStage.label, isTerminal: currentStage.isTerminal } : { key: lead.status, label: lead.status };
+        leadObj.nextStages = pipeline.getActiveStages()
+            .filter(stage => stage.key !== lead.status && !stage.systemOnly)
+            .filter(stage => !currentStage || (currentStage.allowedTransitions || []).includes(stage.key))
+            .map(stage => ({
+                key: stage.key,
+                label: stage.label,
+                missingFields: getMissingRequiredFields(lead, stage)
+            }));
 
         res.status(200).json({
             success: true,
@@ -459,6 +976,30 @@ exports.getLeadById = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get the pipeline stages of a lead type (for boards and status pickers)
+ * @route   GET /api/v1/purchases/pipelines/:leadType
+ * @access  Private
+ */
+exports.getLeadPipelineStages = async (req, res, next) => {
+    try {
+        const pipeline = await getLeadPipeline(req.params.leadType);
+        const stages = pipeline.getActiveStages().map(formatPipelineStage);
+
+        res.status(200).json({
+            success: true,
+            count: stages.length,
+            data: {
+                leadType: pipeline.leadType,
+                stages
+            }
+        });
+    } catch (error) {
+        logger.error('Get lead pipeline stages error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    Update lead status
  * @route   PUT /api/v1/purchases/leads/:id/status
@@ -466,7 +1007,7 @@ exports.getLeadById = async (req, res, next) => {
  */
 exports.updateLeadStatus = async (req, res, next) => {
     try {
-        const { status, notes } = req.body;
+        const { status, notes, lossReasonId, competitor, lostPrice } = req.body;
 
         const lead = await Lead.findById(req.params.id)
             .populate({
@@ -505,10 +1046,22 @@ exports.updateLeadStatus = async (req, res, next) => {
 
         // Capture old status BEFORE making changes
         const oldStatus = lead.status;
+        const pipeline = await getLeadPipeline(lead.type);
 
         // Only update status if provided and user is admin
-        if (status && req.userRole === 'admin') {
+        if (status && req.userRole === 'admin' && status !== oldStatus) {
+            const statusError = getLeadStatusChangeError(lead, status, pipeline);
+            if (statusError) {
+                return res.status(400).json({
+                    success: false,
+                    message: statusError
+                });
+            }
+
+            // Lost and cancelled need a reason from the admin list; a reopened lead drops its old one
+            const lossDetails = await resolveLossDetails({ status, leadType: lead.type, lossReasonId, competitor, lostPrice }, req);
             lead.status = status;
+            lead.lossDetails = lossDetails || undefined;
         }
 
         // Only add notes if explicitly provided (for manual notes only, not system logs)
@@ -522,10 +1075,8 @@ exports.updateLeadStatus = async (req, res, next) => {
 
         await lead.save();
 
-        // Auto-generate follow-ups if status is under_review
-        if (status === 'under_review') {
-            await createAutoFollowUps(lead._id, lead.assignedTo);
-        }
+        // Stage-entry automations (follow-ups, priority, notifications) configured on the pipeline
+        const automations = lead.status !== oldStatus ? await runStageEntryAutomations(lead, pipeline) : [];
 
         // Audit log only if status changed or note added
         if (lead.status !== oldStatus) {
@@ -534,7 +1085,11 @@ exports.updateLeadStatus = async (req, res, next) => {
                 leadContact: lead.contactInfo.name,
                 oldStatus: oldStatus,
                 newStatus: lead.status,
-                vehicle: lead.vehicleInfo ? `${lead.vehicleInfo.make} ${lead.vehicleInfo.model}` : 'N/A'
+                vehicle: lead.vehicleInfo ? `${lead.vehicleInfo.make} ${lead.vehicleInfo.model}` : 'N/A',
+                lossReason: lead.lossDetails?.reasonLabel,
+                competitor: lead.lossDetails?.competitor,
+                lostPrice: lead.lossDetails?.lostPrice,
+                automations: automations.length > 0 ? automations : undefined
             });
         } else if (notes && notes.trim()) {
             logger.info(`Note added to lead ${lead.leadId} by ${req.user.email}`);
@@ -548,139 +1103,26 @@ exports.updateLeadStatus = async (req, res, next) => {
         res.status(200).json({
             success: true,
             message: lead.status !== oldStatus ? 'Lead status updated' : 'Note added successfully',
-            data: lead
+            data: lead,
+            automations
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error('Update lead status error:', error);
         next(error);
     }
 };
 
 /**
- * @desc    Create Purchase Order
- * @route   POST /api/v1/purchases/po
- * @access  Private (Admin, Manager)
+ * @desc    Get all Purchase Orders
+ * @route   GET /api/v1/purchases/po
+ * @access  Private
  */
-exports.createPurchaseOrder = async (req, res, next) => {
+exports.getPurchaseOrders = async (req, res, next) => {
     try {
-        const { vehicleId, amount, investorAllocations, notes } = req.body;
-
-        // Validate vehicle exists
-        const vehicle = await Vehicle.findById(vehicleId);
-        if (!vehicle) {
-            return res.status(404).json({
-                success: false,
-                message: 'Vehicle not found'
-            });
-        }
-
-        // Validate investor allocations
-        let totalAllocation = 0;
-        for (const allocation of investorAllocations) {
-            const investor = await Investor.findById(allocation.investorId);
-            if (!investor) {
-                return res.status(404).json({
-                    success: false,
-                    message: `Investor not found: ${allocation.investorId}`
-                });
-            }
-
-            // Check if investor has enough credit
-            const remainingCredit = investor.creditLimit - investor.utilizedAmount;
-            if (allocation.amount > remainingCredit) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Insufficient credit for investor ${investor.name}. Available: ${remainingCredit}, Required: ${allocation.amount}`
-                });
-            }
-
-            totalAllocation += allocation.amount;
-        }
-
-        // Validate total allocation matches amount
-        if (Math.abs(totalAllocation - amount) > 0.01) {
-            return res.status(400).json({
-                success: false,
-                message: `Total investor allocation (${totalAllocation}) must equal PO amount (${amount})`
-            });
-        }
-
-        // Create PO
-        const po = await PurchaseOrder.create({
-            vehicleId,
-            amount,
-            investorAllocations,
-            notes,
-            status: 'draft',
-            createdBy: req.userId,
-            createdByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
-        });
-
-        // Update vehicle
-        vehicle.purchaseMeta = {
-            purchaseOrderId: po._id,
-            negotiatedPrice: amount
-        };
-        vehicle.investorAllocation = investorAllocations;
-        vehicle.status = 'approved';
-        await vehicle.save();
-
-        // Update investor utilization (will be finalized on PO approval)
-        for (const allocation of investorAllocations) {
-            await Investor.findByIdAndUpdate(allocation.investorId, {
-                $inc: { utilizedAmount: allocation.amount },
-                $push: {
-                    investments: {
-                        carId: vehicleId,
-                        amount: allocation.amount,
-                        percentage: allocation.percentage,
-                        status: 'active'
-                    }
-                }
-            });
-        }
-
-        logger.info(`Purchase Order ${po.poId} created for vehicle ${vehicle.vehicleId}`);
-
-        // Audit log with readable investor names
-        const investorDetails = await Promise.all(
-            investorAllocations.map(async (inv) => {
-                const investor = await Investor.findById(inv.investorId).select('name email');
-                return {
-                    name: investor?.name,
-                    email: investor?.email,
-                    amount: inv.amount,
-                    percentage: inv.percentage
-                };
-            })
-        );
-
-        await logPurchaseOrder(req, 'po_created', `Created Purchase Order ${po.poId} for vehicle ${vehicle.vehicleId} - Amount: AED ${amount.toLocaleString()}`, po, {
-            vehicle: `${vehicle.make} ${vehicle.model} ${vehicle.year}`,
-            totalAmount: amount,
-            investorCount: investorAllocations.length,
-            investors: investorDetails.map(inv => `${inv.name} (${inv.percentage}% - AED ${inv.amount.toLocaleString()})`).join(', ')
-        });
-
-        res.status(201).json({
-            success: true,
-            message: 'Purchase Order created successfully',
-            data: po
-        });
-    } catch (error) {
-        logger.error('Create PO error:', error);
-        next(error);
-    }
-};
-
-/**
- * @desc    Get all Purchase Orders
- * @route   GET /api/v1/purchases/po
- * @access  Private
- */
-exports.getPurchaseOrders = async (req, res, next) => {
-    try {
-        const { status, vehicleId } = req.query;
+        const { status, vehicleId } = req.query;
 
         const query = {};
         if (status) query.status = status;
@@ -775,89 +1217,51 @@ exports.approvePurchaseOrder = async (req, res, next) => {
  */
 exports.getVehicleById = async (req, res, next) => {
     try {
-        const lead = await Lead.findById(req.params.id)
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id)
+            .populate('leadId')
             .populate('createdBy', 'name email')
-            .populate('investorAllocations.investorId', 'name email')
+            .populate('investorAllocation.investorId', 'name email')
+            .populate('location.site', 'name type')
             .populate({
                 path: 'purchaseOrder',
                 populate: {
                     path: 'investorAllocations.investorId',
                     select: 'name email'
                 }
-            })
-            .populate('invoice');
+            });
 
-        if (!lead || (lead.status !== 'inventory' && lead.status !== 'consignment')) {
+        if (!vehicle) {
             return res.status(404).json({
                 success: false,
                 message: 'Inventory item not found'
             });
         }
 
+        const lead = vehicle.leadId;
+
         // Fetch all invoices for this purchase order (one per investor)
-        const Invoice = require('../models/Invoice');
-        const allInvoices = lead.purchaseOrder
-            ? await Invoice.find({ purchaseOrderId: lead.purchaseOrder._id })
+        const allInvoices = vehicle.purchaseOrder
+            ? await Invoice.find({ purchaseOrderId: vehicle.purchaseOrder._id })
                 .populate('investorId', 'name email')
                 .sort({ createdAt: 1 })
             : [];
 
+        const data = formatInventoryVehicle(vehicle);
+
         // Transform attachment URLs for inline PDF viewing
         const { getInlineViewUrl } = require('../cloudinary');
-        if (lead.attachments) {
-            lead.attachments = lead.attachments.map(attachment => ({
-                ...attachment.toObject(),
-                viewUrl: getInlineViewUrl(attachment.url, attachment.fileType, lead._id, attachment._id)
-            }));
-        }
+        data.attachments = (lead?.attachments || []).map(attachment => ({
+            ...attachment.toObject(),
+            viewUrl: getInlineViewUrl(attachment.url, attachment.fileType, lead._id, attachment._id)
+        }));
 
-        const allocationSource = (lead.purchaseOrder?.investorAllocations && lead.purchaseOrder.investorAllocations.length > 0)
-            ? lead.purchaseOrder.investorAllocations
-            : lead.investorAllocations || [];
-        const primaryAllocation = allocationSource?.[0];
-        const primaryInvestorDoc = primaryAllocation?.investorId;
-        const investorSummary = primaryInvestorDoc
-            ? {
-                _id: primaryInvestorDoc._id || primaryInvestorDoc,
-                name: primaryInvestorDoc.name,
-                email: primaryInvestorDoc.email
-            }
-            : null;
-
-        // Transform to match expected format
-        const vehicle = {
-            _id: lead._id,
-            leadId: lead.leadId,
-            vehicleId: lead.leadId,
-            make: lead.vehicleInfo?.make,
-            model: lead.vehicleInfo?.model,
-            year: lead.vehicleInfo?.year,
-            mileage: lead.vehicleInfo?.mileage,
-            color: lead.vehicleInfo?.color,
-            trim: lead.vehicleInfo?.trim,
-            region: lead.vehicleInfo?.region,
-            vin: lead.vehicleInfo?.vin,
-            status: lead.status,
-            purchasePrice: lead.priceAnalysis?.purchasedFinalPrice,
-            askingPrice: lead.vehicleInfo?.askingPrice,
-            minSellingPrice: lead.priceAnalysis?.minSellingPrice,
-            maxSellingPrice: lead.priceAnalysis?.maxSellingPrice,
-            attachments: lead.attachments || [],
-            contactInfo: lead.contactInfo || {},
-            investor: investorSummary,
-            investorAllocation: lead.purchaseOrder?.investorAllocations || [],
-            purchaseOrder: lead.purchaseOrder,
-            invoice: lead.invoice, // Keep for backward compatibility
-            invoices: allInvoices, // Add all invoices array
-            operationalChecklist: lead.operationalChecklist || {},
-            createdBy: lead.createdBy,
-            createdAt: lead.createdAt,
-            updatedAt: lead.updatedAt
-        };
+        data.purchaseOrder = vehicle.purchaseOrder;
+        data.invoice = lead?.invoice; // Keep for backward compatibility
+        data.invoices = allInvoices;
 
         res.status(200).json({
             success: true,
-            data: vehicle
+            data
         });
     } catch (error) {
         logger.error('Get vehicle by ID error:', error);
@@ -872,78 +1276,583 @@ exports.getVehicleById = async (req, res, next) => {
  */
 exports.getInventory = async (req, res, next) => {
     try {
-        const { status, make, model, search } = req.query;
+        const { params, view } = await resolveListParams(req, 'inventory');
+        const { status, make, model, search, site } = params;
+        const options = parseListOptions('inventory', params);
 
-        // Include both inventory and consignment by default, or filter by provided status
-        const query = {
-            status: status && (status === 'inventory' || status === 'consignment')
-                ? status
-                : { $in: ['inventory', 'consignment'] }
-        };
+        // Unsold stock by default; 'consignment' filters on ownership rather than status
+        let query = {};
+        if (status === 'consignment') {
+            query.ownershipType = 'consignment';
+            query.status = { $nin: ['sold', 'delivered'] };
+        } else if (status && status !== 'inventory') {
+            query.status = status;
+        } else if (!params.filter?.status) {
+            query.status = { $nin: ['sold', 'delivered'] };
+        }
 
-        if (make) query['vehicleInfo.make'] = { $regex: make, $options: 'i' };
-        if (model) query['vehicleInfo.model'] = { $regex: model, $options: 'i' };
+        if (make) query.make = { $regex: make, $options: 'i' };
+        if (model) query.model = { $regex: model, $options: 'i' };
+        if (site) query['location.site'] = site;
 
         if (search) {
             query.$or = [
-                { leadId: { $regex: search, $options: 'i' } },
-                { 'vehicleInfo.make': { $regex: search, $options: 'i' } },
-                { 'vehicleInfo.model': { $regex: search, $options: 'i' } },
-                { 'vehicleInfo.vin': { $regex: search, $options: 'i' } }
+                { vehicleId: { $regex: search, $options: 'i' } },
+                { make: { $regex: search, $options: 'i' } },
+                { model: { $regex: search, $options: 'i' } },
+                { vin: { $regex: search, $options: 'i' } }
             ];
         }
 
-        const inventory = await Lead.find(query)
-            .populate('investorAllocations.investorId', 'name email')
-            .populate('createdBy', 'name email')
+        query = applyListConditions(query, options.conditions);
+
+        // Rows are reshaped by formatInventoryVehicle, so fields picks from the formatted row
+        const { docs: inventory, pagination } = await runListQuery(Vehicle, query, options, {
+            defaultSort: LIST_DEFINITIONS.inventory.defaultSort,
+            projectInQuery: false,
+            decorate: (cursor) => cursor
+                .populate('leadId', 'leadId attachments contactInfo')
+                .populate('investorAllocation.investorId', 'name email')
+                .populate('createdBy', 'name email')
+                .populate('location.site', 'name type')
+        });
+
+        const transformedInventory = inventory
+            .map(formatInventoryVehicle)
+            .map(vehicle => pickFields(vehicle, options.fields));
+
+        res.status(200).json({
+            success: true,
+            count: transformedInventory.length,
+            data: transformedInventory,
+            ...(pagination && { pagination }),
+            ...(view && { view })
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Get inventory error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get inventory aging and holding-cost report
+ * @route   GET /api/v1/purchases/inventory/aging
+ * @access  Private (Admin, Manager)
+ */
+exports.getInventoryAging = async (req, res, next) => {
+    try {
+        const { overpricedAfterDays, holdingCostRate, bucket } = req.query;
+
+        const report = await buildInventoryAgingReport({
+            overpricedAfterDays: overpricedAfterDays !== undefined ? parseInt(overpricedAfterDays, 10) : undefined,
+            holdingCostRate: holdingCostRate !== undefined ? parseFloat(holdingCostRate) : undefined,
+            bucket
+        });
+
+        res.status(200).json({
+            success: true,
+            count: report.rows.length,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Get inventory aging error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Set the advertised price of a vehicle
+ * @route   PUT /api/v1/purchases/vehicles/:id/listing-price
+ * @access  Private (Admin, Manager)
+ */
+exports.updateVehicleListingPrice = async (req, res, next) => {
+    try {
+        const { listingPrice } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const oldPrice = vehicle.listingPrice;
+        vehicle.listingPrice = Number(listingPrice);
+        await vehicle.save();
+
+        await logInventory(req, 'vehicle_listing_price_updated', `Listing price for vehicle ${vehicle.vehicleId} set to AED ${vehicle.listingPrice.toLocaleString()}`, vehicle, {
+            oldPrice,
+            newPrice: vehicle.listingPrice,
+            maxSellingPrice: vehicle.maxSellingPrice
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Listing price updated',
+            data: vehicle
+        });
+    } catch (error) {
+        logger.error('Update vehicle listing price error:', error);
+        next(error);
+    }
+};
+
+/**
+ * Check that a stock location exists and is active
+ * @returns {Promise<Object|null>} The location, or null when no site was given
+ */
+const loadStockLocation = async (siteId) => {
+    if (!siteId) return null;
+    const site = await StockLocation.findOne({ _id: siteId, isActive: true });
+    if (!site) {
+        const error = new Error('Stock location not found or inactive');
+        error.statusCode = 400;
+        throw error;
+    }
+    return site;
+};
+
+/**
+ * @desc    Move a vehicle and/or its keys to a new site, bay or key holder
+ * @route   PUT /api/v1/purchases/vehicles/:id/location
+ * @access  Private (Admin, Manager)
+ */
+exports.updateVehicleLocation = async (req, res, next) => {
+    try {
+        const { site, bay, keyHolder, reason, notes } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        if (!Vehicle.IN_STOCK_STATUSES.includes(vehicle.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot track the location of a ${vehicle.status} vehicle`
+            });
+        }
+
+        const targetSite = await loadStockLocation(site);
+
+        const move = vehicle.moveTo({ site, bay, keyHolder }, {
+            reason,
+            notes,
+            movedBy: req.userId,
+            movedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        });
+
+        if (!move) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vehicle is already at this location'
+            });
+        }
+
+        await vehicle.save();
+        await vehicle.populate('location.site', 'name type');
+
+        await logInventory(req, 'vehicle_moved', `Vehicle ${vehicle.vehicleId} moved${targetSite ? ` to ${targetSite.name}` : ''} (${reason})`, vehicle, {
+            reason,
+            notes,
+            from: { site: move.fromSite, bay: move.fromBay, keyHolder: move.fromKeyHolder },
+            to: { site: move.toSite, bay: move.toBay, keyHolder: move.toKeyHolder }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Vehicle location updated',
+            data: {
+                location: vehicle.location,
+                move
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Update vehicle location error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the move history of a vehicle, newest first
+ * @route   GET /api/v1/purchases/vehicles/:id/location-history
+ * @access  Private (Admin, Manager)
+ */
+exports.getVehicleLocationHistory = async (req, res, next) => {
+    try {
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id)
+            .select('vehicleId make model year location locationHistory')
+            .populate('location.site', 'name type')
+            .populate('locationHistory.fromSite', 'name type')
+            .populate('locationHistory.toSite', 'name type')
+            .populate('locationHistory.movedBy', 'name email')
+            .populate('locationHistory.stockTake', 'stockTakeId');
+
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const history = [...(vehicle.locationHistory || [])]
+            .sort((a, b) => new Date(b.movedAt) - new Date(a.movedAt));
+
+        res.status(200).json({
+            success: true,
+            count: history.length,
+            data: {
+                vehicleId: vehicle.vehicleId,
+                location: vehicle.location,
+                history
+            }
+        });
+    } catch (error) {
+        logger.error('Get vehicle location history error:', error);
+        next(error);
+    }
+};
+
+/**
+ * Counts of a stock-take's progress and discrepancies by type
+ */
+const summariseStockTake = (stockTake, discrepancies) => {
+    const byType = {};
+    discrepancies.forEach(d => d.types.forEach(type => {
+        byType[type] = (byType[type] || 0) + 1;
+    }));
+    return {
+        expected: stockTake.expected.length,
+        confirmed: stockTake.confirmations.length,
+        discrepancies: discrepancies.length,
+        byType
+    };
+};
+
+/**
+ * Stock-take response with discrepancies: live while open, frozen once completed
+ */
+const formatStockTake = (stockTake) => {
+    const discrepancies = stockTake.status === 'open'
+        ? stockTake.computeDiscrepancies()
+        : stockTake.discrepancies.map(d => (d.toObject ? d.toObject() : d));
+    return {
+        ...stockTake.toObject(),
+        discrepancies,
+        summary: summariseStockTake(stockTake, discrepancies)
+    };
+};
+
+const loadOpenStockTake = async (id) => {
+    const stockTake = await StockTake.findById(id);
+    if (!stockTake) {
+        const error = new Error('Stock-take not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    if (stockTake.status !== 'open') {
+        const error = new Error(`Stock-take is already ${stockTake.status}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return stockTake;
+};
+
+/**
+ * @desc    Start a stock-take of every in-stock car, optionally for one site
+ * @route   POST /api/v1/purchases/stock-takes
+ * @access  Private (Admin, Manager)
+ */
+exports.startStockTake = async (req, res, next) => {
+    try {
+        const { site, notes } = req.body;
+
+        const stockLocation = await loadStockLocation(site);
+
+        const openStockTake = await StockTake.findOne({ status: 'open', ...(site ? { $or: [{ site }, { site: null }] } : {}) });
+        if (openStockTake) {
+            return res.status(400).json({
+                success: false,
+                message: `Stock-take ${openStockTake.stockTakeId} is still open`
+            });
+        }
+
+        const query = { status: { $in: Vehicle.IN_STOCK_STATUSES } };
+        if (site) query['location.site'] = site;
+        const vehicles = await Vehicle.find(query).select('vehicleId location');
+
+        const stockTake = await StockTake.create({
+            site: stockLocation?._id,
+            notes,
+            expected: vehicles.map(vehicle => ({
+                vehicle: vehicle._id,
+                vehicleId: vehicle.vehicleId,
+                site: vehicle.location?.site,
+                bay: vehicle.location?.bay,
+                keyHolder: vehicle.location?.keyHolder
+            })),
+            startedBy: req.userId,
+            startedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        });
+
+        await logStockTake(req, 'stock_take_started', `Stock-take ${stockTake.stockTakeId} started${stockLocation ? ` at ${stockLocation.name}` : ''} with ${vehicles.length} vehicles`, stockTake, {
+            site: stockLocation?.name,
+            expectedCount: vehicles.length
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Stock-take started',
+            data: formatStockTake(stockTake)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Start stock-take error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    List stock-takes, newest first
+ * @route   GET /api/v1/purchases/stock-takes
+ * @access  Private (Admin, Manager)
+ */
+exports.getStockTakes = async (req, res, next) => {
+    try {
+        const { status } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+
+        const stockTakes = await StockTake.find(query)
+            .populate('site', 'name type')
+            .populate('startedBy', 'name email')
+            .populate('completedBy', 'name email')
             .sort({ createdAt: -1 });
 
-        // Transform leads to match expected format
-        const transformedInventory = inventory.map(lead => {
-            const allocationSource = Array.isArray(lead.investorAllocations) ? lead.investorAllocations : [];
-            const primaryAllocation = allocationSource[0];
-            const investorDoc = primaryAllocation?.investorId;
-            const investorSummary = investorDoc
-                ? {
-                    _id: investorDoc._id || investorDoc,
-                    name: investorDoc.name,
-                    email: investorDoc.email
+        const data = stockTakes.map(stockTake => {
+            const { expected, confirmations, discrepancies, ...rest } = formatStockTake(stockTake);
+            return rest;
+        });
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        logger.error('Get stock-takes error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a stock-take with its confirmations and discrepancies
+ * @route   GET /api/v1/purchases/stock-takes/:id
+ * @access  Private (Admin, Manager)
+ */
+exports.getStockTakeById = async (req, res, next) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id)
+            .populate('site', 'name type')
+            .populate('startedBy', 'name email')
+            .populate('completedBy', 'name email')
+            .populate('confirmations.confirmedBy', 'name email');
+
+        if (!stockTake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock-take not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: formatStockTake(stockTake)
+        });
+    } catch (error) {
+        logger.error('Get stock-take error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Confirm where a car and its keys were found during a stock-take.
+ *          The car can be given by record ID, vehicle ID (VH0001) or VIN;
+ *          confirming the same car again replaces the earlier confirmation.
+ * @route   POST /api/v1/purchases/stock-takes/:id/confirm
+ * @access  Private (Admin, Manager)
+ */
+exports.confirmStockTakeVehicle = async (req, res, next) => {
+    try {
+        const { vehicle: vehicleRef, site, bay, keyHolder, notes } = req.body;
+
+        const stockTake = await loadOpenStockTake(req.params.id);
+
+        const reference = String(vehicleRef).trim();
+        const vehicleQuery = [{ vehicleId: reference.toUpperCase() }, { vin: reference.toUpperCase() }];
+        if (mongoose.Types.ObjectId.isValid(reference)) vehicleQuery.push({ _id: reference });
+        const vehicle = await Vehicle.findOne({ $or: vehicleQuery }).select('vehicleId status');
+
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        // A site-scoped stock-take defaults to its own site
+        const foundSite = site || stockTake.site;
+        await loadStockLocation(foundSite);
+
+        stockTake.confirmations = stockTake.confirmations.filter(c => c.vehicle.toString() !== vehicle._id.toString());
+        stockTake.confirmations.push({
+            vehicle: vehicle._id,
+            vehicleId: vehicle.vehicleId,
+            site: foundSite,
+            bay,
+            keyHolder,
+            notes,
+            confirmedBy: req.userId,
+            confirmedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager',
+            confirmedAt: new Date()
+        });
+        await stockTake.save();
+
+        const discrepancy = stockTake.computeDiscrepancies()
+            .find(d => d.vehicle.toString() === vehicle._id.toString()) || null;
+
+        res.status(200).json({
+            success: true,
+            message: discrepancy ? `Vehicle ${vehicle.vehicleId} confirmed with discrepancies` : `Vehicle ${vehicle.vehicleId} confirmed`,
+            data: {
+                confirmation: stockTake.confirmations[stockTake.confirmations.length - 1],
+                discrepancy,
+                summary: summariseStockTake(stockTake, stockTake.computeDiscrepancies())
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Confirm stock-take vehicle error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Complete a stock-take and freeze its discrepancies. With
+ *          applyCorrections, cars found somewhere else are moved to where
+ *          they were found; missing cars are only reported.
+ * @route   POST /api/v1/purchases/stock-takes/:id/complete
+ * @access  Private (Admin, Manager)
+ */
+exports.completeStockTake = async (req, res, next) => {
+    try {
+        const applyCorrections = req.body.applyCorrections === true || req.body.applyCorrections === 'true';
+
+        const stockTake = await loadOpenStockTake(req.params.id);
+
+        const discrepancies = stockTake.computeDiscrepancies();
+        const actorModel = req.userRole === 'admin' ? 'Admin' : 'Manager';
+
+        const corrected = [];
+        if (applyCorrections) {
+            for (const discrepancy of discrepancies.filter(d => d.found)) {
+                const vehicle = await Vehicle.findById(discrepancy.vehicle);
+                if (!vehicle || !Vehicle.IN_STOCK_STATUSES.includes(vehicle.status)) continue;
+
+                const move = vehicle.moveTo({
+                    site: discrepancy.found.site || null,
+                    bay: discrepancy.found.bay || null,
+                    keyHolder: discrepancy.found.keyHolder || null
+                }, {
+                    reason: 'stock_take',
+                    notes: `Corrected by stock-take ${stockTake.stockTakeId}`,
+                    stockTake: stockTake._id,
+                    movedBy: req.userId,
+                    movedByModel: actorModel
+                });
+                if (move) {
+                    await vehicle.save();
+                    corrected.push(vehicle.vehicleId);
                 }
-                : null;
+            }
+        }
 
-            return {
-                _id: lead._id,
-                leadId: lead.leadId,
-                vehicleId: lead.leadId, // Use leadId as vehicleId for compatibility
-                make: lead.vehicleInfo?.make,
-                model: lead.vehicleInfo?.model,
-                year: lead.vehicleInfo?.year,
-                mileage: lead.vehicleInfo?.mileage,
-                color: lead.vehicleInfo?.color,
-                trim: lead.vehicleInfo?.trim,
-                region: lead.vehicleInfo?.region,
-                vin: lead.vehicleInfo?.vin,
-                status: lead.status,
-                purchasePrice: lead.priceAnalysis?.purchasedFinalPrice,
-                askingPrice: lead.vehicleInfo?.askingPrice,
-                minSellingPrice: lead.priceAnalysis?.minSellingPrice,
-                maxSellingPrice: lead.priceAnalysis?.maxSellingPrice,
-                attachments: lead.attachments || [],
-                operationalChecklist: lead.operationalChecklist || {},
-                investor: investorSummary,
-                createdBy: lead.createdBy,
-                createdAt: lead.createdAt,
-                updatedAt: lead.updatedAt
-            };
+        stockTake.discrepancies = discrepancies;
+        stockTake.correctionsApplied = applyCorrections;
+        stockTake.status = 'completed';
+        stockTake.completedAt = new Date();
+        stockTake.completedBy = req.userId;
+        stockTake.completedByModel = actorModel;
+        await stockTake.save();
+
+        const summary = summariseStockTake(stockTake, discrepancies);
+
+        await logStockTake(req, 'stock_take_completed', `Stock-take ${stockTake.stockTakeId} completed with ${discrepancies.length} discrepancies`, stockTake, {
+            ...summary,
+            correctedVehicles: corrected
         });
 
         res.status(200).json({
             success: true,
-            count: transformedInventory.length,
-            data: transformedInventory
+            message: 'Stock-take completed',
+            data: {
+                ...formatStockTake(stockTake),
+                correctedVehicles: corrected
+            }
         });
     } catch (error) {
-        logger.error('Get inventory error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Complete stock-take error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Cancel an open stock-take without recording discrepancies
+ * @route   POST /api/v1/purchases/stock-takes/:id/cancel
+ * @access  Private (Admin, Manager)
+ */
+exports.cancelStockTake = async (req, res, next) => {
+    try {
+        const stockTake = await loadOpenStockTake(req.params.id);
+
+        stockTake.status = 'cancelled';
+        stockTake.completedAt = new Date();
+        stockTake.completedBy = req.userId;
+        stockTake.completedByModel = req.userRole === 'admin' ? 'Admin' : 'Manager';
+        await stockTake.save();
+
+        await logStockTake(req, 'stock_take_cancelled', `Stock-take ${stockTake.stockTakeId} cancelled`, stockTake);
+
+        res.status(200).json({
+            success: true,
+            message: 'Stock-take cancelled',
+            data: stockTake
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Cancel stock-take error:', error);
         next(error);
     }
 };
@@ -955,7 +1864,7 @@ exports.getInventory = async (req, res, next) => {
  */
 exports.markVehicleAsReady = async (req, res, next) => {
     try {
-        const vehicle = await Vehicle.findById(req.params.id)
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id)
             .populate('investorAllocation.investorId', 'name email');
 
         if (!vehicle) {
@@ -965,44 +1874,134 @@ exports.markVehicleAsReady = async (req, res, next) => {
             });
         }
 
-        // Check if checklist is complete
-        if (!vehicle.isOperationalChecklistComplete()) {
+        if (vehicle.status !== 'inventory') {
             return res.status(400).json({
                 success: false,
-                message: 'All operational checklist items must be completed before marking as ready for sale'
+                message: `Vehicle is already ${vehicle.status}`
             });
         }
 
-        // Update vehicle status
-        vehicle.status = 'ready_for_sale';
+        // Checklist guard is enforced by the vehicle status machine
+        vehicle.transitionTo('ready_for_sale', {
+            changedBy: req.userId,
+            changedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        });
         await vehicle.save();
 
-        // Update investor SOA and recent investments
-        if (vehicle.investorAllocation && vehicle.investorAllocation.length > 0) {
-            for (const allocation of vehicle.investorAllocation) {
-                if (allocation.investorId) {
-                    // Update investor SOA
-                    await updateInvestorSOA(allocation.investorId._id, vehicle, allocation);
-
-                    // Update recent investments
-                    await updateRecentInvestments(allocation.investorId._id, vehicle, allocation);
-                }
-            }
-        }
+        await syncInvestorsForReadyVehicle(vehicle);
 
         logger.info(`Vehicle ${vehicle.vehicleId} marked as ready for sale`);
 
+        await logInventory(req, 'vehicle_ready_for_sale', `Vehicle ${vehicle.vehicleId} marked as ready for sale`, vehicle, {
+            vehicle: `${vehicle.make} ${vehicle.model} ${vehicle.year}`
+        });
+
         res.status(200).json({
             success: true,
             message: 'Vehicle marked as ready for sale',
             data: vehicle
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error('Mark vehicle as ready error:', error);
         next(error);
     }
 };
 
+/**
+ * @desc    Move a vehicle to another status (validated against the status machine)
+ * @route   PUT /api/v1/purchases/vehicles/:id/status
+ * @access  Private (Admin, Manager)
+ */
+exports.updateVehicleStatus = async (req, res, next) => {
+    try {
+        const { status, reason } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id)
+            .populate('investorAllocation.investorId', 'name email');
+
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        // Holds carry a deposit and expiry, so they go through the reservation endpoints
+        // (a reserved car back from a test drive returns to its existing hold)
+        if (status === 'reserved' && !vehicle.getActiveReservation()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reserve the vehicle for a customer instead of setting the reserved status'
+            });
+        }
+
+        // The sale's figures were taken from the car as it is; approval moves it to sold
+        const pendingSale = await Sale.findPendingForVehicle(vehicle._id);
+        if (pendingSale) {
+            return res.status(400).json({
+                success: false,
+                message: `Sale ${pendingSale.saleId} is awaiting approval for this vehicle; approve or reject it first`
+            });
+        }
+
+        const oldStatus = vehicle.status;
+
+        // Sold is only reachable with an approved sale attached to the vehicle
+        const sale = status === 'sold' && vehicle.salesMeta?.saleId
+            ? await Sale.findById(vehicle.salesMeta.saleId)
+            : null;
+
+        vehicle.transitionTo(status, {
+            reason,
+            sale,
+            changedBy: req.userId,
+            changedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        });
+        await vehicle.save();
+
+        if (oldStatus === 'inventory' && status === 'ready_for_sale') {
+            await syncInvestorsForReadyVehicle(vehicle);
+        }
+
+        logger.info(`Vehicle ${vehicle.vehicleId} status changed from ${oldStatus} to ${status}`);
+
+        await logInventory(req, 'vehicle_status_changed', `Vehicle ${vehicle.vehicleId} moved from ${oldStatus} to ${status}`, vehicle, {
+            vehicle: `${vehicle.make} ${vehicle.model} ${vehicle.year}`,
+            oldStatus,
+            newStatus: status,
+            reason
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Vehicle moved to ${status}`,
+            data: vehicle
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Update vehicle status error:', error);
+        next(error);
+    }
+};
+
+// Update investor SOA and recent investments once a vehicle is ready for sale
+const syncInvestorsForReadyVehicle = async (vehicle) => {
+    if (!vehicle.investorAllocation || vehicle.investorAllocation.length === 0) {
+        return;
+    }
+    for (const allocation of vehicle.investorAllocation) {
+        if (allocation.investorId) {
+            await updateInvestorSOA(allocation.investorId._id, vehicle, allocation);
+            await updateRecentInvestments(allocation.investorId._id, vehicle, allocation);
+        }
+    }
+};
+
 // Helper function to update investor SOA
 const updateInvestorSOA = async (investorId, vehicle, allocation) => {
     try {
@@ -1190,9 +2189,210 @@ function computeInvestorInvoiceShare(allocation, totals) {
         : allocationPercentage;
 
     return {
-        amount: computedTotal,
-        percentage: allocationPercentage > 0 ? allocationPercentage : derivedPercentage,
-        breakdown
+        amount: computedTotal,
+        percentage: allocationPercentage > 0 ? allocationPercentage : derivedPercentage,
+        breakdown
+    };
+}
+
+// Lead statuses that are only reachable through purchase order conversion
+const CONVERSION_LEAD_STATUSES = ['inventory', 'consignment'];
+
+// Built-in loss reason recorded on leads closed by a merge
+const DUPLICATE_LOSS_REASON = 'Duplicate or invalid lead';
+
+/**
+ * Validate a manual lead status change. Once a lead has been converted its
+ * lifecycle continues on the Vehicle, so those statuses cannot be set or left by hand.
+ * Everything else follows the stages, transitions and required fields of the
+ * lead type's pipeline. Returns an error message, or null when the change is allowed.
+ */
+function getLeadStatusChangeError(lead, status, pipeline) {
+    if (CONVERSION_LEAD_STATUSES.includes(lead.status)) {
+        return `Lead ${lead.leadId} is already in ${lead.status}; update the vehicle status instead`;
+    }
+    if (CONVERSION_LEAD_STATUSES.includes(status)) {
+        return `Lead ${lead.leadId} can only move to ${status} by completing its purchase order`;
+    }
+    return getStageChangeError(lead, status, pipeline);
+}
+
+// Vehicle details copied from the lead when it enters stock
+function buildVehicleDetailsFromLead(lead) {
+    return {
+        make: lead.vehicleInfo?.make,
+        model: lead.vehicleInfo?.model,
+        year: lead.vehicleInfo?.year,
+        mileage: lead.vehicleInfo?.mileage,
+        color: lead.vehicleInfo?.color,
+        trim: lead.vehicleInfo?.trim,
+        region: lead.vehicleInfo?.region,
+        vin: lead.vehicleInfo?.vin,
+        category: lead.vehicleInfo?.category,
+        ownerName: lead.contactInfo?.name,
+        askingPrice: lead.vehicleInfo?.askingPrice,
+        minSellingPrice: lead.priceAnalysis?.minSellingPrice,
+        maxSellingPrice: lead.priceAnalysis?.maxSellingPrice
+    };
+}
+
+/**
+ * Send (or re-send) the consignment contract to the owner for signature.
+ * Failures are recorded on the contract instead of being thrown.
+ */
+async function sendConsignmentContract(vehicle) {
+    const terms = vehicle.consignment;
+    try {
+        const result = await docusignService.createConsignmentContract({
+            vehicleId: vehicle.vehicleId,
+            ownerEmail: terms.owner.email,
+            ownerName: terms.owner.name,
+            minimumPrice: terms.minimumPrice,
+            commissionType: terms.commissionType,
+            commissionValue: terms.commissionValue
+        });
+        terms.contract = {
+            envelopeId: result.envelopeId,
+            status: 'sent',
+            sentAt: new Date(),
+            completedAt: null,
+            error: null
+        };
+    } catch (error) {
+        logger.error(`Failed to send consignment contract for vehicle ${vehicle.vehicleId}:`, error);
+        terms.contract = {
+            ...(terms.contract || {}),
+            status: 'failed',
+            error: error.message
+        };
+    }
+    await vehicle.save();
+    return terms.contract;
+}
+
+/**
+ * Create the inventory Vehicle for a purchased lead (idempotent per lead).
+ * Investor allocations are stored with their invoiced share of the total cost.
+ */
+async function createVehicleFromLead(lead, purchaseOrder, normalizedAllocations, shareContext, req) {
+    const existing = await Vehicle.findOne({ leadId: lead._id });
+    if (existing) {
+        return existing;
+    }
+
+    const { charges = {} } = shareContext;
+
+    const vehicle = new Vehicle({
+        ...buildVehicleDetailsFromLead(lead),
+        leadId: lead._id,
+        purchaseOrder: purchaseOrder._id,
+        status: 'inventory',
+        purchasePrice: lead.priceAnalysis?.purchasedFinalPrice,
+        costBasis: {
+            buyingPrice: roundToCurrency(shareContext.buyingPrice),
+            transferCost: roundToCurrency(charges.transferCost),
+            detailingInspectionCost: roundToCurrency(charges.detailingInspectionCost),
+            agentCommission: roundToCurrency(charges.agentCommission),
+            carRecoveryCost: roundToCurrency(charges.carRecoveryCost),
+            otherCharges: roundToCurrency(charges.otherCharges),
+            total: roundToCurrency(shareContext.totalPayable)
+        },
+        investorAllocation: normalizedAllocations.map((allocation) => {
+            const shareInfo = computeInvestorInvoiceShare(allocation, shareContext);
+            return {
+                investorId: allocation.investorId?._id || allocation.investorId,
+                percentage: shareInfo.percentage || allocation.percentage || 0,
+                amount: shareInfo.amount
+            };
+        }),
+        purchaseMeta: {
+            purchaseOrderId: purchaseOrder._id,
+            negotiatedPrice: lead.priceAnalysis?.purchasedFinalPrice,
+            purchasedAt: new Date()
+        },
+        statusHistory: [{
+            from: null,
+            to: 'inventory',
+            reason: `Purchased via ${purchaseOrder.poId || 'purchase order'}`,
+            changedBy: req.userId,
+            changedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        }],
+        createdBy: req.userId,
+        createdByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+    });
+
+    // Seed the operational checklist from the best matching template
+    const checklistTemplate = await ChecklistTemplate.findForVehicle(vehicle);
+    vehicle.applyChecklistTemplate(checklistTemplate);
+    await vehicle.save();
+
+    lead.vehicle = vehicle._id;
+
+    await logInventory(req, 'vehicle_created', `Vehicle ${vehicle.vehicleId} created from lead ${lead.leadId}`, vehicle, {
+        leadId: lead.leadId,
+        vehicle: `${vehicle.make} ${vehicle.model} ${vehicle.year}`,
+        costBasis: vehicle.costBasis.total,
+        investorCount: vehicle.investorAllocation.length
+    });
+
+    return vehicle;
+}
+
+/**
+ * Shape a Vehicle (with populated lead and investors) for inventory responses
+ */
+function formatInventoryVehicle(vehicle) {
+    const lead = vehicle.leadId && vehicle.leadId._id ? vehicle.leadId : null;
+    const primaryAllocation = Array.isArray(vehicle.investorAllocation) ? vehicle.investorAllocation[0] : null;
+    const investorDoc = primaryAllocation?.investorId;
+    const investorSummary = investorDoc
+        ? {
+            _id: investorDoc._id || investorDoc,
+            name: investorDoc.name,
+            email: investorDoc.email
+        }
+        : null;
+
+    return {
+        _id: vehicle._id,
+        vehicleId: vehicle.vehicleId,
+        lead: lead ? lead._id : vehicle.leadId,
+        leadId: lead?.leadId,
+        make: vehicle.make,
+        model: vehicle.model,
+        year: vehicle.year,
+        mileage: vehicle.mileage,
+        color: vehicle.color,
+        trim: vehicle.trim,
+        region: vehicle.region,
+        vin: vehicle.vin,
+        status: vehicle.status,
+        ownershipType: vehicle.ownershipType,
+        purchasePrice: vehicle.purchasePrice,
+        askingPrice: vehicle.askingPrice,
+        minSellingPrice: vehicle.minSellingPrice,
+        maxSellingPrice: vehicle.maxSellingPrice,
+        sellingPrice: vehicle.sellingPrice,
+        listingPrice: vehicle.listingPrice,
+        costBasis: vehicle.costBasis,
+        location: vehicle.location || {},
+        attachments: lead?.attachments || [],
+        coverImage: formatCoverImage(lead?.attachments),
+        gallery: formatGallery(lead?.attachments),
+        contactInfo: lead?.contactInfo || {},
+        operationalChecklist: vehicle.operationalChecklist || {},
+        category: vehicle.category,
+        checklistTemplate: vehicle.checklistTemplate,
+        checklistItems: vehicle.getChecklistItems(),
+        isChecklistComplete: vehicle.isOperationalChecklistComplete(),
+        statusHistory: vehicle.statusHistory || [],
+        investor: investorSummary,
+        investorAllocation: vehicle.investorAllocation || [],
+        consignment: vehicle.ownershipType === 'consignment' ? vehicle.consignment : undefined,
+        salesMeta: vehicle.salesMeta,
+        createdBy: vehicle.createdBy,
+        createdAt: vehicle.createdAt,
+        updatedAt: vehicle.updatedAt
     };
 }
 
@@ -1221,7 +2421,7 @@ exports.updateChecklist = async (req, res, next) => {
     try {
         const { checklistItem, completed, notes } = req.body;
 
-        const vehicle = await Vehicle.findById(req.params.vehicleId);
+        const vehicle = await Vehicle.findByIdOrLead(req.params.vehicleId);
 
         if (!vehicle) {
             return res.status(404).json({
@@ -1230,18 +2430,32 @@ exports.updateChecklist = async (req, res, next) => {
             });
         }
 
+        const itemDefinition = vehicle.getChecklistItems().find(i => i.key === checklistItem);
+        if (itemDefinition && itemDefinition.responsibleRole === 'admin' && req.userRole !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: `Only admins can update "${itemDefinition.label}"`
+            });
+        }
+
         // Update checklist item
-        if (vehicle.operationalChecklist[checklistItem]) {
+        if (itemDefinition && vehicle.operationalChecklist[checklistItem]) {
             vehicle.operationalChecklist[checklistItem].completed = completed;
             vehicle.operationalChecklist[checklistItem].completedBy = req.userId;
-            vehicle.operationalChecklist[checklistItem].completedAt = completed ? new Date() : undefined;
+            vehicle.operationalChecklist[checklistItem].completedAt = completed ? new Date() : null;
             vehicle.operationalChecklist[checklistItem].notes = notes || '';
 
+            // Mark the operationalChecklist field as modified (required for Mixed type fields)
+            vehicle.markModified('operationalChecklist');
             await vehicle.save();
 
             // Auto-transition to ready_for_sale if all items complete
-            if (vehicle.isOperationalChecklistComplete() && vehicle.status === 'in_inventory') {
-                vehicle.status = 'ready_for_sale';
+            if (vehicle.isOperationalChecklistComplete() && vehicle.status === 'inventory') {
+                vehicle.transitionTo('ready_for_sale', {
+                    reason: 'Operational checklist completed',
+                    changedBy: req.userId,
+                    changedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+                });
                 await vehicle.save();
                 logger.info(`Vehicle ${vehicle.vehicleId} auto-transitioned to ready_for_sale`);
             }
@@ -1506,9 +2720,10 @@ exports.uploadDocuments = async (req, res, next) => {
             }
         });
 
-        // Handle multiple car pictures
+        // Handle multiple car pictures (appended to the end of the gallery)
         if (req.files['carPictures']) {
-            req.files['carPictures'].forEach(file => {
+            const nextOrder = getOrderedPictures(lead.attachments).length;
+            req.files['carPictures'].forEach((file, index) => {
                 uploadedDocs.push({
                     category: 'carPictures',
                     fileName: file.originalname,
@@ -1516,6 +2731,7 @@ exports.uploadDocuments = async (req, res, next) => {
                     fileSize: file.size,
                     url: file.path, // Cloudinary URL
                     publicId: file.filename, // Cloudinary public ID
+                    order: nextOrder + index,
                     uploadedBy: req.userId,
                     uploadedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager',
                     uploadedAt: new Date()
@@ -1621,6 +2837,288 @@ exports.deleteDocument = async (req, res, next) => {
     }
 };
 
+/**
+ * Load a lead for gallery changes, enforcing manager access
+ * @throws {Error} with statusCode 404/403
+ */
+const loadGalleryLead = async (req) => {
+    const lead = await Lead.findById(req.params.id);
+    if (!lead) {
+        const error = new Error('Lead not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (req.userRole === 'manager') {
+        const assignedToId = lead.assignedTo?._id || lead.assignedTo;
+        if (assignedToId && assignedToId.toString() !== req.userId.toString()) {
+            const error = new Error('Access denied. This lead is assigned to another manager.');
+            error.statusCode = 403;
+            throw error;
+        }
+    }
+    return lead;
+};
+
+// Rewrite gallery order as 0..n-1 following the given picture order
+const renumberPictures = (pictures) => {
+    pictures.forEach((picture, index) => {
+        picture.order = index;
+    });
+};
+
+/**
+ * @desc    Get a lead's car picture gallery
+ * @route   GET /api/v1/purchases/leads/:id/gallery
+ * @access  Private (Admin, Manager)
+ */
+exports.getLeadGallery = async (req, res, next) => {
+    try {
+        const lead = await loadGalleryLead(req);
+        const gallery = formatGallery(lead.attachments);
+
+        res.status(200).json({
+            success: true,
+            count: gallery.length,
+            data: {
+                cover: formatCoverImage(lead.attachments),
+                pictures: gallery
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Get lead gallery error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reorder a lead's car pictures
+ * @route   PUT /api/v1/purchases/leads/:id/gallery/order
+ * @access  Private (Admin, Manager)
+ */
+exports.reorderLeadGallery = async (req, res, next) => {
+    try {
+        const lead = await loadGalleryLead(req);
+        const pictureIds = (req.body.pictureIds || []).map(String);
+        const pictures = getOrderedPictures(lead.attachments);
+
+        const currentIds = pictures.map(p => p._id.toString());
+        const isSameSet = pictureIds.length === currentIds.length &&
+            new Set(pictureIds).size === pictureIds.length &&
+            pictureIds.every(id => currentIds.includes(id));
+        if (!isSameSet) {
+            return res.status(400).json({
+                success: false,
+                message: 'pictureIds must list every car picture of the lead exactly once'
+            });
+        }
+
+        renumberPictures(pictureIds.map(id => pictures.find(p => p._id.toString() === id)));
+        await lead.save();
+
+        await logLead(req, 'lead_gallery_reordered', `Reordered car pictures for lead ${lead.leadId}`, lead, {
+            pictureCount: pictureIds.length
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Gallery order updated successfully',
+            data: formatGallery(lead.attachments)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Reorder lead gallery error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Set the cover image of a lead's gallery
+ * @route   PUT /api/v1/purchases/leads/:id/gallery/cover
+ * @access  Private (Admin, Manager)
+ */
+exports.setLeadGalleryCover = async (req, res, next) => {
+    try {
+        const lead = await loadGalleryLead(req);
+        const pictures = getOrderedPictures(lead.attachments);
+        const cover = pictures.find(p => p._id.toString() === String(req.body.pictureId));
+
+        if (!cover) {
+            return res.status(404).json({
+                success: false,
+                message: 'Picture not found'
+            });
+        }
+
+        pictures.forEach(picture => {
+            picture.isCover = picture === cover;
+        });
+        await lead.save();
+
+        await logLead(req, 'lead_gallery_cover_set', `Set cover image for lead ${lead.leadId}`, lead, {
+            fileName: cover.fileName
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Cover image updated successfully',
+            data: formatGallery(lead.attachments)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Set lead gallery cover error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Move images received by email into the car picture gallery
+ * @route   POST /api/v1/purchases/leads/:id/gallery/promote
+ * @access  Private (Admin, Manager)
+ */
+exports.promoteEmailAttachments = async (req, res, next) => {
+    try {
+        const lead = await loadGalleryLead(req);
+        const attachmentIds = [...new Set((req.body.attachmentIds || []).map(String))];
+        const attachments = attachmentIds.map(id => lead.attachments.id(id));
+
+        const invalid = attachments.some(a => !a || a.category !== 'emailAttachments' || !String(a.fileType || '').startsWith('image/'));
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: 'attachmentIds must be image attachments received by email'
+            });
+        }
+
+        const nextOrder = getOrderedPictures(lead.attachments).length;
+        attachments.forEach((attachment, index) => {
+            attachment.category = 'carPictures';
+            attachment.order = nextOrder + index;
+        });
+        await lead.save();
+
+        await logLead(req, 'lead_gallery_pictures_promoted', `Added ${attachments.length} emailed picture(s) to the gallery of lead ${lead.leadId}`, lead, {
+            fileNames: attachments.map(a => a.fileName)
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Pictures added to the gallery',
+            data: formatGallery(lead.attachments)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Promote email attachments error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Caption or tag a car picture
+ * @route   PUT /api/v1/purchases/leads/:id/gallery/:pictureId
+ * @access  Private (Admin, Manager)
+ */
+exports.updateGalleryPicture = async (req, res, next) => {
+    try {
+        const lead = await loadGalleryLead(req);
+        const picture = getOrderedPictures(lead.attachments).find(p => p._id.toString() === req.params.pictureId);
+
+        if (!picture) {
+            return res.status(404).json({
+                success: false,
+                message: 'Picture not found'
+            });
+        }
+
+        const { caption, tags } = req.body;
+        if (caption !== undefined) picture.caption = caption;
+        if (tags !== undefined) picture.tags = [...new Set(tags)];
+        await lead.save();
+
+        await logLead(req, 'lead_gallery_picture_updated', `Updated car picture details for lead ${lead.leadId}`, lead, {
+            fileName: picture.fileName,
+            caption: picture.caption,
+            tags: picture.tags
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Picture updated successfully',
+            data: formatGallery(lead.attachments).find(p => p._id.toString() === req.params.pictureId)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Update gallery picture error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete several car pictures at once
+ * @route   POST /api/v1/purchases/leads/:id/gallery/bulk-delete
+ * @access  Private (Admin only)
+ */
+exports.bulkDeleteGalleryPictures = async (req, res, next) => {
+    try {
+        const { cloudinary } = require('../cloudinary');
+        const lead = await loadGalleryLead(req);
+        const pictureIds = [...new Set((req.body.pictureIds || []).map(String))];
+        const pictures = getOrderedPictures(lead.attachments);
+        const toDelete = pictures.filter(p => pictureIds.includes(p._id.toString()));
+
+        if (toDelete.length !== pictureIds.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'One or more pictures not found'
+            });
+        }
+
+        for (const picture of toDelete) {
+            if (picture.publicId) {
+                try {
+                    await cloudinary.uploader.destroy(picture.publicId, { resource_type: 'image' });
+                    logger.info(`File deleted from Cloudinary: ${picture.publicId}`);
+                } catch (cloudError) {
+                    logger.error('Cloudinary deletion error:', cloudError);
+                    // Continue with database deletion even if Cloudinary fails
+                }
+            }
+            lead.attachments.pull(picture._id);
+        }
+
+        renumberPictures(getOrderedPictures(lead.attachments));
+        await lead.save();
+
+        await logLead(req, 'lead_gallery_pictures_deleted', `Deleted ${toDelete.length} car picture(s) from lead ${lead.leadId}`, lead, {
+            leadContact: lead.contactInfo.name,
+            fileNames: toDelete.map(p => p.fileName).join(', ')
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${toDelete.length} picture(s) deleted successfully`,
+            data: formatGallery(lead.attachments)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Bulk delete gallery pictures error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    View document inline (proxy endpoint)
  * @route   GET /api/v1/purchases/leads/:leadId/documents/:docId/view
@@ -1905,6 +3403,56 @@ exports.deleteCostInvoiceEvidence = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Recommend buy price and sell range for a lead from comparable closed sales and completed purchases
+ * @route   GET /api/v1/purchases/leads/:id/pricing-recommendation
+ * @access  Private (Admin, Manager)
+ */
+exports.getPricingRecommendation = async (req, res, next) => {
+    try {
+        const lead = await Lead.findById(req.params.id);
+
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        if (req.userRole === 'manager') {
+            const assignedToId = lead.assignedTo?._id || lead.assignedTo;
+            if (assignedToId && assignedToId.toString() !== req.userId.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. This lead is assigned to another manager.'
+                });
+            }
+        }
+
+        const recommendation = await buildPricingRecommendation(lead.vehicleInfo || {}, {
+            yearBand: req.query.yearBand !== undefined ? parseInt(req.query.yearBand, 10) : undefined,
+            mileageBand: req.query.mileageBand !== undefined ? parseInt(req.query.mileageBand, 10) : undefined,
+            targetMarginPercent: req.query.targetMargin !== undefined ? parseFloat(req.query.targetMargin) : undefined,
+            excludeVehicleIds: lead.vehicle ? [lead.vehicle] : []
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                leadId: lead.leadId,
+                currentPriceAnalysis: lead.priceAnalysis || null,
+                ...recommendation
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Get pricing recommendation error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    Update price analysis for a lead
  * @route   PUT /api/v1/purchases/leads/:id/price-analysis
@@ -1958,50 +3506,128 @@ exports.updatePriceAnalysis = async (req, res, next) => {
             });
         }
 
-        // Update price analysis
-        lead.priceAnalysis = {
-            minSellingPrice: minSellingPrice ? parseFloat(minSellingPrice) : lead.priceAnalysis?.minSellingPrice,
-            maxSellingPrice: maxSellingPrice ? parseFloat(maxSellingPrice) : lead.priceAnalysis?.maxSellingPrice,
-            purchasedFinalPrice: purchasedFinalPrice ? parseFloat(purchasedFinalPrice) : lead.priceAnalysis?.purchasedFinalPrice,
-            updatedAt: Date.now(),
-            updatedBy: req.userId,
-            updatedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        // Validate and decode a non-empty VIN before anything is changed
+        let vinCheck = null;
+        if (typeof vin === 'string' && vin.trim().length > 0) {
+            vinCheck = inspectVin(vin, lead.vehicleInfo || {});
+            if (vinCheck.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid VIN: ${vinCheck.errors.join('; ')}`
+                });
+            }
+        }
+
+        // Blank values keep the current figure
+        const values = {
+            minSellingPrice: minSellingPrice ? parseFloat(minSellingPrice) : undefined,
+            maxSellingPrice: maxSellingPrice ? parseFloat(maxSellingPrice) : undefined,
+            purchasedFinalPrice: purchasedFinalPrice ? parseFloat(purchasedFinalPrice) : undefined
         };
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+        // Revising a figure that was already set needs a reason
+        const changes = lead.getPriceAnalysisChanges(values);
+        if (changes.some(change => change.from !== null) && !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required when changing an existing price'
+            });
+        }
+
+        // Update price analysis and keep the change as a revision
+        const revision = lead.recordPriceAnalysisRevision(values, {
+            changedBy: req.userId,
+            changedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager',
+            reason: reason || undefined
+        });
 
         // Optionally update VIN (chassis number) when provided in the same request
         if (typeof vin === 'string') {
-            const trimmedVin = vin.trim();
-            if (trimmedVin.length === 0) {
+            if (!vinCheck) {
                 // Clear VIN when empty string is provided
                 lead.vehicleInfo = { ...lead.vehicleInfo, vin: undefined };
             } else {
-                lead.vehicleInfo = { ...lead.vehicleInfo, vin: trimmedVin };
+                lead.vehicleInfo = { ...lead.vehicleInfo, vin: vinCheck.vin };
             }
         }
 
         await lead.save();
 
-        // Create audit log
+        // Create audit log with a structured diff of the figures
         await logLead(
             req,
             'price_analysis_updated',
-            `Price analysis updated for lead ${lead.leadId}`,
+            `Price analysis updated for lead ${lead.leadId}${revision ? ` (revision ${revision.revision})` : ''}`,
             lead,
             {
+                revision: revision ? revision.revision : undefined,
+                reason: revision ? revision.reason : undefined,
+                diff: revision ? revision.changes.map(change => ({ field: change.field, from: change.from, to: change.to })) : [],
                 minSellingPrice: lead.priceAnalysis.minSellingPrice,
                 maxSellingPrice: lead.priceAnalysis.maxSellingPrice,
                 purchasedFinalPrice: lead.priceAnalysis.purchasedFinalPrice,
-                vin: lead.vehicleInfo?.vin
+                vin: lead.vehicleInfo?.vin,
+                vinWarnings: vinCheck?.warnings.length > 0 ? vinCheck.warnings : undefined
             }
         );
 
         res.status(200).json({
             success: true,
-            message: 'Price analysis updated successfully',
-            data: lead
+            message: 'Price analysis updated successfully',
+            data: lead,
+            priceVariance: lead.getPriceAnalysisVariance() || undefined,
+            vinDecoded: vinCheck?.decoded || undefined,
+            warnings: vinCheck?.warnings.length > 0 ? vinCheck.warnings : undefined
+        });
+    } catch (error) {
+        logger.error('Update price analysis error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get price analysis revision history and submission/approval variance
+ * @route   GET /api/v1/purchases/leads/:id/price-analysis/history
+ * @access  Private (Admin, Manager)
+ */
+exports.getPriceAnalysisHistory = async (req, res, next) => {
+    try {
+        const lead = await Lead.findById(req.params.id)
+            .select('leadId assignedTo priceAnalysis priceAnalysisHistory approval')
+            .populate('priceAnalysisHistory.changedBy', 'name email');
+
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        if (req.userRole === 'manager') {
+            const assignedToId = lead.assignedTo?._id || lead.assignedTo;
+            if (assignedToId && assignedToId.toString() !== req.userId.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. This lead is assigned to another manager.'
+                });
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            count: lead.priceAnalysisHistory.length,
+            data: {
+                leadId: lead.leadId,
+                current: lead.priceAnalysis,
+                revisions: [...lead.priceAnalysisHistory].reverse(),
+                submittedPriceAnalysis: lead.approval?.submittedPriceAnalysis || null,
+                approvedPriceAnalysis: lead.approval?.approvedPriceAnalysis || null,
+                variance: lead.getPriceAnalysisVariance()
+            }
         });
     } catch (error) {
-        logger.error('Update price analysis error:', error);
+        logger.error('Get price analysis history error:', error);
         next(error);
     }
 };
@@ -2097,7 +3723,7 @@ exports.updateLead = async (req, res, next) => {
  */
 exports.bulkUpdateLeadStatus = async (req, res, next) => {
     try {
-        const { leadIds, status, notes } = req.body;
+        const { leadIds, status, notes, lossReasonId, competitor, lostPrice } = req.body;
 
         if (!leadIds || !Array.isArray(leadIds) || leadIds.length === 0) {
             return res.status(400).json({
@@ -2113,13 +3739,43 @@ exports.bulkUpdateLeadStatus = async (req, res, next) => {
             });
         }
 
-        // Update all leads
+        if (LossReason.LOSS_STATUSES.includes(status) && !lossReasonId) {
+            return res.status(400).json({
+                success: false,
+                message: `A loss reason is required to move leads to ${status}`
+            });
+        }
+
+        // Update all leads, skipping any whose status change is not allowed
+        const rejected = [];
+        const pipelines = {
+            purchase: await getLeadPipeline('purchase'),
+            sales: await getLeadPipeline('sales')
+        };
         const updatePromises = leadIds.map(async (leadId) => {
             const lead = await Lead.findById(leadId);
             if (!lead) return null;
+            if (lead.status === status) return null;
+
+            const pipeline = pipelines[lead.type];
+            const statusError = getLeadStatusChangeError(lead, status, pipeline);
+            if (statusError) {
+                rejected.push({ leadId: lead.leadId, message: statusError });
+                return null;
+            }
+
+            let lossDetails;
+            try {
+                lossDetails = await resolveLossDetails({ status, leadType: lead.type, lossReasonId, competitor, lostPrice }, req);
+            } catch (error) {
+                if (!error.statusCode) throw error;
+                rejected.push({ leadId: lead.leadId, message: error.message });
+                return null;
+            }
 
             const oldStatus = lead.status;
             lead.status = status;
+            lead.lossDetails = lossDetails || undefined;
 
             // Only add notes if explicitly provided (for manual notes only, not system logs)
             if (notes && notes.trim()) {
@@ -2132,13 +3788,19 @@ exports.bulkUpdateLeadStatus = async (req, res, next) => {
 
             await lead.save();
 
+            const automations = await runStageEntryAutomations(lead, pipeline);
+
             // Audit log
             await logLead(req, 'lead_status_updated', `Bulk updated lead ${lead.leadId} status from ${oldStatus} to ${status}`, lead, {
                 leadContact: lead.contactInfo.name,
                 oldStatus: oldStatus,
                 newStatus: status,
                 vehicle: lead.vehicleInfo ? `${lead.vehicleInfo.make} ${lead.vehicleInfo.model}` : 'N/A',
-                updateType: 'bulk'
+                lossReason: lossDetails?.reasonLabel,
+                competitor: lossDetails?.competitor,
+                lostPrice: lossDetails?.lostPrice,
+                updateType: 'bulk',
+                automations: automations.length > 0 ? automations : undefined
             });
 
             return lead;
@@ -2154,7 +3816,8 @@ exports.bulkUpdateLeadStatus = async (req, res, next) => {
             message: `Successfully updated ${successCount} lead(s)`,
             data: {
                 updatedCount: successCount,
-                totalRequested: leadIds.length
+                totalRequested: leadIds.length,
+                rejected
             }
         });
     } catch (error) {
@@ -2163,6 +3826,298 @@ exports.bulkUpdateLeadStatus = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    List likely duplicates of a lead (same VIN, phone, email or Emirates ID)
+ * @route   GET /api/v1/purchases/leads/:id/duplicates
+ * @access  Private (Admin, Manager)
+ */
+exports.getLeadDuplicates = async (req, res, next) => {
+    try {
+        const lead = await Lead.findById(req.params.id);
+
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        if (req.userRole === 'manager') {
+            const assignedToId = lead.assignedTo?._id || lead.assignedTo;
+            if (assignedToId && assignedToId.toString() !== req.userId.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. This lead is assigned to another manager.'
+                });
+            }
+        }
+
+        const duplicates = await findDuplicateLeads(lead, { type: lead.type, excludeIds: [lead._id] });
+
+        res.status(200).json({
+            success: true,
+            count: duplicates.length,
+            data: duplicates
+        });
+    } catch (error) {
+        logger.error('Get lead duplicates error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Chronological activity feed of a lead: notes, follow-ups, attachments,
+ *          approvals, price revisions, PO/DocuSign, emails, WhatsApp, status changes,
+ *          assignments, merges and other audit entries
+ * @route   GET /api/v1/purchases/leads/:id/timeline
+ * @access  Private (Admin, Manager)
+ */
+exports.getLeadTimeline = async (req, res, next) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : [];
+
+        // Access is checked before the timeline's queries run
+        const lead = await Lead.findById(req.params.id).select('assignedTo');
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        if (req.userRole === 'manager') {
+            const assignedToId = lead.assignedTo;
+            if (assignedToId && assignedToId.toString() !== req.userId.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. This lead is assigned to another manager.'
+                });
+            }
+        }
+
+        const timeline = await buildLeadTimeline(lead._id, {
+            types,
+            from: req.query.startDate,
+            to: req.query.endDate,
+            order: req.query.order
+        });
+
+        if (!timeline) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        const total = timeline.events.length;
+        const events = timeline.events.slice((page - 1) * limit, page * limit);
+
+        res.status(200).json({
+            success: true,
+            count: events.length,
+            data: events,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            typeCounts: timeline.typeCounts
+        });
+    } catch (error) {
+        logger.error('Get lead timeline error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Merge duplicate leads into a surviving lead. Notes, attachments,
+ *          follow-ups and audit history move to the survivor; blank contact and
+ *          vehicle details are filled from the duplicates, which are then
+ *          cancelled with the "Duplicate or invalid lead" reason (or lossReasonId).
+ * @route   POST /api/v1/purchases/leads/:id/merge
+ * @access  Private (Admin only)
+ */
+exports.mergeLeads = async (req, res, next) => {
+    try {
+        const duplicateIds = [...new Set((req.body.duplicateLeadIds || []).map(String))];
+
+        const survivor = await Lead.findById(req.params.id);
+        if (!survivor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+        if (survivor.mergedInto) {
+            return res.status(400).json({
+                success: false,
+                message: `Lead ${survivor.leadId} has already been merged into another lead`
+            });
+        }
+        if (duplicateIds.includes(survivor._id.toString())) {
+            return res.status(400).json({
+                success: false,
+                message: 'A lead cannot be merged into itself'
+            });
+        }
+
+        const duplicates = await Lead.find({ _id: { $in: duplicateIds } });
+        if (duplicates.length !== duplicateIds.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'One or more duplicate leads not found'
+            });
+        }
+
+        // Open duplicates are cancelled; lost or cancelled ones keep their outcome
+        const pipeline = await getLeadPipeline(survivor.type);
+        const isOpen = (lead) => !LossReason.LOSS_STATUSES.includes(lead.status);
+
+        for (const duplicate of duplicates) {
+            let reason = null;
+            if (duplicate.type !== survivor.type) {
+                reason = 'is a different lead type';
+            } else if (duplicate.mergedInto) {
+                reason = 'has already been merged';
+            } else if (duplicate.purchaseOrder || duplicate.vehicle || duplicate.invoice || CONVERSION_LEAD_STATUSES.includes(duplicate.status)) {
+                reason = 'already has a purchase order, invoice or vehicle';
+            }
+            if (reason) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Lead ${duplicate.leadId} ${reason} and cannot be merged`
+                });
+            }
+
+            const statusError = isOpen(duplicate) ? getLeadStatusChangeError(duplicate, 'cancelled', pipeline) : null;
+            if (statusError) {
+                return res.status(400).json({
+                    success: false,
+                    message: statusError
+                });
+            }
+        }
+
+        // Cancelled duplicates are recorded under the given reason, or the built-in duplicate reason
+        let lossReasonId = req.body.lossReasonId;
+        if (!lossReasonId) {
+            await LossReason.ensureDefaults();
+            const duplicateReason = await LossReason.findOne({
+                label: DUPLICATE_LOSS_REASON,
+                isActive: true,
+                statuses: 'cancelled',
+                leadType: { $in: ['any', survivor.type] }
+            });
+            lossReasonId = duplicateReason?._id;
+        }
+        const lossDetails = duplicates.some(isOpen)
+            ? await resolveLossDetails({ status: 'cancelled', leadType: survivor.type, lossReasonId }, req)
+            : null;
+
+        const actorModel = req.userRole === 'admin' ? 'Admin' : 'Manager';
+        const mergedAt = new Date();
+        const filledFields = [];
+
+        for (const duplicate of duplicates) {
+            // Fill blank contact and vehicle details on the survivor
+            const duplicateObj = duplicate.toObject();
+            ['contactInfo', 'vehicleInfo'].forEach(section => {
+                Object.entries(duplicateObj[section] || {}).forEach(([key, value]) => {
+                    const path = `${section}.${key}`;
+                    const current = survivor.get(path);
+                    if ((current === undefined || current === null || current === '') && value !== undefined && value !== null && value !== '') {
+                        survivor.set(path, value);
+                        filledFields.push(path);
+                    }
+                });
+            });
+            if (!survivor.assignedTo && duplicate.assignedTo) {
+                survivor.assignedTo = duplicate.assignedTo;
+                filledFields.push('assignedTo');
+            }
+
+            survivor.notes.push(...duplicateObj.notes.map(({ _id, ...note }) => note));
+            // Duplicate's pictures go after the survivor's and never replace its cover
+            const pictureOffset = getOrderedPictures(survivor.attachments).length;
+            survivor.attachments.push(...getOrderedPictures(duplicateObj.attachments)
+                .map(({ _id, ...picture }, index) => ({ ...picture, order: pictureOffset + index, isCover: false })));
+            survivor.attachments.push(...duplicateObj.attachments
+                .filter(a => a.category !== 'carPictures')
+                .map(({ _id, ...attachment }) => attachment));
+
+            await FollowUp.updateMany({ leadId: duplicate._id }, { $set: { leadId: survivor._id } });
+            const followUpIds = new Set(survivor.followUps.map(id => id.toString()));
+            duplicate.followUps.forEach(id => {
+                if (!followUpIds.has(id.toString())) survivor.followUps.push(id);
+            });
+
+            // Re-point the duplicate's audit history at the survivor, keeping where it came from
+            await AuditLog.updateMany(
+                { 'targetEntity.entityType': 'Lead', 'targetEntity.entityId': duplicate._id },
+                [{
+                    $set: {
+                        'targetEntity.entityId': survivor._id,
+                        metadata: { $mergeObjects: [{ $ifNull: ['$metadata', {}] }, { mergedFromLeadId: duplicate.leadId }] }
+                    }
+                }]
+            );
+
+            const wasOpen = isOpen(duplicate);
+            duplicate.notes = [];
+            duplicate.attachments = [];
+            duplicate.followUps = [];
+            if (wasOpen) {
+                duplicate.status = 'cancelled';
+                duplicate.lossDetails = { ...lossDetails };
+            }
+            duplicate.mergedInto = survivor._id;
+            duplicate.mergedAt = mergedAt;
+            duplicate.mergedBy = req.userId;
+            duplicate.notes.push({
+                content: `Merged into lead ${survivor.leadId}`,
+                addedBy: req.userId,
+                addedByModel: actorModel,
+                addedAt: mergedAt
+            });
+            await duplicate.save();
+
+            if (wasOpen) await runStageEntryAutomations(duplicate, pipeline);
+        }
+
+        survivor.notes.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+        survivor.notes.push({
+            content: `Merged duplicate lead(s) ${duplicates.map(d => d.leadId).join(', ')} into this lead`,
+            addedBy: req.userId,
+            addedByModel: actorModel,
+            addedAt: mergedAt
+        });
+        await survivor.save();
+
+        logger.info(`Leads ${duplicates.map(d => d.leadId).join(', ')} merged into ${survivor.leadId} by ${req.user.email}`);
+
+        await logLead(req, 'lead_merged', `Merged ${duplicates.map(d => d.leadId).join(', ')} into lead ${survivor.leadId}`, survivor, {
+            mergedLeadIds: duplicates.map(d => d.leadId),
+            filledFields,
+            lossReason: lossDetails?.reasonLabel
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Merged ${duplicates.length} lead(s) into ${survivor.leadId}`,
+            data: survivor
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Merge leads error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    Assign lead to manager (Admin only)
  * @route   PUT /api/v1/purchases/leads/:id/assign
@@ -2418,13 +4373,15 @@ exports.convertLeadToVehicle = async (req, res, next) => {
 
         // Update Purchase Order status
         purchaseOrder.status = 'completed';
+        purchaseOrder.completedAt = new Date();
         await purchaseOrder.save();
 
-        // Update lead status to inventory
+        // Create the inventory vehicle and move the lead to inventory
+        const vehicle = await createVehicleFromLead(lead, purchaseOrder, normalizedAllocations, shareContext, req);
         lead.status = 'inventory';
         await lead.save();
 
-        logger.info(`Lead ${lead.leadId} moved to inventory and Purchase Order ${purchaseOrder.poId} completed`);
+        logger.info(`Lead ${lead.leadId} moved to inventory as vehicle ${vehicle.vehicleId} and Purchase Order ${purchaseOrder.poId} completed`);
 
         // Generate and send invoice
 
@@ -2587,6 +4544,7 @@ exports.convertLeadToVehicle = async (req, res, next) => {
             `Lead ${lead.leadId} moved to inventory`,
             lead, {
             leadId: lead.leadId,
+            vehicleId: vehicle.vehicleId,
             purchasePrice: lead.priceAnalysis?.purchasedFinalPrice,
             investors: investorLogDetails
         });
@@ -2602,6 +4560,12 @@ exports.convertLeadToVehicle = async (req, res, next) => {
             message: 'Lead moved to inventory successfully',
             data: {
                 lead: lead,
+                vehicle: {
+                    id: vehicle._id,
+                    vehicleId: vehicle.vehicleId,
+                    status: vehicle.status,
+                    costBasis: vehicle.costBasis
+                },
                 purchaseOrder: {
                     id: purchaseOrder._id,
                     poId: purchaseOrder.poId,
@@ -2781,9 +4745,11 @@ exports.bulkConvertLeadsToVehicles = async (req, res, next) => {
 
                 // Update Purchase Order status
                 purchaseOrder.status = 'completed';
+                purchaseOrder.completedAt = new Date();
                 await purchaseOrder.save();
 
-                // Update lead status to inventory
+                // Create the inventory vehicle and move the lead to inventory
+                const vehicle = await createVehicleFromLead(lead, purchaseOrder, normalizedAllocations, shareContext, req);
                 lead.status = 'inventory';
                 await lead.save();
 
@@ -2931,6 +4897,7 @@ exports.bulkConvertLeadsToVehicles = async (req, res, next) => {
 
                 results.push({
                     leadId: lead.leadId,
+                    vehicleId: vehicle.vehicleId,
                     success: true,
                     invoices: createdInvoices.map(entry => ({
                         invoiceNo: entry.invoice.invoiceNo,
@@ -2952,40 +4919,237 @@ exports.bulkConvertLeadsToVehicles = async (req, res, next) => {
             }
         });
     } catch (error) {
-        logger.error('Bulk convert leads to vehicles error:', error);
+        logger.error('Bulk convert leads to vehicles error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Take a lead's car on consignment and send the owner the consignment contract
+ * @route   POST /api/v1/purchases/leads/:id/consignment
+ * @access  Private (Admin only)
+ */
+exports.createConsignment = async (req, res, next) => {
+    try {
+        const { minimumPrice, commissionType, commissionValue, owner = {} } = req.body;
+
+        const lead = await Lead.findById(req.params.id);
+
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        if (lead.type !== 'purchase') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only purchase leads can be taken on consignment'
+            });
+        }
+
+        if (lead.vehicle || ['inventory', 'consignment', 'lost', 'cancelled'].includes(lead.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Lead ${lead.leadId} cannot be taken on consignment from status ${lead.status}`
+            });
+        }
+
+        if (commissionType === 'percentage' && Number(commissionValue) > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Commission percentage cannot exceed 100'
+            });
+        }
+
+        const ownerInfo = {
+            name: owner.name || lead.contactInfo?.name,
+            email: owner.email || lead.contactInfo?.email,
+            phone: owner.phone || lead.contactInfo?.phone,
+            passportOrEmiratesId: owner.passportOrEmiratesId || lead.contactInfo?.passportOrEmiratesId,
+            iban: owner.iban
+        };
+
+        if (!ownerInfo.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Owner email is required to send the consignment contract'
+            });
+        }
+
+        const changedByModel = req.userRole === 'admin' ? 'Admin' : 'Manager';
+
+        const vehicle = new Vehicle({
+            ...buildVehicleDetailsFromLead(lead),
+            leadId: lead._id,
+            ownershipType: 'consignment',
+            status: 'inventory',
+            ownerName: ownerInfo.name,
+            minSellingPrice: Number(minimumPrice),
+            consignment: {
+                owner: ownerInfo,
+                minimumPrice: Number(minimumPrice),
+                commissionType,
+                commissionValue: Number(commissionValue),
+                contract: { status: 'created' }
+            },
+            statusHistory: [{
+                from: null,
+                to: 'inventory',
+                reason: 'Taken on consignment',
+                changedBy: req.userId,
+                changedByModel
+            }],
+            createdBy: req.userId,
+            createdByModel: changedByModel
+        });
+
+        const checklistTemplate = await ChecklistTemplate.findForVehicle(vehicle);
+        vehicle.applyChecklistTemplate(checklistTemplate);
+        await vehicle.save();
+
+        const oldStatus = lead.status;
+        lead.vehicle = vehicle._id;
+        lead.status = 'consignment';
+        await lead.save();
+
+        const contract = await sendConsignmentContract(vehicle);
+
+        logger.info(`Lead ${lead.leadId} taken on consignment as vehicle ${vehicle.vehicleId} (contract: ${contract.status})`);
+
+        await logLead(req, 'lead_moved_to_consignment', `Lead ${lead.leadId} taken on consignment`, lead, {
+            leadId: lead.leadId,
+            vehicleId: vehicle.vehicleId,
+            oldStatus,
+            minimumPrice: vehicle.consignment.minimumPrice,
+            commissionType,
+            commissionValue: vehicle.consignment.commissionValue
+        });
+
+        await logInventory(req, 'consignment_contract_sent', `Consignment contract for vehicle ${vehicle.vehicleId} ${contract.status === 'sent' ? 'sent to' : 'could not be sent to'} ${ownerInfo.email}`, vehicle, {
+            envelopeId: contract.envelopeId,
+            contractStatus: contract.status,
+            error: contract.error
+        });
+
+        res.status(201).json({
+            success: true,
+            message: contract.status === 'sent'
+                ? 'Consignment created and contract sent for signature'
+                : 'Consignment created but the contract could not be sent. Please retry.',
+            data: vehicle
+        });
+    } catch (error) {
+        logger.error('Create consignment error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Re-send the consignment contract (after failure, decline or void)
+ * @route   POST /api/v1/purchases/vehicles/:id/consignment/contract
+ * @access  Private (Admin only)
+ */
+exports.resendConsignmentContract = async (req, res, next) => {
+    try {
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+
+        if (!vehicle || vehicle.ownershipType !== 'consignment') {
+            return res.status(404).json({
+                success: false,
+                message: 'Consignment vehicle not found'
+            });
+        }
+
+        const currentStatus = vehicle.consignment?.contract?.status;
+        if (['sent', 'delivered', 'signed', 'completed'].includes(currentStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: `Consignment contract is already ${currentStatus}`
+            });
+        }
+
+        const contract = await sendConsignmentContract(vehicle);
+
+        await logInventory(req, 'consignment_contract_sent', `Consignment contract for vehicle ${vehicle.vehicleId} re-sent`, vehicle, {
+            envelopeId: contract.envelopeId,
+            previousStatus: currentStatus,
+            contractStatus: contract.status,
+            error: contract.error
+        });
+
+        if (contract.status !== 'sent') {
+            return res.status(502).json({
+                success: false,
+                message: 'Failed to send consignment contract',
+                data: contract
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Consignment contract sent for signature',
+            data: contract
+        });
+    } catch (error) {
+        logger.error('Resend consignment contract error:', error);
         next(error);
     }
 };
 
 /**
- * Helper function to create auto follow-ups for under-review leads
+ * @desc    Record the owner payout for a sold consignment car
+ * @route   PUT /api/v1/purchases/vehicles/:id/consignment/payout
+ * @access  Private (Admin only)
  */
-async function createAutoFollowUps(leadId, managerId) {
-    const followUpDays = [3, 7, 15];
+exports.markConsignmentPayoutPaid = async (req, res, next) => {
+    try {
+        const { paymentReference } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+
+        if (!vehicle || vehicle.ownershipType !== 'consignment') {
+            return res.status(404).json({
+                success: false,
+                message: 'Consignment vehicle not found'
+            });
+        }
+
+        const payout = vehicle.consignment?.payout;
+        if (!payout || payout.status !== 'due') {
+            return res.status(400).json({
+                success: false,
+                message: payout?.status === 'paid'
+                    ? 'Owner payout has already been paid'
+                    : 'Owner payout is not due until the sale has been approved'
+            });
+        }
+
+        payout.status = 'paid';
+        payout.paidAt = new Date();
+        payout.paymentReference = paymentReference;
+        await vehicle.save();
 
-    for (const days of followUpDays) {
-        const dueDate = new Date();
-        dueDate.setDate(dueDate.getDate() + days);
+        logger.info(`Consignment payout of AED ${payout.ownerPayout} paid for vehicle ${vehicle.vehicleId}`);
 
-        const followUp = await FollowUp.create({
-            leadId,
-            managerId,
-            type: 'call',
-            dueDate,
-            status: 'pending',
-            priority: days <= 3 ? 'high' : 'medium',
-            comments: `Auto-generated follow-up for ${days} days review`,
-            autoGenerated: true,
-            createdBy: managerId
+        await logInventory(req, 'consignment_payout_paid', `Owner payout of AED ${payout.ownerPayout.toLocaleString()} paid for vehicle ${vehicle.vehicleId}`, vehicle, {
+            ownerName: vehicle.consignment.owner?.name,
+            ownerPayout: payout.ownerPayout,
+            commissionAmount: payout.commissionAmount,
+            paymentReference
         });
 
-        await Lead.findByIdAndUpdate(leadId, {
-            $push: { followUps: followUp._id }
+        res.status(200).json({
+            success: true,
+            message: 'Owner payout recorded',
+            data: payout
         });
+    } catch (error) {
+        logger.error('Mark consignment payout error:', error);
+        next(error);
     }
-
-    logger.info(`Auto follow-ups created for lead ${leadId}`);
-}
+};
 
 module.exports = exports;
 
@@ -3204,6 +5368,9 @@ exports.submitLeadForApproval = async (req, res, next) => {
         lead.approval = lead.approval || {};
         lead.approval.status = 'pending';
         lead.approval.approvals = lead.approval.approvals || [];
+        if (!lead.approval.submittedPriceAnalysis?.capturedAt) {
+            lead.approval.submittedPriceAnalysis = lead.snapshotPriceAnalysis();
+        }
 
         // Add submitter's approval if not already present
         const already = (lead.approval.approvals || []).some(a => a.adminId.toString() === req.userId.toString());
@@ -3219,13 +5386,34 @@ exports.submitLeadForApproval = async (req, res, next) => {
         lead.status = isDualMet ? 'approved' : 'inspection';
         if (isDualMet) {
             lead.approval.status = 'approved';
+            lead.approval.approvedPriceAnalysis = lead.snapshotPriceAnalysis();
         }
         await lead.save();
 
+        // Snapshot the data-driven recommendation next to the manager's figures for reviewers
+        let pricingRecommendation = null;
+        try {
+            const recommendation = await buildPricingRecommendation(lead.vehicleInfo || {}, {
+                excludeVehicleIds: lead.vehicle ? [lead.vehicle] : []
+            });
+            pricingRecommendation = {
+                suggestedBuyPrice: recommendation.suggestedBuyPrice,
+                sellRange: recommendation.sellRange,
+                expectedMargin: recommendation.expectedMargin,
+                confidence: recommendation.confidence,
+                comparableCount: recommendation.comparableCounts.total
+            };
+        } catch (recommendationError) {
+            logger.warn(`Pricing recommendation unavailable for lead ${lead.leadId}: ${recommendationError.message}`);
+        }
+
         await logLead(req, 'lead_submitted_for_approval', `Lead ${lead.leadId} submitted for dual approval (${lead.approval.approvals.length}/2)`, lead, {
             investorAllocations: lead.investorAllocations,
             documents: { hasRegistrationCard, hasCarPictures, hasOnlineHistoryCheck },
             priceAnalysisComplete: true,
+            pricingRecommendation,
+            submittedPriceAnalysis: lead.approval.submittedPriceAnalysis,
+            priceVariance: isDualMet ? lead.getPriceAnalysisVariance() : undefined,
             groupsCovered: Array.from(groupsCovered),
             fullyApproved: isDualMet
         });
@@ -3277,6 +5465,7 @@ exports.approveLead = async (req, res, next) => {
         if (isDualMet) {
             // Mark approval achieved but DO NOT change lead.status (stays 'inspection')
             lead.approval.status = 'approved';
+            lead.approval.approvedPriceAnalysis = lead.snapshotPriceAnalysis();
 
             await lead.populate({
                 path: 'investorAllocations.investorId',
@@ -3419,13 +5608,15 @@ exports.approveLead = async (req, res, next) => {
             approvals: lead.approval.approvals.length,
             groupsCovered: Array.from(groupsCovered),
             approved: isDualMet,
-            docuSignSent: isDualMet && lead.docuSign?.envelopeId ? true : false
+            docuSignSent: isDualMet && lead.docuSign?.envelopeId ? true : false,
+            priceVariance: lead.getPriceAnalysisVariance()
         });
 
         res.status(200).json({
             success: true,
             message: isDualMet ? 'Lead fully approved and DocuSign envelope sent to investor' : 'Approval recorded. One more group approval needed.',
-            data: lead
+            data: lead,
+            priceVariance: lead.getPriceAnalysisVariance()
         });
     } catch (error) {
         next(error);
@@ -3585,6 +5776,394 @@ exports.getSignedDocument = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Re-apply a checklist template to a vehicle (auto-matched when no templateId is given)
+ * @route   PUT /api/v1/purchases/vehicles/:id/checklist-template
+ * @access  Private (Admin only)
+ */
+exports.applyVehicleChecklistTemplate = async (req, res, next) => {
+    try {
+        const { templateId, category } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        if (vehicle.status !== 'inventory') {
+            return res.status(400).json({
+                success: false,
+                message: 'Checklist template can only be changed for vehicles in inventory'
+            });
+        }
+
+        if (category !== undefined) {
+            vehicle.category = category;
+        }
+
+        let template = null;
+        if (templateId) {
+            template = await ChecklistTemplate.findOne({ _id: templateId, isActive: true });
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Checklist template not found'
+                });
+            }
+        } else {
+            template = await ChecklistTemplate.findForVehicle(vehicle);
+        }
+
+        vehicle.applyChecklistTemplate(template);
+        await vehicle.save();
+
+        await logInventory(req, 'vehicle_checklist_template_applied', `Applied checklist template ${template ? template.name : 'default'} to vehicle ${vehicle.vehicleId}`, vehicle, {
+            templateId: template?._id,
+            templateName: template ? template.name : 'default',
+            category: vehicle.category
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Checklist template applied',
+            data: {
+                vehicle,
+                checklistItems: vehicle.getChecklistItems()
+            }
+        });
+    } catch (error) {
+        logger.error('Apply checklist template error:', error);
+        next(error);
+    }
+};
+
+// Vehicles that have left stock can no longer take new expenses
+const EXPENSE_LOCKED_STATUSES = ['sold', 'delivered'];
+
+// Remove an expense evidence file from Cloudinary (best effort)
+async function destroyExpenseEvidence(evidence) {
+    if (!evidence?.publicId) return;
+    try {
+        const { cloudinary } = require('../cloudinary');
+        const resourceType = evidence.fileType === 'application/pdf' ? 'raw' : 'image';
+        await cloudinary.uploader.destroy(evidence.publicId, { resource_type: resourceType });
+    } catch (cloudError) {
+        logger.error('Error deleting expense evidence from Cloudinary:', cloudError);
+    }
+}
+
+// Responsible investor must be one of the vehicle's investors
+function isVehicleInvestor(vehicle, investorId) {
+    return (vehicle.investorAllocation || []).some(allocation =>
+        (allocation.investorId?._id || allocation.investorId).toString() === investorId.toString()
+    );
+}
+
+/**
+ * @desc    Get the reconditioning expense ledger of a vehicle
+ * @route   GET /api/v1/purchases/vehicles/:id/expenses
+ * @access  Private (Admin, Manager)
+ */
+exports.getVehicleExpenses = async (req, res, next) => {
+    try {
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id)
+            .populate('expenses.investorId', 'name email')
+            .populate('expenses.addedBy', 'name email')
+            .populate('investorAllocation.investorId', 'name email');
+
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const expenses = [...vehicle.expenses].sort((a, b) => new Date(b.incurredAt) - new Date(a.incurredAt));
+
+        res.status(200).json({
+            success: true,
+            count: expenses.length,
+            data: {
+                expenses,
+                costBasis: vehicle.costBasis,
+                investorCapital: vehicle.getInvestorCapital()
+            }
+        });
+    } catch (error) {
+        logger.error('Get vehicle expenses error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add a reconditioning expense (with optional invoice evidence) to a vehicle
+ * @route   POST /api/v1/purchases/vehicles/:id/expenses
+ * @access  Private (Admin, Manager)
+ */
+exports.addVehicleExpense = async (req, res, next) => {
+    try {
+        // Validated here rather than by the validate middleware so a rejected upload is removed
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { category, description, vendor, amount, incurredAt, investorId } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+
+        if (!vehicle) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        if (EXPENSE_LOCKED_STATUSES.includes(vehicle.status)) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(400).json({
+                success: false,
+                message: `Expenses cannot be added to a ${vehicle.status} vehicle`
+            });
+        }
+
+        // The cost basis is settled with the investors when the pending sale is approved
+        const pendingSale = await Sale.findPendingForVehicle(vehicle._id);
+        if (pendingSale) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(400).json({
+                success: false,
+                message: `Sale ${pendingSale.saleId} is awaiting approval for this vehicle; approve or reject it before changing expenses`
+            });
+        }
+
+        if (investorId && !isVehicleInvestor(vehicle, investorId)) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(400).json({
+                success: false,
+                message: 'Responsible investor must be one of the investors on this vehicle'
+            });
+        }
+
+        vehicle.expenses.push({
+            category,
+            description,
+            vendor,
+            amount: Number(amount),
+            incurredAt: incurredAt ? new Date(incurredAt) : new Date(),
+            investorId: investorId || null,
+            evidence: req.file ? {
+                fileName: req.file.originalname,
+                fileType: req.file.mimetype,
+                fileSize: req.file.size,
+                url: req.file.path,
+                publicId: req.file.filename
+            } : undefined,
+            addedBy: req.userId,
+            addedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        });
+        vehicle.recalculateCostBasis();
+        await vehicle.save();
+
+        const expense = vehicle.expenses[vehicle.expenses.length - 1];
+
+        logger.info(`Expense of AED ${expense.amount} (${category}) added to vehicle ${vehicle.vehicleId}`);
+
+        await logInventory(req, 'vehicle_expense_added', `Added ${category} expense of AED ${expense.amount.toLocaleString()} to vehicle ${vehicle.vehicleId}`, vehicle, {
+            expenseId: expense._id,
+            category,
+            vendor,
+            amount: expense.amount,
+            investorId: expense.investorId,
+            hasEvidence: Boolean(req.file),
+            costBasisTotal: vehicle.costBasis.total
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Expense added successfully',
+            data: {
+                expense,
+                costBasis: vehicle.costBasis
+            }
+        });
+    } catch (error) {
+        logger.error('Add vehicle expense error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a reconditioning expense (replacing evidence when a new file is uploaded)
+ * @route   PUT /api/v1/purchases/vehicles/:id/expenses/:expenseId
+ * @access  Private (Admin only)
+ */
+exports.updateVehicleExpense = async (req, res, next) => {
+    try {
+        // Validated here rather than by the validate middleware so a rejected upload is removed
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { category, description, vendor, amount, incurredAt, investorId } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+        const expense = vehicle?.expenses.id(req.params.expenseId);
+
+        if (!vehicle || !expense) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        if (EXPENSE_LOCKED_STATUSES.includes(vehicle.status)) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(400).json({
+                success: false,
+                message: `Expenses cannot be changed on a ${vehicle.status} vehicle`
+            });
+        }
+
+        // The cost basis is settled with the investors when the pending sale is approved
+        const pendingSale = await Sale.findPendingForVehicle(vehicle._id);
+        if (pendingSale) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(400).json({
+                success: false,
+                message: `Sale ${pendingSale.saleId} is awaiting approval for this vehicle; approve or reject it before changing expenses`
+            });
+        }
+
+        if (investorId && !isVehicleInvestor(vehicle, investorId)) {
+            await destroyExpenseEvidence(req.file && { publicId: req.file.filename, fileType: req.file.mimetype });
+            return res.status(400).json({
+                success: false,
+                message: 'Responsible investor must be one of the investors on this vehicle'
+            });
+        }
+
+        const oldAmount = expense.amount;
+
+        if (category !== undefined) expense.category = category;
+        if (description !== undefined) expense.description = description;
+        if (vendor !== undefined) expense.vendor = vendor;
+        if (amount !== undefined) expense.amount = Number(amount);
+        if (incurredAt !== undefined) expense.incurredAt = new Date(incurredAt);
+        if (investorId !== undefined) expense.investorId = investorId || null;
+
+        if (req.file) {
+            await destroyExpenseEvidence(expense.evidence);
+            expense.evidence = {
+                fileName: req.file.originalname,
+                fileType: req.file.mimetype,
+                fileSize: req.file.size,
+                url: req.file.path,
+                publicId: req.file.filename
+            };
+        }
+
+        vehicle.recalculateCostBasis();
+        await vehicle.save();
+
+        await logInventory(req, 'vehicle_expense_updated', `Updated expense on vehicle ${vehicle.vehicleId}`, vehicle, {
+            expenseId: expense._id,
+            oldAmount,
+            newAmount: expense.amount,
+            category: expense.category,
+            investorId: expense.investorId,
+            costBasisTotal: vehicle.costBasis.total
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Expense updated successfully',
+            data: {
+                expense,
+                costBasis: vehicle.costBasis
+            }
+        });
+    } catch (error) {
+        logger.error('Update vehicle expense error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a reconditioning expense
+ * @route   DELETE /api/v1/purchases/vehicles/:id/expenses/:expenseId
+ * @access  Private (Admin only)
+ */
+exports.deleteVehicleExpense = async (req, res, next) => {
+    try {
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+        const expense = vehicle?.expenses.id(req.params.expenseId);
+
+        if (!vehicle || !expense) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        if (EXPENSE_LOCKED_STATUSES.includes(vehicle.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Expenses cannot be removed from a ${vehicle.status} vehicle`
+            });
+        }
+
+        // The cost basis is settled with the investors when the pending sale is approved
+        const pendingSale = await Sale.findPendingForVehicle(vehicle._id);
+        if (pendingSale) {
+            return res.status(400).json({
+                success: false,
+                message: `Sale ${pendingSale.saleId} is awaiting approval for this vehicle; approve or reject it before changing expenses`
+            });
+        }
+
+        await destroyExpenseEvidence(expense.evidence);
+
+        const removed = { category: expense.category, amount: expense.amount, vendor: expense.vendor };
+        expense.deleteOne();
+        vehicle.recalculateCostBasis();
+        await vehicle.save();
+
+        await logInventory(req, 'vehicle_expense_deleted', `Deleted ${removed.category} expense of AED ${removed.amount.toLocaleString()} from vehicle ${vehicle.vehicleId}`, vehicle, {
+            expenseId: req.params.expenseId,
+            ...removed,
+            costBasisTotal: vehicle.costBasis.total
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Expense deleted successfully',
+            data: {
+                costBasis: vehicle.costBasis
+            }
+        });
+    } catch (error) {
+        logger.error('Delete vehicle expense error:', error);
+        next(error);
+    }
+};
+
 // Update vehicle checklist
 const updateVehicleChecklist = async (req, res, next) => {
     try {
@@ -3599,35 +6178,42 @@ const updateVehicleChecklist = async (req, res, next) => {
             });
         }
 
-        // Valid checklist items
-        const validItems = ['detailing', 'photoshoot', 'photoshootEdited', 'metaAds', 'onlineAds', 'instagram'];
-        if (!validItems.includes(item)) {
+        // Accept either the vehicle ID or the ID of the lead it was converted from
+        const vehicle = await Vehicle.findByIdOrLead(id);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        // Valid items come from the checklist template applied to this vehicle
+        const checklistItem = vehicle.getChecklistItems().find(i => i.key === item);
+        if (!checklistItem) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid checklist item'
             });
         }
 
-        // Find the lead (vehicle)
-        const lead = await Lead.findById(id);
-        if (!lead) {
-            return res.status(404).json({
+        if (checklistItem.responsibleRole === 'admin' && req.userRole !== 'admin') {
+            return res.status(403).json({
                 success: false,
-                message: 'Vehicle not found'
+                message: `Only admins can update "${checklistItem.label}"`
             });
         }
 
-        // Only allow updating checklist for inventory or consignment leads
-        if (lead.status !== 'inventory' && lead.status !== 'consignment') {
+        // Checklist is only editable while the car is still being prepared
+        if (vehicle.status !== 'inventory') {
             return res.status(400).json({
                 success: false,
-                message: 'Checklist can only be updated for inventory or consignment vehicles'
+                message: 'Checklist can only be updated for vehicles in inventory'
             });
         }
 
         // Update the checklist item
-        if (!lead.operationalChecklist) {
-            lead.operationalChecklist = {};
+        if (!vehicle.operationalChecklist) {
+            vehicle.operationalChecklist = {};
         }
 
         // Handle completedAt - convert to Date if it's a string, or use new Date() if completed is true
@@ -3640,7 +6226,7 @@ const updateVehicleChecklist = async (req, res, next) => {
             }
         }
 
-        lead.operationalChecklist[item] = {
+        vehicle.operationalChecklist[item] = {
             completed: completed === true || completed === 'true',
             notes: notes || '',
             completedBy: completedBy || req.userId,
@@ -3648,13 +6234,12 @@ const updateVehicleChecklist = async (req, res, next) => {
         };
 
         // Mark the operationalChecklist field as modified (required for Mixed type fields)
-        lead.markModified('operationalChecklist');
+        vehicle.markModified('operationalChecklist');
 
-        // Update the lead
-        await lead.save();
+        await vehicle.save();
 
-        logger.info(`Vehicle checklist updated: ${lead.leadId} - ${item}`, {
-            leadId: lead._id,
+        logger.info(`Vehicle checklist updated: ${vehicle.vehicleId} - ${item}`, {
+            vehicleId: vehicle._id,
             item,
             completed,
             updatedBy: req.userId
@@ -3664,8 +6249,8 @@ const updateVehicleChecklist = async (req, res, next) => {
             success: true,
             message: 'Checklist updated successfully',
             data: {
-                vehicle: lead,
-                checklistItem: lead.operationalChecklist[item]
+                vehicle,
+                checklistItem: vehicle.operationalChecklist[item]
             }
         });
 
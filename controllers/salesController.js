@@ -1,10 +1,17 @@
 const Lead = require('../models/Lead');
 const Sale = require('../models/Sale');
+const Vehicle = require('../models/Vehicle');
 const Investor = require('../models/Investor');
 const FollowUp = require('../models/FollowUp');
 const logger = require('../utils/logger');
 const { sendInvestorSettlementEmail } = require('../utils/emailService');
-const { logLead, logSale, logApproval } = require('../utils/auditLogger');
+const { logLead, logSale, logApproval, logInventory } = require('../utils/auditLogger');
+const { getLeadPipeline, runStageEntryAutomations } = require('../utils/leadPipeline');
+const { autoAssignLead } = require('../utils/leadAssignment');
+const { parseListOptions, applyListConditions, runListQuery, resolveListParams, LIST_DEFINITIONS } = require('../utils/listQuery');
+
+// Default length of a reservation hold when no expiry is supplied
+const DEFAULT_RESERVATION_HOLD_DAYS = parseInt(process.env.RESERVATION_DEFAULT_HOLD_DAYS || '3', 10);
 
 /**
  * @desc    Create a new sales lead
@@ -21,8 +28,24 @@ exports.createSalesLead = async (req, res, next) => {
             createdByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
         };
 
+        const pipeline = await getLeadPipeline('sales');
+        if (leadData.status) {
+            const initialStage = pipeline.getStage(leadData.status);
+            if (!initialStage || !initialStage.isActive || initialStage.systemOnly) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid lead status: ${leadData.status}`
+                });
+            }
+        }
+
         const lead = await Lead.create(leadData);
 
+        // Nobody picked a manager: apply the assignment rules
+        const autoAssignment = lead.assignedTo ? null : await autoAssignLead(lead, { req, reason: 'new_lead' });
+
+        await runStageEntryAutomations(lead, pipeline);
+
         logger.info(`Sales lead ${lead.leadId} created by ${req.user.email}`);
 
         // Audit log
@@ -34,7 +57,8 @@ exports.createSalesLead = async (req, res, next) => {
         res.status(201).json({
             success: true,
             message: 'Sales lead created successfully',
-            data: lead
+            data: lead,
+            autoAssignment: autoAssignment || undefined
         });
     } catch (error) {
         logger.error('Create sales lead error:', error);
@@ -49,9 +73,11 @@ exports.createSalesLead = async (req, res, next) => {
  */
 exports.getSalesLeads = async (req, res, next) => {
     try {
-        const { status, assignedTo, priority, search } = req.query;
+        const { params, view } = await resolveListParams(req, 'salesLeads');
+        const { status, assignedTo, priority, search } = params;
+        const options = parseListOptions('salesLeads', params);
 
-        const query = { type: 'sales' };
+        let query = { type: 'sales' };
 
         if (status) query.status = status;
         if (priority) query.priority = priority;
@@ -70,17 +96,26 @@ exports.getSalesLeads = async (req, res, next) => {
             ];
         }
 
-        const leads = await Lead.find(query)
-            .populate('assignedTo', 'name email')
-            .populate('followUps')
-            .sort({ createdAt: -1 });
+        query = applyListConditions(query, options.conditions);
+
+        const { docs: leads, pagination } = await runListQuery(Lead, query, options, {
+            defaultSort: LIST_DEFINITIONS.salesLeads.defaultSort,
+            decorate: (cursor) => cursor
+                .populate('assignedTo', 'name email')
+                .populate('followUps')
+        });
 
         res.status(200).json({
             success: true,
             count: leads.length,
-            data: leads
+            data: leads,
+            ...(pagination && { pagination }),
+            ...(view && { view })
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error('Get sales leads error:', error);
         next(error);
     }
@@ -94,10 +129,10 @@ exports.getSalesLeads = async (req, res, next) => {
 exports.closeSale = async (req, res, next) => {
     try {
         const { vehicleId } = req.params;
-        const { customerName, customerContact, sellingPrice, leadId, notes } = req.body;
+        const { customerName, customerContact, sellingPrice, leadId, notes, reservationId } = req.body;
 
         // Find vehicle
-        const vehicle = await Vehicle.findById(vehicleId).populate('investorAllocation.investorId');
+        const vehicle = await Vehicle.findByIdOrLead(vehicleId).populate('investorAllocation.investorId');
 
         if (!vehicle) {
             return res.status(404).json({
@@ -106,39 +141,85 @@ exports.closeSale = async (req, res, next) => {
             });
         }
 
-        if (vehicle.status !== 'ready_for_sale' && vehicle.status !== 'test_drive') {
+        // Sold is the next legal status for any car on the sales floor
+        if (!(Vehicle.STATUS_TRANSITIONS[vehicle.status] || []).includes('sold')) {
             return res.status(400).json({
                 success: false,
-                message: 'Vehicle is not available for sale'
+                message: `Vehicle is not available for sale (status: ${vehicle.status})`
             });
         }
 
-        // Calculate profit
-        const purchasePrice = vehicle.purchasePrice || vehicle.askingPrice;
-        const profit = sellingPrice - purchasePrice;
-        const profitPercentage = (profit / purchasePrice) * 100;
+        // A reserved car can only be sold to the customer holding it
+        const reservation = vehicle.getActiveReservation();
+        if (reservation) {
+            const matchesReservation = (reservationId && reservation._id.toString() === reservationId.toString()) ||
+                (leadId && reservation.salesLeadId && reservation.salesLeadId.toString() === leadId.toString());
+            if (!matchesReservation) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Vehicle is reserved for ${reservation.customerName} until ${reservation.expiresAt.toISOString()}`
+                });
+            }
+        }
 
-        // Calculate investor breakdown
-        const investorBreakdown = [];
-        for (const allocation of vehicle.investorAllocation) {
-            const investmentPercentage = allocation.percentage;
-            const profitAmount = (profit * investmentPercentage) / 100;
-            const profitPercent = (profitAmount / allocation.amount) * 100;
-            const totalPayout = allocation.amount + profitAmount;
-
-            investorBreakdown.push({
-                investorId: allocation.investorId._id,
-                investmentAmount: allocation.amount,
-                investmentPercentage: allocation.percentage,
-                profitAmount,
-                profitPercentage: profitPercent,
-                totalPayout
+        const openSale = await Sale.findOne({
+            vehicleId: vehicle._id,
+            status: { $in: ['draft', 'pending_approval', 'approved', 'invoice_generated', 'completed'] }
+        });
+        if (openSale) {
+            return res.status(400).json({
+                success: false,
+                message: `Sale ${openSale.saleId} already exists for this vehicle`
+            });
+        }
+
+        const isConsignment = vehicle.ownershipType === 'consignment';
+        if (isConsignment && Number(sellingPrice) < (vehicle.consignment?.minimumPrice || 0)) {
+            return res.status(400).json({
+                success: false,
+                message: `Selling price is below the owner's agreed minimum of AED ${vehicle.consignment.minimumPrice.toLocaleString()}`
             });
         }
 
+        let purchasePrice;
+        let profit;
+        let profitPercentage;
+        let consignmentSettlement = null;
+        const investorBreakdown = [];
+
+        if (isConsignment) {
+            // Consignment: ZRS earns the commission, the balance is owed to the owner (no investor split)
+            consignmentSettlement = vehicle.computeConsignmentSettlement(sellingPrice);
+            purchasePrice = sellingPrice - consignmentSettlement.commissionAmount;
+            profit = consignmentSettlement.commissionAmount;
+            profitPercentage = sellingPrice > 0 ? (profit / sellingPrice) * 100 : 0;
+        } else {
+            // Calculate profit against the full cost basis captured at purchase
+            purchasePrice = vehicle.costBasis?.total || vehicle.purchasePrice || vehicle.askingPrice;
+            profit = sellingPrice - purchasePrice;
+            profitPercentage = (profit / purchasePrice) * 100;
+
+            // Calculate investor breakdown - profit is split by capital, including funded expenses
+            for (const capital of vehicle.getInvestorCapital()) {
+                const profitAmount = (profit * capital.sharePercentage) / 100;
+                const profitPercent = capital.capital > 0 ? (profitAmount / capital.capital) * 100 : 0;
+                const totalPayout = capital.capital + profitAmount;
+
+                investorBreakdown.push({
+                    investorId: capital.investorId._id,
+                    investmentAmount: capital.capital,
+                    investmentPercentage: capital.sharePercentage,
+                    expenseAmount: capital.expenseAmount,
+                    profitAmount,
+                    profitPercentage: profitPercent,
+                    totalPayout
+                });
+            }
+        }
+
         // Create sale
         const sale = await Sale.create({
-            vehicleId,
+            vehicleId: vehicle._id,
             customerName,
             customerContact,
             sellingPrice,
@@ -146,15 +227,43 @@ exports.closeSale = async (req, res, next) => {
             profit,
             profitPercentage,
             investorBreakdown,
+            consignment: consignmentSettlement ? {
+                ownerName: vehicle.consignment.owner?.name,
+                commissionType: vehicle.consignment.commissionType,
+                commissionValue: vehicle.consignment.commissionValue,
+                ...consignmentSettlement
+            } : undefined,
             leadId,
             notes,
+            // Carry the reservation deposit over as the first payment
+            paymentDetails: reservation && reservation.depositAmount > 0 ? [{
+                amount: reservation.depositAmount,
+                method: 'deposit',
+                transactionId: reservation.paymentReference,
+                date: reservation.reservedAt,
+                notes: 'Reservation deposit'
+            }] : [],
+            paymentStatus: reservation && reservation.depositAmount > 0 ? 'partial' : 'pending',
             status: 'pending_approval', // Automatically submit for approval
             createdBy: req.userId,
             createdByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
         });
 
-        // Update vehicle
-        vehicle.status = 'sold';
+        if (reservation) {
+            reservation.status = 'converted';
+            reservation.saleId = sale._id;
+        }
+
+        if (consignmentSettlement) {
+            vehicle.consignment.payout = {
+                saleId: sale._id,
+                sellingPrice,
+                ...consignmentSettlement,
+                status: 'pending'
+            };
+        }
+
+        // Vehicle moves to sold once the sale receives dual approval
         vehicle.sellingPrice = sellingPrice;
         vehicle.salesMeta = {
             saleId: sale._id,
@@ -176,7 +285,9 @@ exports.closeSale = async (req, res, next) => {
             sellingPrice,
             profit,
             profitPercentage: profitPercentage.toFixed(2),
-            investorCount: investorBreakdown.length
+            investorCount: investorBreakdown.length,
+            ownershipType: vehicle.ownershipType,
+            ownerPayout: consignmentSettlement?.ownerPayout
         });
 
         res.status(201).json({
@@ -190,6 +301,143 @@ exports.closeSale = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Reserve a vehicle for a customer against a deposit
+ * @route   POST /api/v1/sales/vehicles/:id/reserve
+ * @access  Private (Admin, Manager)
+ */
+exports.reserveVehicle = async (req, res, next) => {
+    try {
+        const { customerName, customerContact, salesLeadId, depositAmount, paymentReference, expiresAt, notes } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const existing = vehicle.getActiveReservation();
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: `Vehicle is already reserved for ${existing.customerName} until ${existing.expiresAt.toISOString()}`
+            });
+        }
+
+        const expiry = expiresAt
+            ? new Date(expiresAt)
+            : new Date(Date.now() + DEFAULT_RESERVATION_HOLD_DAYS * 24 * 60 * 60 * 1000);
+        if (expiry <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reservation expiry must be in the future'
+            });
+        }
+
+        const changedByModel = req.userRole === 'admin' ? 'Admin' : 'Manager';
+
+        // The reservation is recorded first; the reserved status requires it
+        vehicle.reservations.push({
+            customerName,
+            customerContact,
+            salesLeadId: salesLeadId || undefined,
+            depositAmount: Number(depositAmount) || 0,
+            paymentReference,
+            notes,
+            expiresAt: expiry,
+            reservedBy: req.userId,
+            reservedByModel: changedByModel
+        });
+        vehicle.transitionTo('reserved', {
+            reason: `Reserved for ${customerName}`,
+            changedBy: req.userId,
+            changedByModel
+        });
+        await vehicle.save();
+
+        const reservation = vehicle.getActiveReservation();
+
+        logger.info(`Vehicle ${vehicle.vehicleId} reserved for ${customerName} until ${expiry.toISOString()}`);
+
+        await logInventory(req, 'vehicle_reserved', `Vehicle ${vehicle.vehicleId} reserved for ${customerName} - Deposit: AED ${reservation.depositAmount.toLocaleString()}`, vehicle, {
+            reservationId: reservation._id,
+            customerName,
+            depositAmount: reservation.depositAmount,
+            paymentReference,
+            expiresAt: expiry
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Vehicle reserved successfully',
+            data: {
+                vehicle,
+                reservation
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Reserve vehicle error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Release a vehicle reservation and put it back on sale
+ * @route   POST /api/v1/sales/vehicles/:id/release
+ * @access  Private (Admin, Manager)
+ */
+exports.releaseVehicleReservation = async (req, res, next) => {
+    try {
+        const { reason } = req.body;
+
+        const vehicle = await Vehicle.findByIdOrLead(req.params.id);
+
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const reservation = vehicle.releaseReservation('released', {
+            reason: reason || 'Released manually',
+            changedBy: req.userId,
+            changedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        });
+        await vehicle.save();
+
+        logger.info(`Reservation on vehicle ${vehicle.vehicleId} released`);
+
+        await logInventory(req, 'vehicle_reservation_released', `Reservation for ${reservation.customerName} on vehicle ${vehicle.vehicleId} released`, vehicle, {
+            reservationId: reservation._id,
+            customerName: reservation.customerName,
+            depositAmount: reservation.depositAmount,
+            reason
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Reservation released',
+            data: {
+                vehicle,
+                reservation
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Release reservation error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    Admin approve Sale (dual approval required)
  * @route   POST /api/v1/sales/:id/approve
@@ -210,6 +458,14 @@ exports.approveSale = async (req, res, next) => {
             });
         }
 
+        // Settlement runs once, when the second approval arrives
+        if (!Sale.PENDING_SALE_STATUSES.includes(sale.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Sale ${sale.saleId} is not awaiting approval (status: ${sale.status})`
+            });
+        }
+
         // Check if already approved by this admin
         if (sale.hasAdminApproved(req.userId)) {
             return res.status(400).json({
@@ -228,16 +484,27 @@ exports.approveSale = async (req, res, next) => {
         if (sale.isDualApprovalMet()) {
             sale.status = 'approved';
 
+            // The car must still be able to move to sold before investors are settled
+            const vehicle = await Vehicle.findById(sale.vehicleId._id);
+            const soldError = vehicle && vehicle.status !== 'sold' ? vehicle.getTransitionError('sold', { sale }) : null;
+            if (soldError) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Sale ${sale.saleId} cannot be approved: ${soldError}`
+                });
+            }
+
             // Send settlement emails to investors
             for (const breakdown of sale.investorBreakdown) {
                 const investor = breakdown.investorId;
 
                 // Update investor investments status
                 await Investor.updateOne(
-                    { _id: investor._id, 'investments.carId': sale.vehicleId },
+                    { _id: investor._id, 'investments.leadId': sale.vehicleId.leadId },
                     {
                         $set: { 'investments.$.status': 'settled' },
-                        $inc: { utilizedAmount: -breakdown.investmentAmount }
+                        // Utilization only tracks the purchase allocation, not reconditioning expenses
+                        $inc: { utilizedAmount: -(breakdown.investmentAmount - (breakdown.expenseAmount || 0)) }
                     }
                 );
 
@@ -254,6 +521,28 @@ exports.approveSale = async (req, res, next) => {
                 });
             }
 
+            // Approved sale satisfies the vehicle's sold guard
+            if (vehicle && vehicle.status !== 'sold') {
+                vehicle.transitionTo('sold', {
+                    sale,
+                    reason: `Sale ${sale.saleId} approved`,
+                    changedBy: req.userId,
+                    changedByModel: 'Admin'
+                });
+
+                // Owner of a consignment car is now owed their payout
+                if (vehicle.ownershipType === 'consignment' && vehicle.consignment?.payout?.saleId?.toString() === sale._id.toString()) {
+                    vehicle.consignment.payout.status = 'due';
+                }
+                await vehicle.save();
+
+                await logInventory(req, 'vehicle_status_changed', `Vehicle ${vehicle.vehicleId} marked as sold via sale ${sale.saleId}`, vehicle, {
+                    oldStatus: vehicle.statusHistory[vehicle.statusHistory.length - 1].from,
+                    newStatus: 'sold',
+                    saleId: sale.saleId
+                });
+            }
+
             logger.info(`Sale ${sale.saleId} approved with dual approval and investors notified`);
         } else {
             sale.status = 'pending_approval';
@@ -280,11 +569,91 @@ exports.approveSale = async (req, res, next) => {
             data: sale
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         logger.error('Approve sale error:', error);
         next(error);
     }
 };
 
+/**
+ * @desc    Admin reject a Sale awaiting approval. The vehicle's reservation is
+ *          restored while its hold lasts, otherwise released.
+ * @route   POST /api/v1/sales/:id/reject
+ * @access  Private (Admin only)
+ */
+exports.rejectSale = async (req, res, next) => {
+    try {
+        const { reason } = req.body;
+
+        const sale = await Sale.findById(req.params.id);
+
+        if (!sale) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sale not found'
+            });
+        }
+
+        if (!Sale.PENDING_SALE_STATUSES.includes(sale.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Sale ${sale.saleId} cannot be rejected (status: ${sale.status})`
+            });
+        }
+
+        sale.status = 'rejected';
+        sale.rejectionReason = reason;
+        await sale.save();
+
+        const vehicle = await Vehicle.findById(sale.vehicleId);
+        let hold = { reservation: null, outcome: null };
+        if (vehicle) {
+            hold = vehicle.revertPendingSale(sale, {
+                reason: `Sale ${sale.saleId} rejected`,
+                changedBy: req.userId,
+                changedByModel: 'Admin'
+            });
+            await vehicle.save();
+        }
+
+        logger.info(`Sale ${sale.saleId} rejected by ${req.user.email}`);
+
+        await logApproval(req, 'sale_rejected', `Admin ${req.user.name} rejected Sale ${sale.saleId}: ${reason}`, sale, 'Sale', {
+            reason,
+            vehicleId: vehicle?.vehicleId,
+            reservation: hold.outcome || undefined
+        });
+
+        if (hold.reservation) {
+            await logInventory(req, hold.outcome === 'restored' ? 'vehicle_reservation_restored' : 'vehicle_reservation_released',
+                `Reservation for ${hold.reservation.customerName} on vehicle ${vehicle.vehicleId} ${hold.outcome} after sale ${sale.saleId} was rejected`, vehicle, {
+                    reservationId: hold.reservation._id,
+                    customerName: hold.reservation.customerName,
+                    depositAmount: hold.reservation.depositAmount,
+                    expiresAt: hold.reservation.expiresAt
+                });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: hold.outcome === 'restored'
+                ? `Sale rejected; the reservation for ${hold.reservation.customerName} is active again`
+                : hold.outcome === 'released'
+                    ? 'Sale rejected; the reservation hold had run out, so the vehicle is back on sale'
+                    : 'Sale rejected',
+            data: sale
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Reject sale error:', error);
+        next(error);
+    }
+};
+
 /**
  * @desc    Get all sales
  * @route   GET /api/v1/sales
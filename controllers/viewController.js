@@ -0,0 +1,210 @@
+const SavedView = require('../models/SavedView');
+const logger = require('../utils/logger');
+const { normalizeViewQuery } = require('../utils/listQuery');
+
+// List endpoint each view resource runs against (?view=<id>)
+const RESOURCE_PATHS = {
+    purchaseLeads: '/api/v1/purchases/leads',
+    salesLeads: '/api/v1/sales/leads',
+    inventory: '/api/v1/purchases/inventory',
+    tickets: '/api/v1/csa/tickets'
+};
+
+const formatView = (view, req) => {
+    const data = view.toObject();
+    return {
+        ...data,
+        isOwner: view.owner.toString() === req.userId.toString(),
+        runPath: `${RESOURCE_PATHS[view.resource]}?view=${view._id}`
+    };
+};
+
+/**
+ * Views the caller may edit: their own, or any view for admins
+ */
+const canEditView = (view, req) =>
+    req.userRole === 'admin' || view.owner.toString() === req.userId.toString();
+
+/**
+ * @desc    Get the caller's saved views and views shared with everyone
+ * @route   GET /api/v1/views
+ * @access  Private (Admin, Manager)
+ */
+exports.getSavedViews = async (req, res, next) => {
+    try {
+        const { resource } = req.query;
+
+        const query = { $or: [{ owner: req.userId }, { visibility: 'shared' }] };
+        if (resource) query.resource = resource;
+
+        const views = await SavedView.find(query)
+            .populate('owner', 'name email')
+            .sort({ resource: 1, name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: views.length,
+            data: views.map(view => formatView(view, req))
+        });
+    } catch (error) {
+        logger.error('Get saved views error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a saved view
+ * @route   GET /api/v1/views/:id
+ * @access  Private (Admin, Manager)
+ */
+exports.getSavedView = async (req, res, next) => {
+    try {
+        const view = await SavedView.findById(req.params.id).populate('owner', 'name email');
+
+        // Someone else's personal view is reported as missing
+        if (!view || !view.isVisibleTo(req.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved view not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: formatView(view, req)
+        });
+    } catch (error) {
+        logger.error('Get saved view error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Save a named list view
+ * @route   POST /api/v1/views
+ * @access  Private (Admin, Manager)
+ */
+exports.createSavedView = async (req, res, next) => {
+    try {
+        const { name, description, resource, query, visibility } = req.body;
+
+        const view = await SavedView.create({
+            name,
+            description,
+            resource,
+            query: normalizeViewQuery(resource, query),
+            visibility,
+            owner: req.userId,
+            ownerModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+        });
+
+        logger.info(`Saved view "${view.name}" (${view.resource}) created by ${req.userId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'View saved',
+            data: formatView(view, req)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have a view with this name for this list'
+            });
+        }
+        logger.error('Create saved view error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a saved view (owner or admin)
+ * @route   PUT /api/v1/views/:id
+ * @access  Private (Admin, Manager)
+ */
+exports.updateSavedView = async (req, res, next) => {
+    try {
+        const view = await SavedView.findById(req.params.id);
+
+        if (!view || !view.isVisibleTo(req.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved view not found'
+            });
+        }
+
+        if (!canEditView(view, req)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the owner of a view can change it'
+            });
+        }
+
+        const { name, description, query, visibility } = req.body;
+        if (name !== undefined) view.name = name;
+        if (description !== undefined) view.description = description;
+        if (visibility !== undefined) view.visibility = visibility;
+        if (query !== undefined) {
+            view.query = normalizeViewQuery(view.resource, query);
+            view.markModified('query');
+        }
+
+        await view.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'View updated',
+            data: formatView(view, req)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have a view with this name for this list'
+            });
+        }
+        logger.error('Update saved view error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a saved view (owner or admin)
+ * @route   DELETE /api/v1/views/:id
+ * @access  Private (Admin, Manager)
+ */
+exports.deleteSavedView = async (req, res, next) => {
+    try {
+        const view = await SavedView.findById(req.params.id);
+
+        if (!view || !view.isVisibleTo(req.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved view not found'
+            });
+        }
+
+        if (!canEditView(view, req)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the owner of a view can delete it'
+            });
+        }
+
+        await view.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'View deleted'
+        });
+    } catch (error) {
+        logger.error('Delete saved view error:', error);
+        next(error);
+    }
+};
@@ -0,0 +1,258 @@
+const { validationResult } = require('express-validator');
+const Lead = require('../models/Lead');
+const WebFormSite = require('../models/WebFormSite');
+const WebFormSubmission = require('../models/WebFormSubmission');
+const logger = require('../utils/logger');
+const { logSystem } = require('../utils/auditLogger');
+const { findDuplicateLeads } = require('../utils/leadDuplicates');
+const { autoAssignLead } = require('../utils/leadAssignment');
+const { getLeadPipeline, runStageEntryAutomations } = require('../utils/leadPipeline');
+const { getOrderedPictures } = require('../utils/carGallery');
+const { verifyCaptchaToken } = require('../services/captchaService');
+
+// Reply for accepted submissions; spam gets the same reply so bots learn nothing
+const THANK_YOU_MESSAGE = 'Thank you. Our team will be in touch shortly.';
+
+// Form fields copied to the submission log
+const PAYLOAD_FIELDS = ['formType', 'name', 'phone', 'email', 'preferredContact', 'make', 'model', 'year', 'mileage', 'price', 'message', 'pageUrl'];
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Delete photos multer already pushed to Cloudinary for a submission we are not keeping
+ * @param {Array} photos - req.files
+ */
+const discardPhotos = async (photos) => {
+    if (!photos || photos.length === 0) return;
+    const { cloudinary } = require('../cloudinary');
+    await Promise.all(photos.map(async (photo) => {
+        try {
+            await cloudinary.uploader.destroy(photo.filename, { resource_type: 'image' });
+        } catch (cloudError) {
+            logger.error('Cloudinary deletion error:', cloudError);
+        }
+    }));
+};
+
+/**
+ * Map a sell / buy form onto lead fields. Sell forms describe the visitor's car
+ * (purchase lead, price is their asking price); buy forms describe the car they
+ * want (sales lead, price is their budget).
+ * @param {Object} body
+ * @returns {Object} Lead data
+ */
+const buildLeadData = (body) => {
+    const price = toNumber(body.price);
+    return {
+        type: body.formType === 'sell' ? 'purchase' : 'sales',
+        source: 'website',
+        contactInfo: {
+            name: body.name,
+            phone: body.phone || undefined,
+            email: body.email || undefined,
+            preferredContact: body.preferredContact || undefined
+        },
+        vehicleInfo: {
+            make: body.make || undefined,
+            model: body.model || undefined,
+            year: toNumber(body.year),
+            mileage: toNumber(body.mileage),
+            askingPrice: body.formType === 'sell' ? price : undefined,
+            expectedPrice: body.formType === 'buy' ? price : undefined
+        }
+    };
+};
+
+/**
+ * Photos as carPictures attachments, appended after the lead's existing gallery
+ * @param {Array} photos - req.files
+ * @param {Array} existingAttachments
+ * @returns {Array}
+ */
+const buildPhotoAttachments = (photos, existingAttachments = []) => {
+    const nextOrder = getOrderedPictures(existingAttachments).length;
+    return photos.map((photo, index) => ({
+        category: 'carPictures',
+        fileName: photo.originalname,
+        fileType: photo.mimetype,
+        fileSize: photo.size,
+        url: photo.path, // Cloudinary URL
+        publicId: photo.filename, // Cloudinary public ID
+        order: nextOrder + index,
+        uploadedAt: new Date()
+    }));
+};
+
+const buildEnquiryNote = (site, body) => {
+    const formLabel = body.formType === 'sell' ? 'Sell your car' : 'Buy a car';
+    const message = body.message ? `: ${String(body.message).trim()}` : '';
+    return `${formLabel} enquiry via ${site.name}${message}`;
+};
+
+/**
+ * @desc    Submit a public "sell your car" or "buy a car" web form
+ * @route   POST /api/web-forms/leads
+ * @access  Public (web form site API key)
+ */
+exports.submitWebForm = async (req, res, next) => {
+    const site = req.webFormSite;
+    const photos = req.files || [];
+    const body = req.body || {};
+
+    const payload = PAYLOAD_FIELDS.reduce((acc, field) => {
+        if (body[field] !== undefined && body[field] !== '') acc[field] = body[field];
+        return acc;
+    }, {});
+    if (photos.length > 0) payload.photos = photos.map(p => p.originalname);
+
+    const origin = {
+        origin: req.headers.origin,
+        referer: req.headers.referer,
+        pageUrl: body.pageUrl,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+    };
+
+    const recordSubmission = (status, fields = {}) => WebFormSubmission.create({
+        site: site._id,
+        formType: WebFormSite.FORM_TYPES.includes(body.formType) ? body.formType : undefined,
+        status,
+        payload,
+        photoCount: photos.length,
+        ...origin,
+        ...fields
+    });
+
+    const reject = async (statusCode, message, extra = {}) => {
+        await discardPhotos(photos);
+        await recordSubmission('rejected', { reason: message });
+        logger.warn(`Web form submission for site ${site.name} rejected from ${req.ip}: ${message}`);
+        return res.status(statusCode).json({ success: false, message, ...extra });
+    };
+
+    // Once the photos are on a lead or held for review they must survive later errors
+    let photosKept = false;
+
+    try {
+        await WebFormSite.updateOne(
+            { _id: site._id },
+            { $set: { lastSubmissionAt: new Date() }, $inc: { submissionCount: 1 } }
+        );
+
+        // Honeypot: people never see the field, bots fill it in
+        if (site.honeypotField && body[site.honeypotField]) {
+            await discardPhotos(photos);
+            const submission = await recordSubmission('spam', { reason: `Honeypot field ${site.honeypotField} was filled in` });
+            logger.warn(`Web form spam for site ${site.name} from ${req.ip}`);
+            return res.status(201).json({ success: true, message: THANK_YOU_MESSAGE, data: { reference: submission.reference } });
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return reject(400, 'Validation failed', { errors: errors.array() });
+        }
+
+        if (!site.formTypes.includes(body.formType)) {
+            return reject(403, `Site ${site.name} does not accept ${body.formType} forms`);
+        }
+
+        if (photos.length > 0 && body.formType !== 'sell') {
+            return reject(400, 'Photos can only be sent with the sell your car form');
+        }
+
+        if (site.requireCaptcha) {
+            const captcha = await verifyCaptchaToken(body.captchaToken, req.ip);
+            if (!captcha.success) {
+                return reject(400, 'Captcha verification failed', { errors: captcha.errors });
+            }
+        }
+
+        const leadData = buildLeadData(body);
+        const pipeline = await getLeadPipeline(leadData.type);
+        const closedStages = pipeline.stages.filter(s => s.isTerminal).map(s => s.key);
+        const note = { content: buildEnquiryNote(site, body), addedAt: new Date() };
+
+        // Repeat enquiries from someone we are already working with are held for staff to
+        // review against their open lead; the visitor gets the same reply as a new enquiry
+        const duplicates = await findDuplicateLeads(leadData, { type: leadData.type });
+        const openDuplicate = duplicates.find(d => !closedStages.includes(d.status));
+
+        if (openDuplicate) {
+            const submission = await recordSubmission('duplicate', {
+                lead: openDuplicate._id,
+                reason: `Matched open lead ${openDuplicate.leadId} on ${openDuplicate.matchedOn.join(', ')}`,
+                note: note.content,
+                photos: photos.map(photo => ({
+                    fileName: photo.originalname,
+                    fileType: photo.mimetype,
+                    fileSize: photo.size,
+                    url: photo.path,
+                    publicId: photo.filename
+                })),
+                review: { status: 'pending' }
+            });
+            photosKept = true;
+
+            await logSystem('lead_web_form_repeat', `Repeat ${body.formType} enquiry from ${site.name} matches lead ${openDuplicate.leadId} and is waiting for review`, openDuplicate, 'Lead', {
+                site: { _id: site._id, name: site.name },
+                submissionId: submission._id,
+                matchedOn: openDuplicate.matchedOn,
+                photoCount: photos.length,
+                ...origin
+            });
+
+            logger.info(`Web form submission ${submission.reference} from ${site.name} matches lead ${openDuplicate.leadId}; queued for review`);
+
+            return res.status(201).json({
+                success: true,
+                message: THANK_YOU_MESSAGE,
+                data: { reference: submission.reference }
+            });
+        }
+
+        if (duplicates.length > 0) {
+            note.content += ` (earlier closed lead(s): ${duplicates.map(d => d.leadId).join(', ')})`;
+        }
+
+        const lead = await Lead.create({
+            ...leadData,
+            notes: [note],
+            attachments: buildPhotoAttachments(photos)
+        });
+        photosKept = true;
+
+        const autoAssignment = await autoAssignLead(lead, { reason: 'web_form' });
+        await runStageEntryAutomations(lead, pipeline);
+
+        const submission = await recordSubmission('created', { lead: lead._id });
+
+        await logSystem('lead_created', `Created ${lead.type} lead ${lead.leadId} for ${lead.contactInfo.name} from the ${site.name} ${body.formType} form`, lead, 'Lead', {
+            site: { _id: site._id, name: site.name },
+            submissionId: submission._id,
+            formType: body.formType,
+            contactName: lead.contactInfo.name,
+            contactPhone: lead.contactInfo.phone || 'N/A',
+            contactEmail: lead.contactInfo.email || 'N/A',
+            assignedManager: autoAssignment ? autoAssignment.manager : 'Unassigned',
+            photoCount: photos.length,
+            closedDuplicates: duplicates.length > 0 ? duplicates.map(d => d.leadId) : undefined,
+            ...origin
+        });
+
+        logger.info(`Web form lead ${lead.leadId} created from ${site.name} (${req.ip})`);
+
+        res.status(201).json({
+            success: true,
+            message: THANK_YOU_MESSAGE,
+            data: { reference: submission.reference }
+        });
+    } catch (error) {
+        if (!photosKept) await discardPhotos(photos);
+        logger.error('Web form submission error:', error);
+        next(error);
+    }
+};
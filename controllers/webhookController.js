@@ -2,11 +2,17 @@ const PurchaseOrder = require('../models/PurchaseOrder');
 const Lead = require('../models/Lead');
 const InvestorAgreement = require('../models/InvestorAgreement');
 const Investor = require('../models/Investor');
+const Vehicle = require('../models/Vehicle');
 const logger = require('../utils/logger');
+const { logSystem } = require('../utils/auditLogger');
 const { sendNotificationEmail } = require('../utils/emailService');
 const { sendMailtrapEmail } = require('../services/mailtrapService');
 const { generateInviteToken } = require('../utils/otpHelper');
 const docusignService = require('../services/docusignService');
+const crypto = require('crypto');
+const { ingestInboundEmail } = require('../utils/inboundEmail');
+const whatsappService = require('../services/whatsappService');
+const { recordInboundMessages, applyStatusUpdates } = require('../utils/whatsappMessaging');
 
 /**
  * @desc    DocuSign webhook handler
@@ -99,6 +105,13 @@ exports.docusignWebhook = async (req, res, next) => {
             return res.status(400).json({ success: false, message: 'Missing envelope ID' });
         }
 
+        // Consignment contracts are tracked on the Vehicle
+        const consignmentVehicle = await Vehicle.findOne({ 'consignment.contract.envelopeId': envelopeId });
+        if (consignmentVehicle) {
+            await handleConsignmentContractUpdate(consignmentVehicle, status, event);
+            return res.status(200).json({ success: true, message: 'Webhook received' });
+        }
+
         // Check for InvestorAgreement first
         const investorAgreement = await InvestorAgreement.findOne({ envelopeId })
             .populate('investorId')
@@ -512,6 +525,47 @@ exports.docusignWebhook = async (req, res, next) => {
     }
 };
 
+/**
+ * Update a consignment contract from a DocuSign status/event
+ */
+async function handleConsignmentContractUpdate(vehicle, status, event) {
+    const validStatuses = ['created', 'sent', 'delivered', 'signed', 'completed', 'declined', 'voided', 'failed'];
+    const eventStatusMap = {
+        'envelope-completed': 'completed',
+        'recipient-completed': 'completed',
+        'envelope-declined': 'declined',
+        'recipient-declined': 'declined',
+        'envelope-voided': 'voided',
+        'envelope-deleted': 'voided',
+        'envelope-delivered': 'delivered',
+        'recipient-delivered': 'delivered'
+    };
+
+    const contract = vehicle.consignment.contract;
+    const previousStatus = contract.status;
+    const newStatus = eventStatusMap[(event || '').toLowerCase()] || (status || '').toLowerCase();
+
+    if (!validStatuses.includes(newStatus) || newStatus === previousStatus || previousStatus === 'completed') {
+        logger.info(`Consignment contract for vehicle ${vehicle.vehicleId} unchanged: ${previousStatus} (incoming: ${newStatus || 'none'})`);
+        return;
+    }
+
+    contract.status = newStatus;
+    if (newStatus === 'completed') {
+        contract.completedAt = new Date();
+    }
+    await vehicle.save();
+
+    logger.info(`Consignment contract for vehicle ${vehicle.vehicleId} updated: ${previousStatus} -> ${newStatus}`);
+
+    await logSystem(`consignment_contract_${newStatus}`, `Consignment contract for vehicle ${vehicle.vehicleId} is now ${newStatus}`, vehicle, 'Vehicle', {
+        envelopeId: contract.envelopeId,
+        previousStatus,
+        newStatus,
+        event
+    });
+}
+
 /**
  * Fetch and store PO documents asynchronously (runs after webhook response)
  */
@@ -748,5 +802,126 @@ exports.teamsWebhook = async (req, res, next) => {
     }
 };
 
-module.exports = exports;
+/**
+ * Compare the shared secret sent by the mail relay in constant time
+ * @param {string} provided
+ * @param {string} expected
+ * @returns {boolean}
+ */
+const isValidWebhookSecret = (provided, expected) => {
+    if (!provided || !expected) return false;
+    const a = crypto.createHash('sha256').update(String(provided)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * @desc    Inbound email (raw MIME) from an SMTP relay or provider; creates or threads leads and tickets
+ * @route   POST /api/webhooks/inbound-email
+ * @access  Public (webhook, shared secret)
+ */
+exports.inboundEmailWebhook = async (req, res, next) => {
+    try {
+        const expectedSecret = process.env.INBOUND_EMAIL_WEBHOOK_SECRET;
+        if (!expectedSecret) {
+            return res.status(503).json({
+                success: false,
+                message: 'Inbound email is not configured'
+            });
+        }
+
+        // Header only: a secret in the URL would be written to proxy and request logs
+        if (!isValidWebhookSecret(req.headers['x-webhook-secret'], expectedSecret)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid webhook secret'
+            });
+        }
+
+        // Raw MIME body, or JSON / form posts carrying the message in a raw (or email) field
+        let raw = null;
+        if (Buffer.isBuffer(req.body)) raw = req.body;
+        else if (typeof req.body?.raw === 'string') raw = req.body.raw;
+        else if (typeof req.body?.email === 'string') raw = req.body.email;
+
+        if (!raw || raw.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Raw MIME message is required'
+            });
+        }
 
+        const { record, duplicate } = await ingestInboundEmail(raw);
+
+        res.status(200).json({
+            success: true,
+            message: duplicate ? 'Email already processed' : `Email ${record.action}`,
+            data: {
+                id: record._id,
+                messageId: record.messageId,
+                action: record.action,
+                threadedBy: record.threadedBy,
+                route: record.route,
+                target: record.target?.entityId ? record.target : null,
+                reason: record.action === 'ignored' ? record.error : undefined
+            }
+        });
+    } catch (error) {
+        // A non-2xx response makes the relay retry; the failed attempt is reprocessed
+        logger.error('Inbound email webhook error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    WhatsApp webhook verification handshake
+ * @route   GET /api/webhooks/whatsapp
+ * @access  Public (webhook, verify token)
+ */
+exports.whatsappVerify = (req, res) => {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+
+    if (mode === 'subscribe' && process.env.WHATSAPP_VERIFY_TOKEN && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+        logger.info('WhatsApp webhook verified');
+        return res.status(200).send(challenge);
+    }
+
+    res.status(403).json({ success: false, message: 'Webhook verification failed' });
+};
+
+/**
+ * @desc    WhatsApp webhook: inbound messages and delivery statuses
+ * @route   POST /api/webhooks/whatsapp
+ * @access  Public (webhook, X-Hub-Signature-256)
+ */
+exports.whatsappWebhook = async (req, res, next) => {
+    try {
+        if (!process.env.WHATSAPP_APP_SECRET && !whatsappService.allowsUnsignedWebhooks()) {
+            return res.status(503).json({
+                success: false,
+                message: 'WhatsApp webhook is not configured'
+            });
+        }
+
+        if (!whatsappService.verifyWebhookSignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+            logger.warn('WhatsApp webhook rejected: invalid signature');
+            return res.status(401).json({ success: false, message: 'Invalid signature' });
+        }
+
+        const { messages, statuses } = whatsappService.parseWebhookPayload(req.body);
+        const inbound = await recordInboundMessages(messages);
+        const updated = await applyStatusUpdates(statuses);
+
+        logger.info(`WhatsApp webhook: ${inbound.stored} message(s) stored (${inbound.unmatched} unmatched), ${updated} status update(s)`);
+
+        res.status(200).json({ success: true, message: 'Webhook processed' });
+    } catch (error) {
+        // A non-2xx response makes the provider retry; stored messages are skipped on redelivery
+        logger.error('WhatsApp webhook error:', error);
+        next(error);
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,255 @@
+const Lead = require('../models/Lead');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const logger = require('../utils/logger');
+const { logLead } = require('../utils/auditLogger');
+const {
+    normalizeWhatsAppNumber,
+    getSessionWindow,
+    resolveTemplateParameters,
+    sendLeadMessage
+} = require('../utils/whatsappMessaging');
+
+// Set WHATSAPP_ENFORCE_SESSION_WINDOW=false to allow free text outside the 24-hour window (e.g. against the mock)
+const isSessionWindowEnforced = () => process.env.WHATSAPP_ENFORCE_SESSION_WINDOW !== 'false';
+
+/**
+ * Load a lead the current user may message: admins see every lead,
+ * managers their own and unassigned leads
+ * @returns {Promise<Object>} Lead
+ */
+const loadAccessibleLead = async (req) => {
+    const lead = await Lead.findById(req.params.id).populate('assignedTo', 'name email');
+    if (!lead) {
+        const error = new Error('Lead not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (req.userRole === 'manager') {
+        const assignedToId = lead.assignedTo?._id || lead.assignedTo;
+        if (assignedToId && assignedToId.toString() !== req.userId.toString()) {
+            const error = new Error('Access denied. This lead is assigned to another manager.');
+            error.statusCode = 403;
+            throw error;
+        }
+    }
+    return lead;
+};
+
+/**
+ * @desc    Get active WhatsApp templates
+ * @route   GET /api/v1/whatsapp/templates
+ * @access  Private (Admin/Manager)
+ */
+exports.getWhatsAppTemplates = async (req, res, next) => {
+    try {
+        const query = { isActive: true };
+        if (req.query.leadType) query.leadType = { $in: [req.query.leadType, 'any'] };
+
+        const templates = await WhatsAppTemplate.find(query).sort({ name: 1, language: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        logger.error('Get WhatsApp templates error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a lead's WhatsApp conversation
+ * @route   GET /api/v1/whatsapp/leads/:id/messages
+ * @access  Private (Admin/Manager)
+ */
+exports.getLeadConversation = async (req, res, next) => {
+    try {
+        const lead = await loadAccessibleLead(req);
+
+        const messages = await WhatsAppMessage.find({ lead: lead._id })
+            .populate('sentBy', 'name email')
+            .sort({ createdAt: 1 });
+
+        const phone = normalizeWhatsAppNumber(lead.contactInfo?.phone);
+        const session = phone ? await getSessionWindow(phone) : { open: false, lastInboundAt: null };
+
+        res.status(200).json({
+            success: true,
+            count: messages.length,
+            data: messages,
+            phone,
+            sessionWindow: {
+                ...session,
+                enforced: isSessionWindowEnforced()
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Get WhatsApp conversation error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Send a free-text or template WhatsApp message to a lead's contact
+ * @route   POST /api/v1/whatsapp/leads/:id/messages
+ * @access  Private (Admin/Manager)
+ */
+exports.sendLeadWhatsAppMessage = async (req, res, next) => {
+    try {
+        const lead = await loadAccessibleLead(req);
+        const { text, templateId, parameters } = req.body;
+
+        const phone = normalizeWhatsAppNumber(lead.contactInfo?.phone);
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lead has no valid phone number for WhatsApp'
+            });
+        }
+
+        let template = null;
+        let resolvedParameters = [];
+        if (templateId) {
+            template = await WhatsAppTemplate.findOne({ _id: templateId, isActive: true });
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'WhatsApp template not found'
+                });
+            }
+            if (template.leadType !== 'any' && template.leadType !== lead.type) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Template ${template.name} is for ${template.leadType} leads`
+                });
+            }
+
+            const resolved = resolveTemplateParameters(template, lead, parameters || []);
+            if (resolved.missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Missing template values: ${resolved.missing.join(', ')}`
+                });
+            }
+            resolvedParameters = resolved.parameters;
+        } else if (isSessionWindowEnforced()) {
+            // WhatsApp only delivers free text within 24 hours of the customer's last message
+            const session = await getSessionWindow(phone);
+            if (!session.open) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The customer has not messaged in the last 24 hours. Send an approved template instead.',
+                    lastInboundAt: session.lastInboundAt
+                });
+            }
+        }
+
+        const message = await sendLeadMessage({
+            req,
+            lead,
+            phone,
+            text,
+            template,
+            parameters: resolvedParameters
+        });
+
+        logger.info(`WhatsApp ${message.type} message sent on lead ${lead.leadId} by ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'WhatsApp message sent',
+            data: message
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                data: error.whatsAppMessage
+            });
+        }
+        logger.error('Send WhatsApp message error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get inbound WhatsApp messages that matched no lead, grouped by number
+ * @route   GET /api/v1/whatsapp/unmatched
+ * @access  Private (Admin/Manager)
+ */
+exports.getUnmatchedMessages = async (req, res, next) => {
+    try {
+        const threads = await WhatsAppMessage.aggregate([
+            { $match: { lead: null, direction: 'inbound' } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$phone',
+                    profileName: { $first: '$profileName' },
+                    lastMessage: { $first: '$text' },
+                    lastMessageAt: { $first: '$createdAt' },
+                    messageIds: { $push: '$_id' },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { lastMessageAt: -1 } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: threads.length,
+            data: threads.map(({ _id, ...thread }) => ({ phone: _id, ...thread }))
+        });
+    } catch (error) {
+        logger.error('Get unmatched WhatsApp messages error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Attach every unmatched message from a number to a lead
+ * @route   PUT /api/v1/whatsapp/unmatched/:phone/lead
+ * @access  Private (Admin/Manager)
+ */
+exports.linkUnmatchedMessages = async (req, res, next) => {
+    try {
+        req.params.id = req.body.leadId;
+        const lead = await loadAccessibleLead(req);
+
+        const phone = normalizeWhatsAppNumber(req.params.phone) || req.params.phone;
+        const result = await WhatsAppMessage.updateMany(
+            { phone, lead: null },
+            { $set: { lead: lead._id } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No unmatched messages for this number'
+            });
+        }
+
+        await logLead(req, 'lead_whatsapp_linked', `Linked ${result.modifiedCount} WhatsApp message(s) from ${phone} to lead ${lead.leadId}`, lead, {
+            phone,
+            messageCount: result.modifiedCount
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${result.modifiedCount} message(s) linked to lead ${lead.leadId}`
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Link WhatsApp messages error:', error);
+        next(error);
+    }
+};
@@ -0,0 +1,49 @@
+const FeedChannel = require('../models/FeedChannel');
+const logger = require('../utils/logger');
+
+/**
+ * Authenticate a listing feed request by its per-channel token.
+ * The token is read from the `X-Feed-Token` header. Portals that can only poll
+ * a plain URL may pass it as the `token` query parameter instead; that URL is a
+ * credential (it ends up in proxy and portal logs), so the token is redacted
+ * from our request log and should be rotated if the URL is ever shared.
+ * @param {string} format - Feed format being requested (meta_csv, xml, json)
+ */
+exports.authenticateFeedChannel = (format) => async (req, res, next) => {
+    try {
+        const token = req.headers['x-feed-token'] || req.query.token;
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Feed token is required'
+            });
+        }
+
+        const channel = await FeedChannel.findByToken(token);
+        if (!channel) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or inactive feed token'
+            });
+        }
+
+        if (!channel.formats.includes(format)) {
+            return res.status(403).json({
+                success: false,
+                message: `Channel ${channel.name} is not allowed to pull the ${format} feed`
+            });
+        }
+
+        await FeedChannel.updateOne(
+            { _id: channel._id },
+            { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } }
+        );
+
+        req.feedChannel = channel;
+        next();
+    } catch (error) {
+        logger.error('Feed authentication error:', error);
+        next(error);
+    }
+};
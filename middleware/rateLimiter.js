@@ -49,3 +49,37 @@ exports.strictRateLimiter = rateLimit({
     legacyHeaders: false
 });
 
+
+/**
+ * Rate limiter for public web-form posts, applied before the API key is checked
+ * Max 30 posts per IP per hour, so keys cannot be guessed at scale
+ */
+exports.webFormIpRateLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 30,
+    message: {
+        success: false,
+        message: 'Too many submissions. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * Rate limiter for public web-form submissions, applied after authenticateWebFormSite
+ * Max 10 submissions per IP per site per hour
+ */
+exports.webFormSiteRateLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: {
+        success: false,
+        message: 'Too many submissions. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => {
+        // Separate budgets per site so one busy site does not block another
+        return `${req.webFormSite._id}:${req.ip}`;
+    }
+});
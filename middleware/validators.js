@@ -62,18 +62,6 @@ exports.createVehicleValidation = [
     body('askingPrice').isNumeric().withMessage('Asking price must be a number')
 ];
 
-/**
- * Validation rules for purchase orders
- */
-exports.createPOValidation = [
-    body('vehicleId').notEmpty().withMessage('Vehicle ID is required'),
-    body('amount').isNumeric().withMessage('Amount must be a number'),
-    body('investorAllocations').isArray({ min: 1 }).withMessage('At least one investor allocation is required'),
-    body('investorAllocations.*.investorId').notEmpty().withMessage('Investor ID is required'),
-    body('investorAllocations.*.amount').isNumeric().withMessage('Allocation amount must be a number'),
-    body('investorAllocations.*.percentage').isNumeric().withMessage('Allocation percentage must be a number')
-];
-
 /**
  * Validation rules for sales
  */
@@ -100,3 +88,14 @@ exports.mongoIdValidation = [
     param('id').isMongoId().withMessage('Invalid ID format')
 ];
 
+
+/**
+ * Validation rules for paginated list endpoints (filters are checked by utils/listQuery)
+ */
+exports.listQueryValidation = [
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+    query('sort').optional().isString().withMessage('sort must be a comma-separated list of fields'),
+    query('fields').optional().isString().withMessage('fields must be a comma-separated list of fields'),
+    query('view').optional().isMongoId().withMessage('view must be a valid saved view ID')
+];
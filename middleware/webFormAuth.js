@@ -0,0 +1,44 @@
+const WebFormSite = require('../models/WebFormSite');
+const logger = require('../utils/logger');
+
+/**
+ * Authenticate a public web-form submission by its per-site API key.
+ * The key is read from the `X-Api-Key` header only, so it never appears in
+ * URLs or request logs. Browser posts must come from one of the site's
+ * allowed origins.
+ */
+exports.authenticateWebFormSite = async (req, res, next) => {
+    try {
+        const apiKey = req.headers['x-api-key'];
+
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                message: 'API key is required'
+            });
+        }
+
+        const site = await WebFormSite.findByApiKey(apiKey);
+        if (!site) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or inactive API key'
+            });
+        }
+
+        const origin = req.headers.origin;
+        if (!site.isOriginAllowed(origin)) {
+            logger.warn(`Web form post for site ${site.name} rejected from origin ${origin} (${req.ip})`);
+            return res.status(403).json({
+                success: false,
+                message: 'Origin is not allowed for this site'
+            });
+        }
+
+        req.webFormSite = site;
+        next();
+    } catch (error) {
+        logger.error('Web form authentication error:', error);
+        next(error);
+    }
+};
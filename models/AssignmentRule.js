@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const assignmentRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: String,
+    // Lower numbers are checked first; the first matching rule decides the manager pool
+    priority: {
+        type: Number,
+        default: 100
+    },
+    leadType: {
+        type: String,
+        enum: ['purchase', 'sales', 'any'],
+        default: 'any'
+    },
+    // Empty condition lists match every lead
+    conditions: {
+        sources: [{
+            type: String,
+            enum: ['phone', 'email', 'walk-in', 'website', 'referral', 'social-media', 'other']
+        }],
+        // Compared case-insensitively with vehicleInfo.make
+        makes: [{
+            type: String,
+            trim: true
+        }]
+    },
+    // Managers who can receive matching leads: named managers plus members of these teams
+    target: {
+        managers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Manager'
+        }],
+        teams: [{
+            type: String,
+            trim: true
+        }]
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+/**
+ * Whether a lead satisfies this rule's lead type, source and make conditions
+ * @param {Object} lead
+ * @returns {boolean}
+ */
+assignmentRuleSchema.methods.matches = function (lead) {
+    if (this.leadType !== 'any' && this.leadType !== lead.type) return false;
+
+    const sources = this.conditions?.sources || [];
+    if (sources.length > 0 && !sources.includes(lead.source)) return false;
+
+    const makes = (this.conditions?.makes || []).map(m => m.toLowerCase());
+    if (makes.length > 0) {
+        const make = String(lead.vehicleInfo?.make || '').trim().toLowerCase();
+        if (!makes.includes(make)) return false;
+    }
+    return true;
+};
+
+assignmentRuleSchema.index({ isActive: 1, priority: 1 });
+
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
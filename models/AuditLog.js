@@ -46,7 +46,7 @@ const auditLogSchema = new mongoose.Schema({
     targetEntity: {
         entityType: {
             type: String,
-            enum: ['Lead', 'Vehicle', 'PurchaseOrder', 'Sale', 'Manager', 'Investor', 'CSATicket', 'None']
+            enum: ['Lead', 'Vehicle', 'PurchaseOrder', 'Sale', 'Manager', 'Investor', 'CSATicket', 'StockTake', 'None']
         },
         entityId: mongoose.Schema.Types.ObjectId,
         entityName: String
@@ -31,6 +31,12 @@ const csaTicketSchema = new mongoose.Schema({
             refPath: 'relatedTo.entityType'
         }
     },
+    // How the ticket was raised
+    source: {
+        type: String,
+        enum: ['manual', 'email'],
+        default: 'manual'
+    },
     customerInfo: {
         name: String,
         phone: String,
@@ -58,6 +64,8 @@ const csaTicketSchema = new mongoose.Schema({
             enum: ['Admin', 'Manager']
         },
         message: String,
+        // Customer replies received by email have no respondedBy; this is the sender
+        fromEmail: String,
         isInternal: {
             type: Boolean,
             default: false
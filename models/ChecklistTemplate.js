@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const checklistTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: String,
+    // Empty lists mean the template applies to every ownership type / category
+    appliesTo: {
+        ownershipTypes: [{
+            type: String,
+            enum: ['owned', 'consignment']
+        }],
+        categories: [{
+            type: String,
+            lowercase: true,
+            trim: true
+        }]
+    },
+    items: [{
+        key: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        label: {
+            type: String,
+            required: true
+        },
+        required: {
+            type: Boolean,
+            default: true
+        },
+        order: {
+            type: Number,
+            default: 0
+        },
+        responsibleRole: {
+            type: String,
+            enum: ['admin', 'manager'],
+            default: 'manager'
+        },
+        // Days after the car enters inventory that the item is due
+        dueOffsetDays: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+// Item keys must be unique within a template
+checklistTemplateSchema.pre('validate', function (next) {
+    const keys = (this.items || []).map(item => item.key);
+    if (new Set(keys).size !== keys.length) {
+        this.invalidate('items', 'Checklist item keys must be unique within a template');
+    }
+    next();
+});
+
+/**
+ * Find the most specific active template for a vehicle.
+ * A template matching both category and ownership type wins over one matching
+ * either, which wins over a catch-all template.
+ */
+checklistTemplateSchema.statics.findForVehicle = async function (vehicle) {
+    const templates = await this.find({ isActive: true });
+    const category = (vehicle.category || '').toLowerCase();
+
+    let best = null;
+    let bestScore = -1;
+    for (const template of templates) {
+        const ownershipTypes = template.appliesTo?.ownershipTypes || [];
+        const categories = template.appliesTo?.categories || [];
+
+        if (ownershipTypes.length > 0 && !ownershipTypes.includes(vehicle.ownershipType)) continue;
+        if (categories.length > 0 && !categories.includes(category)) continue;
+
+        const score = (categories.length > 0 ? 2 : 0) + (ownershipTypes.length > 0 ? 1 : 0);
+        if (score > bestScore || (score === bestScore && best && template.updatedAt > best.updatedAt)) {
+            best = template;
+            bestScore = score;
+        }
+    }
+    return best;
+};
+
+module.exports = mongoose.model('ChecklistTemplate', checklistTemplateSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const FEED_FORMATS = ['meta_csv', 'xml', 'json'];
+
+const feedChannelSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: String,
+    // Feed formats this channel's token may pull
+    formats: {
+        type: [{
+            type: String,
+            enum: FEED_FORMATS
+        }],
+        default: () => [...FEED_FORMATS]
+    },
+    // Only a SHA-256 hash of the token is stored; the token itself is shown once
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    tokenHint: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastAccessedAt: Date,
+    accessCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+feedChannelSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Generate a new token for this channel. Returns the plain token, which is not stored.
+ * @returns {string}
+ */
+feedChannelSchema.methods.generateToken = function () {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.tokenHash = this.constructor.hashToken(token);
+    this.tokenHint = token.slice(-4);
+    return token;
+};
+
+feedChannelSchema.statics.findByToken = function (token) {
+    if (!token) return null;
+    return this.findOne({ tokenHash: this.hashToken(token), isActive: true });
+};
+
+// Remove the token hash from JSON output
+feedChannelSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    delete obj.tokenHash;
+    return obj;
+};
+
+feedChannelSchema.statics.FEED_FORMATS = FEED_FORMATS;
+
+module.exports = mongoose.model('FeedChannel', feedChannelSchema);
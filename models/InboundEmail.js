@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const addressSchema = {
+    _id: false,
+    name: String,
+    address: String
+};
+
+// created: new lead/ticket, appended: added to an existing one, ignored: auto-reply or bounce, failed: processing error
+const INBOUND_EMAIL_ACTIONS = ['created', 'appended', 'ignored', 'failed'];
+
+// How an appended email found its lead or ticket
+const THREADED_BY = ['message_id', 'subject_reference', 'sender', 'none'];
+
+const inboundEmailSchema = new mongoose.Schema({
+    messageId: {
+        type: String,
+        trim: true
+    },
+    inReplyTo: String,
+    references: [String],
+    from: addressSchema,
+    to: [addressSchema],
+    cc: [addressSchema],
+    subject: String,
+    text: String,
+    sentAt: Date,
+    attachments: [{
+        filename: String,
+        contentType: String,
+        size: Number,
+        url: String,
+        publicId: String,
+        // Why the file was not stored (too large, upload failed)
+        skippedReason: String
+    }],
+    // Mailbox route chosen from the recipients: purchase lead, sales lead or ticket
+    route: {
+        type: String,
+        enum: ['purchase', 'sales', 'ticket']
+    },
+    target: {
+        entityType: {
+            type: String,
+            enum: ['Lead', 'CSATicket']
+        },
+        entityId: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'target.entityType'
+        },
+        reference: String
+    },
+    action: {
+        type: String,
+        enum: INBOUND_EMAIL_ACTIONS,
+        required: true
+    },
+    threadedBy: {
+        type: String,
+        enum: THREADED_BY,
+        default: 'none'
+    },
+    error: String,
+    sizeBytes: Number
+}, { timestamps: true });
+
+// Message-ID makes redelivered webhooks idempotent and lets replies find their thread
+inboundEmailSchema.index({ messageId: 1 }, { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } });
+inboundEmailSchema.index({ 'target.entityType': 1, 'target.entityId': 1, createdAt: -1 });
+
+inboundEmailSchema.statics.INBOUND_EMAIL_ACTIONS = INBOUND_EMAIL_ACTIONS;
+inboundEmailSchema.statics.THREADED_BY = THREADED_BY;
+
+module.exports = mongoose.model('InboundEmail', inboundEmailSchema);
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+const PRICE_ANALYSIS_FIELDS = ['minSellingPrice', 'maxSellingPrice', 'purchasedFinalPrice'];
+
+// Price analysis figures captured at a point in the approval flow
+const priceAnalysisSnapshotSchema = {
+    minSellingPrice: Number,
+    maxSellingPrice: Number,
+    purchasedFinalPrice: Number,
+    capturedAt: Date
+};
+
 const leadSchema = new mongoose.Schema({
     leadId: {
         type: String,
@@ -19,21 +29,10 @@ const leadSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Manager'
     },
+    // Pipeline stage key; valid stages and transitions are configured per lead type (LeadPipeline)
     status: {
         type: String,
-        enum: [
-            'new',
-            'contacted',
-            'qualified',
-            'negotiation',
-            'inspection',
-            'under_review',
-            'approved',
-            'inventory',
-            'consignment',
-            'lost',
-            'cancelled'
-        ],
+        trim: true,
         default: 'new'
     },
     contactInfo: {
@@ -58,6 +57,8 @@ const leadSchema = new mongoose.Schema({
         trim: String,
         region: String,
         vin: String,
+        // Body/segment category, e.g. sedan, suv, luxury (drives the checklist template)
+        category: String,
         askingPrice: Number,
         expectedPrice: Number
     },
@@ -92,7 +93,8 @@ const leadSchema = new mongoose.Schema({
     attachments: [{
         category: {
             type: String,
-            enum: ['inspectionReport', 'registrationCard', 'carPictures', 'onlineHistoryCheck'],
+            // emailAttachments: images received by email, kept out of the gallery until staff promote them
+            enum: ['inspectionReport', 'registrationCard', 'carPictures', 'onlineHistoryCheck', 'emailAttachments'],
             required: true
         },
         fileName: String,
@@ -100,6 +102,21 @@ const leadSchema = new mongoose.Schema({
         fileSize: Number,
         url: String,
         publicId: String,
+        // Gallery metadata (carPictures only)
+        order: Number,
+        isCover: {
+            type: Boolean,
+            default: false
+        },
+        caption: {
+            type: String,
+            trim: true,
+            maxlength: 200
+        },
+        tags: [{
+            type: String,
+            enum: ['exterior', 'interior', 'damage']
+        }],
         uploadedBy: {
             type: mongoose.Schema.Types.ObjectId,
             refPath: 'attachments.uploadedByModel'
@@ -127,6 +144,35 @@ const leadSchema = new mongoose.Schema({
             enum: ['Admin', 'Manager']
         }
     },
+    // Every change to the price analysis figures, oldest first
+    priceAnalysisHistory: [{
+        revision: Number,
+        minSellingPrice: Number,
+        maxSellingPrice: Number,
+        purchasedFinalPrice: Number,
+        changes: [{
+            _id: false,
+            field: {
+                type: String,
+                enum: PRICE_ANALYSIS_FIELDS
+            },
+            from: Number,
+            to: Number
+        }],
+        reason: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'priceAnalysisHistory.changedByModel'
+        },
+        changedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     investorAllocations: [{
         investorId: {
             type: mongoose.Schema.Types.ObjectId,
@@ -157,7 +203,10 @@ const leadSchema = new mongoose.Schema({
                 groupName: String,
                 approvedAt: { type: Date, default: Date.now }
             }
-        ]
+        ],
+        // Price analysis when the lead was submitted and when dual approval was reached
+        submittedPriceAnalysis: priceAnalysisSnapshotSchema,
+        approvedPriceAnalysis: priceAnalysisSnapshotSchema
     },
 
     // Reference to PurchaseOrder for DocuSign integration
@@ -172,6 +221,23 @@ const leadSchema = new mongoose.Schema({
         ref: 'Invoice',
         default: null
     },
+    // Reference to the Vehicle created when the lead is purchased into inventory
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        default: null
+    },
+    // Set when this lead was merged into another (surviving) lead as a duplicate
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        default: null
+    },
+    mergedAt: Date,
+    mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
     rateAnalysis: {
         marketValue: Number,
         estimatedProfit: Number,
@@ -183,6 +249,58 @@ const leadSchema = new mongoose.Schema({
         enum: ['low', 'medium', 'high', 'urgent'],
         default: 'medium'
     },
+    // Rules-based call priority (0-100) for purchase leads; weights are set in LeadScoringConfig
+    score: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    // Per-factor value (0-1), weight and points behind the score
+    scoreBreakdown: mongoose.Schema.Types.Mixed,
+    scoredAt: Date,
+    // Why the lead was lost or cancelled (cleared if it is reopened)
+    lossDetails: {
+        reason: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LossReason'
+        },
+        // Label at the time, so reports survive renamed or removed reasons
+        reasonLabel: String,
+        status: {
+            type: String,
+            enum: ['lost', 'cancelled']
+        },
+        competitor: {
+            type: String,
+            trim: true
+        },
+        // Price the deal was lost at (competitor's offer or the customer's final ask)
+        lostPrice: Number,
+        recordedAt: Date,
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'lossDetails.recordedByModel'
+        },
+        recordedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        }
+    },
+    // When the lead entered its current status; drives the stage SLA
+    stageEnteredAt: Date,
+    // Last SLA check of the current stage (reset on every status change)
+    sla: {
+        stage: String,
+        dueAt: Date,
+        status: {
+            type: String,
+            enum: ['on_track', 'at_risk', 'breached']
+        },
+        breachedAt: Date,
+        managerEscalatedAt: Date,
+        adminEscalatedAt: Date,
+        checkedAt: Date
+    },
     operationalChecklist: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
@@ -224,8 +342,130 @@ leadSchema.pre('save', async function (next) {
         this.leadId = `${prefix}${String(nextId).padStart(4, '0')}`;
     }
     this.updatedAt = Date.now();
+
+    // A new stage starts a new SLA clock
+    if (this.isNew || this.isModified('status')) {
+        this.stageEnteredAt = new Date();
+        this.sla = undefined;
+    }
+
+    // Keep the stored score current with whatever changed on the lead
+    if (this.type === 'purchase') {
+        const { applyLeadScore } = require('../utils/leadScoring');
+        await applyLeadScore(this);
+    }
     next();
 });
 
+/**
+ * Field-level diff between the current price analysis and new values
+ * @param {Object} values - New minSellingPrice / maxSellingPrice / purchasedFinalPrice
+ * @returns {Array<{field: string, from: number|null, to: number|null}>}
+ */
+leadSchema.methods.getPriceAnalysisChanges = function (values) {
+    const current = this.priceAnalysis || {};
+    return PRICE_ANALYSIS_FIELDS
+        .filter(field => values[field] !== undefined)
+        .map(field => ({
+            field,
+            from: current[field] ?? null,
+            to: values[field] ?? null
+        }))
+        .filter(change => change.from !== change.to);
+};
+
+/**
+ * Apply new price analysis values and record them as a revision
+ * @param {Object} values - New minSellingPrice / maxSellingPrice / purchasedFinalPrice
+ * @param {Object} context - { changedBy, changedByModel, reason }
+ * @returns {Object|null} The revision entry, or null when nothing changed
+ */
+leadSchema.methods.recordPriceAnalysisRevision = function (values, context = {}) {
+    const changes = this.getPriceAnalysisChanges(values);
+    if (changes.length === 0) return null;
+
+    const current = this.priceAnalysis || {};
+    const next = {};
+    PRICE_ANALYSIS_FIELDS.forEach(field => {
+        next[field] = current[field];
+    });
+    changes.forEach(change => {
+        next[change.field] = change.to;
+    });
+
+    this.priceAnalysis = {
+        ...next,
+        updatedAt: new Date(),
+        updatedBy: context.changedBy,
+        updatedByModel: context.changedByModel
+    };
+
+    this.priceAnalysisHistory.push({
+        revision: this.priceAnalysisHistory.length + 1,
+        minSellingPrice: next.minSellingPrice,
+        maxSellingPrice: next.maxSellingPrice,
+        purchasedFinalPrice: next.purchasedFinalPrice,
+        changes,
+        reason: context.reason,
+        changedBy: context.changedBy,
+        changedByModel: context.changedByModel,
+        changedAt: new Date()
+    });
+    return this.priceAnalysisHistory[this.priceAnalysisHistory.length - 1];
+};
+
+/**
+ * Snapshot the current price analysis figures
+ * @returns {Object}
+ */
+leadSchema.methods.snapshotPriceAnalysis = function () {
+    const current = this.priceAnalysis || {};
+    return {
+        minSellingPrice: current.minSellingPrice,
+        maxSellingPrice: current.maxSellingPrice,
+        purchasedFinalPrice: current.purchasedFinalPrice,
+        capturedAt: new Date()
+    };
+};
+
+/**
+ * Variance between the price analysis at submission and at approval.
+ * While approval is still pending the current figures are compared instead.
+ * @returns {Object|null} null when the lead has not been submitted
+ */
+leadSchema.methods.getPriceAnalysisVariance = function () {
+    const submitted = this.approval?.submittedPriceAnalysis;
+    if (!submitted?.capturedAt) return null;
+
+    const approved = this.approval?.approvedPriceAnalysis;
+    const compareTo = approved?.capturedAt ? approved : this.priceAnalysis || {};
+
+    const fields = {};
+    PRICE_ANALYSIS_FIELDS.forEach(field => {
+        const from = submitted[field] ?? null;
+        const to = compareTo[field] ?? null;
+        const amount = from !== null && to !== null ? Math.round((to - from) * 100) / 100 : null;
+        fields[field] = {
+            submitted: from,
+            [approved?.capturedAt ? 'approved' : 'current']: to,
+            amount,
+            percentage: amount !== null && from ? Math.round((amount / from) * 10000) / 100 : null
+        };
+    });
+
+    return {
+        basis: approved?.capturedAt ? 'approval' : 'current',
+        submittedAt: submitted.capturedAt,
+        comparedAt: approved?.capturedAt || null,
+        hasVariance: Object.values(fields).some(f => f.amount !== null && f.amount !== 0),
+        fields
+    };
+};
+
+leadSchema.index({ type: 1, score: -1 });
+leadSchema.index({ type: 1, status: 1, stageEnteredAt: 1 });
+
+leadSchema.statics.PRICE_ANALYSIS_FIELDS = PRICE_ANALYSIS_FIELDS;
+
 module.exports = mongoose.model('Lead', leadSchema);
 
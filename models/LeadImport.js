@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const leadImportSchema = new mongoose.Schema({
+    fileName: String,
+    sheetName: String,
+    // Dry runs validate every row without creating leads
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    headers: [String],
+    // Spreadsheet column header → lead field
+    mapping: mongoose.Schema.Types.Mixed,
+    options: {
+        defaultSource: String,
+        defaultPriority: String,
+        skipDuplicates: Boolean
+    },
+    stats: {
+        totalRows: { type: Number, default: 0 },
+        valid: { type: Number, default: 0 },
+        rejected: { type: Number, default: 0 },
+        created: { type: Number, default: 0 }
+    },
+    // Every rejected row with its original values, for the error workbook
+    rejectedRows: [{
+        _id: false,
+        rowNumber: Number,
+        reasons: [String],
+        values: mongoose.Schema.Types.Mixed
+    }],
+    createdLeads: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    }],
+    // Dry runs complete inline; commits are queued for the background worker
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed'],
+        default: 'completed'
+    },
+    // Validated rows still to be created (cleared once the commit finishes)
+    pendingRows: [{
+        _id: false,
+        rowNumber: Number,
+        leadData: mongoose.Schema.Types.Mixed,
+        note: String,
+        warnings: [String],
+        possibleDuplicates: [String],
+        values: mongoose.Schema.Types.Mixed
+    }],
+    // Pending rows handled so far, so a retried job resumes where it stopped
+    processedRows: {
+        type: Number,
+        default: 0
+    },
+    startedAt: Date,
+    completedAt: Date,
+    failureReason: String,
+    // Request details the worker records on the audit log in the importer's name
+    ipAddress: String,
+    userAgent: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'createdByModel'
+    },
+    createdByModel: {
+        type: String,
+        enum: ['Admin', 'Manager']
+    }
+}, { timestamps: true });
+
+leadImportSchema.index({ createdAt: -1 });
+leadImportSchema.index({ status: 1 });
+
+module.exports = mongoose.model('LeadImport', leadImportSchema);
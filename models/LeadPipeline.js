@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+// Lead fields an admin can require before a stage is entered (path on the lead -> label)
+const REQUIRED_FIELD_OPTIONS = {
+    'contactInfo.phone': 'Contact phone',
+    'contactInfo.email': 'Contact email',
+    'contactInfo.passportOrEmiratesId': 'Passport / Emirates ID',
+    'vehicleInfo.make': 'Make',
+    'vehicleInfo.model': 'Model',
+    'vehicleInfo.year': 'Year',
+    'vehicleInfo.mileage': 'Mileage',
+    'vehicleInfo.vin': 'VIN',
+    'vehicleInfo.askingPrice': 'Asking price',
+    'priceAnalysis.minSellingPrice': 'Minimum selling price',
+    'priceAnalysis.maxSellingPrice': 'Maximum selling price',
+    'priceAnalysis.purchasedFinalPrice': 'Final purchase price',
+    'assignedTo': 'Assigned manager',
+    'attachments.carPictures': 'Car pictures',
+    'attachments.registrationCard': 'Registration card',
+    'attachments.onlineHistoryCheck': 'Online history check'
+};
+
+const AUTOMATION_ACTIONS = ['create_follow_up', 'set_priority', 'notify_assignee'];
+
+const SLA_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Hours a lead of each priority may stay in a stage before it breaches the SLA
+const slaHoursSchema = new mongoose.Schema(
+    SLA_PRIORITIES.reduce((fields, priority) => ({ ...fields, [priority]: { type: Number, min: 0 } }), {}),
+    { _id: false }
+);
+
+const automationSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: AUTOMATION_ACTIONS,
+        required: true
+    },
+    // create_follow_up
+    followUpType: {
+        type: String,
+        enum: ['call', 'email', 'meeting', 'test_drive', 'documentation', 'other'],
+        default: 'call'
+    },
+    dueInDays: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    // create_follow_up and set_priority
+    priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent']
+    },
+    // Follow-up comment or notification message
+    message: String
+}, { _id: false });
+
+const stageSchema = new mongoose.Schema({
+    // Stored on Lead.status
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Stage key may only contain lowercase letters, digits and underscores']
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    order: {
+        type: Number,
+        default: 0
+    },
+    // Closed stages (lost, cancelled, converted) end the pipeline
+    isTerminal: {
+        type: Boolean,
+        default: false
+    },
+    // Entered only by a workflow (approval, conversion), never by a manual status change
+    systemOnly: {
+        type: Boolean,
+        default: false
+    },
+    // Stage keys a lead in this stage may be moved to by hand
+    allowedTransitions: [String],
+    requiredFields: [{
+        type: String,
+        enum: Object.keys(REQUIRED_FIELD_OPTIONS)
+    }],
+    entryAutomations: [automationSchema],
+    // No SLA for a priority that has no hours set
+    slaHours: {
+        type: slaHoursSchema,
+        default: () => ({})
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+const leadPipelineSchema = new mongoose.Schema({
+    leadType: {
+        type: String,
+        enum: ['purchase', 'sales'],
+        required: true,
+        unique: true
+    },
+    stages: [stageSchema],
+    sla: {
+        // Share of the SLA after which a lead counts as at risk
+        atRiskPercent: {
+            type: Number,
+            min: 1,
+            max: 100,
+            default: 80
+        },
+        // Hours a breach stays with the assigned manager before admins are alerted
+        adminEscalationHours: {
+            type: Number,
+            min: 0,
+            default: 24
+        }
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+/**
+ * Stage definition by key
+ * @param {string} key
+ * @returns {Object|undefined}
+ */
+leadPipelineSchema.methods.getStage = function (key) {
+    return this.stages.find(stage => stage.key === key);
+};
+
+/**
+ * Active stages in display order
+ * @returns {Array}
+ */
+leadPipelineSchema.methods.getActiveStages = function () {
+    return this.stages
+        .filter(stage => stage.isActive)
+        .sort((a, b) => a.order - b.order);
+};
+
+leadPipelineSchema.statics.REQUIRED_FIELD_OPTIONS = REQUIRED_FIELD_OPTIONS;
+leadPipelineSchema.statics.AUTOMATION_ACTIONS = AUTOMATION_ACTIONS;
+leadPipelineSchema.statics.SLA_PRIORITIES = SLA_PRIORITIES;
+
+module.exports = mongoose.model('LeadPipeline', leadPipelineSchema);
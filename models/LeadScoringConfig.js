@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Factors that make up a purchase lead's score
+const SCORE_FACTORS = ['source', 'freshness', 'priceFit', 'vehicleAge', 'mileage', 'documents', 'activity'];
+
+const DEFAULT_WEIGHTS = {
+    source: 15,
+    freshness: 15,
+    priceFit: 25,
+    vehicleAge: 10,
+    mileage: 10,
+    documents: 15,
+    activity: 10
+};
+
+// Points (0-100) a lead earns for where it came from
+const DEFAULT_SOURCE_SCORES = {
+    'referral': 90,
+    'walk-in': 80,
+    'phone': 70,
+    'website': 60,
+    'email': 50,
+    'social-media': 40,
+    'other': 30
+};
+
+const leadScoringConfigSchema = new mongoose.Schema({
+    // Single configuration document
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    // Relative weight of each factor; the score is the weighted average scaled to 0-100
+    weights: {
+        source: { type: Number, min: 0, default: DEFAULT_WEIGHTS.source },
+        freshness: { type: Number, min: 0, default: DEFAULT_WEIGHTS.freshness },
+        priceFit: { type: Number, min: 0, default: DEFAULT_WEIGHTS.priceFit },
+        vehicleAge: { type: Number, min: 0, default: DEFAULT_WEIGHTS.vehicleAge },
+        mileage: { type: Number, min: 0, default: DEFAULT_WEIGHTS.mileage },
+        documents: { type: Number, min: 0, default: DEFAULT_WEIGHTS.documents },
+        activity: { type: Number, min: 0, default: DEFAULT_WEIGHTS.activity }
+    },
+    sourceScores: {
+        type: Map,
+        of: { type: Number, min: 0, max: 100 },
+        default: () => ({ ...DEFAULT_SOURCE_SCORES })
+    },
+    // A lead's freshness halves every this many days
+    freshnessHalfLifeDays: {
+        type: Number,
+        min: 1,
+        default: 7
+    },
+    // Cars this old (years) or with this many kilometres score zero for age / mileage
+    maxVehicleAgeYears: {
+        type: Number,
+        min: 1,
+        default: 15
+    },
+    maxMileage: {
+        type: Number,
+        min: 1,
+        default: 250000
+    },
+    // No notes, uploads or price work for this many days scores zero for activity
+    activityWindowDays: {
+        type: Number,
+        min: 1,
+        default: 14
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+// Every lead save scores the lead, so the configuration is kept in memory. Other
+// processes (API instances, the worker) pick up a change within the TTL.
+const ACTIVE_CACHE_TTL_MS = 60 * 1000;
+let activeCache = null;
+
+/**
+ * The saved configuration, or an unsaved default
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Read from the database, bypassing the cache
+ *   (use for documents that will be modified)
+ * @returns {Promise<Object>}
+ */
+leadScoringConfigSchema.statics.getActive = async function ({ fresh = false } = {}) {
+    if (!fresh && activeCache && Date.now() - activeCache.loadedAt < ACTIVE_CACHE_TTL_MS) {
+        return activeCache.config;
+    }
+    const config = (await this.findOne({ key: 'default' })) || new this({ key: 'default' });
+    if (!fresh) activeCache = { config, loadedAt: Date.now() };
+    return config;
+};
+
+/**
+ * Drop the cached configuration after it changes
+ */
+leadScoringConfigSchema.statics.clearActiveCache = function () {
+    activeCache = null;
+};
+
+leadScoringConfigSchema.statics.SCORE_FACTORS = SCORE_FACTORS;
+leadScoringConfigSchema.statics.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+leadScoringConfigSchema.statics.DEFAULT_SOURCE_SCORES = DEFAULT_SOURCE_SCORES;
+
+module.exports = mongoose.model('LeadScoringConfig', leadScoringConfigSchema);
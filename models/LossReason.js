@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Lead statuses that need a loss reason
+const LOSS_STATUSES = ['lost', 'cancelled'];
+
+const DEFAULT_LOSS_REASONS = [
+    { label: 'Price gap', description: 'Could not agree on price', statuses: ['lost'] },
+    { label: 'Went with a competitor', statuses: ['lost'], expectsCompetitor: true },
+    { label: 'Customer changed their mind', statuses: ['lost', 'cancelled'] },
+    { label: 'Vehicle condition or history', statuses: ['lost', 'cancelled'] },
+    { label: 'Financing not approved', statuses: ['lost', 'cancelled'], leadType: 'sales' },
+    { label: 'No response from customer', statuses: ['lost', 'cancelled'] },
+    { label: 'Duplicate or invalid lead', statuses: ['cancelled'] },
+    { label: 'Other', statuses: ['lost', 'cancelled'] }
+];
+
+const lossReasonSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Statuses the reason can be picked for
+    statuses: {
+        type: [{
+            type: String,
+            enum: LOSS_STATUSES
+        }],
+        default: () => [...LOSS_STATUSES]
+    },
+    leadType: {
+        type: String,
+        enum: ['purchase', 'sales', 'any'],
+        default: 'any'
+    },
+    // Offer the competitor field prominently when this reason is picked
+    expectsCompetitor: {
+        type: Boolean,
+        default: false
+    },
+    order: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+lossReasonSchema.index({ label: 1, leadType: 1 }, { unique: true });
+
+/**
+ * Whether the reason can be picked for a lead of a type moving to a status
+ * @param {string} status - lost or cancelled
+ * @param {string} leadType - purchase or sales
+ * @returns {boolean}
+ */
+lossReasonSchema.methods.appliesTo = function (status, leadType) {
+    return this.isActive && this.statuses.includes(status) &&
+        (this.leadType === 'any' || this.leadType === leadType);
+};
+
+/**
+ * Create the starter reason list the first time reasons are needed, so a
+ * loss can always be recorded before an admin has set up their own list
+ * @returns {Promise<void>}
+ */
+lossReasonSchema.statics.ensureDefaults = async function () {
+    if (await this.estimatedDocumentCount() > 0) return;
+    await this.insertMany(DEFAULT_LOSS_REASONS.map((reason, index) => ({ ...reason, order: index + 1 })), { ordered: false })
+        .catch(error => {
+            // Another request seeded the list first
+            if (error.code !== 11000) throw error;
+        });
+};
+
+lossReasonSchema.statics.LOSS_STATUSES = LOSS_STATUSES;
+
+module.exports = mongoose.model('LossReason', lossReasonSchema);
@@ -43,6 +43,21 @@ const managerSchema = new mongoose.Schema({
         ref: 'Lead'
     }],
     teams: [String],
+    // Automatic lead assignment settings
+    assignment: {
+        // Managers on leave can be left out of automatic assignment
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        // Relative capacity: a manager with weight 2 is given twice the open leads of weight 1
+        weight: {
+            type: Number,
+            min: 0.1,
+            default: 1
+        },
+        lastAssignedAt: Date
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Admin'
@@ -119,6 +119,8 @@ const purchaseOrderSchema = new mongoose.Schema({
         ],
         default: 'draft'
     },
+    // When the PO was completed and the car entered stock (drives inventory aging)
+    completedAt: Date,
     createdAt: {
         type: Date,
         default: Date.now
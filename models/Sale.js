@@ -33,10 +33,24 @@ const saleSchema = new mongoose.Schema({
         },
         investmentAmount: Number,
         investmentPercentage: Number,
+        // Reconditioning expenses funded by this investor (included in investmentAmount)
+        expenseAmount: Number,
         profitAmount: Number,
         profitPercentage: Number,
         totalPayout: Number
     }],
+    // Owner payout vs ZRS commission when the car was sold on consignment
+    consignment: {
+        ownerName: String,
+        commissionType: {
+            type: String,
+            enum: ['percentage', 'fixed']
+        },
+        commissionValue: Number,
+        commissionAmount: Number,
+        expensesRecovered: Number,
+        ownerPayout: Number
+    },
     salesInvoiceDoc: {
         url: String,
         publicId: String
@@ -147,5 +161,15 @@ saleSchema.methods.hasAdminApproved = function (adminId) {
     return this.approvedBy.some(approval => approval.adminId.toString() === adminId.toString());
 };
 
+// Sales still waiting on approval; the vehicle is committed to them until they are approved or rejected
+const PENDING_SALE_STATUSES = ['draft', 'pending_approval'];
+
+// Method to find the sale awaiting approval for a vehicle, if any
+saleSchema.statics.findPendingForVehicle = function (vehicleId) {
+    return this.findOne({ vehicleId, status: { $in: PENDING_SALE_STATUSES } });
+};
+
+saleSchema.statics.PENDING_SALE_STATUSES = PENDING_SALE_STATUSES;
+
 module.exports = mongoose.model('Sale', saleSchema);
 
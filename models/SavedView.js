@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// List endpoints a view can be saved for (keys of LIST_DEFINITIONS in utils/listQuery)
+const VIEW_RESOURCES = ['purchaseLeads', 'salesLeads', 'inventory', 'tickets'];
+
+const savedViewSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    resource: {
+        type: String,
+        enum: VIEW_RESOURCES,
+        required: true
+    },
+    // List query parameters: filter, sort, fields, limit, search and the endpoint's simple filters
+    query: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({})
+    },
+    // Personal views are only visible to their owner; shared views to every admin and manager
+    visibility: {
+        type: String,
+        enum: ['personal', 'shared'],
+        default: 'personal'
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'ownerModel',
+        required: true
+    },
+    ownerModel: {
+        type: String,
+        enum: ['Admin', 'Manager'],
+        required: true
+    }
+}, { timestamps: true, minimize: false });
+
+savedViewSchema.index({ owner: 1, resource: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ visibility: 1, resource: 1 });
+
+/**
+ * Whether a user can run the view
+ * @param {string} userId
+ * @returns {boolean}
+ */
+savedViewSchema.methods.isVisibleTo = function (userId) {
+    return this.visibility === 'shared' || this.owner.toString() === userId.toString();
+};
+
+savedViewSchema.statics.VIEW_RESOURCES = VIEW_RESOURCES;
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const stockLocationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 100
+    },
+    type: {
+        type: String,
+        enum: ['showroom', 'yard', 'workshop', 'other'],
+        required: true
+    },
+    address: String,
+    contactName: String,
+    contactPhone: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('StockLocation', stockLocationSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+const locationFields = {
+    site: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLocation'
+    },
+    bay: String,
+    keyHolder: String
+};
+
+const stockTakeSchema = new mongoose.Schema({
+    stockTakeId: {
+        type: String,
+        unique: true
+    },
+    // Limit the count to one site; empty means every site
+    site: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLocation'
+    },
+    status: {
+        type: String,
+        enum: ['open', 'completed', 'cancelled'],
+        default: 'open'
+    },
+    // Where the system believed each car was when the stock-take started
+    expected: [{
+        _id: false,
+        vehicle: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vehicle'
+        },
+        vehicleId: String,
+        ...locationFields
+    }],
+    confirmations: [{
+        vehicle: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vehicle',
+            required: true
+        },
+        vehicleId: String,
+        ...locationFields,
+        notes: String,
+        confirmedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'confirmations.confirmedByModel'
+        },
+        confirmedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        },
+        confirmedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Frozen when the stock-take is completed
+    discrepancies: [{
+        _id: false,
+        vehicle: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vehicle'
+        },
+        vehicleId: String,
+        types: [{
+            type: String,
+            enum: ['missing', 'unexpected', 'wrong_site', 'wrong_bay', 'wrong_key_holder']
+        }],
+        expected: locationFields,
+        found: locationFields
+    }],
+    correctionsApplied: {
+        type: Boolean,
+        default: false
+    },
+    notes: String,
+    startedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'startedByModel'
+    },
+    startedByModel: {
+        type: String,
+        enum: ['Admin', 'Manager']
+    },
+    completedAt: Date,
+    completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'completedByModel'
+    },
+    completedByModel: {
+        type: String,
+        enum: ['Admin', 'Manager']
+    }
+}, { timestamps: true });
+
+// Auto-increment stock-take ID
+stockTakeSchema.pre('save', async function (next) {
+    if (!this.stockTakeId) {
+        const last = await this.constructor.findOne({}, {}, { sort: { 'createdAt': -1 } });
+        let nextId = 1;
+        if (last && last.stockTakeId) {
+            const match = last.stockTakeId.match(/ST(\d+)/);
+            if (match) {
+                nextId = parseInt(match[1]) + 1;
+            }
+        }
+        this.stockTakeId = `ST${String(nextId).padStart(4, '0')}`;
+    }
+    next();
+});
+
+const idOf = (value) => (value?._id || value || '').toString();
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Compare confirmed locations with what the system expected.
+ * Cars expected but never confirmed are 'missing'; cars confirmed but not
+ * expected are 'unexpected'. Bay and key holder are only compared when the
+ * system had a value for them.
+ * @returns {Array}
+ */
+stockTakeSchema.methods.computeDiscrepancies = function () {
+    const confirmations = new Map(this.confirmations.map(c => [idOf(c.vehicle), c]));
+    const expectedIds = new Set(this.expected.map(e => idOf(e.vehicle)));
+    const pick = (entry) => (entry ? { site: entry.site, bay: entry.bay, keyHolder: entry.keyHolder } : undefined);
+
+    const discrepancies = [];
+    this.expected.forEach(expected => {
+        const found = confirmations.get(idOf(expected.vehicle));
+        const types = [];
+        if (!found) {
+            types.push('missing');
+        } else {
+            if (idOf(expected.site) !== idOf(found.site)) types.push('wrong_site');
+            if (expected.bay && !sameText(expected.bay, found.bay)) types.push('wrong_bay');
+            if (expected.keyHolder && !sameText(expected.keyHolder, found.keyHolder)) types.push('wrong_key_holder');
+        }
+        if (types.length > 0) {
+            discrepancies.push({
+                vehicle: expected.vehicle,
+                vehicleId: expected.vehicleId,
+                types,
+                expected: pick(expected),
+                found: pick(found)
+            });
+        }
+    });
+
+    this.confirmations
+        .filter(c => !expectedIds.has(idOf(c.vehicle)))
+        .forEach(found => {
+            discrepancies.push({
+                vehicle: found.vehicle,
+                vehicleId: found.vehicleId,
+                types: ['unexpected'],
+                expected: undefined,
+                found: pick(found)
+            });
+        });
+
+    return discrepancies;
+};
+
+stockTakeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
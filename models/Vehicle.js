@@ -0,0 +1,753 @@
+const mongoose = require('mongoose');
+
+// Why a car (or its keys) was moved
+const MOVE_REASONS = ['intake', 'detailing', 'photoshoot', 'test_drive', 'recovery', 'workshop', 'delivery', 'stock_take', 'other'];
+
+// Statuses that still count as stock on hand
+const IN_STOCK_STATUSES = ['inventory', 'ready_for_sale', 'reserved', 'test_drive'];
+
+// Operational checklist items that must be completed before a car is ready for sale
+const CHECKLIST_ITEMS = ['detailing', 'photoshoot', 'photoshootEdited', 'metaAds', 'onlineAds', 'instagram'];
+
+// Built-in checklist used when no ChecklistTemplate matches the vehicle
+const DEFAULT_CHECKLIST_LABELS = {
+    detailing: 'Detailing',
+    photoshoot: 'Photoshoot',
+    photoshootEdited: 'Edited Photos',
+    metaAds: 'Meta Ads',
+    onlineAds: 'Online Ads',
+    instagram: 'Instagram'
+};
+const DEFAULT_CHECKLIST_DEFINITION = CHECKLIST_ITEMS.map((key, index) => ({
+    key,
+    label: DEFAULT_CHECKLIST_LABELS[key],
+    required: true,
+    order: index,
+    responsibleRole: 'manager',
+    dueOffsetDays: 0
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Legal status transitions. Anything not listed here is rejected by transitionTo().
+const STATUS_TRANSITIONS = {
+    inventory: ['ready_for_sale'],
+    ready_for_sale: ['inventory', 'reserved', 'test_drive', 'sold'],
+    reserved: ['ready_for_sale', 'test_drive', 'sold'],
+    test_drive: ['ready_for_sale', 'reserved', 'sold'],
+    sold: ['delivered'],
+    delivered: []
+};
+
+// Guards evaluated before entering a status. Each returns an error message, or null when allowed.
+const STATUS_GUARDS = {
+    // Checklist is only checked on the way out of inventory (cars returning from a hold already passed it);
+    // consignment cars also need the owner's signed contract. A car still held by a reservation
+    // goes back on sale by releasing it.
+    ready_for_sale: (vehicle) => {
+        const reservation = vehicle.getActiveReservation();
+        if (reservation) {
+            return `Release the reservation for ${reservation.customerName} before putting the car back on sale`;
+        }
+        if (vehicle.status === 'inventory' && !vehicle.isOperationalChecklistComplete()) {
+            return 'All operational checklist items must be completed before marking as ready for sale';
+        }
+        if (vehicle.ownershipType === 'consignment' && vehicle.consignment?.contract?.status !== 'completed') {
+            return 'The consignment contract must be signed by the owner before the car can go on sale';
+        }
+        return null;
+    },
+    // Only a reservation record (deposit and expiry) puts a car on hold
+    reserved: (vehicle) => (vehicle.getActiveReservation()
+        ? null
+        : 'A vehicle can only be reserved by recording a reservation for a customer'),
+    sold: (vehicle, context) => (context.sale && ['approved', 'invoice_generated', 'completed'].includes(context.sale.status)
+        ? null
+        : 'A vehicle can only be marked as sold once its sale has been approved')
+};
+
+const buildDefaultChecklist = () => CHECKLIST_ITEMS.reduce((checklist, item) => {
+    checklist[item] = { completed: false, notes: '', completedBy: null, completedAt: null };
+    return checklist;
+}, {});
+
+const vehicleSchema = new mongoose.Schema({
+    vehicleId: {
+        type: String,
+        unique: true
+    },
+    leadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        required: true,
+        unique: true
+    },
+    purchaseOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder',
+        default: null
+    },
+    ownershipType: {
+        type: String,
+        enum: ['owned', 'consignment'],
+        default: 'owned'
+    },
+    status: {
+        type: String,
+        enum: [
+            'inventory',
+            'ready_for_sale',
+            'reserved',
+            'test_drive',
+            'sold',
+            'delivered'
+        ],
+        default: 'inventory'
+    },
+    statusHistory: [{
+        from: String,
+        to: {
+            type: String,
+            required: true
+        },
+        reason: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'statusHistory.changedByModel'
+        },
+        changedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Where the car and its keys are right now
+    location: {
+        site: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockLocation'
+        },
+        bay: String,
+        keyHolder: String,
+        updatedAt: Date,
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'location.updatedByModel'
+        },
+        updatedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        }
+    },
+    locationHistory: [{
+        fromSite: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockLocation'
+        },
+        fromBay: String,
+        fromKeyHolder: String,
+        toSite: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockLocation'
+        },
+        toBay: String,
+        toKeyHolder: String,
+        reason: {
+            type: String,
+            enum: MOVE_REASONS,
+            required: true
+        },
+        notes: String,
+        stockTake: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockTake'
+        },
+        movedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'locationHistory.movedByModel'
+        },
+        movedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        },
+        movedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Commercial terms for cars sold on behalf of their owner (ownershipType 'consignment')
+    consignment: {
+        owner: {
+            name: String,
+            email: String,
+            phone: String,
+            passportOrEmiratesId: String,
+            iban: String
+        },
+        minimumPrice: Number,
+        commissionType: {
+            type: String,
+            enum: ['percentage', 'fixed']
+        },
+        commissionValue: Number,
+        contract: {
+            envelopeId: String,
+            status: {
+                type: String,
+                enum: ['created', 'sent', 'delivered', 'signed', 'completed', 'declined', 'voided', 'failed']
+            },
+            sentAt: Date,
+            completedAt: Date,
+            error: String
+        },
+        payout: {
+            saleId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Sale'
+            },
+            sellingPrice: Number,
+            commissionAmount: Number,
+            expensesRecovered: Number,
+            ownerPayout: Number,
+            status: {
+                type: String,
+                enum: ['pending', 'due', 'paid']
+            },
+            paidAt: Date,
+            paymentReference: String
+        }
+    },
+    // Customer holds with deposit; at most one is active at a time
+    reservations: [{
+        status: {
+            type: String,
+            enum: ['active', 'released', 'expired', 'converted'],
+            default: 'active'
+        },
+        customerName: {
+            type: String,
+            required: true
+        },
+        customerContact: {
+            phone: String,
+            email: String
+        },
+        salesLeadId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lead'
+        },
+        depositAmount: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        paymentReference: String,
+        notes: String,
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        reservedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'reservations.reservedByModel'
+        },
+        reservedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        },
+        reservedAt: {
+            type: Date,
+            default: Date.now
+        },
+        releasedAt: Date,
+        releasedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'reservations.releasedByModel'
+        },
+        releasedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        },
+        releaseReason: String,
+        saleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sale'
+        }
+    }],
+    make: String,
+    model: String,
+    year: Number,
+    mileage: Number,
+    color: String,
+    trim: String,
+    region: String,
+    vin: String,
+    ownerName: String,
+    askingPrice: Number,
+    purchasePrice: Number,
+    minSellingPrice: Number,
+    maxSellingPrice: Number,
+    sellingPrice: Number,
+    // Price the car is currently advertised at
+    listingPrice: Number,
+    // Capitalised cost of the car, frozen from the Purchase Order at conversion time
+    costBasis: {
+        buyingPrice: { type: Number, default: 0 },
+        transferCost: { type: Number, default: 0 },
+        detailingInspectionCost: { type: Number, default: 0 },
+        agentCommission: { type: Number, default: 0 },
+        carRecoveryCost: { type: Number, default: 0 },
+        otherCharges: { type: Number, default: 0 },
+        // Sum of the post-purchase expense ledger
+        reconditioningCost: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+    // Post-purchase reconditioning spend (repairs, paint, tyres, extra detailing...)
+    expenses: [{
+        category: {
+            type: String,
+            enum: ['mechanical', 'bodywork_paint', 'tyres', 'detailing', 'parts', 'inspection', 'registration', 'transport', 'other'],
+            required: true
+        },
+        description: String,
+        vendor: String,
+        amount: {
+            type: Number,
+            min: 0,
+            required: true
+        },
+        incurredAt: {
+            type: Date,
+            default: Date.now
+        },
+        // Investor who funded the expense; unassigned expenses are shared pro-rata
+        investorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Investor',
+            default: null
+        },
+        evidence: {
+            fileName: String,
+            fileType: String,
+            fileSize: Number,
+            url: String,
+            publicId: String
+        },
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'expenses.addedByModel'
+        },
+        addedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    investorAllocation: [{
+        investorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Investor',
+            required: true
+        },
+        percentage: {
+            type: Number,
+            min: 0,
+            max: 100,
+            required: true
+        },
+        amount: {
+            type: Number,
+            default: 0
+        }
+    }],
+    // Vehicle category used to pick a checklist template (e.g. sedan, suv, luxury)
+    category: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    checklistTemplate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChecklistTemplate',
+        default: null
+    },
+    // Snapshot of the template items applied to this vehicle
+    checklistItems: [{
+        _id: false,
+        key: String,
+        label: String,
+        required: Boolean,
+        order: Number,
+        responsibleRole: String,
+        dueOffsetDays: Number,
+        dueAt: Date
+    }],
+    // Completion state keyed by checklist item key
+    operationalChecklist: {
+        type: mongoose.Schema.Types.Mixed,
+        default: buildDefaultChecklist
+    },
+    purchaseMeta: {
+        purchaseOrderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PurchaseOrder'
+        },
+        negotiatedPrice: Number,
+        purchasedAt: Date
+    },
+    salesMeta: {
+        saleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sale'
+        },
+        customerName: String,
+        customerContact: String,
+        saleDate: Date,
+        profit: Number,
+        notes: String
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'createdByModel'
+    },
+    createdByModel: {
+        type: String,
+        enum: ['Admin', 'Manager']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Auto-increment vehicle ID
+vehicleSchema.pre('save', async function (next) {
+    if (!this.vehicleId) {
+        const lastVehicle = await this.constructor.findOne({}, {}, { sort: { 'createdAt': -1 } });
+        let nextId = 1;
+        if (lastVehicle && lastVehicle.vehicleId) {
+            const match = lastVehicle.vehicleId.match(/VH(\d+)/);
+            if (match) {
+                nextId = parseInt(match[1]) + 1;
+            }
+        }
+        this.vehicleId = `VH${String(nextId).padStart(4, '0')}`;
+    }
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Checklist definition for this vehicle: the applied template snapshot, or the built-in default
+vehicleSchema.methods.getChecklistItems = function () {
+    const items = this.checklistItems && this.checklistItems.length > 0
+        ? this.checklistItems.map(item => (item.toObject ? item.toObject() : item))
+        : DEFAULT_CHECKLIST_DEFINITION;
+    return [...items].sort((a, b) => (a.order || 0) - (b.order || 0));
+};
+
+// Ready for sale is derived from the required checklist items only
+vehicleSchema.methods.isOperationalChecklistComplete = function () {
+    const checklist = this.operationalChecklist || {};
+    return this.getChecklistItems()
+        .filter(item => item.required !== false)
+        .every(item => checklist[item.key] && checklist[item.key].completed === true);
+};
+
+/**
+ * Apply a checklist template (or the built-in default when null).
+ * Keeps the completion state of items that carry over; due dates count from purchase.
+ * The caller is responsible for saving the document.
+ */
+vehicleSchema.methods.applyChecklistTemplate = function (template) {
+    const definition = template
+        ? [...template.items].sort((a, b) => (a.order || 0) - (b.order || 0))
+        : DEFAULT_CHECKLIST_DEFINITION;
+    const startDate = new Date(this.purchaseMeta?.purchasedAt || this.createdAt || Date.now());
+    const existing = this.operationalChecklist || {};
+
+    this.checklistTemplate = template ? template._id : null;
+    this.checklistItems = definition.map(item => ({
+        key: item.key,
+        label: item.label,
+        required: item.required !== false,
+        order: item.order || 0,
+        responsibleRole: item.responsibleRole || 'manager',
+        dueOffsetDays: item.dueOffsetDays || 0,
+        dueAt: new Date(startDate.getTime() + (item.dueOffsetDays || 0) * DAY_MS)
+    }));
+
+    this.operationalChecklist = definition.reduce((checklist, item) => {
+        checklist[item.key] = existing[item.key] || { completed: false, notes: '', completedBy: null, completedAt: null };
+        return checklist;
+    }, {});
+    this.markModified('operationalChecklist');
+    return this;
+};
+
+// Check whether the vehicle may move to the given status (table + guards)
+vehicleSchema.methods.getTransitionError = function (toStatus, context = {}) {
+    const allowed = STATUS_TRANSITIONS[this.status] || [];
+    if (!STATUS_TRANSITIONS[toStatus]) {
+        return `Invalid vehicle status: ${toStatus}`;
+    }
+    if (!allowed.includes(toStatus)) {
+        return `Cannot move vehicle from ${this.status} to ${toStatus}`;
+    }
+    const guard = STATUS_GUARDS[toStatus];
+    return guard ? guard(this, context) : null;
+};
+
+/**
+ * Move the vehicle to a new status and record who made the change.
+ * Throws an error with statusCode 400 when the transition is not allowed.
+ * The caller is responsible for saving the document.
+ */
+vehicleSchema.methods.transitionTo = function (toStatus, context = {}) {
+    const transitionError = this.getTransitionError(toStatus, context);
+    if (transitionError) {
+        const error = new Error(transitionError);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    this.statusHistory.push({
+        from: this.status,
+        to: toStatus,
+        reason: context.reason,
+        changedBy: context.changedBy || null,
+        changedByModel: context.changedByModel
+    });
+    this.status = toStatus;
+    return this;
+};
+
+// Recompute the cost basis total after the expense ledger changes
+vehicleSchema.methods.recalculateCostBasis = function () {
+    const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+    const costBasis = this.costBasis || {};
+    const reconditioningCost = round((this.expenses || []).reduce((sum, expense) => sum + (Number(expense.amount) || 0), 0));
+
+    costBasis.reconditioningCost = reconditioningCost;
+    costBasis.total = round(
+        (costBasis.buyingPrice || 0) +
+        (costBasis.transferCost || 0) +
+        (costBasis.detailingInspectionCost || 0) +
+        (costBasis.agentCommission || 0) +
+        (costBasis.carRecoveryCost || 0) +
+        (costBasis.otherCharges || 0) +
+        reconditioningCost
+    );
+    this.costBasis = costBasis;
+    return this.costBasis;
+};
+
+/**
+ * Capital each investor has in the car: their purchase allocation plus the
+ * expenses they funded. Unassigned expenses are shared by allocation percentage.
+ * @returns {Array<{investorId, allocationAmount, expenseAmount, capital, sharePercentage}>}
+ */
+vehicleSchema.methods.getInvestorCapital = function () {
+    const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+    const allocations = this.investorAllocation || [];
+    const totalPercentage = allocations.reduce((sum, a) => sum + (Number(a.percentage) || 0), 0);
+
+    const unassignedExpenses = (this.expenses || [])
+        .filter(expense => !expense.investorId)
+        .reduce((sum, expense) => sum + (Number(expense.amount) || 0), 0);
+
+    const rows = allocations.map(allocation => {
+        const investorKey = (allocation.investorId?._id || allocation.investorId).toString();
+        const assigned = (this.expenses || [])
+            .filter(expense => expense.investorId && expense.investorId.toString() === investorKey)
+            .reduce((sum, expense) => sum + (Number(expense.amount) || 0), 0);
+        const poolShare = totalPercentage > 0
+            ? unassignedExpenses * (Number(allocation.percentage) || 0) / totalPercentage
+            : unassignedExpenses / (allocations.length || 1);
+        const expenseAmount = round(assigned + poolShare);
+
+        return {
+            investorId: allocation.investorId,
+            allocationAmount: round(allocation.amount),
+            allocationPercentage: allocation.percentage,
+            expenseAmount,
+            capital: round((Number(allocation.amount) || 0) + expenseAmount)
+        };
+    });
+
+    const totalCapital = rows.reduce((sum, row) => sum + row.capital, 0);
+    rows.forEach(row => {
+        row.sharePercentage = totalCapital > 0
+            ? round((row.capital / totalCapital) * 100)
+            : row.allocationPercentage;
+    });
+    return rows;
+};
+
+/**
+ * Split a consignment sale between the owner and ZRS.
+ * Reconditioning expenses paid by ZRS are recovered from the owner's share.
+ * @param {number} sellingPrice
+ * @returns {{commissionAmount, expensesRecovered, ownerPayout}}
+ */
+vehicleSchema.methods.computeConsignmentSettlement = function (sellingPrice) {
+    const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+    const terms = this.consignment || {};
+    const price = Number(sellingPrice) || 0;
+
+    const commissionAmount = terms.commissionType === 'fixed'
+        ? round(terms.commissionValue)
+        : round(price * (Number(terms.commissionValue) || 0) / 100);
+    const expensesRecovered = round(this.costBasis?.reconditioningCost);
+
+    return {
+        commissionAmount,
+        expensesRecovered,
+        ownerPayout: round(price - commissionAmount - expensesRecovered)
+    };
+};
+
+// Get the reservation currently holding the vehicle, if any
+vehicleSchema.methods.getActiveReservation = function () {
+    return (this.reservations || []).find(r => r.status === 'active') || null;
+};
+
+/**
+ * End the active reservation and put the car back on sale.
+ * @param {string} outcome - 'released' or 'expired'
+ * @param {Object} context - { changedBy, changedByModel, reason }
+ * The caller is responsible for saving the document.
+ */
+vehicleSchema.methods.releaseReservation = function (outcome, context = {}) {
+    const reservation = this.getActiveReservation();
+    if (!reservation) {
+        const error = new Error('Vehicle has no active reservation');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    reservation.status = outcome;
+    reservation.releasedAt = new Date();
+    reservation.releasedBy = context.changedBy || null;
+    reservation.releasedByModel = context.changedByModel;
+    reservation.releaseReason = context.reason;
+
+    if (this.status === 'reserved' || this.status === 'test_drive') {
+        this.transitionTo('ready_for_sale', context);
+    }
+    return reservation;
+};
+
+/**
+ * Undo what closing a sale put on the car once that sale is rejected. The
+ * reservation it converted is active again if its hold has not run out,
+ * otherwise it is released and the car goes back on sale.
+ * @param {Object} sale - Rejected Sale
+ * @param {Object} context - { changedBy, changedByModel, reason }
+ * @returns {{reservation: Object|null, outcome: 'restored'|'released'|null}}
+ * The caller is responsible for saving the document.
+ */
+vehicleSchema.methods.revertPendingSale = function (sale, context = {}) {
+    const saleId = sale._id.toString();
+
+    if (this.salesMeta?.saleId?.toString() === saleId) {
+        this.salesMeta = undefined;
+        this.sellingPrice = undefined;
+    }
+    if (this.consignment?.payout?.saleId?.toString() === saleId) {
+        this.consignment.payout = undefined;
+    }
+
+    const reservation = (this.reservations || [])
+        .find(r => r.status === 'converted' && r.saleId?.toString() === saleId);
+    if (!reservation) {
+        return { reservation: null, outcome: null };
+    }
+
+    reservation.saleId = undefined;
+    if (reservation.expiresAt > new Date() && !this.getActiveReservation()) {
+        reservation.status = 'active';
+        return { reservation, outcome: 'restored' };
+    }
+
+    reservation.status = 'released';
+    reservation.releasedAt = new Date();
+    reservation.releasedBy = context.changedBy || null;
+    reservation.releasedByModel = context.changedByModel;
+    reservation.releaseReason = context.reason;
+    if (this.status === 'reserved' || this.status === 'test_drive') {
+        this.transitionTo('ready_for_sale', context);
+    }
+    return { reservation, outcome: 'released' };
+};
+
+/**
+ * Move the car and/or its keys and record the move in the location history
+ * @param {Object} to - { site, bay, keyHolder }; omitted fields keep their current value
+ * @param {Object} context - { reason, notes, movedBy, movedByModel, stockTake }
+ * @returns {Object|null} The history entry, or null when nothing changed
+ */
+vehicleSchema.methods.moveTo = function (to = {}, context = {}) {
+    const current = this.location || {};
+    const next = {
+        site: to.site !== undefined ? (to.site || undefined) : current.site,
+        bay: to.bay !== undefined ? (to.bay || undefined) : current.bay,
+        keyHolder: to.keyHolder !== undefined ? (to.keyHolder || undefined) : current.keyHolder
+    };
+
+    const sameSite = String(next.site || '') === String(current.site?._id || current.site || '');
+    if (sameSite && (next.bay || '') === (current.bay || '') && (next.keyHolder || '') === (current.keyHolder || '')) {
+        return null;
+    }
+
+    this.locationHistory.push({
+        fromSite: current.site?._id || current.site,
+        fromBay: current.bay,
+        fromKeyHolder: current.keyHolder,
+        toSite: next.site,
+        toBay: next.bay,
+        toKeyHolder: next.keyHolder,
+        reason: context.reason,
+        notes: context.notes,
+        stockTake: context.stockTake,
+        movedBy: context.movedBy,
+        movedByModel: context.movedByModel,
+        movedAt: new Date()
+    });
+
+    this.location = {
+        ...next,
+        updatedAt: new Date(),
+        updatedBy: context.movedBy,
+        updatedByModel: context.movedByModel
+    };
+    return this.locationHistory[this.locationHistory.length - 1];
+};
+
+// Find a vehicle by its own ID or by the ID of the lead it was converted from
+vehicleSchema.statics.findByIdOrLead = function (id) {
+    return this.findOne({ $or: [{ _id: id }, { leadId: id }] });
+};
+
+// Index for efficient queries
+vehicleSchema.index({ status: 1, createdAt: -1 });
+vehicleSchema.index({ 'investorAllocation.investorId': 1 });
+vehicleSchema.index({ 'reservations.status': 1, 'reservations.expiresAt': 1 });
+vehicleSchema.index({ 'consignment.contract.envelopeId': 1 });
+vehicleSchema.index({ 'location.site': 1 });
+
+vehicleSchema.statics.CHECKLIST_ITEMS = CHECKLIST_ITEMS;
+vehicleSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+vehicleSchema.statics.MOVE_REASONS = MOVE_REASONS;
+vehicleSchema.statics.IN_STOCK_STATUSES = IN_STOCK_STATUSES;
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
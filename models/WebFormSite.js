@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// sell: "sell your car" (purchase lead), buy: "buy a car" (sales lead)
+const FORM_TYPES = ['sell', 'buy'];
+
+const webFormSiteSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: String,
+    // Origins (scheme://host[:port]) allowed to post; empty allows server-to-server posts only
+    allowedOrigins: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    formTypes: {
+        type: [{
+            type: String,
+            enum: FORM_TYPES
+        }],
+        default: () => [...FORM_TYPES]
+    },
+    // Hidden form field that people leave empty; anything filled in marks the submission as spam
+    honeypotField: {
+        type: String,
+        trim: true,
+        default: 'website_url'
+    },
+    // Require a captcha token verified with CAPTCHA_SECRET_KEY
+    requireCaptcha: {
+        type: Boolean,
+        default: false
+    },
+    // Only a SHA-256 hash of the API key is stored; the key itself is shown once
+    apiKeyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    apiKeyHint: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastSubmissionAt: Date,
+    submissionCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+webFormSiteSchema.statics.hashApiKey = function (apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+};
+
+/**
+ * Generate a new API key for this site. Returns the plain key, which is not stored.
+ * @returns {string}
+ */
+webFormSiteSchema.methods.generateApiKey = function () {
+    const apiKey = `wf_${crypto.randomBytes(24).toString('hex')}`;
+    this.apiKeyHash = this.constructor.hashApiKey(apiKey);
+    this.apiKeyHint = apiKey.slice(-4);
+    return apiKey;
+};
+
+webFormSiteSchema.statics.findByApiKey = function (apiKey) {
+    if (!apiKey) return null;
+    return this.findOne({ apiKeyHash: this.hashApiKey(apiKey), isActive: true });
+};
+
+/**
+ * Whether a browser Origin header may post to this site's forms
+ * @param {string} origin
+ * @returns {boolean}
+ */
+webFormSiteSchema.methods.isOriginAllowed = function (origin) {
+    if (!origin) return true;
+    return this.allowedOrigins.includes(String(origin).trim().toLowerCase().replace(/\/+$/, ''));
+};
+
+// Remove the API key hash from JSON output
+webFormSiteSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    delete obj.apiKeyHash;
+    return obj;
+};
+
+webFormSiteSchema.statics.FORM_TYPES = FORM_TYPES;
+
+module.exports = mongoose.model('WebFormSite', webFormSiteSchema);
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// created: new lead, duplicate: matched an open lead (queued for review), spam: honeypot filled, rejected: failed checks
+const SUBMISSION_STATUSES = ['created', 'duplicate', 'spam', 'rejected'];
+
+// Staff decision on a duplicate: apply adds the note and photos to the matched lead
+const REVIEW_STATUSES = ['pending', 'applied', 'dismissed'];
+
+const webFormSubmissionSchema = new mongoose.Schema({
+    // Given to the visitor; random so it reveals nothing about other submissions or leads
+    reference: {
+        type: String,
+        default: () => `WF-${crypto.randomBytes(5).toString('hex').toUpperCase()}`
+    },
+    site: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebFormSite',
+        required: true
+    },
+    formType: {
+        type: String,
+        enum: ['sell', 'buy']
+    },
+    status: {
+        type: String,
+        enum: SUBMISSION_STATUSES,
+        required: true
+    },
+    reason: String,
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        default: null
+    },
+    // Where the submission came from
+    origin: String,
+    referer: String,
+    pageUrl: String,
+    ipAddress: String,
+    userAgent: String,
+    // Form fields as received (photos are listed by file name only)
+    payload: mongoose.Schema.Types.Mixed,
+    photoCount: {
+        type: Number,
+        default: 0
+    },
+    // Uploaded photos of a duplicate, held until the review is applied or dismissed
+    photos: [{
+        _id: false,
+        fileName: String,
+        fileType: String,
+        fileSize: Number,
+        url: String,
+        publicId: String
+    }],
+    note: String,
+    review: {
+        status: {
+            type: String,
+            enum: REVIEW_STATUSES
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        reviewedAt: Date
+    }
+}, { timestamps: true });
+
+webFormSubmissionSchema.index({ site: 1, createdAt: -1 });
+webFormSubmissionSchema.index({ status: 1, createdAt: -1 });
+webFormSubmissionSchema.index({ ipAddress: 1, createdAt: -1 });
+webFormSubmissionSchema.index({ reference: 1 }, { unique: true, sparse: true });
+webFormSubmissionSchema.index({ 'review.status': 1, createdAt: -1 });
+
+webFormSubmissionSchema.statics.SUBMISSION_STATUSES = SUBMISSION_STATUSES;
+webFormSubmissionSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model('WebFormSubmission', webFormSubmissionSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Delivery progress of outbound messages; a status never moves backwards
+const OUTBOUND_STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed'];
+
+const whatsAppMessageSchema = new mongoose.Schema({
+    // Null for inbound messages from numbers that match no lead (linked by hand later)
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        default: null
+    },
+    direction: {
+        type: String,
+        enum: ['inbound', 'outbound'],
+        required: true
+    },
+    // Customer's WhatsApp number, digits only with country code
+    phone: {
+        type: String,
+        required: true
+    },
+    // WhatsApp profile name of the customer (inbound)
+    profileName: String,
+    type: {
+        type: String,
+        enum: ['text', 'template', 'image', 'document', 'audio', 'video', 'location', 'other'],
+        default: 'text'
+    },
+    // Message text; for templates the rendered body
+    text: String,
+    template: {
+        name: String,
+        language: String,
+        parameters: [String]
+    },
+    media: {
+        providerMediaId: String,
+        mimeType: String,
+        caption: String,
+        filename: String
+    },
+    providerMessageId: String,
+    status: {
+        type: String,
+        enum: [...OUTBOUND_STATUSES, 'received'],
+        required: true
+    },
+    statusUpdatedAt: Date,
+    error: String,
+    sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'sentByModel'
+    },
+    sentByModel: {
+        type: String,
+        enum: ['Admin', 'Manager']
+    },
+    // Provider timestamp for inbound messages
+    receivedAt: Date
+}, { timestamps: true });
+
+whatsAppMessageSchema.index({ providerMessageId: 1 }, { unique: true, partialFilterExpression: { providerMessageId: { $type: 'string' } } });
+whatsAppMessageSchema.index({ lead: 1, createdAt: -1 });
+whatsAppMessageSchema.index({ phone: 1, direction: 1, createdAt: -1 });
+
+whatsAppMessageSchema.statics.OUTBOUND_STATUSES = OUTBOUND_STATUSES;
+
+module.exports = mongoose.model('WhatsAppMessage', whatsAppMessageSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Lead values that can fill a template placeholder; custom values are typed in by the sender
+const VARIABLE_SOURCES = ['contactName', 'vehicle', 'leadId', 'managerName', 'custom'];
+
+const whatsAppTemplateSchema = new mongoose.Schema({
+    // Template name as approved with the WhatsApp Business provider
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_]+$/, 'Template name may only contain lowercase letters, digits and underscores'],
+        maxlength: 512
+    },
+    language: {
+        type: String,
+        trim: true,
+        default: 'en'
+    },
+    category: {
+        type: String,
+        enum: ['marketing', 'utility', 'authentication'],
+        default: 'utility'
+    },
+    // Body text with {{1}}, {{2}} placeholders, used for previews and the stored conversation
+    body: {
+        type: String,
+        required: true,
+        maxlength: 1024
+    },
+    // What fills each placeholder, in order ({{1}} is variables[0])
+    variables: [{
+        _id: false,
+        source: {
+            type: String,
+            enum: VARIABLE_SOURCES,
+            default: 'custom'
+        },
+        label: String
+    }],
+    leadType: {
+        type: String,
+        enum: ['purchase', 'sales', 'any'],
+        default: 'any'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+whatsAppTemplateSchema.index({ name: 1, language: 1 }, { unique: true });
+
+/**
+ * Number of {{n}} placeholders in the body
+ * @returns {number}
+ */
+whatsAppTemplateSchema.methods.getPlaceholderCount = function () {
+    const indexes = (this.body.match(/\{\{(\d+)\}\}/g) || []).map(p => parseInt(p.replace(/\D/g, ''), 10));
+    return indexes.length > 0 ? Math.max(...indexes) : 0;
+};
+
+/**
+ * Body with placeholders replaced by the given values
+ * @param {Array<string>} parameters
+ * @returns {string}
+ */
+whatsAppTemplateSchema.methods.render = function (parameters = []) {
+    return this.body.replace(/\{\{(\d+)\}\}/g, (match, index) => {
+        const value = parameters[parseInt(index, 10) - 1];
+        return value !== undefined && value !== null ? String(value) : match;
+    });
+};
+
+whatsAppTemplateSchema.statics.VARIABLE_SOURCES = VARIABLE_SOURCES;
+
+module.exports = mongoose.model('WhatsAppTemplate', whatsAppTemplateSchema);
@@ -3,7 +3,14 @@ const router = express.Router();
 const adminController = require('../controllers/adminController');
 const { authenticate, isAdmin } = require('../middleware/auth');
 const { validate, mongoIdValidation } = require('../middleware/validators');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const FeedChannel = require('../models/FeedChannel');
+const WebFormSite = require('../models/WebFormSite');
+const WebFormSubmission = require('../models/WebFormSubmission');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const LossReason = require('../models/LossReason');
+const LeadPipeline = require('../models/LeadPipeline');
+const LeadScoringConfig = require('../models/LeadScoringConfig');
 
 // All routes require admin authentication
 router.use(authenticate);
@@ -13,7 +20,13 @@ router.use(isAdmin);
 router.get('/dashboard', adminController.getDashboard);
 
 // Search leads
-router.get('/search/leads', adminController.searchLeads);
+router.get(
+    '/search/leads',
+    query('sortBy').optional().isIn(['createdAt', 'updatedAt', 'score']).withMessage('sortBy must be createdAt, updatedAt or score'),
+    query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+    validate,
+    adminController.searchLeads
+);
 
 // Manager management
 router.get('/managers', adminController.getManagers);
@@ -26,6 +39,17 @@ router.put(
     adminController.updateManagerStatus
 );
 
+router.put(
+    '/managers/:id/assignment',
+    mongoIdValidation,
+    body('teams').optional().isArray().withMessage('Teams must be an array'),
+    body('teams.*').isString().withMessage('Team names must be strings'),
+    body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+    body('weight').optional().isFloat({ min: 0.1 }).withMessage('Weight must be at least 0.1'),
+    validate,
+    adminController.updateManagerAssignment
+);
+
 // Admin management
 router.get('/admins', adminController.getAdmins);
 
@@ -51,5 +75,358 @@ router.put('/groups',
     adminController.updateAdminGroups
 );
 
+// Operational checklist templates
+router.get('/checklist-templates', adminController.getChecklistTemplates);
+
+router.post(
+    '/checklist-templates',
+    body('name').notEmpty().withMessage('Template name is required'),
+    body('items').isArray({ min: 1 }).withMessage('Template must have at least one item'),
+    body('items.*.key').notEmpty().withMessage('Item key is required'),
+    body('items.*.label').notEmpty().withMessage('Item label is required'),
+    body('items.*.required').optional().isBoolean().withMessage('Item required flag must be a boolean'),
+    body('items.*.responsibleRole').optional().isIn(['admin', 'manager']).withMessage('Invalid responsible role'),
+    body('items.*.dueOffsetDays').optional().isInt({ min: 0 }).withMessage('Due offset must be a positive number of days'),
+    body('appliesTo.ownershipTypes.*').optional().isIn(['owned', 'consignment']).withMessage('Invalid ownership type'),
+    validate,
+    adminController.createChecklistTemplate
+);
+
+router.put(
+    '/checklist-templates/:id',
+    mongoIdValidation,
+    body('items').optional().isArray({ min: 1 }).withMessage('Template must have at least one item'),
+    body('items.*.key').optional().notEmpty().withMessage('Item key is required'),
+    body('items.*.responsibleRole').optional().isIn(['admin', 'manager']).withMessage('Invalid responsible role'),
+    body('items.*.dueOffsetDays').optional().isInt({ min: 0 }).withMessage('Due offset must be a positive number of days'),
+    body('appliesTo.ownershipTypes.*').optional().isIn(['owned', 'consignment']).withMessage('Invalid ownership type'),
+    validate,
+    adminController.updateChecklistTemplate
+);
+
+router.delete(
+    '/checklist-templates/:id',
+    mongoIdValidation,
+    validate,
+    adminController.deleteChecklistTemplate
+);
+
+// Classified listing feed channels
+router.get('/feed-channels', adminController.getFeedChannels);
+
+router.post(
+    '/feed-channels',
+    body('name').trim().notEmpty().withMessage('Channel name is required'),
+    body('formats').optional().isArray({ min: 1 }).withMessage('formats must be a non-empty array'),
+    body('formats.*').isIn(FeedChannel.FEED_FORMATS).withMessage(`Formats must be one of: ${FeedChannel.FEED_FORMATS.join(', ')}`),
+    validate,
+    adminController.createFeedChannel
+);
+
+router.put(
+    '/feed-channels/:id',
+    mongoIdValidation,
+    body('name').optional().trim().notEmpty().withMessage('Channel name cannot be empty'),
+    body('formats').optional().isArray({ min: 1 }).withMessage('formats must be a non-empty array'),
+    body('formats.*').isIn(FeedChannel.FEED_FORMATS).withMessage(`Formats must be one of: ${FeedChannel.FEED_FORMATS.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate,
+    adminController.updateFeedChannel
+);
+
+router.post(
+    '/feed-channels/:id/rotate-token',
+    mongoIdValidation,
+    validate,
+    adminController.rotateFeedChannelToken
+);
+
+router.delete(
+    '/feed-channels/:id',
+    mongoIdValidation,
+    validate,
+    adminController.deleteFeedChannel
+);
+
+// Public web form sites ("sell your car" / "buy a car" intake)
+const webFormSiteValidation = [
+    body('allowedOrigins').optional().isArray().withMessage('allowedOrigins must be an array'),
+    body('allowedOrigins.*').isURL({ require_protocol: true, require_tld: false }).withMessage('Allowed origins must be URLs like https://www.example.com'),
+    body('formTypes').optional().isArray({ min: 1 }).withMessage('formTypes must be a non-empty array'),
+    body('formTypes.*').isIn(WebFormSite.FORM_TYPES).withMessage(`Form types must be one of: ${WebFormSite.FORM_TYPES.join(', ')}`),
+    body('honeypotField').optional().trim().matches(/^[A-Za-z_][A-Za-z0-9_-]{0,49}$/).withMessage('honeypotField must be a form field name'),
+    body('requireCaptcha').optional().isBoolean().withMessage('requireCaptcha must be a boolean')
+];
+
+router.get('/web-form-sites', adminController.getWebFormSites);
+
+router.post(
+    '/web-form-sites',
+    body('name').trim().notEmpty().withMessage('Site name is required'),
+    webFormSiteValidation,
+    validate,
+    adminController.createWebFormSite
+);
+
+router.put(
+    '/web-form-sites/:id',
+    mongoIdValidation,
+    body('name').optional().trim().notEmpty().withMessage('Site name cannot be empty'),
+    webFormSiteValidation,
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate,
+    adminController.updateWebFormSite
+);
+
+router.post(
+    '/web-form-sites/:id/rotate-key',
+    mongoIdValidation,
+    validate,
+    adminController.rotateWebFormSiteKey
+);
+
+router.delete(
+    '/web-form-sites/:id',
+    mongoIdValidation,
+    validate,
+    adminController.deleteWebFormSite
+);
+
+router.get(
+    '/web-form-submissions',
+    query('site').optional().isMongoId().withMessage('Valid site ID is required'),
+    query('status').optional().isIn(WebFormSubmission.SUBMISSION_STATUSES).withMessage(`Status must be one of: ${WebFormSubmission.SUBMISSION_STATUSES.join(', ')}`),
+    query('formType').optional().isIn(WebFormSite.FORM_TYPES).withMessage(`Form type must be one of: ${WebFormSite.FORM_TYPES.join(', ')}`),
+    query('reviewStatus').optional().isIn(WebFormSubmission.REVIEW_STATUSES).withMessage(`Review status must be one of: ${WebFormSubmission.REVIEW_STATUSES.join(', ')}`),
+    query('startDate').optional().isISO8601().withMessage('startDate must be a date'),
+    query('endDate').optional().isISO8601().withMessage('endDate must be a date'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500'),
+    validate,
+    adminController.getWebFormSubmissions
+);
+
+// Repeat enquiries that matched an open lead wait here instead of being added to it
+router.put(
+    '/web-form-submissions/:id/review',
+    mongoIdValidation,
+    body('action').isIn(['apply', 'dismiss']).withMessage('action must be apply or dismiss'),
+    validate,
+    adminController.reviewWebFormSubmission
+);
+
+// WhatsApp message templates (names must match templates approved with the provider)
+const whatsAppTemplateValidation = [
+    body('language').optional().trim().matches(/^[a-z]{2}(_[A-Z]{2})?$/).withMessage('language must be a code like en or en_US'),
+    body('category').optional().isIn(['marketing', 'utility', 'authentication']).withMessage('category must be marketing, utility or authentication'),
+    body('variables').optional().isArray().withMessage('variables must be an array'),
+    body('variables.*.source').optional().isIn(WhatsAppTemplate.VARIABLE_SOURCES).withMessage(`Variable source must be one of: ${WhatsAppTemplate.VARIABLE_SOURCES.join(', ')}`),
+    body('leadType').optional().isIn(['purchase', 'sales', 'any']).withMessage('leadType must be purchase, sales or any')
+];
+
+router.get('/whatsapp-templates', adminController.getWhatsAppTemplates);
+
+router.post(
+    '/whatsapp-templates',
+    body('name').trim().notEmpty().withMessage('Template name is required'),
+    body('body').trim().notEmpty().withMessage('Template body is required'),
+    whatsAppTemplateValidation,
+    validate,
+    adminController.createWhatsAppTemplate
+);
+
+router.put(
+    '/whatsapp-templates/:id',
+    mongoIdValidation,
+    body('name').optional().trim().notEmpty().withMessage('Template name cannot be empty'),
+    body('body').optional().trim().notEmpty().withMessage('Template body cannot be empty'),
+    whatsAppTemplateValidation,
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate,
+    adminController.updateWhatsAppTemplate
+);
+
+router.delete(
+    '/whatsapp-templates/:id',
+    mongoIdValidation,
+    validate,
+    adminController.deleteWhatsAppTemplate
+);
+
+// Loss reasons picked when a lead is lost or cancelled
+const lossReasonValidation = [
+    body('description').optional().isString().trim(),
+    body('statuses').optional().isArray({ min: 1 }).withMessage('statuses must list at least one status'),
+    body('statuses.*').isIn(LossReason.LOSS_STATUSES).withMessage(`Status must be one of: ${LossReason.LOSS_STATUSES.join(', ')}`),
+    body('leadType').optional().isIn(['purchase', 'sales', 'any']).withMessage('leadType must be purchase, sales or any'),
+    body('expectsCompetitor').optional().isBoolean().withMessage('expectsCompetitor must be a boolean'),
+    body('order').optional().isInt().withMessage('order must be a number')
+];
+
+router.get(
+    '/loss-reasons',
+    query('active').optional().isBoolean().withMessage('active must be true or false'),
+    validate,
+    adminController.getLossReasons
+);
+
+router.post(
+    '/loss-reasons',
+    body('label').trim().notEmpty().withMessage('Label is required').isLength({ max: 100 }).withMessage('Label cannot exceed 100 characters'),
+    lossReasonValidation,
+    validate,
+    adminController.createLossReason
+);
+
+router.put(
+    '/loss-reasons/:id',
+    mongoIdValidation,
+    body('label').optional().trim().notEmpty().withMessage('Label cannot be empty').isLength({ max: 100 }).withMessage('Label cannot exceed 100 characters'),
+    lossReasonValidation,
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate,
+    adminController.updateLossReason
+);
+
+router.delete(
+    '/loss-reasons/:id',
+    mongoIdValidation,
+    validate,
+    adminController.deleteLossReason
+);
+
+// Stock locations (showrooms, yards, workshops)
+const STOCK_LOCATION_TYPES = ['showroom', 'yard', 'workshop', 'other'];
+
+router.get('/stock-locations', adminController.getStockLocations);
+
+router.post(
+    '/stock-locations',
+    body('name').trim().notEmpty().withMessage('Location name is required'),
+    body('type').isIn(STOCK_LOCATION_TYPES).withMessage(`Type must be one of: ${STOCK_LOCATION_TYPES.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate,
+    adminController.createStockLocation
+);
+
+router.put(
+    '/stock-locations/:id',
+    mongoIdValidation,
+    body('name').optional().trim().notEmpty().withMessage('Location name cannot be empty'),
+    body('type').optional().isIn(STOCK_LOCATION_TYPES).withMessage(`Type must be one of: ${STOCK_LOCATION_TYPES.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate,
+    adminController.updateStockLocation
+);
+
+router.delete(
+    '/stock-locations/:id',
+    mongoIdValidation,
+    validate,
+    adminController.deleteStockLocation
+);
+
+// Lead pipelines (stages, transitions, required fields, stage-entry automations, SLAs)
+const leadTypeValidation = param('leadType').isIn(['purchase', 'sales']).withMessage('Lead type must be purchase or sales');
+
+router.get('/pipelines', adminController.getLeadPipelines);
+
+router.put(
+    '/pipelines/:leadType',
+    leadTypeValidation,
+    body('stages').isArray({ min: 1 }).withMessage('Pipeline must have at least one stage'),
+    body('stages.*.key').matches(/^[a-z][a-z0-9_]*$/).withMessage('Stage key may only contain lowercase letters, digits and underscores'),
+    body('stages.*.label').trim().notEmpty().withMessage('Stage label is required'),
+    body('stages.*.allowedTransitions').optional().isArray().withMessage('Allowed transitions must be an array'),
+    body('stages.*.requiredFields').optional().isArray().withMessage('Required fields must be an array'),
+    body('stages.*.requiredFields.*').isIn(Object.keys(LeadPipeline.REQUIRED_FIELD_OPTIONS)).withMessage('Invalid required field'),
+    body('stages.*.entryAutomations').optional().isArray().withMessage('Entry automations must be an array'),
+    body('stages.*.entryAutomations.*.action').isIn(LeadPipeline.AUTOMATION_ACTIONS).withMessage('Invalid automation action'),
+    body('stages.*.entryAutomations.*.dueInDays').optional().isInt({ min: 0 }).withMessage('Due in days must be a positive number'),
+    body('stages.*.slaHours').optional().isObject().withMessage('SLA hours must be an object of priority to hours'),
+    ...LeadPipeline.SLA_PRIORITIES.map(priority =>
+        body(`stages.*.slaHours.${priority}`).optional({ nullable: true }).isFloat({ gt: 0 }).withMessage(`SLA hours for ${priority} priority must be more than zero`)),
+    body('sla.atRiskPercent').optional().isFloat({ min: 1, max: 100 }).withMessage('At-risk percent must be between 1 and 100'),
+    body('sla.adminEscalationHours').optional().isFloat({ min: 0 }).withMessage('Admin escalation hours must be zero or more'),
+    body('stages.*.isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate,
+    adminController.updateLeadPipeline
+);
+
+router.delete(
+    '/pipelines/:leadType',
+    leadTypeValidation,
+    validate,
+    adminController.resetLeadPipeline
+);
+
+// Lead scoring weights
+const LEAD_SOURCES = ['phone', 'email', 'walk-in', 'website', 'referral', 'social-media', 'other'];
+
+router.get('/lead-scoring', adminController.getLeadScoringConfig);
+
+router.put(
+    '/lead-scoring',
+    body('weights').optional().isObject().withMessage('Weights must be an object'),
+    ...LeadScoringConfig.SCORE_FACTORS.map(factor =>
+        body(`weights.${factor}`).optional().isFloat({ min: 0 }).withMessage(`Weight for ${factor} must be zero or more`)),
+    body('sourceScores').optional().isObject().withMessage('Source scores must be an object'),
+    ...LEAD_SOURCES.map(source =>
+        body(`sourceScores.${source}`).optional().isFloat({ min: 0, max: 100 }).withMessage(`Score for ${source} must be between 0 and 100`)),
+    body('sourceScores').optional().custom(value => Object.keys(value).every(source => LEAD_SOURCES.includes(source)))
+        .withMessage(`Source scores may only include: ${LEAD_SOURCES.join(', ')}`),
+    body('freshnessHalfLifeDays').optional().isFloat({ min: 1 }).withMessage('Freshness half-life must be at least 1 day'),
+    body('maxVehicleAgeYears').optional().isFloat({ min: 1 }).withMessage('Maximum vehicle age must be at least 1 year'),
+    body('maxMileage').optional().isFloat({ min: 1 }).withMessage('Maximum mileage must be positive'),
+    body('activityWindowDays').optional().isFloat({ min: 1 }).withMessage('Activity window must be at least 1 day'),
+    validate,
+    adminController.updateLeadScoringConfig
+);
+
+// Lead assignment rules (routing by source, make or team)
+const assignmentRuleValidation = [
+    body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+    body('leadType').optional().isIn(['purchase', 'sales', 'any']).withMessage('Lead type must be purchase, sales or any'),
+    body('conditions.sources').optional().isArray().withMessage('Sources must be an array'),
+    body('conditions.sources.*').isIn(LEAD_SOURCES).withMessage('Invalid lead source'),
+    body('conditions.makes').optional().isArray().withMessage('Makes must be an array'),
+    body('target.managers').optional().isArray().withMessage('Target managers must be an array'),
+    body('target.managers.*').isMongoId().withMessage('Invalid manager ID'),
+    body('target.teams').optional().isArray().withMessage('Target teams must be an array'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+router.get('/assignment-rules', adminController.getAssignmentRules);
+
+router.post(
+    '/assignment-rules/run',
+    body('type').optional().isIn(['purchase', 'sales']).withMessage('Type must be purchase or sales'),
+    validate,
+    adminController.runLeadAssignment
+);
+
+router.post(
+    '/assignment-rules',
+    body('name').trim().notEmpty().withMessage('Rule name is required'),
+    ...assignmentRuleValidation,
+    validate,
+    adminController.createAssignmentRule
+);
+
+router.put(
+    '/assignment-rules/:id',
+    mongoIdValidation,
+    body('name').optional().trim().notEmpty().withMessage('Rule name cannot be empty'),
+    ...assignmentRuleValidation,
+    validate,
+    adminController.updateAssignmentRule
+);
+
+router.delete(
+    '/assignment-rules/:id',
+    mongoIdValidation,
+    validate,
+    adminController.deleteAssignmentRule
+);
+
 module.exports = router;
 
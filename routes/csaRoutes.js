@@ -5,6 +5,7 @@ const { authenticate, isAdmin, isAdminOrManager } = require('../middleware/auth'
 const {
     validate,
     createTicketValidation,
+    listQueryValidation,
     mongoIdValidation
 } = require('../middleware/validators');
 
@@ -19,7 +20,7 @@ router.post(
 );
 
 // Get all tickets
-router.get('/tickets', authenticate, csaController.getTickets);
+router.get('/tickets', authenticate, listQueryValidation, validate, csaController.getTickets);
 
 // Get ticket by ID
 router.get(
@@ -9,6 +9,9 @@ router.use(authenticate);
 // Export inventory
 router.get('/inventory', exportController.exportInventory);
 
+// Export inventory aging and holding-cost report
+router.get('/inventory-aging', exportController.exportInventoryAging);
+
 // Export leads
 router.get('/leads', exportController.exportLeads);
 
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feedController');
+const { authenticateFeedChannel } = require('../middleware/feedAuth');
+const { apiRateLimiter } = require('../middleware/rateLimiter');
+
+// Classified listing feeds, protected by per-channel tokens
+router.use(apiRateLimiter);
+
+router.get('/meta.csv', authenticateFeedChannel('meta_csv'), feedController.getMetaCatalogFeed);
+
+router.get('/listings.xml', authenticateFeedChannel('xml'), feedController.getXmlFeed);
+
+router.get('/listings.json', authenticateFeedChannel('json'), feedController.getJsonFeed);
+
+module.exports = router;
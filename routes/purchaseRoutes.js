@@ -7,10 +7,13 @@ const { authenticate, isAdmin, isAdminOrManager } = require('../middleware/auth'
 const {
     validate,
     createLeadValidation,
-    createPOValidation,
+    listQueryValidation,
     mongoIdValidation
 } = require('../middleware/validators');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { GALLERY_TAGS } = require('../utils/carGallery');
+const { TIMELINE_EVENT_TYPES } = require('../utils/leadTimeline');
+const Vehicle = require('../models/Vehicle');
 
 // Configure multer with Cloudinary storage
 const fileFilter = (req, file, cb) => {
@@ -30,6 +33,30 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+// Lead import spreadsheets are parsed in memory, never stored
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024
+    },
+    fileFilter: (req, file, cb) => {
+        if (/\.(xlsx|csv)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            const error = new Error('Invalid file type. Only XLSX and CSV files can be imported.');
+            error.statusCode = 400;
+            cb(error, false);
+        }
+    }
+});
+
+// Reason, competitor and price when a lead is lost or cancelled
+const lossDetailsValidation = [
+    body('lossReasonId').optional().isMongoId().withMessage('Valid loss reason ID is required'),
+    body('competitor').optional().isString().trim().isLength({ max: 100 }).withMessage('Competitor cannot exceed 100 characters'),
+    body('lostPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Lost price must be zero or more')
+];
+
 // Lead routes
 router.post(
     '/leads',
@@ -52,7 +79,90 @@ router.post(
     purchaseController.bulkCreateLeads
 );
 
-router.get('/leads', authenticate, purchaseController.getLeads);
+router.post(
+    '/leads/import',
+    authenticate,
+    isAdmin,
+    importUpload.single('file'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+    body('skipDuplicates').optional().isBoolean().withMessage('skipDuplicates must be true or false'),
+    body('defaultSource').optional().isIn(['phone', 'email', 'walk-in', 'website', 'referral', 'social-media', 'other']).withMessage('Invalid default source'),
+    body('defaultPriority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid default priority'),
+    body('sheetName').optional().isString().trim(),
+    validate,
+    purchaseController.importLeads
+);
+
+router.get(
+    '/leads/imports/:id',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    validate,
+    purchaseController.getLeadImport
+);
+
+router.get(
+    '/leads/imports/:id/errors',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    validate,
+    purchaseController.downloadLeadImportErrors
+);
+
+router.get(
+    '/leads',
+    authenticate,
+    query('sortBy').optional().isIn(['createdAt', 'updatedAt', 'score']).withMessage('sortBy must be createdAt, updatedAt or score'),
+    query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+    listQueryValidation,
+    validate,
+    purchaseController.getLeads
+);
+
+// Leads at risk of breaching or past their stage SLA
+router.get(
+    '/leads/sla',
+    authenticate,
+    isAdminOrManager,
+    query('leadType').optional().isIn(['purchase', 'sales']).withMessage('leadType must be purchase or sales'),
+    query('status').optional().isIn(['at_risk', 'breached']).withMessage('status must be at_risk or breached'),
+    query('assignedTo').optional().isMongoId().withMessage('assignedTo must be a valid manager ID'),
+    validate,
+    purchaseController.getLeadSlaReport
+);
+
+router.get(
+    '/loss-reasons',
+    authenticate,
+    isAdminOrManager,
+    query('status').optional().isIn(['lost', 'cancelled']).withMessage('status must be lost or cancelled'),
+    query('leadType').optional().isIn(['purchase', 'sales']).withMessage('leadType must be purchase or sales'),
+    validate,
+    purchaseController.getActiveLossReasons
+);
+
+// Loss reasons, competitors and win rates of closed leads
+router.get(
+    '/leads/win-loss',
+    authenticate,
+    isAdmin,
+    query('leadType').optional().isIn(['purchase', 'sales']).withMessage('leadType must be purchase or sales'),
+    query('startDate').optional().isISO8601().withMessage('startDate must be a valid date'),
+    query('endDate').optional().isISO8601().withMessage('endDate must be a valid date'),
+    query('assignedTo').optional().isMongoId().withMessage('assignedTo must be a valid manager ID'),
+    validate,
+    purchaseController.getWinLossReport
+);
+
+router.get(
+    '/pipelines/:leadType',
+    authenticate,
+    param('leadType').isIn(['purchase', 'sales']).withMessage('Lead type must be purchase or sales'),
+    validate,
+    purchaseController.getLeadPipelineStages
+);
 
 router.put(
     '/leads/bulk-status',
@@ -61,6 +171,7 @@ router.put(
     body('leadIds').isArray().withMessage('leadIds must be an array'),
     body('status').notEmpty().withMessage('Status is required'),
     body('notes').optional().isString(),
+    lossDetailsValidation,
     validate,
     purchaseController.bulkUpdateLeadStatus
 );
@@ -73,11 +184,52 @@ router.get(
     purchaseController.getLeadById
 );
 
+// Likely duplicates of a lead (same VIN, phone, email or Emirates ID)
+router.get(
+    '/leads/:id/duplicates',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    validate,
+    purchaseController.getLeadDuplicates
+);
+
+// Merged activity feed of a lead, filterable by event type
+router.get(
+    '/leads/:id/timeline',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    query('types').optional().custom(value => String(value).split(',').every(type => TIMELINE_EVENT_TYPES.includes(type.trim())))
+        .withMessage(`types must be a comma-separated list of: ${TIMELINE_EVENT_TYPES.join(', ')}`),
+    query('startDate').optional().isISO8601().withMessage('startDate must be a valid date'),
+    query('endDate').optional().isISO8601().withMessage('endDate must be a valid date'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+    validate,
+    purchaseController.getLeadTimeline
+);
+
+// Merge duplicate leads into this lead (Admin only)
+router.post(
+    '/leads/:id/merge',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    body('duplicateLeadIds').isArray({ min: 1 }).withMessage('duplicateLeadIds must be a non-empty array'),
+    body('duplicateLeadIds.*').isMongoId().withMessage('Invalid duplicate lead ID'),
+    body('lossReasonId').optional().isMongoId().withMessage('Valid loss reason ID is required'),
+    validate,
+    purchaseController.mergeLeads
+);
+
 router.put(
     '/leads/:id/status',
     authenticate,
     isAdminOrManager,
     mongoIdValidation,
+    lossDetailsValidation,
     validate,
     purchaseController.updateLeadStatus
 );
@@ -101,6 +253,28 @@ router.delete(
     purchaseController.deleteNote
 );
 
+// Data-driven buy price and sell range from comparable cars
+router.get(
+    '/leads/:id/pricing-recommendation',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    query('yearBand').optional().isInt({ min: 0, max: 10 }).withMessage('yearBand must be between 0 and 10'),
+    query('mileageBand').optional().isInt({ min: 0 }).withMessage('mileageBand must be a positive number'),
+    query('targetMargin').optional().isFloat({ min: 0, max: 100 }).withMessage('targetMargin must be between 0 and 100'),
+    validate,
+    purchaseController.getPricingRecommendation
+);
+
+router.get(
+    '/leads/:id/price-analysis/history',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    validate,
+    purchaseController.getPriceAnalysisHistory
+);
+
 router.put(
     '/leads/:id/price-analysis',
     authenticate,
@@ -111,6 +285,11 @@ router.put(
         .isString()
         .isLength({ min: 5, max: 30 })
         .withMessage('VIN must be a string between 5 and 30 characters'),
+    body('reason')
+        .optional({ values: 'falsy' })
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Reason must be at most 500 characters'),
     body('minSellingPrice')
         .optional({ values: 'falsy' })
         .isFloat({ min: 0 })
@@ -200,6 +379,20 @@ router.post(
     purchaseController.convertLeadToVehicle
 );
 
+// Take a lead's car on consignment and send the contract (Admin only)
+router.post(
+    '/leads/:id/consignment',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    body('minimumPrice').isFloat({ min: 0 }).withMessage('Minimum price must be a positive number'),
+    body('commissionType').isIn(['percentage', 'fixed']).withMessage('Commission type must be percentage or fixed'),
+    body('commissionValue').isFloat({ min: 0 }).withMessage('Commission must be a positive number'),
+    body('owner.email').optional().isEmail().withMessage('Valid owner email is required'),
+    validate,
+    purchaseController.createConsignment
+);
+
 // Bulk convert leads to vehicles with invoice payment details
 router.post(
     '/leads/bulk-purchase',
@@ -223,6 +416,73 @@ router.post(
     purchaseController.uploadDocuments
 );
 
+// Car picture gallery
+router.get(
+    '/leads/:id/gallery',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    validate,
+    purchaseController.getLeadGallery
+);
+
+router.put(
+    '/leads/:id/gallery/order',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('pictureIds').isArray({ min: 1 }).withMessage('pictureIds must be a non-empty array'),
+    body('pictureIds.*').isMongoId().withMessage('Invalid picture ID'),
+    validate,
+    purchaseController.reorderLeadGallery
+);
+
+router.put(
+    '/leads/:id/gallery/cover',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('pictureId').isMongoId().withMessage('Valid picture ID is required'),
+    validate,
+    purchaseController.setLeadGalleryCover
+);
+
+// Images received by email only reach the gallery (and listing feed) when staff promote them
+router.post(
+    '/leads/:id/gallery/promote',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('attachmentIds').isArray({ min: 1 }).withMessage('attachmentIds must be a non-empty array'),
+    body('attachmentIds.*').isMongoId().withMessage('Invalid attachment ID'),
+    validate,
+    purchaseController.promoteEmailAttachments
+);
+
+router.post(
+    '/leads/:id/gallery/bulk-delete',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    body('pictureIds').isArray({ min: 1 }).withMessage('pictureIds must be a non-empty array'),
+    body('pictureIds.*').isMongoId().withMessage('Invalid picture ID'),
+    validate,
+    purchaseController.bulkDeleteGalleryPictures
+);
+
+router.put(
+    '/leads/:id/gallery/:pictureId',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    param('pictureId').isMongoId().withMessage('Invalid picture ID'),
+    body('caption').optional().isString().isLength({ max: 200 }).withMessage('Caption must be at most 200 characters'),
+    body('tags').optional().isArray().withMessage('tags must be an array'),
+    body('tags.*').isIn(GALLERY_TAGS).withMessage(`Tags must be one of: ${GALLERY_TAGS.join(', ')}`),
+    validate,
+    purchaseController.updateGalleryPicture
+);
+
 router.delete(
     '/leads/:id/documents/:docId',
     authenticate,
@@ -290,16 +550,7 @@ router.put(
     purchaseController.assignLead
 );
 
-// Purchase Order routes
-router.post(
-    '/po',
-    authenticate,
-    isAdminOrManager,
-    createPOValidation,
-    validate,
-    purchaseController.createPurchaseOrder
-);
-
+// Purchase Order routes (created from a lead: PUT /leads/:id/purchase-order)
 router.get('/po', authenticate, purchaseController.getPurchaseOrders);
 
 router.post(
@@ -312,7 +563,21 @@ router.post(
 );
 
 // Inventory routes
-router.get('/inventory', authenticate, purchaseController.getInventory);
+router.get(
+    '/inventory',
+    authenticate,
+    query('site').optional().isMongoId().withMessage('Invalid stock location ID'),
+    listQueryValidation,
+    validate,
+    purchaseController.getInventory
+);
+
+router.get(
+    '/inventory/aging',
+    authenticate,
+    isAdminOrManager,
+    purchaseController.getInventoryAging
+);
 
 router.get(
     '/inventory/:id',
@@ -331,6 +596,192 @@ router.put(
     purchaseController.markVehicleAsReady
 );
 
+router.put(
+    '/vehicles/:id/status',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('status').notEmpty().withMessage('Status is required'),
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    validate,
+    purchaseController.updateVehicleStatus
+);
+
+router.put(
+    '/vehicles/:id/listing-price',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('listingPrice').isFloat({ min: 0 }).withMessage('Listing price must be a positive number'),
+    validate,
+    purchaseController.updateVehicleListingPrice
+);
+
+router.put(
+    '/vehicles/:id/checklist-template',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    body('templateId').optional({ nullable: true }).isMongoId().withMessage('Invalid template ID'),
+    body('category').optional().isString().withMessage('Category must be a string'),
+    validate,
+    purchaseController.applyVehicleChecklistTemplate
+);
+
+// Physical location, key tracking and stock-takes
+router.put(
+    '/vehicles/:id/location',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('site').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid stock location ID'),
+    body('bay').optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('Bay must be at most 50 characters'),
+    body('keyHolder').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Key holder must be at most 100 characters'),
+    body('reason').isIn(Vehicle.MOVE_REASONS).withMessage(`Reason must be one of: ${Vehicle.MOVE_REASONS.join(', ')}`),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    validate,
+    purchaseController.updateVehicleLocation
+);
+
+router.get(
+    '/vehicles/:id/location-history',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    validate,
+    purchaseController.getVehicleLocationHistory
+);
+
+router.post(
+    '/stock-takes',
+    authenticate,
+    isAdminOrManager,
+    body('site').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid stock location ID'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    validate,
+    purchaseController.startStockTake
+);
+
+router.get(
+    '/stock-takes',
+    authenticate,
+    isAdminOrManager,
+    query('status').optional().isIn(['open', 'completed', 'cancelled']).withMessage('Invalid stock-take status'),
+    validate,
+    purchaseController.getStockTakes
+);
+
+router.get(
+    '/stock-takes/:id',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    validate,
+    purchaseController.getStockTakeById
+);
+
+router.post(
+    '/stock-takes/:id/confirm',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('vehicle').isString().trim().notEmpty().withMessage('Vehicle ID or VIN is required'),
+    body('site').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid stock location ID'),
+    body('bay').optional().isString().trim().isLength({ max: 50 }).withMessage('Bay must be at most 50 characters'),
+    body('keyHolder').optional().isString().trim().isLength({ max: 100 }).withMessage('Key holder must be at most 100 characters'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    validate,
+    purchaseController.confirmStockTakeVehicle
+);
+
+router.post(
+    '/stock-takes/:id/complete',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('applyCorrections').optional().isBoolean().withMessage('applyCorrections must be a boolean'),
+    validate,
+    purchaseController.completeStockTake
+);
+
+router.post(
+    '/stock-takes/:id/cancel',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    validate,
+    purchaseController.cancelStockTake
+);
+
+// Vehicle reconditioning expense ledger
+const EXPENSE_CATEGORIES = ['mechanical', 'bodywork_paint', 'tyres', 'detailing', 'parts', 'inspection', 'registration', 'transport', 'other'];
+
+router.get(
+    '/vehicles/:id/expenses',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    validate,
+    purchaseController.getVehicleExpenses
+);
+
+router.post(
+    '/vehicles/:id/expenses',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    upload.single('evidence'),
+    body('category').isIn(EXPENSE_CATEGORIES).withMessage('Invalid expense category'),
+    body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+    body('investorId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid investor ID'),
+    body('incurredAt').optional().isISO8601().withMessage('Expense date must be a valid date'),
+    // validated in the controller, which also removes the uploaded evidence
+    purchaseController.addVehicleExpense
+);
+
+router.put(
+    '/vehicles/:id/expenses/:expenseId',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    upload.single('evidence'),
+    body('category').optional().isIn(EXPENSE_CATEGORIES).withMessage('Invalid expense category'),
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+    body('investorId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid investor ID'),
+    body('incurredAt').optional().isISO8601().withMessage('Expense date must be a valid date'),
+    // validated in the controller, which also removes the uploaded evidence
+    purchaseController.updateVehicleExpense
+);
+
+router.delete(
+    '/vehicles/:id/expenses/:expenseId',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    validate,
+    purchaseController.deleteVehicleExpense
+);
+
+// Consignment contract and owner payout
+router.post(
+    '/vehicles/:id/consignment/contract',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    validate,
+    purchaseController.resendConsignmentContract
+);
+
+router.put(
+    '/vehicles/:id/consignment/payout',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    body('paymentReference').notEmpty().withMessage('Payment reference is required'),
+    validate,
+    purchaseController.markConsignmentPayoutPaid
+);
+
 router.put(
     '/:vehicleId/checklist',
     authenticate,
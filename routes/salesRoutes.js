@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const salesController = require('../controllers/salesController');
+const { body } = require('express-validator');
 const { authenticate, isAdmin, isAdminOrManager } = require('../middleware/auth');
 const {
     validate,
     createLeadValidation,
     createSaleValidation,
+    listQueryValidation,
     mongoIdValidation
 } = require('../middleware/validators');
 
@@ -19,7 +21,7 @@ router.post(
     salesController.createSalesLead
 );
 
-router.get('/leads', authenticate, salesController.getSalesLeads);
+router.get('/leads', authenticate, listQueryValidation, validate, salesController.getSalesLeads);
 
 // Sales routes
 router.post(
@@ -31,6 +33,31 @@ router.post(
     salesController.closeSale
 );
 
+// Reservation routes
+router.post(
+    '/vehicles/:id/reserve',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('customerName').notEmpty().withMessage('Customer name is required'),
+    body('depositAmount').isFloat({ min: 0 }).withMessage('Deposit amount must be a positive number'),
+    body('paymentReference').optional().isString().withMessage('Payment reference must be a string'),
+    body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date'),
+    body('salesLeadId').optional().isMongoId().withMessage('Invalid sales lead ID'),
+    validate,
+    salesController.reserveVehicle
+);
+
+router.post(
+    '/vehicles/:id/release',
+    authenticate,
+    isAdminOrManager,
+    mongoIdValidation,
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    validate,
+    salesController.releaseVehicleReservation
+);
+
 router.post(
     '/:id/approve',
     authenticate,
@@ -40,6 +67,16 @@ router.post(
     salesController.approveSale
 );
 
+router.post(
+    '/:id/reject',
+    authenticate,
+    isAdmin,
+    mongoIdValidation,
+    body('reason').trim().notEmpty().withMessage('Rejection reason is required'),
+    validate,
+    salesController.rejectSale
+);
+
 router.get('/', authenticate, salesController.getSales);
 
 router.get('/report', authenticate, salesController.getSalesReport);
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const viewController = require('../controllers/viewController');
+const SavedView = require('../models/SavedView');
+const { authenticate, isAdminOrManager } = require('../middleware/auth');
+const { validate, mongoIdValidation } = require('../middleware/validators');
+const { body, query } = require('express-validator');
+
+// Saved (named) views of the lead, inventory and ticket lists
+router.use(authenticate);
+router.use(isAdminOrManager);
+
+const viewBodyValidation = [
+    body('description').optional().isString().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('query').optional().isObject().withMessage('query must be an object of list parameters'),
+    body('visibility').optional().isIn(['personal', 'shared']).withMessage('visibility must be personal or shared')
+];
+
+router.get(
+    '/',
+    query('resource').optional().isIn(SavedView.VIEW_RESOURCES).withMessage(`resource must be one of ${SavedView.VIEW_RESOURCES.join(', ')}`),
+    validate,
+    viewController.getSavedViews
+);
+
+router.get('/:id', mongoIdValidation, validate, viewController.getSavedView);
+
+router.post(
+    '/',
+    body('name').trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('resource').isIn(SavedView.VIEW_RESOURCES).withMessage(`resource must be one of ${SavedView.VIEW_RESOURCES.join(', ')}`),
+    viewBodyValidation,
+    validate,
+    viewController.createSavedView
+);
+
+router.put(
+    '/:id',
+    mongoIdValidation,
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    viewBodyValidation,
+    validate,
+    viewController.updateSavedView
+);
+
+router.delete('/:id', mongoIdValidation, validate, viewController.deleteSavedView);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { storage } = require('../cloudinary');
+const webFormController = require('../controllers/webFormController');
+const { authenticateWebFormSite } = require('../middleware/webFormAuth');
+const { webFormIpRateLimiter, webFormSiteRateLimiter } = require('../middleware/rateLimiter');
+const { body } = require('express-validator');
+
+const MAX_PHOTOS = 10;
+
+// Public uploads are limited to photos
+const photoFilter = (req, file, cb) => {
+    const allowedTypes = ['image/png', 'image/jpeg', 'image/jpg'];
+    if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        const error = new Error('Invalid file type. Only PNG and JPG photos are allowed.');
+        error.statusCode = 400;
+        cb(error, false);
+    }
+};
+
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB per photo
+        files: MAX_PHOTOS
+    },
+    fileFilter: photoFilter
+});
+
+// Checked inside the controller so rejected submissions are logged and their photos removed
+const webFormValidation = [
+    body('formType').isIn(['sell', 'buy']).withMessage('formType must be sell or buy'),
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }).withMessage('Name is too long'),
+    body('phone').optional({ checkFalsy: true }).trim().matches(/^[+\d][\d\s()-]{6,19}$/).withMessage('Valid phone number is required'),
+    body('email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Valid email is required'),
+    body('phone').custom((phone, { req }) => {
+        if (!phone && !req.body.email) throw new Error('A phone number or email is required');
+        return true;
+    }),
+    body('preferredContact').optional({ checkFalsy: true }).isIn(['phone', 'email', 'whatsapp']).withMessage('preferredContact must be phone, email or whatsapp'),
+    body('make').optional({ checkFalsy: true }).trim().isLength({ max: 50 }),
+    body('model').optional({ checkFalsy: true }).trim().isLength({ max: 50 }),
+    body('year').optional({ checkFalsy: true }).isInt({ min: 1950, max: new Date().getFullYear() + 1 }).withMessage('Valid year is required'),
+    body('mileage').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('Mileage must be a positive number'),
+    body('price').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('message').optional({ checkFalsy: true }).trim().isLength({ max: 2000 }).withMessage('Message is too long'),
+    body('pageUrl').optional({ checkFalsy: true }).trim().isLength({ max: 500 })
+];
+
+// Public website forms ("sell your car" / "buy a car"), protected by per-site API keys
+router.post(
+    '/leads',
+    webFormIpRateLimiter,
+    authenticateWebFormSite,
+    webFormSiteRateLimiter,
+    upload.array('photos', MAX_PHOTOS),
+    webFormValidation,
+    webFormController.submitWebForm
+);
+
+module.exports = router;
@@ -8,6 +8,17 @@ router.post('/docusign', webhookController.docusignWebhook);
 router.post('/quickbooks', webhookController.quickbooksWebhook);
 router.post('/teams', webhookController.teamsWebhook);
 
+// Raw MIME email from an SMTP relay (JSON bodies with a raw field are parsed by the app-wide JSON parser)
+router.post(
+    '/inbound-email',
+    express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: '25mb' }),
+    webhookController.inboundEmailWebhook
+);
+
+// WhatsApp Business webhook (the JSON body is parsed in app.js with the raw body kept for the signature)
+router.get('/whatsapp', webhookController.whatsappVerify);
+router.post('/whatsapp', webhookController.whatsappWebhook);
+
 // Test endpoint
 router.post('/test', (req, res) => {
     console.log('🧪 Test webhook called!');
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const whatsappController = require('../controllers/whatsappController');
+const { authenticate, isAdminOrManager } = require('../middleware/auth');
+const { validate, mongoIdValidation } = require('../middleware/validators');
+const { body, param, query } = require('express-validator');
+
+// WhatsApp conversations with lead contacts
+router.use(authenticate);
+router.use(isAdminOrManager);
+
+router.get(
+    '/templates',
+    query('leadType').optional().isIn(['purchase', 'sales']).withMessage('leadType must be purchase or sales'),
+    validate,
+    whatsappController.getWhatsAppTemplates
+);
+
+router.get(
+    '/leads/:id/messages',
+    mongoIdValidation,
+    validate,
+    whatsappController.getLeadConversation
+);
+
+router.post(
+    '/leads/:id/messages',
+    mongoIdValidation,
+    body('templateId').optional().isMongoId().withMessage('Valid template ID is required'),
+    body('text')
+        .if(body('templateId').not().exists())
+        .trim()
+        .notEmpty().withMessage('Message text or a template is required')
+        .isLength({ max: 4096 }).withMessage('Message text cannot exceed 4096 characters'),
+    body('parameters').optional().isArray().withMessage('parameters must be an array'),
+    body('parameters.*').optional().isString().isLength({ max: 1024 }).withMessage('Template values must be text'),
+    validate,
+    whatsappController.sendLeadWhatsAppMessage
+);
+
+router.get('/unmatched', whatsappController.getUnmatchedMessages);
+
+router.put(
+    '/unmatched/:phone/lead',
+    param('phone').matches(/^\+?\d{7,15}$/).withMessage('Valid phone number is required'),
+    body('leadId').isMongoId().withMessage('Valid lead ID is required'),
+    validate,
+    whatsappController.linkUnmatchedMessages
+);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * Create a Vehicle for every purchase lead that was in stock before inventory
+ * moved to its own collection (lead status inventory or consignment, no
+ * Vehicle yet) and link it from lead.vehicle. Safe to run more than once.
+ *
+ * Usage: node scripts/backfill-inventory-vehicles.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Vehicle = require('../models/Vehicle');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const logger = require('../utils/logger');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const sum = (...values) => values.reduce((total, value) => total + (Number(value) || 0), 0);
+
+/**
+ * Vehicle for a lead that went into stock before Vehicle existed
+ */
+const buildVehicle = async (lead) => {
+    const purchaseOrder = lead.purchaseOrder ? await PurchaseOrder.findById(lead.purchaseOrder) : null;
+    const isConsignment = lead.status === 'consignment';
+    const buyingPrice = lead.priceAnalysis?.purchasedFinalPrice || purchaseOrder?.amount || 0;
+    const costBasis = purchaseOrder
+        ? {
+            buyingPrice,
+            transferCost: purchaseOrder.transferCost || 0,
+            detailingInspectionCost: purchaseOrder.detailing_inspection_cost || 0,
+            agentCommission: purchaseOrder.agent_commision || 0,
+            carRecoveryCost: purchaseOrder.car_recovery_cost || 0,
+            otherCharges: purchaseOrder.other_charges || 0
+        }
+        : { buyingPrice };
+    costBasis.total = sum(...Object.values(costBasis));
+
+    // Allocations were kept on the lead (or only on the purchase order)
+    const allocations = (lead.investorAllocations?.length > 0 ? lead.investorAllocations : purchaseOrder?.investorAllocations) || [];
+
+    const vehicle = new Vehicle({
+        leadId: lead._id,
+        purchaseOrder: purchaseOrder ? purchaseOrder._id : null,
+        ownershipType: isConsignment ? 'consignment' : 'owned',
+        status: 'inventory',
+        make: lead.vehicleInfo?.make,
+        model: lead.vehicleInfo?.model,
+        year: lead.vehicleInfo?.year,
+        mileage: lead.vehicleInfo?.mileage,
+        color: lead.vehicleInfo?.color,
+        trim: lead.vehicleInfo?.trim,
+        region: lead.vehicleInfo?.region,
+        vin: lead.vehicleInfo?.vin,
+        category: lead.vehicleInfo?.category,
+        ownerName: lead.contactInfo?.name,
+        askingPrice: lead.vehicleInfo?.askingPrice,
+        purchasePrice: isConsignment ? undefined : lead.priceAnalysis?.purchasedFinalPrice,
+        minSellingPrice: lead.priceAnalysis?.minSellingPrice,
+        maxSellingPrice: lead.priceAnalysis?.maxSellingPrice,
+        costBasis: isConsignment ? undefined : costBasis,
+        investorAllocation: isConsignment ? [] : allocations.map(allocation => ({
+            investorId: allocation.investorId,
+            percentage: allocation.percentage || 0,
+            amount: allocation.amount || 0
+        })),
+        // Consignment terms and the owner's contract were not tracked before; they are set up on the vehicle
+        consignment: isConsignment
+            ? {
+                owner: {
+                    name: lead.contactInfo?.name,
+                    email: lead.contactInfo?.email,
+                    phone: lead.contactInfo?.phone,
+                    passportOrEmiratesId: lead.contactInfo?.passportOrEmiratesId
+                },
+                minimumPrice: lead.priceAnalysis?.minSellingPrice
+            }
+            : undefined,
+        operationalChecklist: lead.operationalChecklist && Object.keys(lead.operationalChecklist).length > 0
+            ? lead.operationalChecklist
+            : undefined,
+        purchaseMeta: isConsignment
+            ? undefined
+            : {
+                purchaseOrderId: purchaseOrder ? purchaseOrder._id : undefined,
+                negotiatedPrice: lead.priceAnalysis?.purchasedFinalPrice,
+                purchasedAt: purchaseOrder?.updatedAt || lead.updatedAt
+            },
+        statusHistory: [{
+            from: null,
+            to: 'inventory',
+            reason: `Backfilled from lead ${lead.leadId}`
+        }],
+        createdBy: lead.createdBy,
+        createdByModel: lead.createdByModel
+    });
+
+    // Completed checklist items carry over onto the template's items
+    const checklistTemplate = await ChecklistTemplate.findForVehicle(vehicle);
+    vehicle.applyChecklistTemplate(checklistTemplate);
+    return vehicle;
+};
+
+async function backfillInventoryVehicles() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        logger.info(`Connected to MongoDB${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+        const leads = await Lead.find({ type: 'purchase', status: { $in: ['inventory', 'consignment'] } })
+            .sort({ createdAt: 1 });
+
+        const totals = { created: 0, linked: 0, unchanged: 0, failed: 0 };
+        const consignmentsToSetUp = [];
+
+        for (const lead of leads) {
+            try {
+                const existing = await Vehicle.findOne({ leadId: lead._id }).select('_id vehicleId');
+                if (existing) {
+                    if (String(lead.vehicle) === String(existing._id)) {
+                        totals.unchanged += 1;
+                        continue;
+                    }
+                    if (!dryRun) await Lead.updateOne({ _id: lead._id }, { $set: { vehicle: existing._id } });
+                    logger.info(`Linked lead ${lead.leadId} to existing vehicle ${existing.vehicleId}`);
+                    totals.linked += 1;
+                    continue;
+                }
+
+                const vehicle = await buildVehicle(lead);
+                if (!dryRun) {
+                    await vehicle.save();
+                    // updateOne leaves updatedAt, the score and the SLA clock untouched
+                    await Lead.updateOne({ _id: lead._id }, { $set: { vehicle: vehicle._id } });
+                }
+                if (vehicle.ownershipType === 'consignment') consignmentsToSetUp.push(lead.leadId);
+
+                logger.info(`Created ${vehicle.ownershipType} vehicle ${vehicle.vehicleId || '(new)'} for lead ${lead.leadId}`);
+                totals.created += 1;
+            } catch (error) {
+                logger.error(`Backfill failed for lead ${lead.leadId}:`, error);
+                totals.failed += 1;
+            }
+        }
+
+        logger.info(`Inventory backfill: ${leads.length} lead(s) in stock, ${totals.created} vehicle(s) created, ${totals.linked} linked, ${totals.unchanged} already done, ${totals.failed} failed`);
+        if (consignmentsToSetUp.length > 0) {
+            logger.warn(`Consignment vehicles need commission terms and a signed owner contract before they can go on sale: ${consignmentsToSetUp.join(', ')}`);
+        }
+
+        await mongoose.disconnect();
+        process.exit(totals.failed > 0 ? 1 : 0);
+    } catch (error) {
+        logger.error('Inventory backfill error:', error);
+        process.exit(1);
+    }
+}
+
+backfillInventoryVehicles();
@@ -0,0 +1,92 @@
+/**
+ * Local stand-in for the WhatsApp Business (Cloud API) messages endpoint.
+ *
+ * Point the CRM at it with:
+ *   WHATSAPP_PROVIDER=cloud
+ *   WHATSAPP_API_URL=http://localhost:4010
+ *   WHATSAPP_PHONE_NUMBER_ID=mock
+ *   WHATSAPP_ACCESS_TOKEN=mock
+ *
+ * Sent messages get an id and, shortly after, "delivered" and "read" status
+ * callbacks on the CRM webhook. Inbound customer messages can be simulated with:
+ *   curl -X POST localhost:4010/simulate/inbound -H 'Content-Type: application/json' \
+ *        -d '{"from":"971501234567","name":"Customer","text":"Hi, is the car available?"}'
+ *
+ * Usage: node scripts/whatsapp-mock-server.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = process.env.WHATSAPP_MOCK_PORT || 4010;
+const WEBHOOK_URL = process.env.WHATSAPP_MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 4000}/api/webhooks/whatsapp`;
+
+const app = express();
+app.use(express.json());
+
+const postWebhook = async (value) => {
+    const body = JSON.stringify({
+        object: 'whatsapp_business_account',
+        entry: [{ id: 'mock', changes: [{ field: 'messages', value: { messaging_product: 'whatsapp', ...value } }] }]
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.WHATSAPP_APP_SECRET) {
+        headers['X-Hub-Signature-256'] = `sha256=${crypto.createHmac('sha256', process.env.WHATSAPP_APP_SECRET).update(body).digest('hex')}`;
+    }
+    try {
+        await axios.post(WEBHOOK_URL, body, { headers, timeout: 10000 });
+    } catch (error) {
+        console.error('❌ Webhook delivery failed:', error.response?.status || error.message);
+    }
+};
+
+const timestamp = () => String(Math.floor(Date.now() / 1000));
+
+app.post('/:phoneNumberId/messages', (req, res) => {
+    if (!req.headers.authorization) {
+        return res.status(401).json({ error: { message: 'Missing access token', code: 190 } });
+    }
+
+    const { to, type } = req.body;
+    if (!to || !type) {
+        return res.status(400).json({ error: { message: 'to and type are required', code: 100 } });
+    }
+
+    const id = `wamid.mock.${crypto.randomBytes(12).toString('hex')}`;
+    console.log(`📤 ${type} message to ${to}: ${req.body.text?.body || req.body.template?.name} (${id})`);
+
+    res.status(200).json({
+        messaging_product: 'whatsapp',
+        contacts: [{ input: to, wa_id: to }],
+        messages: [{ id }]
+    });
+
+    ['delivered', 'read'].forEach((status, index) => {
+        setTimeout(() => postWebhook({
+            statuses: [{ id, status, timestamp: timestamp(), recipient_id: to }]
+        }), (index + 1) * 1500);
+    });
+});
+
+app.post('/simulate/inbound', async (req, res) => {
+    const { from, name, text } = req.body;
+    if (!from || !text) {
+        return res.status(400).json({ success: false, message: 'from and text are required' });
+    }
+
+    const id = `wamid.mock.${crypto.randomBytes(12).toString('hex')}`;
+    await postWebhook({
+        contacts: [{ wa_id: String(from), profile: { name: name || 'Customer' } }],
+        messages: [{ from: String(from), id, timestamp: timestamp(), type: 'text', text: { body: text } }]
+    });
+
+    console.log(`📥 Inbound message from ${from}: ${text}`);
+    res.json({ success: true, id });
+});
+
+app.listen(PORT, () => {
+    console.log(`🟢 WhatsApp mock listening on http://localhost:${PORT} (webhook: ${WEBHOOK_URL})`);
+});
@@ -0,0 +1,57 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+/**
+ * Captcha Verification Service
+ *
+ * Verifies captcha tokens from public web forms. reCAPTCHA, hCaptcha and
+ * Cloudflare Turnstile share the same siteverify contract (form-encoded
+ * secret, response and remoteip; JSON reply with success and error-codes),
+ * so the provider is chosen with CAPTCHA_VERIFY_URL.
+ */
+
+const DEFAULT_VERIFY_URL = 'https://www.google.com/recaptcha/api/siteverify';
+
+/**
+ * Verify a captcha token with the configured provider
+ *
+ * @param {string} token - Token produced by the captcha widget
+ * @param {string} [remoteIp] - Submitter's IP address
+ * @returns {Promise<{success: boolean, score?: number, errors: string[]}>}
+ */
+exports.verifyCaptchaToken = async (token, remoteIp) => {
+    const secret = process.env.CAPTCHA_SECRET_KEY;
+    if (!secret) {
+        logger.error('Captcha verification requested but CAPTCHA_SECRET_KEY is not set');
+        return { success: false, errors: ['missing-secret'] };
+    }
+    if (!token) {
+        return { success: false, errors: ['missing-input-response'] };
+    }
+
+    try {
+        const params = new URLSearchParams();
+        params.append('secret', secret);
+        params.append('response', token);
+        if (remoteIp) params.append('remoteip', remoteIp);
+
+        const response = await axios.post(process.env.CAPTCHA_VERIFY_URL || DEFAULT_VERIFY_URL, params, {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 10000
+        });
+
+        const { success, score } = response.data || {};
+        const errors = response.data?.['error-codes'] || [];
+
+        // reCAPTCHA v3 returns a 0-1 score alongside success
+        const minScore = parseFloat(process.env.CAPTCHA_MIN_SCORE || '0.5');
+        if (success && typeof score === 'number' && score < minScore) {
+            return { success: false, score, errors: ['low-score'] };
+        }
+
+        return { success: Boolean(success), score, errors };
+    } catch (error) {
+        logger.error('Captcha verification error:', error.message);
+        return { success: false, errors: ['verification-failed'] };
+    }
+};
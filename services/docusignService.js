@@ -502,7 +502,7 @@ class DocuSignService {
      */
     async createConsignmentContract(contractData) {
         try {
-            const { vehicleId, ownerEmail, ownerName, commissionPercentage } = contractData;
+            const { vehicleId, ownerEmail, ownerName } = contractData;
 
             const accessToken = await this.getAccessToken();
             this.apiClient.addDefaultHeader('Authorization', `Bearer ${accessToken}`);
@@ -744,11 +744,19 @@ class DocuSignService {
      * Generate consignment contract as base64 (placeholder)
      */
     generateConsignmentContractBase64(contractData) {
+        const commission = contractData.commissionType === 'fixed'
+            ? `AED ${Number(contractData.commissionValue || 0).toLocaleString()} (fixed)`
+            : `${contractData.commissionValue ?? contractData.commissionPercentage}%`;
+        const minimumPrice = contractData.minimumPrice
+            ? `AED ${Number(contractData.minimumPrice).toLocaleString()}`
+            : 'N/A';
+
         const content = `
       CONSIGNMENT CONTRACT
       Vehicle ID: ${contractData.vehicleId}
       Owner: ${contractData.ownerName}
-      Commission: ${contractData.commissionPercentage}%
+      Commission: ${commission}
+      Minimum Selling Price: ${minimumPrice}
       
       Terms and Conditions:
       1. ZRS Cars Trading will sell the vehicle on behalf of the owner
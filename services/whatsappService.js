@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * WhatsApp Business Messaging Service
+ *
+ * Adapter over the WhatsApp Business (Cloud API style) messages endpoint.
+ * WHATSAPP_PROVIDER selects the driver:
+ *  - cloud: POST {WHATSAPP_API_URL}/{WHATSAPP_PHONE_NUMBER_ID}/messages with a bearer token.
+ *    Point WHATSAPP_API_URL at scripts/whatsapp-mock-server.js to test against a local mock.
+ *  - mock (default): nothing leaves the process; messages are logged and get generated ids.
+ */
+
+const DEFAULT_API_URL = 'https://graph.facebook.com/v18.0';
+
+const getProvider = () => (process.env.WHATSAPP_PROVIDER || 'mock').toLowerCase();
+
+/**
+ * Send a message payload through the configured driver
+ * @param {Object} payload - Cloud API message body (without messaging_product)
+ * @returns {Promise<{providerMessageId: string}>}
+ */
+const sendPayload = async (payload) => {
+    const body = { messaging_product: 'whatsapp', recipient_type: 'individual', ...payload };
+
+    if (getProvider() !== 'cloud') {
+        const providerMessageId = `wamid.mock.${crypto.randomBytes(12).toString('hex')}`;
+        logger.info(`WhatsApp (mock) ${payload.type} message to ${payload.to}: ${providerMessageId}`);
+        return { providerMessageId };
+    }
+
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+    if (!phoneNumberId || !accessToken) {
+        throw new Error('WhatsApp is not configured (WHATSAPP_PHONE_NUMBER_ID / WHATSAPP_ACCESS_TOKEN)');
+    }
+
+    const axios = require('axios');
+    try {
+        const response = await axios.post(
+            `${process.env.WHATSAPP_API_URL || DEFAULT_API_URL}/${phoneNumberId}/messages`,
+            body,
+            {
+                headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+                timeout: 15000
+            }
+        );
+        const providerMessageId = response.data?.messages?.[0]?.id;
+        if (!providerMessageId) throw new Error('WhatsApp API returned no message id');
+        return { providerMessageId };
+    } catch (error) {
+        const apiError = error.response?.data?.error;
+        logger.error('WhatsApp send error:', apiError || error.message);
+        throw new Error(apiError?.message || error.message);
+    }
+};
+
+/**
+ * Send a free-text message (only allowed inside the 24-hour customer service window)
+ * @param {string} to - Recipient number, digits with country code
+ * @param {string} text
+ * @returns {Promise<{providerMessageId: string}>}
+ */
+exports.sendTextMessage = (to, text) => sendPayload({
+    to,
+    type: 'text',
+    text: { preview_url: false, body: text }
+});
+
+/**
+ * Send a pre-approved template message
+ * @param {string} to - Recipient number, digits with country code
+ * @param {string} name - Template name
+ * @param {string} language - Template language code
+ * @param {Array<string>} parameters - Body placeholder values, in order
+ * @returns {Promise<{providerMessageId: string}>}
+ */
+exports.sendTemplateMessage = (to, name, language, parameters = []) => sendPayload({
+    to,
+    type: 'template',
+    template: {
+        name,
+        language: { code: language },
+        components: parameters.length > 0
+            ? [{ type: 'body', parameters: parameters.map(value => ({ type: 'text', text: String(value) })) }]
+            : []
+    }
+});
+
+/**
+ * Whether webhook calls may arrive unsigned: only with no app secret, outside production,
+ * and when WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS=true is set for local testing
+ * @returns {boolean}
+ */
+exports.allowsUnsignedWebhooks = () => !process.env.WHATSAPP_APP_SECRET &&
+    process.env.NODE_ENV !== 'production' &&
+    process.env.WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS === 'true';
+
+/**
+ * Check the X-Hub-Signature-256 header of a webhook call against WHATSAPP_APP_SECRET
+ * @param {string} rawBody
+ * @param {string} signatureHeader
+ * @returns {boolean}
+ */
+exports.verifyWebhookSignature = (rawBody, signatureHeader) => {
+    const appSecret = process.env.WHATSAPP_APP_SECRET;
+    if (!appSecret) return exports.allowsUnsignedWebhooks();
+    if (!signatureHeader || !rawBody) return false;
+
+    const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`;
+    const a = Buffer.from(String(signatureHeader));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const INBOUND_TYPES = ['text', 'image', 'document', 'audio', 'video', 'location'];
+
+/**
+ * Flatten a Cloud API webhook body into inbound messages and delivery statuses
+ * @param {Object} body - Webhook JSON
+ * @returns {{messages: Array, statuses: Array}}
+ */
+exports.parseWebhookPayload = (body) => {
+    const messages = [];
+    const statuses = [];
+
+    (body?.entry || []).forEach(entry => {
+        (entry.changes || []).forEach(change => {
+            const value = change.value || {};
+            const profiles = new Map((value.contacts || []).map(c => [c.wa_id, c.profile?.name]));
+
+            (value.messages || []).forEach(message => {
+                const type = INBOUND_TYPES.includes(message.type) ? message.type : 'other';
+                const media = ['image', 'document', 'audio', 'video'].includes(type) ? message[type] || {} : null;
+                let text = message.text?.body;
+                if (!text && media) text = media.caption;
+                if (!text && type === 'location') {
+                    text = [message.location?.name, message.location?.address, `${message.location?.latitude},${message.location?.longitude}`]
+                        .filter(Boolean).join(' - ');
+                }
+                if (!text && message.button) text = message.button.text;
+                if (!text && message.interactive) {
+                    text = message.interactive.button_reply?.title || message.interactive.list_reply?.title;
+                }
+
+                messages.push({
+                    providerMessageId: message.id,
+                    phone: String(message.from || '').replace(/\D/g, ''),
+                    profileName: profiles.get(message.from),
+                    type,
+                    text: text || '',
+                    media: media ? {
+                        providerMediaId: media.id,
+                        mimeType: media.mime_type,
+                        caption: media.caption,
+                        filename: media.filename
+                    } : undefined,
+                    receivedAt: message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date()
+                });
+            });
+
+            (value.statuses || []).forEach(status => {
+                statuses.push({
+                    providerMessageId: status.id,
+                    status: status.status,
+                    timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date(),
+                    error: status.errors?.[0] ? `${status.errors[0].code}: ${status.errors[0].title || status.errors[0].message}` : undefined
+                });
+            });
+        });
+    });
+
+    return { messages, statuses };
+};
+
+exports.getProvider = getProvider;
@@ -173,6 +173,27 @@ exports.logInventory = async (req, action, description, vehicle, metadata = {})
     });
 };
 
+/**
+ * Helper to log stock-take events
+ */
+exports.logStockTake = async (req, action, description, stockTake, metadata = {}) => {
+    return createAuditLog({
+        category: 'inventory',
+        action,
+        description,
+        performedBy: getUserInfo(req),
+        targetEntity: {
+            entityType: 'StockTake',
+            entityId: stockTake?._id,
+            entityName: stockTake?.stockTakeId
+        },
+        metadata,
+        severity: 'low',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    });
+};
+
 /**
  * Helper to log investor events
  */
@@ -215,5 +236,44 @@ exports.logApproval = async (req, action, description, entity, entityType, metad
     });
 };
 
+/**
+ * Helper to log admin configuration changes (templates, rules, settings)
+ */
+exports.logSettings = async (req, action, description, metadata = {}) => {
+    return createAuditLog({
+        category: 'system',
+        action,
+        description,
+        performedBy: getUserInfo(req),
+        targetEntity: { entityType: 'None' },
+        metadata,
+        severity: 'medium',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    });
+};
+
+/**
+ * Helper to log events raised by background jobs (no request/user context)
+ */
+exports.logSystem = async (action, description, entity, entityType, metadata = {}) => {
+    return createAuditLog({
+        category: 'system',
+        action,
+        description,
+        performedBy: {
+            userName: 'System',
+            userRole: 'system'
+        },
+        targetEntity: {
+            entityType: entityType || 'None',
+            entityId: entity?._id,
+            entityName: entity?.vehicleId || entity?.leadId || entity?.saleId || entity?.ticketId
+        },
+        metadata,
+        severity: 'low'
+    });
+};
+
 module.exports = exports;
 
@@ -0,0 +1,71 @@
+const { getImageVariantUrls } = require('../cloudinary');
+
+const GALLERY_CATEGORY = 'carPictures';
+const GALLERY_TAGS = ['exterior', 'interior', 'damage'];
+
+/**
+ * Car pictures of a lead in gallery order. Pictures uploaded before ordering
+ * existed have no `order` and keep their upload position.
+ * @param {Array} attachments - Lead attachments
+ * @returns {Array} Attachment subdocuments sorted by gallery order
+ */
+exports.getOrderedPictures = (attachments = []) => {
+    return (attachments || [])
+        .filter(a => a.category === GALLERY_CATEGORY)
+        .map((picture, index) => ({ picture, position: Number.isFinite(picture.order) ? picture.order : index }))
+        .sort((a, b) => a.position - b.position)
+        .map(entry => entry.picture);
+};
+
+/**
+ * The cover picture: the one flagged as cover, otherwise the first in gallery order
+ * @param {Array} attachments - Lead attachments
+ * @returns {Object|null}
+ */
+exports.getCoverPicture = (attachments = []) => {
+    const pictures = exports.getOrderedPictures(attachments);
+    return pictures.find(p => p.isCover) || pictures[0] || null;
+};
+
+/**
+ * Format a picture for API responses with consistent thumbnail and full-size URLs
+ * @param {Object} picture - Attachment subdocument
+ * @param {Object} [cover] - Current cover picture
+ */
+const formatPicture = (picture, cover) => ({
+    _id: picture._id,
+    url: picture.url,
+    publicId: picture.publicId,
+    ...getImageVariantUrls(picture.url),
+    caption: picture.caption || '',
+    tags: picture.tags || [],
+    isCover: Boolean(cover && cover._id && picture._id && cover._id.toString() === picture._id.toString()),
+    fileName: picture.fileName,
+    uploadedAt: picture.uploadedAt
+});
+
+/**
+ * Gallery of a lead's car pictures in display order, with the cover flagged
+ * @param {Array} attachments - Lead attachments
+ * @returns {Array}
+ */
+exports.formatGallery = (attachments = []) => {
+    const cover = exports.getCoverPicture(attachments);
+    return exports.getOrderedPictures(attachments).map((picture, index) => ({
+        ...formatPicture(picture, cover),
+        order: index
+    }));
+};
+
+/**
+ * Hero image of a lead for listings, or null when it has no pictures
+ * @param {Array} attachments - Lead attachments
+ * @returns {Object|null}
+ */
+exports.formatCoverImage = (attachments = []) => {
+    const cover = exports.getCoverPicture(attachments);
+    return cover ? formatPicture(cover, cover) : null;
+};
+
+exports.GALLERY_CATEGORY = GALLERY_CATEGORY;
+exports.GALLERY_TAGS = GALLERY_TAGS;
@@ -0,0 +1,362 @@
+const Lead = require('../models/Lead');
+const CSATicket = require('../models/CSATicket');
+const InboundEmail = require('../models/InboundEmail');
+const logger = require('./logger');
+const { logSystem } = require('./auditLogger');
+const { parseMimeMessage, extractReplyText } = require('./mimeParser');
+const { findDuplicateLeads } = require('./leadDuplicates');
+const { autoAssignLead } = require('./leadAssignment');
+const { getLeadPipeline, runStageEntryAutomations } = require('./leadPipeline');
+
+// Cloudinary's upload limit; larger attachments are listed but not stored
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Longest email text kept on a note, ticket or the inbound email record
+const MAX_TEXT_LENGTH = 20000;
+
+// Ticket (CSA0001) and lead (PL0001 / SL0001) references in a subject line
+const SUBJECT_REFERENCE = /\b(CSA|PL|SL)(\d{4,})\b/i;
+
+const ROUTE_ADDRESS_SETTINGS = [
+    ['purchase', 'INBOUND_EMAIL_PURCHASE_ADDRESSES'],
+    ['sales', 'INBOUND_EMAIL_SALES_ADDRESSES'],
+    ['ticket', 'INBOUND_EMAIL_SUPPORT_ADDRESSES']
+];
+
+// Replies to these ticket statuses open a new ticket instead
+const CLOSED_TICKET_STATUSES = ['closed', 'cancelled'];
+
+const getAddressSetting = (name) => (process.env[name] || '')
+    .split(',')
+    .map(address => address.trim().toLowerCase())
+    .filter(Boolean);
+
+const truncate = (text, length = MAX_TEXT_LENGTH) => {
+    const value = String(text || '');
+    return value.length > length ? `${value.slice(0, length)}\n[truncated]` : value;
+};
+
+/**
+ * Choose what a new email becomes from the mailbox it was sent to
+ * @param {Array<{address: string}>} recipients - To and Cc addresses
+ * @returns {string} purchase, sales or ticket
+ */
+exports.getEmailRoute = (recipients = []) => {
+    const addresses = recipients.map(r => r.address);
+    for (const [route, setting] of ROUTE_ADDRESS_SETTINGS) {
+        if (getAddressSetting(setting).some(address => addresses.includes(address))) return route;
+    }
+    const fallback = process.env.INBOUND_EMAIL_DEFAULT_ROUTE || 'ticket';
+    return ROUTE_ADDRESS_SETTINGS.some(([route]) => route === fallback) ? fallback : 'ticket';
+};
+
+/**
+ * Auto-replies, bounces and mail from our own mailboxes are stored but not turned into work
+ * @param {Object} email - Parsed email
+ * @returns {string|null} Reason to ignore, or null
+ */
+const getIgnoreReason = (email) => {
+    if (!email.from) return 'No sender address';
+    const { autoSubmitted, precedence } = email.headers;
+    if (autoSubmitted && autoSubmitted !== 'no') return `Auto-submitted (${autoSubmitted})`;
+    if (['bulk', 'junk', 'list', 'auto_reply'].includes(precedence)) return `Precedence ${precedence}`;
+    if (/^(mailer-daemon|postmaster)@/i.test(email.from.address)) return 'Delivery status notification';
+    const ownAddresses = ROUTE_ADDRESS_SETTINGS.flatMap(([, setting]) => getAddressSetting(setting));
+    if (ownAddresses.includes(email.from.address)) return 'Sent from one of our own mailboxes';
+    return null;
+};
+
+/**
+ * Upload attachments to Cloudinary
+ * @param {Array} attachments - Parsed attachments (with content buffers)
+ * @returns {Promise<Array>} Stored attachment metadata
+ */
+const storeAttachments = async (attachments) => {
+    const { uploadBuffer } = require('../cloudinary');
+    const stored = [];
+    for (const attachment of attachments) {
+        const meta = { filename: attachment.filename, contentType: attachment.contentType, size: attachment.size };
+        if (attachment.size > MAX_ATTACHMENT_BYTES) {
+            stored.push({ ...meta, skippedReason: 'Larger than 10MB' });
+            continue;
+        }
+        try {
+            const upload = await uploadBuffer(attachment.content, { filename: attachment.filename, mimetype: attachment.contentType });
+            stored.push({ ...meta, url: upload.url, publicId: upload.publicId });
+        } catch (error) {
+            logger.error(`Inbound email attachment upload error (${attachment.filename}):`, error);
+            stored.push({ ...meta, skippedReason: 'Upload failed' });
+        }
+    }
+    return stored;
+};
+
+/**
+ * Follow merged leads to the lead that survived
+ * @param {Object|null} lead
+ * @returns {Promise<Object|null>}
+ */
+const resolveMergedLead = async (lead) => {
+    let current = lead;
+    for (let hops = 0; current && current.mergedInto && hops < 5; hops++) {
+        current = await Lead.findById(current.mergedInto);
+    }
+    return current;
+};
+
+/**
+ * Whether the sender is the lead's or ticket's contact
+ */
+const isContactSender = (entityType, entity, email) => {
+    const contactEmail = entityType === 'CSATicket' ? entity.customerInfo?.email : entity.contactInfo?.email;
+    return Boolean(contactEmail) && contactEmail.trim().toLowerCase() === email.from.address;
+};
+
+/**
+ * Find the lead or ticket an email belongs to: a previous email in the same
+ * thread (In-Reply-To / References), then a CSA / PL / SL reference in the subject.
+ * Anyone can quote a reference, so the subject only counts when the sender is the contact.
+ * @param {Object} email - Parsed email
+ * @returns {Promise<{entityType: string, entity: Object, threadedBy: string}|null>}
+ */
+const findThreadTarget = async (email) => {
+    const threadIds = [email.inReplyTo, ...email.references].filter(Boolean);
+    if (threadIds.length > 0) {
+        const previous = await InboundEmail.findOne({
+            messageId: { $in: threadIds },
+            'target.entityId': { $ne: null }
+        }).sort({ createdAt: -1 });
+
+        if (previous) {
+            const entity = previous.target.entityType === 'CSATicket'
+                ? await CSATicket.findById(previous.target.entityId)
+                : await resolveMergedLead(await Lead.findById(previous.target.entityId));
+            if (entity) return { entityType: previous.target.entityType, entity, threadedBy: 'message_id' };
+        }
+    }
+
+    const match = SUBJECT_REFERENCE.exec(email.subject || '');
+    if (match) {
+        const reference = `${match[1].toUpperCase()}${match[2]}`;
+        if (reference.startsWith('CSA')) {
+            const ticket = await CSATicket.findOne({ ticketId: reference });
+            if (ticket && isContactSender('CSATicket', ticket, email)) return { entityType: 'CSATicket', entity: ticket, threadedBy: 'subject_reference' };
+        } else {
+            const lead = await resolveMergedLead(await Lead.findOne({ leadId: reference }));
+            if (lead && isContactSender('Lead', lead, email)) return { entityType: 'Lead', entity: lead, threadedBy: 'subject_reference' };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * An open lead of the route's type with the sender's email address
+ * @param {Object} email
+ * @param {string} type - purchase or sales
+ * @returns {Promise<Object|null>}
+ */
+const findOpenLeadForSender = async (email, type) => {
+    const pipeline = await getLeadPipeline(type);
+    const closedStages = pipeline.stages.filter(s => s.isTerminal).map(s => s.key);
+    const duplicates = await findDuplicateLeads({ contactInfo: { email: email.from.address } }, { type });
+    const open = duplicates.find(d => !closedStages.includes(d.status));
+    return open ? Lead.findById(open._id) : null;
+};
+
+const formatSender = (from) => (from.name ? `${from.name} <${from.address}>` : from.address);
+
+const formatAttachmentList = (attachments) => attachments
+    .map(a => (a.url ? `- ${a.filename}: ${a.url}` : `- ${a.filename} (${a.skippedReason})`))
+    .join('\n');
+
+/**
+ * Email as a lead note. Image attachments are kept as email attachments; staff
+ * promote the ones that belong in the car picture gallery (and the listing feed).
+ */
+const appendEmailToLead = async (lead, email, attachments, text) => {
+    const lines = [`Email from ${formatSender(email.from)}: ${email.subject || '(no subject)'}`, '', truncate(text)];
+    if (attachments.length > 0) lines.push('', 'Attachments:', formatAttachmentList(attachments));
+
+    lead.notes.push({ content: lines.join('\n'), addedAt: new Date() });
+
+    attachments
+        .filter(a => a.url && a.contentType.startsWith('image/'))
+        .forEach(a => {
+            lead.attachments.push({
+                category: 'emailAttachments',
+                fileName: a.filename,
+                fileType: a.contentType,
+                fileSize: a.size,
+                url: a.url,
+                publicId: a.publicId,
+                uploadedAt: new Date()
+            });
+        });
+
+    await lead.save();
+};
+
+/**
+ * Customer reply as a ticket response; tickets waiting on the customer (or resolved) reopen
+ */
+const appendEmailToTicket = async (ticket, email, attachments, text) => {
+    ticket.responses.push({
+        message: truncate(text),
+        fromEmail: email.from.address,
+        isInternal: false,
+        attachments: attachments.filter(a => a.url).map(a => ({ url: a.url, filename: a.filename })),
+        respondedAt: new Date()
+    });
+
+    if (ticket.status === 'pending_customer') ticket.status = 'in_progress';
+    if (ticket.status === 'resolved') ticket.status = 'open';
+
+    await ticket.save();
+};
+
+const createLeadFromEmail = async (type, email, attachments) => {
+    const lead = new Lead({
+        type,
+        source: 'email',
+        contactInfo: {
+            name: email.from.name || email.from.address.split('@')[0],
+            email: email.from.address,
+            preferredContact: 'email'
+        }
+    });
+    await appendEmailToLead(lead, email, attachments, email.text || '(empty message)');
+
+    await autoAssignLead(lead, { reason: 'inbound_email' });
+    await runStageEntryAutomations(lead, await getLeadPipeline(type));
+    return lead;
+};
+
+const createTicketFromEmail = async (email, attachments, previousTicket) => {
+    const description = [truncate(email.text || '(empty message)')];
+    if (previousTicket) description.push('', `Follow-up to closed ticket ${previousTicket.ticketId}`);
+    if (attachments.length > 0) description.push('', 'Attachments:', formatAttachmentList(attachments));
+
+    return CSATicket.create({
+        type: 'customer_query',
+        source: 'email',
+        subject: email.subject || '(no subject)',
+        description: description.join('\n'),
+        customerInfo: {
+            name: email.from.name || undefined,
+            email: email.from.address
+        },
+        relatedTo: previousTicket
+            ? { entityType: previousTicket.relatedTo?.entityType, entityId: previousTicket.relatedTo?.entityId }
+            : undefined
+    });
+};
+
+/**
+ * Turn a raw MIME email into a new lead or ticket, or append it to the one it
+ * belongs to. Every email is recorded as an InboundEmail; a redelivered
+ * Message-ID returns the earlier result instead of being processed twice.
+ * @param {Buffer|string} raw - Full MIME message
+ * @returns {Promise<{record: Object, entity: Object|null, duplicate: boolean}>}
+ */
+exports.ingestInboundEmail = async (raw) => {
+    const email = parseMimeMessage(raw);
+
+    if (email.messageId) {
+        const existing = await InboundEmail.findOne({ messageId: email.messageId });
+        if (existing && existing.action !== 'failed') return { record: existing, entity: null, duplicate: true };
+        // A failed earlier attempt is retried
+        if (existing) await InboundEmail.deleteOne({ _id: existing._id });
+    }
+
+    const base = {
+        messageId: email.messageId || undefined,
+        inReplyTo: email.inReplyTo || undefined,
+        references: email.references,
+        from: email.from || undefined,
+        to: email.to,
+        cc: email.cc,
+        subject: email.subject,
+        text: truncate(email.text),
+        sentAt: email.date || undefined,
+        sizeBytes: Buffer.isBuffer(raw) ? raw.length : Buffer.byteLength(String(raw || ''))
+    };
+
+    const ignoreReason = getIgnoreReason(email);
+    if (ignoreReason) {
+        const record = await InboundEmail.create({
+            ...base,
+            attachments: email.attachments.map(a => ({ filename: a.filename, contentType: a.contentType, size: a.size, skippedReason: 'Email ignored' })),
+            action: 'ignored',
+            error: ignoreReason
+        });
+        logger.info(`Inbound email ${email.messageId || ''} ignored: ${ignoreReason}`);
+        return { record, entity: null, duplicate: false };
+    }
+
+    const route = exports.getEmailRoute([...email.to, ...email.cc]);
+
+    try {
+        // Inline parts are signature logos, tracking pixels and the like
+        const attachments = await storeAttachments(email.attachments.filter(a => !a.inline));
+
+        let thread = await findThreadTarget(email);
+        let previousTicket = null;
+        if (thread && thread.entityType === 'CSATicket' && CLOSED_TICKET_STATUSES.includes(thread.entity.status)) {
+            previousTicket = thread.entity;
+            thread = null;
+        }
+        if (!thread && route !== 'ticket') {
+            const lead = await findOpenLeadForSender(email, route);
+            if (lead) thread = { entityType: 'Lead', entity: lead, threadedBy: 'sender' };
+        }
+
+        let entity;
+        let entityType;
+        let action;
+        if (thread) {
+            ({ entity, entityType } = thread);
+            action = 'appended';
+            const replyText = extractReplyText(email.text) || '(empty message)';
+            if (entityType === 'Lead') await appendEmailToLead(entity, email, attachments, replyText);
+            else await appendEmailToTicket(entity, email, attachments, replyText);
+        } else if (route === 'ticket') {
+            entityType = 'CSATicket';
+            action = 'created';
+            entity = await createTicketFromEmail(email, attachments, previousTicket);
+        } else {
+            entityType = 'Lead';
+            action = 'created';
+            entity = await createLeadFromEmail(route, email, attachments);
+        }
+
+        const reference = entityType === 'Lead' ? entity.leadId : entity.ticketId;
+        const record = await InboundEmail.create({
+            ...base,
+            route,
+            attachments,
+            target: { entityType, entityId: entity._id, reference },
+            action,
+            threadedBy: thread ? thread.threadedBy : 'none'
+        });
+
+        const description = action === 'created'
+            ? `Created ${entityType === 'Lead' ? `${entity.type} lead` : 'ticket'} ${reference} from email by ${email.from.address}`
+            : `Added email from ${email.from.address} to ${entityType === 'Lead' ? 'lead' : 'ticket'} ${reference}`;
+        await logSystem(action === 'created' ? `${entityType === 'Lead' ? 'lead' : 'ticket'}_created_from_email` : 'inbound_email_appended', description, entity, entityType, {
+            inboundEmailId: record._id,
+            messageId: email.messageId,
+            subject: email.subject,
+            from: email.from,
+            route,
+            threadedBy: record.threadedBy,
+            attachmentCount: attachments.length
+        });
+
+        logger.info(description);
+        return { record, entity, duplicate: false };
+    } catch (error) {
+        await InboundEmail.create({ ...base, route, action: 'failed', error: error.message });
+        throw error;
+    }
+};
@@ -0,0 +1,152 @@
+const Vehicle = require('../models/Vehicle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aging buckets (inclusive day ranges); the last bucket is open-ended
+const AGING_BUCKETS = [
+    { key: '0-30', min: 0, max: 30 },
+    { key: '31-60', min: 31, max: 60 },
+    { key: '61-90', min: 61, max: 90 },
+    { key: '90+', min: 91, max: Infinity }
+];
+
+// Vehicle statuses that still count as stock on hand
+const IN_STOCK_STATUSES = Vehicle.IN_STOCK_STATUSES;
+
+const DEFAULT_OVERPRICED_AFTER_DAYS = parseInt(process.env.INVENTORY_OVERPRICED_AFTER_DAYS || '60', 10);
+const DEFAULT_HOLDING_COST_RATE = parseFloat(process.env.INVENTORY_HOLDING_COST_RATE || '0');
+
+const roundToCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Get the aging bucket key for a number of days in stock
+ * @param {number} days
+ * @returns {string}
+ */
+exports.getAgingBucket = (days) => {
+    const bucket = AGING_BUCKETS.find(b => days >= b.min && days <= b.max);
+    return bucket ? bucket.key : AGING_BUCKETS[AGING_BUCKETS.length - 1].key;
+};
+
+/**
+ * Capitalised cost of a vehicle from its Purchase Order cost fields plus any
+ * reconditioning expenses. Falls back to the cost basis frozen on the vehicle when the PO is missing.
+ * @param {Object} vehicle - Vehicle with populated purchaseOrder and leadId
+ * @returns {number}
+ */
+exports.getCapitalisedCost = (vehicle) => {
+    const po = vehicle.purchaseOrder && vehicle.purchaseOrder._id ? vehicle.purchaseOrder : null;
+    if (!po) {
+        return roundToCurrency(vehicle.costBasis?.total || vehicle.purchasePrice);
+    }
+
+    const buyingPrice = vehicle.leadId?.priceAnalysis?.purchasedFinalPrice
+        ?? vehicle.costBasis?.buyingPrice
+        ?? vehicle.purchasePrice;
+
+    return roundToCurrency(
+        (Number(buyingPrice) || 0) +
+        (Number(po.transferCost) || 0) +
+        (Number(po.detailing_inspection_cost) || 0) +
+        (Number(po.agent_commision) || 0) +
+        (Number(po.car_recovery_cost) || 0) +
+        (Number(po.other_charges) || 0) +
+        (Number(vehicle.costBasis?.reconditioningCost) || 0)
+    );
+};
+
+/**
+ * Build the inventory aging and holding-cost report
+ * @param {Object} options
+ * @param {number} [options.overpricedAfterDays] - Flag cars priced above max selling price after this many days
+ * @param {number} [options.holdingCostRate] - Annual holding cost rate in percent of capitalised cost
+ * @param {string} [options.bucket] - Only return rows in this aging bucket
+ * @param {Date} [options.asOf] - Reference date (defaults to now)
+ * @returns {Promise<{rows: Array, summary: Object}>}
+ */
+exports.buildInventoryAgingReport = async (options = {}) => {
+    const overpricedAfterDays = Number.isFinite(options.overpricedAfterDays)
+        ? options.overpricedAfterDays
+        : DEFAULT_OVERPRICED_AFTER_DAYS;
+    const holdingCostRate = Number.isFinite(options.holdingCostRate)
+        ? options.holdingCostRate
+        : DEFAULT_HOLDING_COST_RATE;
+    const asOf = options.asOf || new Date();
+
+    const vehicles = await Vehicle.find({ status: { $in: IN_STOCK_STATUSES } })
+        .populate('leadId', 'leadId status priceAnalysis')
+        .populate('purchaseOrder', 'poId status completedAt updatedAt transferCost detailing_inspection_cost agent_commision car_recovery_cost other_charges');
+
+    const rows = vehicles.map(vehicle => {
+        const po = vehicle.purchaseOrder && vehicle.purchaseOrder._id ? vehicle.purchaseOrder : null;
+        const stockedAt = po?.completedAt || vehicle.purchaseMeta?.purchasedAt || vehicle.createdAt;
+        const daysInStock = Math.max(0, Math.floor((asOf - new Date(stockedAt)) / DAY_MS));
+        const capitalisedCost = exports.getCapitalisedCost(vehicle);
+        const holdingCost = roundToCurrency(capitalisedCost * (holdingCostRate / 100) * (daysInStock / 365));
+
+        const maxSellingPrice = vehicle.leadId?.priceAnalysis?.maxSellingPrice ?? vehicle.maxSellingPrice;
+        // Only our own listing price counts; askingPrice is what the seller wanted from us
+        const currentPrice = vehicle.listingPrice || null;
+        const isOverpriced = Boolean(
+            daysInStock >= overpricedAfterDays &&
+            currentPrice &&
+            maxSellingPrice &&
+            currentPrice > maxSellingPrice
+        );
+
+        return {
+            _id: vehicle._id,
+            vehicleId: vehicle.vehicleId,
+            leadId: vehicle.leadId?.leadId,
+            poId: po?.poId,
+            make: vehicle.make,
+            model: vehicle.model,
+            year: vehicle.year,
+            status: vehicle.status,
+            ownershipType: vehicle.ownershipType,
+            stockedAt,
+            daysInStock,
+            agingBucket: exports.getAgingBucket(daysInStock),
+            capitalisedCost,
+            holdingCost,
+            totalCost: roundToCurrency(capitalisedCost + holdingCost),
+            currentPrice,
+            hasListingPrice: currentPrice !== null,
+            maxSellingPrice: maxSellingPrice ?? null,
+            isOverpriced
+        };
+    })
+        .filter(row => !options.bucket || row.agingBucket === options.bucket)
+        .sort((a, b) => b.daysInStock - a.daysInStock);
+
+    const buckets = AGING_BUCKETS.reduce((acc, bucket) => {
+        acc[bucket.key] = { count: 0, capitalisedCost: 0, holdingCost: 0 };
+        return acc;
+    }, {});
+    rows.forEach(row => {
+        const bucket = buckets[row.agingBucket];
+        bucket.count += 1;
+        bucket.capitalisedCost = roundToCurrency(bucket.capitalisedCost + row.capitalisedCost);
+        bucket.holdingCost = roundToCurrency(bucket.holdingCost + row.holdingCost);
+    });
+
+    const totalDays = rows.reduce((sum, row) => sum + row.daysInStock, 0);
+
+    return {
+        rows,
+        summary: {
+            asOf,
+            overpricedAfterDays,
+            holdingCostRate,
+            totalVehicles: rows.length,
+            averageDaysInStock: rows.length > 0 ? Math.round(totalDays / rows.length) : 0,
+            totalCapitalisedCost: roundToCurrency(rows.reduce((sum, row) => sum + row.capitalisedCost, 0)),
+            totalHoldingCost: roundToCurrency(rows.reduce((sum, row) => sum + row.holdingCost, 0)),
+            overpricedCount: rows.filter(row => row.isOverpriced).length,
+            noListingPriceCount: rows.filter(row => !row.hasListingPrice).length,
+            buckets
+        }
+    };
+};
+
+exports.AGING_BUCKETS = AGING_BUCKETS;
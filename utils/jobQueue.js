@@ -0,0 +1,65 @@
+const { Queue } = require('bullmq');
+const IORedis = require('ioredis');
+const logger = require('./logger');
+
+// How long a request waits to hand a job to Redis before giving up
+const ENQUEUE_TIMEOUT_MS = 5000;
+
+// Producer side of the BullMQ queues processed by workers/backgroundWorker.js.
+// The connection is opened on first use so the API starts without Redis.
+let connection = null;
+const queues = {};
+
+const getConnection = () => {
+    if (!connection) {
+        connection = new IORedis({
+            host: process.env.REDIS_HOST || 'localhost',
+            port: process.env.REDIS_PORT || 6379,
+            maxRetriesPerRequest: 1
+        });
+        connection.on('error', (error) => logger.warn(`Job queue Redis connection error: ${error.message}`));
+    }
+    return connection;
+};
+
+/**
+ * Queue by name (created once per process)
+ * @param {string} name - Queue name, e.g. leads
+ * @returns {Queue}
+ */
+exports.getQueue = (name) => {
+    if (!queues[name]) {
+        queues[name] = new Queue(name, { connection: getConnection() });
+        queues[name].on('error', (error) => logger.warn(`Job queue ${name} error: ${error.message}`));
+    }
+    return queues[name];
+};
+
+/**
+ * Add a job for the background worker
+ * @param {string} queueName
+ * @param {string} jobName
+ * @param {Object} [data]
+ * @param {Object} [options] - BullMQ job options
+ * @returns {Promise<Object>} The job
+ * @throws {Error} When Redis cannot be reached in time
+ */
+exports.enqueueJob = async (queueName, jobName, data = {}, options = {}) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out queueing ${jobName} on ${queueName}`)), ENQUEUE_TIMEOUT_MS);
+    });
+
+    try {
+        return await Promise.race([
+            exports.getQueue(queueName).add(jobName, data, {
+                removeOnComplete: 100,
+                removeOnFail: 500,
+                ...options
+            }),
+            timeout
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+};
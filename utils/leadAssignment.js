@@ -0,0 +1,209 @@
+const Lead = require('../models/Lead');
+const AssignmentRule = require('../models/AssignmentRule');
+const Manager = require('../models/Manager');
+const logger = require('./logger');
+const { logLead, logSystem } = require('./auditLogger');
+const { getLeadPipeline } = require('./leadPipeline');
+
+// Set LEAD_AUTO_ASSIGN=false to keep every lead unassigned until someone picks a manager
+const isAutoAssignEnabled = () => process.env.LEAD_AUTO_ASSIGN !== 'false';
+
+/**
+ * Stage keys that no longer count as open work for either lead type
+ * @returns {Promise<string[]>}
+ */
+const getClosedStageKeys = async () => {
+    const pipelines = await Promise.all(['purchase', 'sales'].map(getLeadPipeline));
+    return [...new Set(pipelines.flatMap(p => p.stages.filter(s => s.isTerminal).map(s => s.key)))];
+};
+
+/**
+ * Open (not closed, not merged) leads per manager
+ * @param {Array} managerIds
+ * @returns {Promise<Map<string, number>>}
+ */
+const getOpenLeadCounts = async (managerIds) => {
+    const closedStages = await getClosedStageKeys();
+    const counts = await Lead.aggregate([
+        { $match: { assignedTo: { $in: managerIds }, status: { $nin: closedStages }, mergedInto: null } },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+/**
+ * Choose a manager for a lead. The first active rule matching the lead's
+ * type, source and make narrows the pool to its managers and teams; without a
+ * matching rule (or when the rule's pool is empty) every active manager is
+ * eligible. Within the pool the manager with the lowest open-lead count
+ * relative to their weight wins, and ties go to whoever was auto-assigned
+ * least recently so equal managers take turns.
+ * @param {Object} lead
+ * @param {Object} [options]
+ * @param {Array} [options.excludeManagerIds]
+ * @returns {Promise<Object|null>} { manager, rule, fallback, openLeads, poolSize }
+ */
+exports.pickManagerForLead = async (lead, options = {}) => {
+    const excludeManagerIds = (options.excludeManagerIds || []).map(id => id.toString());
+
+    const rules = await AssignmentRule.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+    const rule = rules.find(r => r.matches(lead)) || null;
+
+    const baseQuery = {
+        status: 'active',
+        'assignment.enabled': { $ne: false },
+        _id: { $nin: excludeManagerIds }
+    };
+
+    let candidates = [];
+    let fallback = false;
+    if (rule) {
+        const pool = [];
+        if (rule.target.managers.length > 0) pool.push({ _id: { $in: rule.target.managers } });
+        if (rule.target.teams.length > 0) pool.push({ teams: { $in: rule.target.teams } });
+        candidates = await Manager.find(pool.length > 0 ? { ...baseQuery, $or: pool } : baseQuery)
+            .select('name email teams assignment');
+        fallback = candidates.length === 0;
+    }
+    if (!rule || fallback) {
+        candidates = await Manager.find(baseQuery).select('name email teams assignment');
+    }
+    if (candidates.length === 0) return null;
+
+    const counts = await getOpenLeadCounts(candidates.map(m => m._id));
+    const ranked = candidates
+        .map(manager => {
+            const openLeads = counts.get(manager._id.toString()) || 0;
+            return { manager, openLeads, load: openLeads / (manager.assignment?.weight || 1) };
+        })
+        .sort((a, b) => a.load - b.load ||
+            (a.manager.assignment?.lastAssignedAt || 0) - (b.manager.assignment?.lastAssignedAt || 0) ||
+            a.manager.name.localeCompare(b.manager.name));
+
+    return {
+        manager: ranked[0].manager,
+        rule,
+        fallback,
+        openLeads: ranked[0].openLeads,
+        poolSize: candidates.length
+    };
+};
+
+/**
+ * Assign a lead to the manager chosen by pickManagerForLead, save it and audit the decision.
+ * @param {Object} lead - Lead document
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Request, when a user action triggered the assignment
+ * @param {string} [options.reason] - new_lead, bulk_import, manager_inactive, backlog
+ * @param {Array} [options.excludeManagerIds]
+ * @returns {Promise<Object|null>} Assignment summary, or null when nobody could be assigned
+ */
+exports.autoAssignLead = async (lead, options = {}) => {
+    if (!isAutoAssignEnabled()) return null;
+
+    const { req, reason = 'new_lead', excludeManagerIds } = options;
+    const pick = await exports.pickManagerForLead(lead, { excludeManagerIds });
+    if (!pick) {
+        logger.warn(`No active manager available to auto-assign lead ${lead.leadId}`);
+        return null;
+    }
+
+    const previousManagerId = lead.assignedTo?._id || lead.assignedTo || null;
+    lead.assignedTo = pick.manager._id;
+    await lead.save();
+    await Manager.updateOne({ _id: pick.manager._id }, { $set: { 'assignment.lastAssignedAt': new Date() } });
+
+    const summary = {
+        manager: { _id: pick.manager._id, name: pick.manager.name, email: pick.manager.email },
+        rule: pick.rule ? { _id: pick.rule._id, name: pick.rule.name } : null,
+        fallback: pick.fallback,
+        openLeads: pick.openLeads,
+        poolSize: pick.poolSize,
+        reason
+    };
+
+    const description = `Auto-assigned lead ${lead.leadId} to ${pick.manager.name} (${pick.manager.email})` +
+        (pick.rule && !pick.fallback ? ` by rule ${pick.rule.name}` : '');
+    const metadata = {
+        ...summary,
+        previousManager: previousManagerId,
+        leadContact: lead.contactInfo?.name,
+        source: lead.source,
+        make: lead.vehicleInfo?.make
+    };
+    if (req) {
+        await logLead(req, 'lead_auto_assigned', description, lead, metadata);
+    } else {
+        await logSystem('lead_auto_assigned', description, lead, 'Lead', metadata);
+    }
+
+    logger.info(description);
+    return summary;
+};
+
+/**
+ * Move every open lead of a manager to other managers, e.g. when they are set inactive.
+ * Leads nobody can take are left unassigned.
+ * @param {string} managerId
+ * @param {Object} [options]
+ * @param {Object} [options.req]
+ * @returns {Promise<{reassigned: Array, unassigned: Array}>}
+ */
+exports.reassignManagerLeads = async (managerId, options = {}) => {
+    const closedStages = await getClosedStageKeys();
+    const leads = await Lead.find({ assignedTo: managerId, status: { $nin: closedStages }, mergedInto: null })
+        .sort({ score: -1, createdAt: 1 });
+
+    const reassigned = [];
+    const unassigned = [];
+    for (const lead of leads) {
+        const assignment = await exports.autoAssignLead(lead, {
+            req: options.req,
+            reason: 'manager_inactive',
+            excludeManagerIds: [managerId]
+        });
+        if (assignment) {
+            reassigned.push({ leadId: lead.leadId, manager: assignment.manager });
+            continue;
+        }
+
+        lead.assignedTo = null;
+        await lead.save();
+        unassigned.push(lead.leadId);
+        const description = `Unassigned lead ${lead.leadId} because its manager is inactive and nobody else is available`;
+        if (options.req) {
+            await logLead(options.req, 'lead_assigned', description, lead, { oldManager: managerId, newManager: null, reason: 'manager_inactive' });
+        } else {
+            await logSystem('lead_assigned', description, lead, 'Lead', { oldManager: managerId, newManager: null, reason: 'manager_inactive' });
+        }
+    }
+
+    return { reassigned, unassigned };
+};
+
+/**
+ * Auto-assign every open lead that has no manager yet
+ * @param {Object} [options]
+ * @param {Object} [options.req]
+ * @param {string} [options.type] - Limit to purchase or sales leads
+ * @returns {Promise<{assigned: Array, remaining: number}>}
+ */
+exports.assignUnassignedLeads = async (options = {}) => {
+    const closedStages = await getClosedStageKeys();
+    const query = { assignedTo: null, status: { $nin: closedStages }, mergedInto: null };
+    if (options.type) query.type = options.type;
+
+    // Best leads first so they land with the least loaded managers
+    const leads = await Lead.find(query).sort({ score: -1, createdAt: 1 });
+
+    const assigned = [];
+    for (const lead of leads) {
+        const assignment = await exports.autoAssignLead(lead, { req: options.req, reason: 'backlog' });
+        if (!assignment) break;
+        assigned.push({ leadId: lead.leadId, manager: assignment.manager });
+    }
+
+    return { assigned, remaining: leads.length - assigned.length };
+};
+
+exports.isAutoAssignEnabled = isAutoAssignEnabled;
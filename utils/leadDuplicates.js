@@ -0,0 +1,129 @@
+const Lead = require('../models/Lead');
+
+// Phone numbers are compared on their last digits so +971 50..., 0097150... and 050... match
+const PHONE_MATCH_DIGITS = 9;
+const MIN_PHONE_DIGITS = 7;
+const MAX_DUPLICATES = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalise a phone number to the digits used for duplicate matching
+ * @param {string} phone
+ * @returns {string|null}
+ */
+exports.normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length < MIN_PHONE_DIGITS) return null;
+    return digits.slice(-PHONE_MATCH_DIGITS);
+};
+
+/**
+ * Normalise a VIN or chassis number (whitespace and hyphens removed, upper-cased)
+ * @param {string} vin
+ * @returns {string|null}
+ */
+exports.normalizeVinKey = (vin) => {
+    const normalized = String(vin || '').replace(/[\s-]/g, '').toUpperCase();
+    return normalized || null;
+};
+
+/**
+ * Normalise an email address for duplicate matching
+ * @param {string} email
+ * @returns {string|null}
+ */
+exports.normalizeEmail = (email) => {
+    const normalized = String(email || '').trim().toLowerCase();
+    return normalized || null;
+};
+
+/**
+ * Normalise an Emirates ID or passport number (separators removed, upper-cased)
+ * @param {string} idNumber
+ * @returns {string|null}
+ */
+exports.normalizeIdNumber = (idNumber) => {
+    const normalized = String(idNumber || '').replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    return normalized.length >= 5 ? normalized : null;
+};
+
+/**
+ * Extract the normalised matching keys from lead data
+ * @param {Object} leadData - Object with contactInfo and vehicleInfo
+ * @returns {{vin: string|null, phone: string|null, email: string|null, idNumber: string|null}}
+ */
+exports.getMatchKeys = (leadData = {}) => {
+    return {
+        vin: exports.normalizeVinKey(leadData.vehicleInfo?.vin),
+        phone: exports.normalizePhone(leadData.contactInfo?.phone),
+        email: exports.normalizeEmail(leadData.contactInfo?.email),
+        idNumber: exports.normalizeIdNumber(leadData.contactInfo?.passportOrEmiratesId)
+    };
+};
+
+/**
+ * Build a regex that matches a stored value regardless of the separators in it
+ * @param {string} chars - Normalised characters that must appear in order
+ * @param {string} separator - Character class allowed between them
+ * @param {boolean} anchorStart - Require the match to start at the beginning
+ */
+const buildLooseRegex = (chars, separator, anchorStart) => {
+    const body = chars.split('').map(escapeRegex).join(`${separator}*`);
+    return new RegExp(`${anchorStart ? `^${separator}*` : ''}${body}${separator}*$`, 'i');
+};
+
+/**
+ * Find existing leads that are likely duplicates of the given lead data.
+ * Matches on VIN, normalised phone, email and Emirates ID / passport number.
+ * Leads already merged into another lead are ignored.
+ * @param {Object} leadData - Candidate lead (contactInfo, vehicleInfo)
+ * @param {Object} [options]
+ * @param {string} [options.type='purchase'] - Lead type to search
+ * @param {Array} [options.excludeIds] - Lead ids to leave out (e.g. the lead itself)
+ * @returns {Promise<Array>} Duplicates sorted by number of matched fields
+ */
+exports.findDuplicateLeads = async (leadData, options = {}) => {
+    const keys = exports.getMatchKeys(leadData);
+    const conditions = [];
+
+    if (keys.vin) conditions.push({ 'vehicleInfo.vin': buildLooseRegex(keys.vin, '[\\s-]', true) });
+    if (keys.phone) conditions.push({ 'contactInfo.phone': buildLooseRegex(keys.phone, '\\D', false) });
+    if (keys.email) conditions.push({ 'contactInfo.email': new RegExp(`^\\s*${escapeRegex(keys.email)}\\s*$`, 'i') });
+    if (keys.idNumber) conditions.push({ 'contactInfo.passportOrEmiratesId': buildLooseRegex(keys.idNumber, '[^A-Za-z0-9]', true) });
+
+    if (conditions.length === 0) return [];
+
+    const query = {
+        type: options.type || 'purchase',
+        mergedInto: null,
+        $or: conditions
+    };
+    if (options.excludeIds && options.excludeIds.length > 0) {
+        query._id = { $nin: options.excludeIds };
+    }
+
+    const candidates = await Lead.find(query)
+        .select('leadId status contactInfo vehicleInfo assignedTo createdAt')
+        .populate('assignedTo', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(MAX_DUPLICATES);
+
+    return candidates
+        .map(candidate => {
+            const candidateKeys = exports.getMatchKeys(candidate);
+            const matchedOn = Object.keys(keys).filter(key => keys[key] && keys[key] === candidateKeys[key]);
+            return {
+                _id: candidate._id,
+                leadId: candidate.leadId,
+                status: candidate.status,
+                contactName: candidate.contactInfo?.name,
+                vehicle: [candidate.vehicleInfo?.make, candidate.vehicleInfo?.model, candidate.vehicleInfo?.year].filter(Boolean).join(' '),
+                assignedTo: candidate.assignedTo || null,
+                createdAt: candidate.createdAt,
+                matchedOn
+            };
+        })
+        .filter(duplicate => duplicate.matchedOn.length > 0)
+        .sort((a, b) => b.matchedOn.length - a.matchedOn.length);
+};
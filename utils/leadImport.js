@@ -0,0 +1,384 @@
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const Lead = require('../models/Lead');
+const LeadImport = require('../models/LeadImport');
+const logger = require('./logger');
+const { logLead } = require('./auditLogger');
+const { autoAssignLead } = require('./leadAssignment');
+const { getLeadPipeline, runStageEntryAutomations } = require('./leadPipeline');
+
+// Largest spreadsheet accepted in one import
+const MAX_IMPORT_ROWS = 5000;
+
+const LEAD_SOURCES = ['phone', 'email', 'walk-in', 'website', 'referral', 'social-media', 'other'];
+const LEAD_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Lead fields a spreadsheet column can be mapped to. Aliases are matched
+ * case-insensitively against column headers to suggest a mapping.
+ */
+const IMPORT_FIELDS = {
+    'contactInfo.name': { label: 'Contact name', type: 'string', required: true, aliases: ['name', 'contact name', 'customer', 'customer name', 'seller', 'seller name', 'owner', 'owner name'] },
+    'contactInfo.phone': { label: 'Phone', type: 'string', aliases: ['phone', 'mobile', 'phone number', 'mobile number', 'contact number', 'tel', 'telephone', 'whatsapp'] },
+    'contactInfo.email': { label: 'Email', type: 'email', aliases: ['email', 'e-mail', 'email address'] },
+    'contactInfo.passportOrEmiratesId': { label: 'Emirates ID / passport', type: 'string', aliases: ['emirates id', 'eid', 'passport', 'passport number', 'id number'] },
+    'contactInfo.preferredContact': { label: 'Preferred contact', type: 'enum', values: ['phone', 'email', 'whatsapp'], aliases: ['preferred contact', 'contact method'] },
+    'vehicleInfo.make': { label: 'Make', type: 'string', required: true, aliases: ['make', 'brand', 'manufacturer'] },
+    'vehicleInfo.model': { label: 'Model', type: 'string', required: true, aliases: ['model'] },
+    'vehicleInfo.year': { label: 'Year', type: 'year', aliases: ['year', 'model year'] },
+    'vehicleInfo.mileage': { label: 'Mileage', type: 'number', aliases: ['mileage', 'km', 'kms', 'kilometers', 'kilometres', 'odometer'] },
+    'vehicleInfo.color': { label: 'Color', type: 'string', aliases: ['color', 'colour'] },
+    'vehicleInfo.trim': { label: 'Trim', type: 'string', aliases: ['trim', 'variant'] },
+    'vehicleInfo.region': { label: 'Region / specs', type: 'string', aliases: ['region', 'specs', 'spec'] },
+    'vehicleInfo.vin': { label: 'VIN', type: 'string', aliases: ['vin', 'chassis', 'chassis number', 'chassis no'] },
+    'vehicleInfo.category': { label: 'Category', type: 'string', aliases: ['category', 'body type', 'segment'] },
+    'vehicleInfo.askingPrice': { label: 'Asking price', type: 'number', aliases: ['asking price', 'price', 'asking'] },
+    'vehicleInfo.expectedPrice': { label: 'Expected price', type: 'number', aliases: ['expected price', 'expected'] },
+    source: { label: 'Source', type: 'enum', values: LEAD_SOURCES, aliases: ['source', 'lead source'] },
+    priority: { label: 'Priority', type: 'enum', values: LEAD_PRIORITIES, aliases: ['priority'] },
+    assignedTo: { label: 'Manager email', type: 'email', aliases: ['manager', 'manager email', 'assigned to'] },
+    notes: { label: 'Notes', type: 'string', aliases: ['notes', 'note', 'comments', 'remarks'] }
+};
+
+const normalizeHeader = (header) => String(header || '').replace(/^﻿/, '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+/**
+ * Plain value of an ExcelJS cell (formula results, rich text and hyperlinks unwrapped)
+ * @param {*} value
+ * @returns {string|number|Date|null}
+ */
+const cellToValue = (value) => {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+        if (value.result !== undefined) return cellToValue(value.result);
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellToValue(value.text);
+        if (value.error) return null;
+        return String(value);
+    }
+    return value;
+};
+
+/**
+ * Read the first (or named) sheet of an XLSX or CSV upload. Row 1 holds the headers.
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {string} options.fileName
+ * @param {string} [options.sheetName]
+ * @returns {Promise<{sheetName: string, headers: string[], rows: Array<{rowNumber: number, values: Object}>}>}
+ */
+exports.readLeadSpreadsheet = async (buffer, { fileName, sheetName }) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    if (/\.csv$/i.test(fileName)) {
+        // Keep every value as text so phone numbers keep their leading zeros
+        const firstLine = buffer.toString('utf8').split(/\r?\n/)[0] || '';
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        worksheet = await workbook.csv.read(Readable.from(buffer), { map: value => value, parserOptions: { delimiter } });
+    } else {
+        await workbook.xlsx.load(buffer);
+        worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    }
+
+    if (!worksheet) {
+        const error = new Error(sheetName ? `Sheet ${sheetName} not found` : 'The workbook has no sheets');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const headerRow = worksheet.getRow(1);
+    const headers = [];
+    headerRow.eachCell({ includeEmpty: true }, (cell, column) => {
+        const header = String(cellToValue(cell.value) ?? '').replace(/^﻿/, '').trim();
+        headers[column - 1] = header || `Column ${column}`;
+    });
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const values = {};
+        let hasValue = false;
+        headers.forEach((header, index) => {
+            const value = cellToValue(row.getCell(index + 1).value);
+            values[header] = value;
+            if (value !== null && String(value).trim() !== '') hasValue = true;
+        });
+        if (hasValue) rows.push({ rowNumber, values });
+    });
+
+    return { sheetName: worksheet.name, headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Suggest a column → field mapping from the headers
+ * @param {string[]} headers
+ * @returns {Object} { header: field }
+ */
+exports.suggestLeadImportMapping = (headers) => {
+    const mapping = {};
+    const used = new Set();
+    headers.forEach(header => {
+        const normalized = normalizeHeader(header);
+        const field = Object.keys(IMPORT_FIELDS).find(key =>
+            !used.has(key) && (normalizeHeader(key) === normalized || IMPORT_FIELDS[key].aliases.includes(normalized)));
+        if (field) {
+            mapping[header] = field;
+            used.add(field);
+        }
+    });
+    return mapping;
+};
+
+/**
+ * Problems with a mapping: unknown columns or fields, a field mapped twice, required fields missing
+ * @param {Object} mapping - { header: field }
+ * @param {string[]} headers
+ * @returns {string[]}
+ */
+exports.getLeadImportMappingErrors = (mapping, headers) => {
+    const errors = [];
+    const fields = Object.values(mapping).filter(Boolean);
+
+    Object.entries(mapping).forEach(([header, field]) => {
+        if (!headers.includes(header)) errors.push(`Column "${header}" is not in the file`);
+        if (field && !IMPORT_FIELDS[field]) errors.push(`Unknown field "${field}" for column "${header}"`);
+    });
+    fields.filter((field, index) => fields.indexOf(field) !== index)
+        .forEach(field => errors.push(`Field ${field} is mapped to more than one column`));
+    Object.keys(IMPORT_FIELDS)
+        .filter(field => IMPORT_FIELDS[field].required && !fields.includes(field))
+        .forEach(field => errors.push(`No column is mapped to ${IMPORT_FIELDS[field].label} (${field})`));
+
+    return [...new Set(errors)];
+};
+
+/**
+ * Convert one cell to the field's type
+ * @returns {{value: *, error: string|null}}
+ */
+const convertValue = (raw, field) => {
+    const definition = IMPORT_FIELDS[field];
+    if (raw === null || raw === undefined || String(raw).trim() === '') return { value: undefined, error: null };
+    const text = raw instanceof Date ? raw.toISOString().slice(0, 10) : String(raw).trim();
+
+    switch (definition.type) {
+        case 'number': {
+            const number = typeof raw === 'number' ? raw : Number(text.replace(/[^\d.-]/g, ''));
+            if (!Number.isFinite(number) || number < 0 || text.replace(/[^\d]/g, '') === '') {
+                return { value: undefined, error: `${definition.label} "${text}" is not a valid number` };
+            }
+            return { value: number, error: null };
+        }
+        case 'year': {
+            const year = raw instanceof Date ? raw.getFullYear() : parseInt(text, 10);
+            const maxYear = new Date().getFullYear() + 1;
+            if (!Number.isInteger(year) || year < 1950 || year > maxYear) {
+                return { value: undefined, error: `Year "${text}" must be between 1950 and ${maxYear}` };
+            }
+            return { value: year, error: null };
+        }
+        case 'email': {
+            const email = text.toLowerCase();
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { value: undefined, error: `${definition.label} "${text}" is not a valid email` };
+            return { value: email, error: null };
+        }
+        case 'enum': {
+            const option = definition.values.find(v => v === text.toLowerCase().replace(/[\s_]+/g, '-') || v === text.toLowerCase());
+            if (!option) return { value: undefined, error: `${definition.label} "${text}" must be one of: ${definition.values.join(', ')}` };
+            return { value: option, error: null };
+        }
+        default:
+            return { value: text, error: null };
+    }
+};
+
+/**
+ * Build lead data from a spreadsheet row
+ * @param {Object} row - { rowNumber, values }
+ * @param {Object} mapping - { header: field }
+ * @param {Object} [defaults] - { source, priority } for rows without them
+ * @returns {{leadData: Object, managerEmail: string|undefined, note: string|undefined, errors: string[]}}
+ */
+exports.buildLeadFromRow = (row, mapping, defaults = {}) => {
+    const leadData = { contactInfo: {}, vehicleInfo: {} };
+    const errors = [];
+    let managerEmail;
+    let note;
+
+    Object.entries(mapping).forEach(([header, field]) => {
+        if (!field) return;
+        const { value, error } = convertValue(row.values[header], field);
+        if (error) errors.push(error);
+        if (value === undefined) return;
+
+        if (field === 'assignedTo') managerEmail = value;
+        else if (field === 'notes') note = value;
+        else if (field.includes('.')) {
+            const [group, key] = field.split('.');
+            leadData[group][key] = value;
+        } else {
+            leadData[field] = value;
+        }
+    });
+
+    if (!leadData.source) leadData.source = defaults.source || 'other';
+    if (!leadData.priority && defaults.priority) leadData.priority = defaults.priority;
+
+    Object.keys(IMPORT_FIELDS)
+        .filter(field => IMPORT_FIELDS[field].required)
+        .forEach(field => {
+            const [group, key] = field.split('.');
+            if (!leadData[group]?.[key]) errors.push(`${IMPORT_FIELDS[field].label} is required`);
+        });
+
+    return { leadData, managerEmail, note, errors };
+};
+
+/**
+ * Workbook listing rejected rows: row number, reasons, then the original columns
+ * @param {Object} leadImport - LeadImport
+ * @returns {ExcelJS.Workbook}
+ */
+exports.buildImportErrorWorkbook = (leadImport) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Rejected rows');
+
+    worksheet.columns = [
+        { header: 'Row', key: '__row', width: 8 },
+        { header: 'Reasons', key: '__reasons', width: 60 },
+        ...leadImport.headers.map((header, index) => ({ header, key: `c${index}`, width: 18 }))
+    ];
+
+    worksheet.getRow(1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FF4472C4' }
+    };
+    worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+    leadImport.rejectedRows.forEach(rejected => {
+        const row = { __row: rejected.rowNumber, __reasons: rejected.reasons.join('; ') };
+        leadImport.headers.forEach((header, index) => {
+            const value = rejected.values?.[header];
+            row[`c${index}`] = value === null || value === undefined ? '' : value;
+        });
+        worksheet.addRow(row).getCell('__reasons').alignment = { wrapText: true, vertical: 'top' };
+    });
+
+    return workbook;
+};
+
+/**
+ * Stand-in for the importer's request, so the audit helpers attribute the
+ * leads the worker creates to the user who started the import
+ * @param {Object} leadImport - LeadImport with createdBy populated
+ */
+const buildImportActor = (leadImport) => ({
+    userId: leadImport.createdBy?._id || leadImport.createdBy,
+    userRole: leadImport.createdByModel === 'Admin' ? 'admin' : 'manager',
+    user: leadImport.createdBy,
+    ip: leadImport.ipAddress,
+    get: (header) => (header.toLowerCase() === 'user-agent' ? leadImport.userAgent : undefined)
+});
+
+// Queue options for the commit job: a failed run is retried and picks up where it stopped
+const LEAD_IMPORT_JOB_OPTIONS = { attempts: 3, backoff: { type: 'exponential', delay: 30000 } };
+
+/**
+ * Create the leads of a queued import (run by the background worker). Progress
+ * is saved after every row and an error leaves the import processing, so the
+ * retried job carries on from the next row; failLeadImport closes it once the
+ * job has no attempts left.
+ * @param {string} importId - LeadImport id
+ * @returns {Promise<Object|null>} The LeadImport, or null when it no longer exists
+ */
+exports.commitLeadImport = async (importId) => {
+    const leadImport = await LeadImport.findById(importId).populate('createdBy', 'name email');
+    if (!leadImport) return null;
+    if (!['queued', 'processing'].includes(leadImport.status)) return leadImport;
+
+    if (leadImport.status === 'queued') {
+        leadImport.status = 'processing';
+        leadImport.startedAt = new Date();
+        await leadImport.save();
+    }
+
+    const actor = buildImportActor(leadImport);
+    const createdByModel = leadImport.createdByModel;
+    const pipeline = await getLeadPipeline('purchase');
+
+    for (let index = leadImport.processedRows; index < leadImport.pendingRows.length; index += 1) {
+        const pendingRow = leadImport.pendingRows[index];
+        const progress = { $set: { processedRows: index + 1 } };
+
+        try {
+            const lead = await Lead.create({
+                ...pendingRow.leadData,
+                type: 'purchase',
+                assignedTo: pendingRow.leadData.assignedTo || null,
+                notes: pendingRow.note ? [{ content: pendingRow.note, addedBy: actor.userId, addedByModel: createdByModel }] : [],
+                createdBy: actor.userId,
+                createdByModel
+            });
+
+            if (!lead.assignedTo) {
+                await autoAssignLead(lead, { req: actor, reason: 'bulk_import' });
+            }
+            await runStageEntryAutomations(lead, pipeline);
+
+            await logLead(actor, 'lead_created', `Imported purchase lead ${lead.leadId} for ${lead.contactInfo.name} from ${leadImport.fileName} (row ${pendingRow.rowNumber})`, lead, {
+                contactName: lead.contactInfo.name,
+                source: lead.source,
+                vehicle: `${lead.vehicleInfo.make} ${lead.vehicleInfo.model} ${lead.vehicleInfo.year || ''}`.trim(),
+                fileName: leadImport.fileName,
+                importId: leadImport._id,
+                rowNumber: pendingRow.rowNumber,
+                vinWarnings: pendingRow.warnings.length > 0 ? pendingRow.warnings : undefined,
+                possibleDuplicates: pendingRow.possibleDuplicates.length > 0 ? pendingRow.possibleDuplicates : undefined
+            });
+
+            progress.$push = { createdLeads: lead._id };
+            progress.$inc = { 'stats.created': 1 };
+        } catch (error) {
+            logger.error(`Import lead error at row ${pendingRow.rowNumber}:`, error);
+            progress.$push = {
+                rejectedRows: {
+                    rowNumber: pendingRow.rowNumber,
+                    reasons: [error.message || 'Failed to create lead'],
+                    values: pendingRow.values
+                }
+            };
+            progress.$inc = { 'stats.rejected': 1 };
+        }
+
+        await LeadImport.updateOne({ _id: leadImport._id }, progress);
+    }
+
+    const finished = await LeadImport.findById(leadImport._id);
+    finished.rejectedRows.sort((a, b) => a.rowNumber - b.rowNumber);
+    finished.pendingRows = [];
+    finished.status = 'completed';
+    finished.completedAt = new Date();
+    await finished.save();
+
+    logger.info(`Lead import ${finished._id} of ${finished.fileName} completed: ${finished.stats.created} created, ${finished.stats.rejected} rejected`);
+    return finished;
+};
+
+/**
+ * Mark an import failed once its job has used up every attempt
+ * @param {string} importId - LeadImport id
+ * @param {string} reason - Error of the last attempt
+ */
+exports.failLeadImport = async (importId, reason) => {
+    await LeadImport.updateOne(
+        { _id: importId, status: { $in: ['queued', 'processing'] } },
+        { $set: { status: 'failed', failureReason: reason, pendingRows: [], completedAt: new Date() } }
+    );
+};
+
+exports.LEAD_IMPORT_JOB_OPTIONS = LEAD_IMPORT_JOB_OPTIONS;
+exports.IMPORT_FIELDS = IMPORT_FIELDS;
+exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
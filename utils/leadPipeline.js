@@ -0,0 +1,256 @@
+const LeadPipeline = require('../models/LeadPipeline');
+const FollowUp = require('../models/FollowUp');
+const Manager = require('../models/Manager');
+const logger = require('./logger');
+const { sendNotificationEmail } = require('./emailService');
+
+const stage = (key, label, order, allowedTransitions, extra = {}) => ({
+    key,
+    label,
+    order,
+    allowedTransitions,
+    requiredFields: [],
+    entryAutomations: [],
+    isTerminal: false,
+    systemOnly: false,
+    isActive: true,
+    ...extra
+});
+
+const reviewFollowUp = (days, priority) => ({
+    action: 'create_follow_up',
+    followUpType: 'call',
+    dueInDays: days,
+    priority,
+    message: `Auto-generated follow-up for ${days} days review`
+});
+
+// Hours allowed in a stage per lead priority
+const slaHours = (low, medium, high, urgent) => ({ slaHours: { low, medium, high, urgent } });
+
+// Pipelines used until an admin saves their own; they mirror the original fixed status list
+const DEFAULT_PIPELINES = {
+    purchase: [
+        stage('new', 'New', 1, ['contacted', 'qualified', 'lost', 'cancelled'], slaHours(72, 48, 24, 4)),
+        stage('contacted', 'Contacted', 2, ['new', 'qualified', 'negotiation', 'lost', 'cancelled'], slaHours(336, 168, 72, 24)),
+        stage('qualified', 'Qualified', 3, ['contacted', 'negotiation', 'inspection', 'lost', 'cancelled'], slaHours(336, 168, 72, 24)),
+        stage('negotiation', 'Negotiation', 4, ['qualified', 'inspection', 'lost', 'cancelled'], slaHours(336, 240, 120, 48)),
+        stage('inspection', 'Inspection', 5, ['negotiation', 'under_review', 'lost', 'cancelled'], slaHours(168, 120, 72, 24)),
+        stage('under_review', 'Under Review', 6, ['inspection', 'approved', 'lost', 'cancelled'], {
+            entryAutomations: [reviewFollowUp(3, 'high'), reviewFollowUp(7, 'medium'), reviewFollowUp(15, 'medium')],
+            ...slaHours(120, 72, 48, 24)
+        }),
+        stage('approved', 'Approved', 7, ['under_review', 'inspection', 'lost', 'cancelled']),
+        stage('inventory', 'Inventory', 8, [], { isTerminal: true, systemOnly: true }),
+        stage('consignment', 'Consignment', 9, [], { isTerminal: true, systemOnly: true }),
+        stage('lost', 'Lost', 10, ['new'], { isTerminal: true }),
+        stage('cancelled', 'Cancelled', 11, ['new'], { isTerminal: true })
+    ],
+    sales: [
+        stage('new', 'New', 1, ['contacted', 'qualified', 'lost', 'cancelled'], slaHours(48, 24, 8, 2)),
+        stage('contacted', 'Contacted', 2, ['new', 'qualified', 'negotiation', 'lost', 'cancelled'], slaHours(336, 168, 72, 24)),
+        stage('qualified', 'Qualified', 3, ['contacted', 'negotiation', 'lost', 'cancelled'], slaHours(336, 168, 72, 24)),
+        stage('negotiation', 'Negotiation', 4, ['qualified', 'lost', 'cancelled'], slaHours(240, 168, 72, 24)),
+        stage('lost', 'Lost', 5, ['new'], { isTerminal: true }),
+        stage('cancelled', 'Cancelled', 6, ['new'], { isTerminal: true })
+    ]
+};
+
+// Stages the code itself moves leads into (approval, conversion, merge); they cannot be removed
+const WORKFLOW_STAGE_KEYS = {
+    purchase: ['new', 'inspection', 'under_review', 'approved', 'inventory', 'consignment', 'lost', 'cancelled'],
+    sales: ['new', 'lost', 'cancelled']
+};
+
+// Stages that are only reachable through purchase order conversion
+const SYSTEM_ONLY_STAGE_KEYS = ['inventory', 'consignment'];
+
+/**
+ * Pipeline for a lead type: the saved configuration, or an unsaved default
+ * @param {string} leadType - 'purchase' or 'sales'
+ * @returns {Promise<Object>} LeadPipeline document
+ */
+exports.getLeadPipeline = async (leadType) => {
+    const pipeline = await LeadPipeline.findOne({ leadType });
+    if (pipeline) return pipeline;
+    return new LeadPipeline({ leadType, stages: DEFAULT_PIPELINES[leadType] || [] });
+};
+
+const isBlank = (value) => value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Required fields of a stage that the lead has not filled in yet
+ * @param {Object} lead - Lead document
+ * @param {Object} targetStage - Stage definition
+ * @returns {Array<{field: string, label: string}>}
+ */
+exports.getMissingRequiredFields = (lead, targetStage) => {
+    return (targetStage.requiredFields || [])
+        .filter(field => {
+            if (field.startsWith('attachments.')) {
+                const category = field.split('.')[1];
+                return !(lead.attachments || []).some(a => a.category === category);
+            }
+            return isBlank(lead.get(field));
+        })
+        .map(field => ({ field, label: LeadPipeline.REQUIRED_FIELD_OPTIONS[field] || field }));
+};
+
+/**
+ * Stage definition for API responses, with required fields labelled
+ * @param {Object} stage - Stage subdocument
+ * @returns {Object}
+ */
+exports.formatPipelineStage = (stage) => ({
+    key: stage.key,
+    label: stage.label,
+    order: stage.order,
+    isTerminal: stage.isTerminal,
+    systemOnly: stage.systemOnly,
+    isActive: stage.isActive,
+    allowedTransitions: stage.allowedTransitions || [],
+    requiredFields: (stage.requiredFields || []).map(field => ({
+        field,
+        label: LeadPipeline.REQUIRED_FIELD_OPTIONS[field] || field
+    })),
+    entryAutomations: stage.entryAutomations || [],
+    slaHours: LeadPipeline.SLA_PRIORITIES.reduce((hours, priority) => {
+        if (stage.slaHours?.[priority] !== undefined && stage.slaHours?.[priority] !== null) hours[priority] = stage.slaHours[priority];
+        return hours;
+    }, {})
+});
+
+/**
+ * Validate a manual stage change against the lead's pipeline.
+ * Leads sitting in a stage that no longer exists may move to any active stage.
+ * @param {Object} lead - Lead document
+ * @param {string} toKey - Target stage key
+ * @param {Object} pipeline - LeadPipeline for the lead's type
+ * @returns {string|null} Error message, or null when the change is allowed
+ */
+exports.getStageChangeError = (lead, toKey, pipeline) => {
+    const targetStage = pipeline.getStage(toKey);
+    if (!targetStage || !targetStage.isActive) {
+        return `Invalid lead status: ${toKey}`;
+    }
+    if (targetStage.systemOnly) {
+        return `Lead ${lead.leadId} cannot be moved to ${targetStage.label} by hand`;
+    }
+
+    const currentStage = pipeline.getStage(lead.status);
+    if (currentStage && !(currentStage.allowedTransitions || []).includes(toKey)) {
+        return `Lead ${lead.leadId} cannot move from ${currentStage.label} to ${targetStage.label}`;
+    }
+
+    const missing = exports.getMissingRequiredFields(lead, targetStage);
+    if (missing.length > 0) {
+        return `Lead ${lead.leadId} needs ${missing.map(m => m.label).join(', ')} before moving to ${targetStage.label}`;
+    }
+    return null;
+};
+
+/**
+ * Run a stage's entry automations for a lead that has just entered it.
+ * Automations never fail the stage change; problems are reported per automation.
+ * @param {Object} lead - Saved Lead document
+ * @param {Object} pipeline - LeadPipeline for the lead's type
+ * @returns {Promise<Array>} [{ action, status: 'done'|'skipped'|'failed', detail }]
+ */
+exports.runStageEntryAutomations = async (lead, pipeline) => {
+    const targetStage = pipeline.getStage(lead.status);
+    if (!targetStage || !targetStage.entryAutomations || targetStage.entryAutomations.length === 0) {
+        return [];
+    }
+
+    const results = [];
+    for (const automation of targetStage.entryAutomations) {
+        try {
+            if (automation.action === 'create_follow_up') {
+                if (!lead.assignedTo) {
+                    results.push({ action: automation.action, status: 'skipped', detail: 'Lead has no assigned manager' });
+                    continue;
+                }
+                const managerId = lead.assignedTo._id || lead.assignedTo;
+                const dueDate = new Date();
+                dueDate.setDate(dueDate.getDate() + (automation.dueInDays || 0));
+
+                const followUp = await FollowUp.create({
+                    leadId: lead._id,
+                    managerId,
+                    type: automation.followUpType || 'call',
+                    dueDate,
+                    status: 'pending',
+                    priority: automation.priority || 'medium',
+                    comments: automation.message || `Auto-generated follow-up on entering ${targetStage.label}`,
+                    autoGenerated: true,
+                    createdBy: managerId
+                });
+                lead.followUps.push(followUp._id);
+                results.push({ action: automation.action, status: 'done', detail: `Follow-up due ${dueDate.toISOString().slice(0, 10)}` });
+            } else if (automation.action === 'set_priority') {
+                if (!automation.priority || lead.priority === automation.priority) {
+                    results.push({ action: automation.action, status: 'skipped', detail: 'Priority unchanged' });
+                    continue;
+                }
+                lead.priority = automation.priority;
+                results.push({ action: automation.action, status: 'done', detail: `Priority set to ${automation.priority}` });
+            } else if (automation.action === 'notify_assignee') {
+                const manager = lead.assignedTo ? await Manager.findById(lead.assignedTo._id || lead.assignedTo).select('name email') : null;
+                if (!manager?.email) {
+                    results.push({ action: automation.action, status: 'skipped', detail: 'Lead has no assigned manager' });
+                    continue;
+                }
+                await sendNotificationEmail(
+                    manager.email,
+                    `Lead ${lead.leadId} moved to ${targetStage.label}`,
+                    automation.message || `Lead ${lead.leadId} (${lead.contactInfo?.name || 'unknown contact'}) is now in ${targetStage.label}.`
+                );
+                results.push({ action: automation.action, status: 'done', detail: `Notified ${manager.email}` });
+            }
+        } catch (error) {
+            logger.warn(`Stage automation ${automation.action} failed for lead ${lead.leadId}: ${error.message}`);
+            results.push({ action: automation.action, status: 'failed', detail: error.message });
+        }
+    }
+
+    if (lead.isModified()) {
+        await lead.save();
+    }
+    if (results.length > 0) {
+        logger.info(`Ran ${results.length} stage automation(s) for lead ${lead.leadId} entering ${lead.status}`);
+    }
+    return results;
+};
+
+/**
+ * Check a pipeline definition submitted by an admin.
+ * @param {string} leadType
+ * @param {Array} stages
+ * @returns {string|null} Error message, or null when the definition is valid
+ */
+exports.getPipelineDefinitionError = (leadType, stages) => {
+    const keys = stages.map(s => String(s.key || '').trim().toLowerCase());
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+        return `Stage ${duplicate} is defined more than once`;
+    }
+
+    const activeKeys = new Set(stages.filter(s => s.isActive !== false).map(s => String(s.key).trim().toLowerCase()));
+    const missingWorkflowStage = WORKFLOW_STAGE_KEYS[leadType].find(key => !activeKeys.has(key));
+    if (missingWorkflowStage) {
+        return `Stage ${missingWorkflowStage} is used by the ${leadType} workflow and must stay active`;
+    }
+
+    for (const s of stages) {
+        const unknown = (s.allowedTransitions || []).find(key => !keys.includes(key));
+        if (unknown) {
+            return `Stage ${s.key} allows a transition to unknown stage ${unknown}`;
+        }
+    }
+    return null;
+};
+
+exports.DEFAULT_PIPELINES = DEFAULT_PIPELINES;
+exports.WORKFLOW_STAGE_KEYS = WORKFLOW_STAGE_KEYS;
+exports.SYSTEM_ONLY_STAGE_KEYS = SYSTEM_ONLY_STAGE_KEYS;
@@ -0,0 +1,159 @@
+const LeadScoringConfig = require('../models/LeadScoringConfig');
+const logger = require('./logger');
+
+// Document categories that count towards a complete lead file
+const SCORED_DOCUMENTS = ['registrationCard', 'carPictures', 'onlineHistoryCheck', 'inspectionReport'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Factor value used when the lead does not have the data to judge it
+const NEUTRAL = 0.5;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Most recent human activity on a lead: notes, uploads and price analysis work
+ * @param {Object} lead
+ * @returns {Date}
+ */
+const getLastActivityAt = (lead) => {
+    const dates = [
+        lead.createdAt,
+        lead.priceAnalysis?.updatedAt,
+        ...(lead.notes || []).map(n => n.editedAt || n.addedAt),
+        ...(lead.attachments || []).map(a => a.uploadedAt)
+    ].filter(Boolean).map(d => new Date(d).getTime());
+    return new Date(dates.length > 0 ? Math.max(...dates) : Date.now());
+};
+
+/**
+ * Score each factor between 0 (worst) and 1 (best)
+ */
+const FACTOR_SCORERS = {
+    source: (lead, config) => {
+        const points = config.sourceScores?.get ? config.sourceScores.get(lead.source) : config.sourceScores?.[lead.source];
+        return Number.isFinite(points) ? clamp(points / 100) : NEUTRAL;
+    },
+    // Halves every freshnessHalfLifeDays since the lead came in
+    freshness: (lead, config, now) => {
+        const ageDays = Math.max(0, (now - new Date(lead.createdAt || now)) / DAY_MS);
+        return clamp(0.5 ** (ageDays / config.freshnessHalfLifeDays));
+    },
+    // Asking at or below our minimum selling price is best, at or above the maximum is worst
+    priceFit: (lead) => {
+        const asking = lead.vehicleInfo?.askingPrice;
+        const min = lead.priceAnalysis?.minSellingPrice;
+        const max = lead.priceAnalysis?.maxSellingPrice;
+        if (!asking || !min || !max || max <= min) return NEUTRAL;
+        return clamp((max - asking) / (max - min));
+    },
+    vehicleAge: (lead, config, now) => {
+        const year = lead.vehicleInfo?.year;
+        if (!year) return NEUTRAL;
+        return clamp(1 - (now.getFullYear() - year) / config.maxVehicleAgeYears);
+    },
+    mileage: (lead, config) => {
+        const mileage = lead.vehicleInfo?.mileage;
+        if (!Number.isFinite(mileage)) return NEUTRAL;
+        return clamp(1 - mileage / config.maxMileage);
+    },
+    documents: (lead) => {
+        const categories = new Set((lead.attachments || []).map(a => a.category));
+        return SCORED_DOCUMENTS.filter(c => categories.has(c)).length / SCORED_DOCUMENTS.length;
+    },
+    activity: (lead, config, now) => {
+        const idleDays = Math.max(0, (now - getLastActivityAt(lead)) / DAY_MS);
+        return clamp(1 - idleDays / config.activityWindowDays);
+    }
+};
+
+/**
+ * Compute a purchase lead's score (0-100) as the weighted average of its factors
+ * @param {Object} lead - Lead document or plain object
+ * @param {Object} config - LeadScoringConfig
+ * @param {Date} [now]
+ * @returns {{score: number, breakdown: Object}}
+ */
+exports.computeLeadScore = (lead, config, now = new Date()) => {
+    const breakdown = {};
+    let weightedTotal = 0;
+    let weightSum = 0;
+
+    LeadScoringConfig.SCORE_FACTORS.forEach(factor => {
+        const weight = Number(config.weights?.[factor]) || 0;
+        const value = FACTOR_SCORERS[factor](lead, config, now);
+        weightedTotal += value * weight;
+        weightSum += weight;
+        breakdown[factor] = { value: round(value), weight };
+    });
+
+    const score = weightSum > 0 ? Math.round((weightedTotal / weightSum) * 100) : 0;
+    LeadScoringConfig.SCORE_FACTORS.forEach(factor => {
+        breakdown[factor].points = weightSum > 0 ? round((breakdown[factor].value * breakdown[factor].weight / weightSum) * 100, 1) : 0;
+    });
+
+    return { score, breakdown };
+};
+
+/**
+ * Set score, breakdown and scoredAt on a lead document (does not save)
+ * @param {Object} lead - Lead document
+ * @param {Object} [config] - LeadScoringConfig; loaded when omitted
+ */
+exports.applyLeadScore = async (lead, config) => {
+    const scoringConfig = config || await LeadScoringConfig.getActive();
+    const { score, breakdown } = exports.computeLeadScore(lead, scoringConfig);
+    lead.score = score;
+    lead.scoreBreakdown = breakdown;
+    lead.scoredAt = new Date();
+    return score;
+};
+
+/**
+ * Recalculate stored scores for purchase leads, e.g. after the weights change
+ * or as time passes. Only leads whose score changed are written.
+ * @param {Object} [filter] - Extra lead filter
+ * @returns {Promise<{scanned: number, updated: number}>}
+ */
+exports.rescoreLeads = async (filter = {}) => {
+    const Lead = require('../models/Lead');
+    const config = await LeadScoringConfig.getActive({ fresh: true });
+    const now = new Date();
+
+    const cursor = Lead.find({ type: 'purchase', mergedInto: null, ...filter })
+        .select('source createdAt vehicleInfo priceAnalysis notes.addedAt notes.editedAt attachments.category attachments.uploadedAt score')
+        .lean()
+        .cursor();
+
+    let scanned = 0;
+    let operations = [];
+    let updated = 0;
+    for await (const lead of cursor) {
+        scanned += 1;
+        const { score, breakdown } = exports.computeLeadScore(lead, config, now);
+        if (score !== lead.score) {
+            operations.push({
+                updateOne: {
+                    filter: { _id: lead._id },
+                    update: { $set: { score, scoreBreakdown: breakdown, scoredAt: now } }
+                }
+            });
+        }
+        if (operations.length >= 500) {
+            await Lead.bulkWrite(operations);
+            updated += operations.length;
+            operations = [];
+        }
+    }
+    if (operations.length > 0) {
+        await Lead.bulkWrite(operations);
+        updated += operations.length;
+    }
+
+    logger.info(`Lead scores recalculated: ${updated} of ${scanned} changed`);
+    return { scanned, updated };
+};
+
+exports.SCORED_DOCUMENTS = SCORED_DOCUMENTS;
@@ -0,0 +1,259 @@
+const Lead = require('../models/Lead');
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+const { getLeadPipeline } = require('./leadPipeline');
+const { sendNotificationEmail } = require('./emailService');
+const { logSystem } = require('./auditLogger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SLA hours for a lead of a priority in a stage
+ * @param {Object} stage - Pipeline stage
+ * @param {string} priority - Lead priority
+ * @returns {number|null} null when the stage has no SLA for the priority
+ */
+const getStageSlaHours = (stage, priority) => {
+    const hours = stage?.slaHours?.[priority || 'medium'];
+    return typeof hours === 'number' && hours > 0 ? hours : null;
+};
+
+/**
+ * Time in stage and SLA state of a lead
+ * @param {Object} lead - Lead with status, priority and stageEnteredAt
+ * @param {Object} pipeline - LeadPipeline for the lead's type
+ * @param {Date} [now]
+ * @returns {Object|null} null when the lead's stage has no SLA for its priority
+ */
+exports.evaluateLeadSla = (lead, pipeline, now = new Date()) => {
+    const stage = pipeline.getStage(lead.status);
+    if (!stage || stage.isTerminal) return null;
+
+    const slaHours = getStageSlaHours(stage, lead.priority);
+    if (!slaHours) return null;
+
+    const enteredAt = new Date(lead.stageEnteredAt || lead.createdAt);
+    const dueAt = new Date(enteredAt.getTime() + slaHours * HOUR_MS);
+    const atRiskAt = new Date(enteredAt.getTime() + slaHours * HOUR_MS * (pipeline.sla?.atRiskPercent ?? 80) / 100);
+    const hoursInStage = (now - enteredAt) / HOUR_MS;
+
+    let status = 'on_track';
+    if (now >= dueAt) status = 'breached';
+    else if (now >= atRiskAt) status = 'at_risk';
+
+    return {
+        stage: stage.key,
+        stageLabel: stage.label,
+        slaHours,
+        enteredAt,
+        dueAt,
+        atRiskAt,
+        hoursInStage: Math.round(hoursInStage * 10) / 10,
+        hoursRemaining: Math.round(((dueAt - now) / HOUR_MS) * 10) / 10,
+        status
+    };
+};
+
+/**
+ * Filter for open leads of a type in stages that have an SLA
+ * @param {Object} pipeline
+ * @returns {Object|null} null when no stage has an SLA
+ */
+const buildSlaLeadQuery = (pipeline) => {
+    const stageKeys = pipeline.stages
+        .filter(stage => stage.isActive && !stage.isTerminal &&
+            Object.values(stage.slaHours?.toObject ? stage.slaHours.toObject() : stage.slaHours || {}).some(hours => hours > 0))
+        .map(stage => stage.key);
+    if (stageKeys.length === 0) return null;
+    return { type: pipeline.leadType, status: { $in: stageKeys }, mergedInto: null };
+};
+
+/**
+ * Leads that predate stage tracking start their clock at their last status
+ * change in the audit log, or at creation
+ */
+const backfillStageEnteredAt = async (leadType) => {
+    const leads = await Lead.find({ type: leadType, stageEnteredAt: null }).select('_id createdAt');
+
+    for (const lead of leads) {
+        const lastChange = await AuditLog.findOne({
+            'targetEntity.entityType': 'Lead',
+            'targetEntity.entityId': lead._id,
+            action: 'lead_status_updated'
+        }).sort({ createdAt: -1 }).select('createdAt');
+
+        // updateOne leaves updatedAt and the score untouched
+        await Lead.updateOne({ _id: lead._id }, { $set: { stageEnteredAt: lastChange?.createdAt || lead.createdAt } });
+    }
+    return leads.length;
+};
+
+const describeLead = (lead, evaluation) =>
+    `<strong>${lead.leadId}</strong> (${lead.contactInfo?.name || 'unknown contact'}${lead.vehicleInfo?.make ? `, ${lead.vehicleInfo.make} ${lead.vehicleInfo.model || ''}` : ''}) ` +
+    `has been in <strong>${evaluation.stageLabel}</strong> for ${Math.floor(evaluation.hoursInStage)} hours; ` +
+    `the SLA for ${lead.priority} priority is ${evaluation.slaHours} hours (due ${evaluation.dueAt.toLocaleString()}).`;
+
+const notifyAdmins = async (subject, message) => {
+    const admins = await Admin.find({ isActive: true }).select('email');
+    const emails = admins.map(a => a.email).filter(Boolean);
+    if (emails.length === 0) return 0;
+    await sendNotificationEmail(emails, subject, message);
+    return emails.length;
+};
+
+/**
+ * Check every open lead against its stage SLA. A new breach is sent to the
+ * assigned manager; if it is still open after the pipeline's admin escalation
+ * hours (or the lead has no manager) it goes to the admins.
+ * @returns {Promise<{checked: number, atRisk: number, breached: number, managerEscalations: number, adminEscalations: number}>}
+ */
+exports.checkLeadSlas = async () => {
+    const now = new Date();
+    const totals = { checked: 0, atRisk: 0, breached: 0, managerEscalations: 0, adminEscalations: 0 };
+
+    for (const leadType of ['purchase', 'sales']) {
+        const backfilled = await backfillStageEnteredAt(leadType);
+        if (backfilled > 0) {
+            logger.info(`Backfilled stage entry time on ${backfilled} ${leadType} lead(s)`);
+        }
+
+        const pipeline = await getLeadPipeline(leadType);
+        const query = buildSlaLeadQuery(pipeline);
+        if (!query) continue;
+
+        const leads = await Lead.find(query)
+            .select('leadId type status priority stageEnteredAt createdAt contactInfo.name vehicleInfo.make vehicleInfo.model assignedTo sla')
+            .populate('assignedTo', 'name email status');
+
+        for (const lead of leads) {
+            try {
+                const evaluation = exports.evaluateLeadSla(lead, pipeline, now);
+                if (!evaluation) continue;
+                totals.checked += 1;
+
+                // A priority change can move the deadline, so the stored check only carries over within a stage
+                const previous = lead.sla?.stage === evaluation.stage ? lead.sla : {};
+                const update = {
+                    'sla.stage': evaluation.stage,
+                    'sla.dueAt': evaluation.dueAt,
+                    'sla.status': evaluation.status,
+                    'sla.checkedAt': now
+                };
+
+                if (evaluation.status === 'at_risk') totals.atRisk += 1;
+
+                if (evaluation.status === 'breached') {
+                    totals.breached += 1;
+                    const manager = lead.assignedTo?.status === 'active' ? lead.assignedTo : null;
+
+                    if (!previous.breachedAt) {
+                        update['sla.breachedAt'] = now;
+                        await logSystem('lead_sla_breached', `Lead ${lead.leadId} breached the ${evaluation.stageLabel} SLA of ${evaluation.slaHours} hours`, lead, 'Lead', {
+                            stage: evaluation.stage,
+                            priority: lead.priority,
+                            slaHours: evaluation.slaHours,
+                            enteredAt: evaluation.enteredAt,
+                            dueAt: evaluation.dueAt,
+                            assignedTo: manager?.email || 'Unassigned'
+                        });
+                    }
+
+                    if (manager?.email && !previous.managerEscalatedAt) {
+                        await sendNotificationEmail(
+                            manager.email,
+                            `SLA breached: lead ${lead.leadId} in ${evaluation.stageLabel}`,
+                            `<p>Hi ${manager.name},</p><p>${describeLead(lead, evaluation)}</p><p>Please move the lead forward or update it.</p>`
+                        );
+                        update['sla.managerEscalatedAt'] = now;
+                        totals.managerEscalations += 1;
+                    }
+
+                    const managerEscalatedAt = previous.managerEscalatedAt || update['sla.managerEscalatedAt'];
+                    const adminDue = !manager || (managerEscalatedAt &&
+                        now - managerEscalatedAt >= (pipeline.sla?.adminEscalationHours ?? 24) * HOUR_MS);
+
+                    if (adminDue && !previous.adminEscalatedAt) {
+                        const notified = await notifyAdmins(
+                            `SLA escalation: lead ${lead.leadId} in ${evaluation.stageLabel}`,
+                            `<p>${describeLead(lead, evaluation)}</p><p>${manager
+                                ? `${manager.name} was alerted on ${new Date(managerEscalatedAt).toLocaleString()} and the lead has not moved.`
+                                : 'The lead has no active manager assigned.'}</p>`
+                        );
+                        update['sla.adminEscalatedAt'] = now;
+                        totals.adminEscalations += 1;
+
+                        await logSystem('lead_sla_escalated', `Lead ${lead.leadId} SLA breach in ${evaluation.stageLabel} escalated to admins`, lead, 'Lead', {
+                            stage: evaluation.stage,
+                            priority: lead.priority,
+                            hoursInStage: evaluation.hoursInStage,
+                            assignedTo: manager?.email || 'Unassigned',
+                            adminsNotified: notified
+                        });
+                    }
+                }
+
+                // Back within the SLA (e.g. priority lowered): a later breach alerts again
+                const clear = evaluation.status !== 'breached' && previous.breachedAt
+                    ? { 'sla.breachedAt': '', 'sla.managerEscalatedAt': '', 'sla.adminEscalatedAt': '' }
+                    : null;
+
+                await Lead.updateOne({ _id: lead._id }, clear ? { $set: update, $unset: clear } : { $set: update });
+            } catch (error) {
+                logger.error(`SLA check failed for lead ${lead.leadId}:`, error);
+            }
+        }
+    }
+
+    return totals;
+};
+
+/**
+ * Open leads that are at risk of breaching or have breached their stage SLA,
+ * most overdue first
+ * @param {Object} [options]
+ * @param {string} [options.leadType] - purchase or sales (default both)
+ * @param {string} [options.status] - at_risk or breached (default both)
+ * @param {string} [options.assignedTo] - Manager ID
+ * @returns {Promise<Array>}
+ */
+exports.getSlaRiskLeads = async ({ leadType, status, assignedTo } = {}) => {
+    const now = new Date();
+    const results = [];
+
+    for (const type of leadType ? [leadType] : ['purchase', 'sales']) {
+        const pipeline = await getLeadPipeline(type);
+        const query = buildSlaLeadQuery(pipeline);
+        if (!query) continue;
+        if (assignedTo) query.assignedTo = assignedTo;
+
+        const leads = await Lead.find(query)
+            .select('leadId type status priority stageEnteredAt createdAt contactInfo vehicleInfo.make vehicleInfo.model vehicleInfo.year assignedTo sla')
+            .populate('assignedTo', 'name email');
+
+        leads.forEach(lead => {
+            const evaluation = exports.evaluateLeadSla(lead, pipeline, now);
+            if (!evaluation || evaluation.status === 'on_track') return;
+            if (status && evaluation.status !== status) return;
+
+            results.push({
+                _id: lead._id,
+                leadId: lead.leadId,
+                type: lead.type,
+                status: lead.status,
+                priority: lead.priority,
+                contactInfo: lead.contactInfo,
+                vehicleInfo: lead.vehicleInfo,
+                assignedTo: lead.assignedTo,
+                sla: {
+                    ...evaluation,
+                    breachedAt: lead.sla?.stage === evaluation.stage ? lead.sla.breachedAt : undefined,
+                    managerEscalatedAt: lead.sla?.stage === evaluation.stage ? lead.sla.managerEscalatedAt : undefined,
+                    adminEscalatedAt: lead.sla?.stage === evaluation.stage ? lead.sla.adminEscalatedAt : undefined
+                }
+            });
+        });
+    }
+
+    return results.sort((a, b) => a.sla.hoursRemaining - b.sla.hoursRemaining);
+};
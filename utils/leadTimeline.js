@@ -0,0 +1,342 @@
+const Lead = require('../models/Lead');
+const FollowUp = require('../models/FollowUp');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const AuditLog = require('../models/AuditLog');
+const InboundEmail = require('../models/InboundEmail');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+
+const TIMELINE_EVENT_TYPES = [
+    'lead_created',
+    'note',
+    'follow_up',
+    'attachment',
+    'approval',
+    'price_analysis',
+    'purchase_order',
+    'docusign',
+    'email',
+    'whatsapp',
+    'status_change',
+    'assignment',
+    'merge',
+    'audit'
+];
+
+// Audit actions that are only recorded in the audit log, shown as their own event type
+const AUDIT_EVENT_TYPES = {
+    lead_status_updated: 'status_change',
+    lead_moved_to_inventory: 'status_change',
+    lead_moved_to_consignment: 'status_change',
+    lead_assigned: 'assignment',
+    lead_auto_assigned: 'assignment',
+    lead_merged: 'merge'
+};
+
+// Audit actions already shown by another event type
+const DUPLICATE_AUDIT_ACTIONS = [
+    'lead_created',
+    'sales_lead_created',
+    'lead_note_added',
+    'lead_documents_uploaded',
+    'lead_approved',
+    'price_analysis_updated',
+    'po_completed',
+    'lead_whatsapp_sent',
+    'lead_whatsapp_received'
+];
+
+const ATTACHMENT_LABELS = {
+    inspectionReport: 'inspection report',
+    registrationCard: 'registration card',
+    carPictures: 'car picture',
+    onlineHistoryCheck: 'online history check',
+    emailAttachments: 'email attachment'
+};
+
+const truncate = (text, length = 140) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+/**
+ * Actor of an event from a populated user reference
+ * @param {Object|ObjectId} user - Populated Admin/Manager/Investor or a bare id
+ * @param {string} [model] - Admin, Manager or Investor
+ * @returns {{id: ObjectId, model: string|null, name: string|null, email: string|null}|null}
+ */
+const toActor = (user, model) => {
+    if (!user) return null;
+    if (user.name === undefined && user.email === undefined) {
+        return { id: user._id || user, model: model || null, name: null, email: null };
+    }
+    return { id: user._id, model: model || null, name: user.name || null, email: user.email || null };
+};
+
+const entry = (type, occurredAt, actor, summary, details = {}, sourceId) => ({
+    id: `${type}:${sourceId}`,
+    type,
+    occurredAt,
+    actor,
+    summary,
+    details
+});
+
+const buildLeadEvents = (lead) => {
+    const events = [
+        entry('lead_created', lead.createdAt, toActor(lead.createdBy, lead.createdByModel),
+            `Lead ${lead.leadId} created from ${lead.source} for ${lead.contactInfo?.name}`,
+            { source: lead.source, vehicle: [lead.vehicleInfo?.make, lead.vehicleInfo?.model, lead.vehicleInfo?.year].filter(Boolean).join(' ') },
+            lead._id)
+    ];
+
+    (lead.notes || []).forEach(note => {
+        events.push(entry('note', note.addedAt, toActor(note.addedBy, note.addedByModel), truncate(note.content), {
+            noteId: note._id,
+            content: note.content,
+            editedAt: note.editedAt
+        }, note._id));
+    });
+
+    (lead.attachments || []).forEach(attachment => {
+        events.push(entry('attachment', attachment.uploadedAt, toActor(attachment.uploadedBy, attachment.uploadedByModel),
+            `Uploaded ${ATTACHMENT_LABELS[attachment.category] || attachment.category}${attachment.fileName ? ` (${attachment.fileName})` : ''}`, {
+                attachmentId: attachment._id,
+                category: attachment.category,
+                fileName: attachment.fileName,
+                fileType: attachment.fileType
+            }, attachment._id));
+    });
+
+    (lead.approval?.approvals || []).forEach(approval => {
+        events.push(entry('approval', approval.approvedAt, toActor(approval.adminId, 'Admin'),
+            `Approved${approval.groupName ? ` for ${approval.groupName}` : ''}`, {
+                groupName: approval.groupName,
+                approvalStatus: lead.approval.status
+            }, approval._id));
+    });
+
+    (lead.priceAnalysisHistory || []).forEach(revision => {
+        const changes = (revision.changes || []).map(change => `${change.field} ${change.from ?? '—'} → ${change.to ?? '—'}`);
+        events.push(entry('price_analysis', revision.changedAt, toActor(revision.changedBy, revision.changedByModel),
+            `Price analysis revision ${revision.revision}${changes.length > 0 ? `: ${changes.join(', ')}` : ''}`, {
+                revision: revision.revision,
+                changes: revision.changes,
+                reason: revision.reason
+            }, revision._id));
+    });
+
+    return events;
+};
+
+const buildFollowUpEvents = (followUps) => {
+    const events = [];
+    followUps.forEach(followUp => {
+        const label = followUp.type.replace(/_/g, ' ');
+        events.push(entry('follow_up', followUp.createdAt, toActor(followUp.createdBy || followUp.managerId, 'Manager'),
+            `${label.charAt(0).toUpperCase()}${label.slice(1)} follow-up scheduled for ${followUp.dueDate.toISOString().slice(0, 10)}`, {
+                followUpId: followUp._id,
+                followUpType: followUp.type,
+                dueDate: followUp.dueDate,
+                status: followUp.status,
+                priority: followUp.priority,
+                comments: followUp.comments,
+                autoGenerated: followUp.autoGenerated
+            }, `${followUp._id}:scheduled`));
+
+        if (followUp.status === 'completed' && followUp.completedAt) {
+            events.push(entry('follow_up', followUp.completedAt, toActor(followUp.completedBy, 'Manager'),
+                `${label.charAt(0).toUpperCase()}${label.slice(1)} follow-up completed${followUp.outcome ? `: ${truncate(followUp.outcome, 100)}` : ''}`, {
+                    followUpId: followUp._id,
+                    followUpType: followUp.type,
+                    outcome: followUp.outcome
+                }, `${followUp._id}:completed`));
+        }
+    });
+    return events;
+};
+
+const buildPurchaseOrderEvents = (purchaseOrder) => {
+    if (!purchaseOrder) return [];
+    const events = [
+        entry('purchase_order', purchaseOrder.createdAt, null,
+            `Purchase order ${purchaseOrder.poId} created for AED ${Number(purchaseOrder.amount || 0).toLocaleString()}`, {
+                purchaseOrderId: purchaseOrder._id,
+                poId: purchaseOrder.poId,
+                amount: purchaseOrder.amount,
+                status: purchaseOrder.status
+            }, `${purchaseOrder._id}:created`)
+    ];
+
+    if (purchaseOrder.completedAt) {
+        events.push(entry('purchase_order', purchaseOrder.completedAt, null,
+            `Purchase order ${purchaseOrder.poId} completed`, {
+                purchaseOrderId: purchaseOrder._id,
+                poId: purchaseOrder.poId
+            }, `${purchaseOrder._id}:completed`));
+    }
+
+    (purchaseOrder.docuSignEnvelopes || []).forEach(envelope => {
+        const recipient = envelope.investorName || envelope.investorEmail || 'investor';
+        if (envelope.sentAt) {
+            events.push(entry('docusign', envelope.sentAt, null, `DocuSign envelope sent to ${recipient}`, {
+                envelopeId: envelope.envelopeId,
+                investorId: envelope.investorId,
+                status: envelope.status
+            }, `${envelope.envelopeId}:sent`));
+        }
+        if (envelope.completedAt) {
+            events.push(entry('docusign', envelope.completedAt, null, `DocuSign envelope ${envelope.status} by ${recipient}`, {
+                envelopeId: envelope.envelopeId,
+                investorId: envelope.investorId,
+                status: envelope.status
+            }, `${envelope.envelopeId}:completed`));
+        }
+    });
+
+    // Older purchase orders only carry the single-envelope fields
+    if ((purchaseOrder.docuSignEnvelopes || []).length === 0) {
+        if (purchaseOrder.docuSignSentAt) {
+            events.push(entry('docusign', purchaseOrder.docuSignSentAt, null, 'DocuSign envelope sent', {
+                envelopeId: purchaseOrder.docuSignEnvelopeId,
+                status: purchaseOrder.docuSignStatus
+            }, `${purchaseOrder._id}:sent`));
+        }
+        if (purchaseOrder.docuSignSignedAt) {
+            events.push(entry('docusign', purchaseOrder.docuSignSignedAt, null, 'DocuSign envelope signed', {
+                envelopeId: purchaseOrder.docuSignEnvelopeId,
+                status: purchaseOrder.docuSignStatus
+            }, `${purchaseOrder._id}:signed`));
+        }
+    }
+
+    if (purchaseOrder.docuSignFailedAt) {
+        events.push(entry('docusign', purchaseOrder.docuSignFailedAt, null,
+            `DocuSign failed${purchaseOrder.docuSignError ? `: ${truncate(purchaseOrder.docuSignError, 100)}` : ''}`, {
+                envelopeId: purchaseOrder.docuSignEnvelopeId,
+                error: purchaseOrder.docuSignError
+            }, `${purchaseOrder._id}:failed`));
+    }
+
+    return events;
+};
+
+const buildEmailEvents = (emails) => emails.map(email => {
+    const sender = email.from?.name ? `${email.from.name} <${email.from.address}>` : email.from?.address;
+    return entry('email', email.sentAt || email.createdAt, null,
+        `Email from ${sender || 'unknown sender'}: ${truncate(email.subject || '(no subject)', 100)}`, {
+            inboundEmailId: email._id,
+            from: email.from,
+            subject: email.subject,
+            action: email.action,
+            attachmentCount: (email.attachments || []).length
+        }, email._id);
+});
+
+const buildWhatsAppEvents = (messages) => messages.map(message => {
+    const content = message.type === 'template'
+        ? `template ${message.template?.name}`
+        : truncate(message.text || `[${message.type}]`, 100);
+    const actor = message.direction === 'outbound' ? toActor(message.sentBy, message.sentByModel) : null;
+    return entry('whatsapp', message.createdAt, actor,
+        message.direction === 'inbound'
+            ? `WhatsApp from ${message.profileName || message.phone}: ${content}`
+            : `WhatsApp to ${message.phone}: ${content}`, {
+            messageId: message._id,
+            direction: message.direction,
+            phone: message.phone,
+            messageType: message.type,
+            status: message.status
+        }, message._id);
+});
+
+const buildAuditEvents = (auditLogs) => auditLogs
+    .filter(log => !DUPLICATE_AUDIT_ACTIONS.includes(log.action))
+    .map(log => entry(AUDIT_EVENT_TYPES[log.action] || 'audit', log.createdAt,
+        log.performedBy?.userId ? {
+            id: log.performedBy.userId,
+            model: log.performedBy.userModel || null,
+            name: log.performedBy.userName || null,
+            email: log.performedBy.userEmail || null
+        } : null,
+        log.description, {
+            logId: log.logId,
+            action: log.action,
+            category: log.category,
+            metadata: log.metadata
+        }, log._id));
+
+/**
+ * Every recorded event on a lead, newest first unless asc is requested
+ * @param {ObjectId|string} leadId
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Only these event types (default all)
+ * @param {Date} [options.from] - Events on or after this time
+ * @param {Date} [options.to] - Events on or before this time
+ * @param {string} [options.order] - 'desc' (default) or 'asc'
+ * @returns {Promise<{lead: Object, events: Object[], typeCounts: Object}|null>} null when the lead does not exist
+ */
+exports.buildLeadTimeline = async (leadId, options = {}) => {
+    const types = options.types && options.types.length > 0 ? options.types : TIMELINE_EVENT_TYPES;
+    const wants = (...candidates) => candidates.some(type => types.includes(type));
+
+    const lead = await Lead.findById(leadId)
+        .populate('createdBy', 'name email')
+        .populate('notes.addedBy', 'name email')
+        .populate('attachments.uploadedBy', 'name email')
+        .populate('approval.approvals.adminId', 'name email')
+        .populate('priceAnalysisHistory.changedBy', 'name email');
+
+    if (!lead) return null;
+
+    const [followUps, purchaseOrder, emails, whatsAppMessages, auditLogs] = await Promise.all([
+        wants('follow_up')
+            ? FollowUp.find({ leadId: lead._id })
+                .populate('createdBy', 'name email')
+                .populate('managerId', 'name email')
+                .populate('completedBy', 'name email')
+            : [],
+        wants('purchase_order', 'docusign') && lead.purchaseOrder
+            ? PurchaseOrder.findById(lead.purchaseOrder).select('-docuSignDocuments')
+            : null,
+        wants('email')
+            ? InboundEmail.find({ 'target.entityType': 'Lead', 'target.entityId': lead._id })
+                .select('from subject sentAt action attachments createdAt')
+            : [],
+        wants('whatsapp')
+            ? WhatsAppMessage.find({ lead: lead._id }).populate('sentBy', 'name email')
+            : [],
+        wants('status_change', 'assignment', 'merge', 'audit')
+            ? AuditLog.find({
+                $or: [
+                    { 'targetEntity.entityType': 'Lead', 'targetEntity.entityId': lead._id },
+                    ...(lead.purchaseOrder ? [{ 'targetEntity.entityType': 'PurchaseOrder', 'targetEntity.entityId': lead.purchaseOrder }] : [])
+                ]
+            })
+            : []
+    ]);
+
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : null;
+    const direction = options.order === 'asc' ? 1 : -1;
+
+    const events = [
+        ...buildLeadEvents(lead),
+        ...buildFollowUpEvents(followUps),
+        ...buildPurchaseOrderEvents(purchaseOrder),
+        ...buildEmailEvents(emails),
+        ...buildWhatsAppEvents(whatsAppMessages),
+        ...buildAuditEvents(auditLogs)
+    ]
+        .filter(event => event.occurredAt && types.includes(event.type))
+        .filter(event => (!from || event.occurredAt >= from) && (!to || event.occurredAt <= to))
+        .sort((a, b) => (new Date(a.occurredAt) - new Date(b.occurredAt)) * direction || a.id.localeCompare(b.id));
+
+    const typeCounts = events.reduce((counts, event) => {
+        counts[event.type] = (counts[event.type] || 0) + 1;
+        return counts;
+    }, {});
+
+    return { lead, events, typeCounts };
+};
+
+exports.TIMELINE_EVENT_TYPES = TIMELINE_EVENT_TYPES;
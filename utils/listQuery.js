@@ -0,0 +1,458 @@
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const LEAD_FILTERS = {
+    status: { path: 'status', type: 'string' },
+    source: { path: 'source', type: 'string' },
+    priority: { path: 'priority', type: 'string' },
+    assignedTo: { path: 'assignedTo', type: 'objectId' },
+    createdAt: { path: 'createdAt', type: 'date' },
+    updatedAt: { path: 'updatedAt', type: 'date' },
+    stageEnteredAt: { path: 'stageEnteredAt', type: 'date' },
+    price: { path: 'vehicleInfo.askingPrice', type: 'number' },
+    expectedPrice: { path: 'vehicleInfo.expectedPrice', type: 'number' },
+    make: { path: 'vehicleInfo.make', type: 'string' },
+    model: { path: 'vehicleInfo.model', type: 'string' },
+    year: { path: 'vehicleInfo.year', type: 'number' },
+    mileage: { path: 'vehicleInfo.mileage', type: 'number' },
+    slaStatus: { path: 'sla.status', type: 'string' },
+    lossReason: { path: 'lossDetails.reason', type: 'objectId' }
+};
+
+const LEAD_SORTS = {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    stageEnteredAt: 'stageEnteredAt',
+    leadId: 'leadId',
+    status: 'status',
+    priority: 'priority',
+    source: 'source',
+    name: 'contactInfo.name',
+    make: 'vehicleInfo.make',
+    year: 'vehicleInfo.year',
+    price: 'vehicleInfo.askingPrice',
+    slaDueAt: 'sla.dueAt'
+};
+
+const LEAD_FIELDS = [
+    'leadId', 'type', 'source', 'status', 'priority', 'assignedTo', 'contactInfo', 'vehicleInfo',
+    'notes', 'followUps', 'attachments', 'priceAnalysis', 'approval', 'purchaseOrder', 'invoice',
+    'vehicle', 'mergedInto', 'score', 'scoreBreakdown', 'stageEnteredAt', 'sla', 'lossDetails',
+    'createdBy', 'createdAt', 'updatedAt'
+];
+
+/**
+ * What each list endpoint can be filtered, sorted and projected on. Filter keys
+ * are the public names used in `filter[...]`; paths are the stored fields.
+ */
+const LIST_DEFINITIONS = {
+    purchaseLeads: {
+        filters: { ...LEAD_FILTERS, score: { path: 'score', type: 'number' } },
+        sorts: { ...LEAD_SORTS, score: 'score' },
+        fields: LEAD_FIELDS,
+        params: ['status', 'source', 'priority', 'assignedTo', 'sortBy', 'sortOrder', 'includeMerged'],
+        defaultSort: { createdAt: -1 }
+    },
+    salesLeads: {
+        filters: LEAD_FILTERS,
+        sorts: LEAD_SORTS,
+        fields: LEAD_FIELDS,
+        params: ['status', 'priority', 'assignedTo'],
+        defaultSort: { createdAt: -1 }
+    },
+    inventory: {
+        filters: {
+            status: { path: 'status', type: 'string' },
+            ownershipType: { path: 'ownershipType', type: 'string' },
+            make: { path: 'make', type: 'string' },
+            model: { path: 'model', type: 'string' },
+            year: { path: 'year', type: 'number' },
+            mileage: { path: 'mileage', type: 'number' },
+            price: { path: 'askingPrice', type: 'number' },
+            purchasePrice: { path: 'purchasePrice', type: 'number' },
+            listingPrice: { path: 'listingPrice', type: 'number' },
+            site: { path: 'location.site', type: 'objectId' },
+            createdBy: { path: 'createdBy', type: 'objectId' },
+            createdAt: { path: 'createdAt', type: 'date' },
+            updatedAt: { path: 'updatedAt', type: 'date' }
+        },
+        sorts: {
+            createdAt: 'createdAt',
+            updatedAt: 'updatedAt',
+            vehicleId: 'vehicleId',
+            status: 'status',
+            make: 'make',
+            model: 'model',
+            year: 'year',
+            mileage: 'mileage',
+            price: 'askingPrice',
+            purchasePrice: 'purchasePrice',
+            listingPrice: 'listingPrice'
+        },
+        // Inventory rows are formatted, so projection applies to the formatted keys
+        fields: null,
+        params: ['status', 'make', 'model', 'site'],
+        defaultSort: { createdAt: -1 }
+    },
+    tickets: {
+        filters: {
+            status: { path: 'status', type: 'string' },
+            priority: { path: 'priority', type: 'string' },
+            type: { path: 'type', type: 'string' },
+            source: { path: 'source', type: 'string' },
+            assignedTo: { path: 'assignedTo', type: 'objectId' },
+            createdAt: { path: 'createdAt', type: 'date' },
+            updatedAt: { path: 'updatedAt', type: 'date' },
+            resolvedAt: { path: 'resolvedAt', type: 'date' }
+        },
+        sorts: {
+            createdAt: 'createdAt',
+            updatedAt: 'updatedAt',
+            ticketId: 'ticketId',
+            status: 'status',
+            priority: 'priority',
+            type: 'type',
+            resolvedAt: 'resolvedAt'
+        },
+        fields: [
+            'ticketId', 'type', 'priority', 'status', 'relatedTo', 'source', 'customerInfo', 'subject',
+            'description', 'assignedTo', 'responses', 'resolvedAt', 'resolvedBy', 'resolution',
+            'createdBy', 'createdAt', 'updatedAt'
+        ],
+        params: ['status', 'priority', 'type', 'assignedTo'],
+        defaultSort: { priority: -1, createdAt: -1 }
+    }
+};
+
+const FILTER_OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'between', 'exists', 'contains'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const listError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(item => item !== '');
+
+/**
+ * Convert one filter value to the field's type
+ */
+const parseValue = (name, definition, raw) => {
+    const value = String(raw).trim();
+    switch (definition.type) {
+        case 'date': {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) throw listError(`filter ${name}: "${value}" is not a valid date`);
+            return date;
+        }
+        case 'number': {
+            const number = Number(value);
+            if (!Number.isFinite(number)) throw listError(`filter ${name}: "${value}" is not a number`);
+            return number;
+        }
+        case 'objectId':
+            // "none" matches records nobody is assigned to
+            if (value === 'none' || value === 'null') return null;
+            if (!mongoose.Types.ObjectId.isValid(value)) throw listError(`filter ${name}: "${value}" is not a valid ID`);
+            return new mongoose.Types.ObjectId(value);
+        default:
+            return value;
+    }
+};
+
+// A bare date (YYYY-MM-DD) as an upper bound covers the whole day
+const endOfDay = (date, raw) => (/^\d{4}-\d{2}-\d{2}$/.test(String(raw).trim())
+    ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1)
+    : date);
+
+/**
+ * MongoDB condition for one filter, e.g. filter[price][between]=20000,50000
+ * @param {string} name - Public filter name
+ * @param {Object} definition - { path, type }
+ * @param {string|Object} spec - A value (eq, or a comma list for in) or { operator: value }
+ * @returns {Object}
+ */
+const buildCondition = (name, definition, spec) => {
+    const entries = spec !== null && typeof spec === 'object' && !Array.isArray(spec)
+        ? Object.entries(spec)
+        : [[String(spec).includes(',') || Array.isArray(spec) ? 'in' : 'eq', spec]];
+
+    const condition = {};
+    entries.forEach(([operator, raw]) => {
+        if (!FILTER_OPERATORS.includes(operator)) {
+            throw listError(`filter ${name}: unknown operator "${operator}" (use ${FILTER_OPERATORS.join(', ')})`);
+        }
+        if (RANGE_OPERATORS.includes(operator) && !['date', 'number'].includes(definition.type)) {
+            throw listError(`filter ${name}: ${operator} only works on dates and numbers`);
+        }
+
+        switch (operator) {
+            case 'eq':
+                condition.$eq = parseValue(name, definition, raw);
+                break;
+            case 'ne':
+                condition.$ne = parseValue(name, definition, raw);
+                break;
+            case 'in':
+            case 'nin':
+                condition[`$${operator}`] = toList(raw).map(item => parseValue(name, definition, item));
+                break;
+            case 'gt':
+            case 'gte':
+                condition[`$${operator}`] = parseValue(name, definition, raw);
+                break;
+            case 'lt':
+            case 'lte': {
+                const value = parseValue(name, definition, raw);
+                condition[`$${operator}`] = definition.type === 'date' && operator === 'lte' ? endOfDay(value, raw) : value;
+                break;
+            }
+            case 'between': {
+                const [from, to] = toList(raw);
+                if (from === undefined || to === undefined) throw listError(`filter ${name}: between needs two values, e.g. 10,20`);
+                condition.$gte = parseValue(name, definition, from);
+                const upper = parseValue(name, definition, to);
+                condition.$lte = definition.type === 'date' ? endOfDay(upper, to) : upper;
+                break;
+            }
+            case 'exists':
+                if (!['true', 'false'].includes(String(raw))) throw listError(`filter ${name}: exists must be true or false`);
+                // Treat null the same as a missing value
+                condition[String(raw) === 'true' ? '$ne' : '$eq'] = null;
+                break;
+            case 'contains':
+                if (definition.type !== 'string') throw listError(`filter ${name}: contains only works on text`);
+                condition.$regex = escapeRegex(String(raw));
+                condition.$options = 'i';
+                break;
+            default:
+                break;
+        }
+    });
+
+    // Plain equality reads better in logs and uses indexes the same way
+    const keys = Object.keys(condition);
+    return { [definition.path]: keys.length === 1 && keys[0] === '$eq' ? condition.$eq : condition };
+};
+
+/**
+ * Sort spec from "-score,createdAt" (a leading - sorts descending)
+ * @returns {Object|null}
+ */
+const parseSort = (definition, sort) => {
+    if (!sort) return null;
+    const spec = {};
+    toList(sort).forEach(item => {
+        const descending = item.startsWith('-');
+        const name = item.replace(/^[-+]/, '');
+        const path = definition.sorts[name];
+        if (!path) throw listError(`Cannot sort by "${name}" (use ${Object.keys(definition.sorts).join(', ')})`);
+        spec[path] = descending ? -1 : 1;
+    });
+    return spec;
+};
+
+/**
+ * Parse the list options shared by the lead, inventory and ticket lists:
+ *   filter[<name>]=<value>            equality, or a comma list for "in"
+ *   filter[<name>][<op>]=<value>      eq, ne, in, nin, gt, gte, lt, lte, between, exists, contains
+ *   sort=-price,createdAt             multi-field sort, "-" for descending
+ *   fields=leadId,status,contactInfo  projection (_id is always returned)
+ *   page=2&limit=50                   pagination (off unless page or limit is given)
+ * @param {string} resource - Key of LIST_DEFINITIONS
+ * @param {Object} params - Request query (optionally merged with a saved view)
+ * @returns {{conditions: Object[], sort: Object|null, fields: string[]|null, paginate: boolean, page: number, limit: number}}
+ * @throws {Error} With statusCode 400 when the options are invalid
+ */
+exports.parseListOptions = (resource, params = {}) => {
+    const definition = LIST_DEFINITIONS[resource];
+    const conditions = [];
+
+    const filters = params.filter || {};
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        throw listError('filter must be given as filter[name]=value or filter[name][operator]=value');
+    }
+    Object.entries(filters).forEach(([name, spec]) => {
+        const filterDefinition = definition.filters[name];
+        if (!filterDefinition) {
+            throw listError(`Cannot filter by "${name}" (use ${Object.keys(definition.filters).join(', ')})`);
+        }
+        conditions.push(buildCondition(name, filterDefinition, spec));
+    });
+
+    let fields = null;
+    if (params.fields) {
+        fields = toList(params.fields);
+        if (definition.fields) {
+            const unknown = fields.filter(field => !definition.fields.includes(field.split('.')[0]));
+            if (unknown.length > 0) throw listError(`Unknown fields: ${unknown.join(', ')}`);
+        }
+    }
+
+    const paginate = params.page !== undefined || params.limit !== undefined;
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    return {
+        conditions,
+        sort: parseSort(definition, params.sort),
+        fields,
+        paginate,
+        page,
+        limit
+    };
+};
+
+/**
+ * Sort spec from the older sortBy/sortOrder pair, restricted to the same sort
+ * names as the sort parameter. Ties are broken by newest first.
+ * @param {string} resource - Key of LIST_DEFINITIONS
+ * @param {string} sortBy - Sort name, e.g. score
+ * @param {string} [sortOrder=desc] - asc or desc
+ * @returns {Object}
+ * @throws {Error} With statusCode 400 when sortBy is not a known sort
+ */
+exports.parseSortBy = (resource, sortBy, sortOrder = 'desc') => {
+    const definition = LIST_DEFINITIONS[resource];
+    const path = Object.prototype.hasOwnProperty.call(definition.sorts, sortBy) ? definition.sorts[sortBy] : undefined;
+    if (!path) throw listError(`Cannot sort by "${sortBy}" (use ${Object.keys(definition.sorts).join(', ')})`);
+    return { [path]: sortOrder === 'asc' ? 1 : -1, ...(path !== 'createdAt' && { createdAt: -1 }) };
+};
+
+/**
+ * Add parsed filters to a base query. Filters are ANDed, so they can narrow
+ * but never widen the base query (e.g. a manager's own-leads restriction).
+ * @param {Object} query - Base MongoDB query
+ * @param {Object[]} conditions - From parseListOptions
+ * @returns {Object}
+ */
+exports.applyListConditions = (query, conditions) => {
+    if (conditions.length === 0) return query;
+    return { ...query, $and: [...(query.$and || []), ...conditions] };
+};
+
+/**
+ * Run a list query with sorting, projection and optional pagination
+ * @param {Object} Model - Mongoose model
+ * @param {Object} query - MongoDB query
+ * @param {Object} options - From parseListOptions
+ * @param {Object} [config]
+ * @param {Object} [config.defaultSort]
+ * @param {Function} [config.decorate] - Adds populate calls to the query
+ * @param {boolean} [config.projectInQuery=true] - Apply fields as a database projection
+ * @returns {Promise<{docs: Array, pagination: Object|undefined}>}
+ */
+exports.runListQuery = async (Model, query, options, { defaultSort, decorate, projectInQuery = true } = {}) => {
+    let cursor = Model.find(query);
+    if (decorate) cursor = decorate(cursor);
+
+    // _id last keeps pages stable when sort values tie
+    cursor = cursor.sort({ ...(options.sort || defaultSort || {}), _id: -1 });
+
+    if (options.fields && projectInQuery) cursor = cursor.select(options.fields.join(' '));
+
+    if (!options.paginate) {
+        return { docs: await cursor };
+    }
+
+    const [docs, total] = await Promise.all([
+        cursor.skip((options.page - 1) * options.limit).limit(options.limit),
+        Model.countDocuments(query)
+    ]);
+
+    return {
+        docs,
+        pagination: {
+            page: options.page,
+            limit: options.limit,
+            total,
+            pages: Math.ceil(total / options.limit)
+        }
+    };
+};
+
+/**
+ * Keep only the requested keys of a formatted row
+ * @param {Object} row
+ * @param {string[]|null} fields
+ * @returns {Object}
+ */
+exports.pickFields = (row, fields) => {
+    if (!fields) return row;
+    return ['_id', ...fields].reduce((picked, field) => {
+        if (row[field] !== undefined) picked[field] = row[field];
+        return picked;
+    }, {});
+};
+
+// Parameters every saved view can keep, on top of the resource's own params
+const VIEW_PARAMS = ['filter', 'sort', 'fields', 'limit', 'search'];
+
+/**
+ * Saved view query for a resource: unknown parameters are dropped and the rest
+ * must parse, so a view cannot be saved that would fail when it is run
+ * @param {string} resource - Key of LIST_DEFINITIONS
+ * @param {Object} query - Parameters as they would appear on the list URL
+ * @returns {Object}
+ * @throws {Error} With statusCode 400 when the query is invalid
+ */
+exports.normalizeViewQuery = (resource, query = {}) => {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        throw listError('query must be an object of list parameters');
+    }
+
+    const allowed = [...VIEW_PARAMS, ...LIST_DEFINITIONS[resource].params];
+    const normalized = {};
+    Object.entries(query).forEach(([key, value]) => {
+        if (allowed.includes(key) && value !== undefined && value !== null && value !== '') normalized[key] = value;
+    });
+
+    exports.parseListOptions(resource, normalized);
+    return normalized;
+};
+
+/**
+ * List parameters for a request, with the saved view named by ?view= applied
+ * underneath: anything on the URL overrides the view, and URL filters are
+ * added to (or replace, per field) the view's filters
+ * @param {Object} req - Request
+ * @param {string} resource - Key of LIST_DEFINITIONS
+ * @returns {Promise<{params: Object, view: Object|null}>}
+ * @throws {Error} With statusCode 404 when the view is missing or private to someone else, 400 when it is for another list
+ */
+exports.resolveListParams = async (req, resource) => {
+    const { view: viewId, ...params } = req.query;
+    if (!viewId) return { params, view: null };
+
+    const view = await SavedView.findById(viewId);
+    if (!view || !view.isVisibleTo(req.userId)) {
+        const error = new Error('Saved view not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    if (view.resource !== resource) {
+        throw listError(`Saved view "${view.name}" is for ${view.resource}, not ${resource}`);
+    }
+
+    const saved = view.query || {};
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    const filter = isObject(saved.filter) && isObject(params.filter)
+        ? { ...saved.filter, ...params.filter }
+        : params.filter ?? saved.filter;
+
+    return {
+        params: { ...saved, ...params, ...(filter !== undefined && { filter }) },
+        view: { _id: view._id, name: view.name }
+    };
+};
+
+exports.LIST_DEFINITIONS = LIST_DEFINITIONS;
+exports.FILTER_OPERATORS = FILTER_OPERATORS;
@@ -0,0 +1,196 @@
+const Vehicle = require('../models/Vehicle');
+const Sale = require('../models/Sale');
+const { formatGallery } = require('./carGallery');
+
+// Vehicles that are on sale; sold, delivered and reserved cars drop out of every feed,
+// as do cars whose sale is waiting on approval
+const FEED_STATUSES = ['ready_for_sale', 'test_drive'];
+
+const MAX_FEED_IMAGES = 20;
+
+// Body styles accepted by the Meta vehicle catalog
+const META_BODY_STYLES = ['CONVERTIBLE', 'COUPE', 'CROSSOVER', 'HATCHBACK', 'MINIVAN', 'TRUCK', 'SMALL_CAR', 'SEDAN', 'SPORTSCAR', 'SUPERCAR', 'SUV', 'VAN', 'WAGON'];
+
+const getFeedSettings = () => ({
+    currency: process.env.FEED_CURRENCY || 'AED',
+    listingBaseUrl: (process.env.FEED_LISTING_BASE_URL || process.env.DOMAIN_FRONTEND || '').replace(/\/$/, ''),
+    address: {
+        addr1: process.env.FEED_DEALER_ADDRESS || '',
+        city: process.env.FEED_DEALER_CITY || 'Dubai',
+        region: process.env.FEED_DEALER_REGION || 'Dubai',
+        country: process.env.FEED_DEALER_COUNTRY || 'AE'
+    }
+});
+
+/**
+ * Build the normalised listings published by every feed format.
+ * Vehicle details come from the lead (falling back to the vehicle record) and
+ * photos follow the lead's gallery order with the cover image first.
+ * Cars without a price are skipped because portals reject them.
+ * @returns {Promise<Array>}
+ */
+exports.buildFeedListings = async () => {
+    const settings = getFeedSettings();
+    const pendingSaleVehicleIds = await Sale.distinct('vehicleId', { status: { $in: Sale.PENDING_SALE_STATUSES } });
+    const vehicles = await Vehicle.find({ status: { $in: FEED_STATUSES }, _id: { $nin: pendingSaleVehicleIds } })
+        .populate('leadId', 'leadId vehicleInfo attachments priceAnalysis')
+        .sort({ updatedAt: -1 });
+
+    return vehicles
+        .filter(vehicle => !vehicle.getActiveReservation())
+        .map(vehicle => {
+            const lead = vehicle.leadId && vehicle.leadId._id ? vehicle.leadId : null;
+            const info = lead?.vehicleInfo || {};
+            const price = vehicle.listingPrice || lead?.priceAnalysis?.maxSellingPrice || vehicle.maxSellingPrice || null;
+
+            const gallery = formatGallery(lead?.attachments);
+            const images = [...gallery.filter(p => p.isCover), ...gallery.filter(p => !p.isCover)]
+                .slice(0, MAX_FEED_IMAGES)
+                .map(picture => ({
+                    url: picture.fullUrl,
+                    thumbnailUrl: picture.thumbnailUrl,
+                    caption: picture.caption,
+                    tags: picture.tags
+                }));
+
+            const make = info.make || vehicle.make;
+            const model = info.model || vehicle.model;
+            const year = info.year || vehicle.year;
+            const trim = info.trim || vehicle.trim || '';
+            const mileage = info.mileage ?? vehicle.mileage ?? null;
+            const color = info.color || vehicle.color || '';
+            const region = info.region || vehicle.region || '';
+            const title = [year, make, model, trim].filter(Boolean).join(' ');
+
+            return {
+                id: vehicle.vehicleId,
+                title,
+                description: [
+                    title,
+                    mileage !== null ? `${mileage.toLocaleString('en-US')} km` : null,
+                    color || null,
+                    region ? `${region} specs` : null
+                ].filter(Boolean).join(', '),
+                url: settings.listingBaseUrl ? `${settings.listingBaseUrl}/vehicles/${vehicle.vehicleId}` : '',
+                make,
+                model,
+                year,
+                trim,
+                mileage,
+                color,
+                region,
+                bodyStyle: info.category || vehicle.category || '',
+                vin: info.vin || vehicle.vin || '',
+                price,
+                currency: settings.currency,
+                condition: 'used',
+                availability: 'available',
+                images,
+                updatedAt: vehicle.updatedAt
+            };
+        })
+        .filter(listing => listing.price);
+};
+
+// Cells starting with =, +, - or @ are prefixed with ' so spreadsheets don't run them as formulas
+const escapeCsv = (value) => {
+    const raw = value === undefined || value === null ? '' : String(value);
+    const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise listings as a Meta (Facebook) vehicle catalog CSV
+ * @param {Array} listings - Result of buildFeedListings
+ * @returns {string}
+ */
+exports.toMetaCatalogCsv = (listings) => {
+    const { address } = getFeedSettings();
+    const imageCount = Math.max(1, ...listings.map(l => l.images.length));
+    const headers = [
+        'vehicle_id', 'title', 'description', 'url', 'make', 'model', 'year', 'trim',
+        'mileage.value', 'mileage.unit', 'price', 'vin', 'body_style', 'exterior_color',
+        'state_of_vehicle', 'availability',
+        'address.addr1', 'address.city', 'address.region', 'address.country',
+        ...Array.from({ length: imageCount }, (_, i) => `image[${i}].url`)
+    ];
+
+    const rows = listings.map(listing => {
+        const bodyStyle = String(listing.bodyStyle || '').toUpperCase().replace(/[\s-]+/g, '_');
+        return [
+            listing.id,
+            listing.title,
+            listing.description,
+            listing.url,
+            listing.make,
+            listing.model,
+            listing.year,
+            listing.trim,
+            listing.mileage ?? '',
+            'KM',
+            `${listing.price} ${listing.currency}`,
+            listing.vin,
+            META_BODY_STYLES.includes(bodyStyle) ? bodyStyle : 'OTHER',
+            listing.color,
+            'USED',
+            'AVAILABLE',
+            address.addr1,
+            address.city,
+            address.region,
+            address.country,
+            ...Array.from({ length: imageCount }, (_, i) => listing.images[i]?.url || '')
+        ];
+    });
+
+    return [headers, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+};
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Serialise listings as a generic XML listing feed
+ * @param {Array} listings - Result of buildFeedListings
+ * @returns {string}
+ */
+exports.toXmlFeed = (listings) => {
+    const element = (name, value) => `    <${name}>${escapeXml(value)}</${name}>`;
+    const items = listings.map(listing => [
+        '  <listing>',
+        element('id', listing.id),
+        element('title', listing.title),
+        element('description', listing.description),
+        element('url', listing.url),
+        element('make', listing.make),
+        element('model', listing.model),
+        element('year', listing.year),
+        element('trim', listing.trim),
+        `    <mileage unit="km">${escapeXml(listing.mileage ?? '')}</mileage>`,
+        element('color', listing.color),
+        element('region', listing.region),
+        element('bodyStyle', listing.bodyStyle),
+        element('vin', listing.vin),
+        `    <price currency="${escapeXml(listing.currency)}">${escapeXml(listing.price)}</price>`,
+        element('condition', listing.condition),
+        element('availability', listing.availability),
+        '    <images>',
+        ...listing.images.map(image => `      <image>${escapeXml(image.url)}</image>`),
+        '    </images>',
+        element('updatedAt', listing.updatedAt ? new Date(listing.updatedAt).toISOString() : ''),
+        '  </listing>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<listings generatedAt="${new Date().toISOString()}" count="${listings.length}">`,
+        ...items,
+        '</listings>',
+        ''
+    ].join('\n');
+};
+
+exports.FEED_STATUSES = FEED_STATUSES;
@@ -0,0 +1,358 @@
+/**
+ * Minimal MIME (RFC 5322 / 2045-2047 / 2231) parser for inbound email.
+ * Handles multipart bodies, base64 and quoted-printable transfer encodings,
+ * encoded-word headers and attachment file names. The raw message is handled
+ * as a binary (latin1) string so 8-bit content survives until its charset is known.
+ */
+
+/**
+ * Decode bytes in the given charset, falling back to UTF-8 for unknown charsets
+ * @param {Buffer} buffer
+ * @param {string} [charset]
+ * @returns {string}
+ */
+const decodeCharset = (buffer, charset) => {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (error) {
+        return buffer.toString('utf8');
+    }
+};
+
+const decodeQuotedPrintable = (text) => Buffer.from(
+    text.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+);
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ * @param {string} text - Binary string
+ * @param {string} encoding
+ * @returns {Buffer}
+ */
+const decodeTransferEncoding = (text, encoding) => {
+    if (encoding === 'base64') return Buffer.from(text.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    if (encoding === 'quoted-printable') return decodeQuotedPrintable(text);
+    return Buffer.from(text, 'latin1');
+};
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?...?=); the rest of the header is read as UTF-8
+ * @param {string} value - Binary string
+ * @returns {string}
+ */
+const decodeHeaderValue = (value) => {
+    if (!value) return '';
+    // Whitespace between adjacent encoded words is not part of the text
+    const joined = value.replace(/(\?=)\s+(?==\?)/g, '$1');
+    return joined.split(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)/).map(chunk => {
+        const encoded = /^=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=$/.exec(chunk);
+        if (!encoded) return decodeCharset(Buffer.from(chunk, 'latin1'), 'utf-8');
+        const [, charset, type, text] = encoded;
+        const bytes = type.toUpperCase() === 'B'
+            ? Buffer.from(text, 'base64')
+            : decodeQuotedPrintable(text.replace(/_/g, ' '));
+        return decodeCharset(bytes, charset);
+    }).join('');
+};
+
+/**
+ * Split the header block from the body at the first empty line
+ * @param {string} raw
+ * @returns {{headerText: string, body: string}}
+ */
+const splitHeaderBody = (raw) => {
+    const separator = /\r?\n\r?\n/.exec(raw);
+    if (!separator) return { headerText: raw, body: '' };
+    return {
+        headerText: raw.slice(0, separator.index),
+        body: raw.slice(separator.index + separator[0].length)
+    };
+};
+
+/**
+ * Parse (and unfold) a header block
+ * @param {string} headerText
+ * @returns {Map<string, string[]>} Lower-cased header name to raw values, in order
+ */
+const parseHeaders = (headerText) => {
+    const headers = new Map();
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon <= 0) return;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).trim();
+        if (!headers.has(name)) headers.set(name, []);
+        headers.get(name).push(value);
+    });
+    return headers;
+};
+
+const getHeader = (headers, name) => (headers.get(name) || [])[0] || '';
+
+/**
+ * Split on a separator that is not inside double quotes (or angle brackets)
+ * @param {string} value
+ * @param {string} separator
+ * @returns {string[]}
+ */
+const splitOutsideQuotes = (value, separator) => {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+    let angleDepth = 0;
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (char === '\\' && inQuotes) {
+            current += char + (value[i + 1] || '');
+            i++;
+            continue;
+        }
+        if (char === '"') inQuotes = !inQuotes;
+        if (!inQuotes && char === '<') angleDepth++;
+        if (!inQuotes && char === '>') angleDepth = Math.max(0, angleDepth - 1);
+        if (char === separator && !inQuotes && angleDepth === 0) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.map(p => p.trim()).filter(Boolean);
+};
+
+const unquote = (value) => {
+    const trimmed = String(value || '').trim();
+    if (trimmed.startsWith('"') && trimmed.endsWith('"')) return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+    return trimmed;
+};
+
+/**
+ * Parse a structured header such as Content-Type or Content-Disposition,
+ * including RFC 2231 extended (filename*=utf-8''...) and continued (name*0, name*1) parameters
+ * @param {string} value
+ * @returns {{value: string, params: Object}}
+ */
+const parseStructuredHeader = (value) => {
+    const [main, ...rawParams] = splitOutsideQuotes(value || '', ';');
+    const sections = {};
+
+    rawParams.forEach(param => {
+        const eq = param.indexOf('=');
+        if (eq <= 0) return;
+        const key = param.slice(0, eq).trim().toLowerCase();
+        const paramValue = unquote(param.slice(eq + 1));
+        const extended = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key);
+        if (!extended) return;
+        const [, name, index, encoded] = extended;
+        if (!sections[name]) sections[name] = [];
+        sections[name].push({ index: Number(index || 0), value: paramValue, encoded: Boolean(encoded) });
+    });
+
+    const params = {};
+    Object.entries(sections).forEach(([name, pieces]) => {
+        pieces.sort((a, b) => a.index - b.index);
+        let charset = 'utf-8';
+        const bytes = pieces.map((piece, i) => {
+            if (!piece.encoded) return Buffer.from(piece.value, 'latin1');
+            let text = piece.value;
+            if (i === 0) {
+                const match = /^([^']*)'[^']*'(.*)$/.exec(text);
+                if (match) {
+                    charset = match[1] || charset;
+                    text = match[2];
+                }
+            }
+            return Buffer.from(text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+        });
+        const anyEncoded = pieces.some(p => p.encoded);
+        const joined = Buffer.concat(bytes);
+        params[name] = anyEncoded ? decodeCharset(joined, charset) : decodeHeaderValue(joined.toString('latin1'));
+    });
+
+    return { value: (main || '').trim().toLowerCase(), params };
+};
+
+/**
+ * Split a multipart body into its raw parts
+ * @param {string} body
+ * @param {string} boundary
+ * @returns {string[]}
+ */
+const splitMultipart = (body, boundary) => {
+    const delimiter = `--${boundary}`;
+    const parts = [];
+    let current = null;
+
+    for (const line of body.split(/\r?\n/)) {
+        const trimmed = line.trimEnd();
+        if (trimmed === `${delimiter}--`) {
+            if (current) parts.push(current.join('\r\n'));
+            current = null;
+            break;
+        }
+        if (trimmed === delimiter) {
+            if (current) parts.push(current.join('\r\n'));
+            current = [];
+            continue;
+        }
+        if (current) current.push(line);
+    }
+    if (current) parts.push(current.join('\r\n'));
+    return parts;
+};
+
+/**
+ * Parse an address list header into { name, address } objects
+ * @param {string} value
+ * @returns {Array<{name: string, address: string}>}
+ */
+const parseAddressList = (value) => {
+    const decoded = decodeHeaderValue(value || '');
+    return splitOutsideQuotes(decoded, ',')
+        .map(entry => {
+            // Drop group syntax ("Team: a@b, c@d;")
+            const cleaned = entry.replace(/^[^"<]*:\s*/, '').replace(/;$/, '').trim();
+            const angle = /^(.*)<([^>]+)>\s*$/.exec(cleaned);
+            const name = angle ? unquote(angle[1]) : '';
+            const address = (angle ? angle[2] : cleaned).trim().toLowerCase();
+            return { name, address };
+        })
+        .filter(entry => /^[^\s@]+@[^\s@]+$/.test(entry.address));
+};
+
+/**
+ * Message ids (<...>) in a Message-ID, In-Reply-To or References header
+ * @param {string} value
+ * @returns {string[]}
+ */
+const parseMessageIds = (value) => {
+    const ids = String(value || '').match(/<[^<>\s]+>/g);
+    if (ids) return ids;
+    const bare = String(value || '').trim();
+    return bare ? [`<${bare.replace(/^<|>$/g, '')}>`] : [];
+};
+
+/**
+ * Plain text from an HTML body, for messages without a text/plain part
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToText = (html) => String(html || '')
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Walk a MIME entity, collecting text, HTML and attachments into result
+ * @param {string} raw
+ * @param {Object} result
+ * @param {number} depth
+ */
+const walkPart = (raw, result, depth = 0) => {
+    const { headerText, body } = splitHeaderBody(raw);
+    const headers = parseHeaders(headerText);
+    const contentType = parseStructuredHeader(getHeader(headers, 'content-type') || 'text/plain; charset=us-ascii');
+    const disposition = parseStructuredHeader(getHeader(headers, 'content-disposition'));
+    const encoding = (getHeader(headers, 'content-transfer-encoding') || '7bit').trim().toLowerCase();
+    const mimeType = contentType.value || 'text/plain';
+
+    if (mimeType.startsWith('multipart/') && contentType.params.boundary && depth < 10) {
+        splitMultipart(body, contentType.params.boundary).forEach(part => walkPart(part, result, depth + 1));
+        return;
+    }
+
+    const content = decodeTransferEncoding(body, encoding);
+    const filename = disposition.params.filename || contentType.params.name ||
+        (mimeType === 'message/rfc822' ? 'forwarded-message.eml' : null);
+    const isText = mimeType === 'text/plain' || mimeType === 'text/html';
+
+    if (isText && !filename && disposition.value !== 'attachment') {
+        const text = decodeCharset(content, contentType.params.charset);
+        if (mimeType === 'text/plain') result.textParts.push(text);
+        else result.htmlParts.push(text);
+        return;
+    }
+
+    const contentId = getHeader(headers, 'content-id').replace(/^<|>$/g, '') || null;
+    result.attachments.push({
+        filename: filename || `attachment-${result.attachments.length + 1}`,
+        contentType: mimeType,
+        size: content.length,
+        content,
+        contentId,
+        inline: disposition.value === 'inline'
+    });
+};
+
+/**
+ * Parse a raw MIME email
+ * @param {Buffer|string} raw - The full message, headers included
+ * @returns {Object} { messageId, inReplyTo, references, subject, from, to, cc, replyTo, date, text, html, attachments, headers }
+ */
+exports.parseMimeMessage = (raw) => {
+    const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw || ''), 'utf8').toString('latin1');
+    const { headerText } = splitHeaderBody(source);
+    const headers = parseHeaders(headerText);
+
+    const result = { textParts: [], htmlParts: [], attachments: [] };
+    walkPart(source, result);
+
+    const html = result.htmlParts.join('\n') || null;
+    const text = result.textParts.join('\n').replace(/\r\n/g, '\n').trim() || (html ? htmlToText(html) : '');
+    const date = new Date(getHeader(headers, 'date'));
+
+    return {
+        messageId: parseMessageIds(getHeader(headers, 'message-id'))[0] || null,
+        inReplyTo: parseMessageIds(getHeader(headers, 'in-reply-to'))[0] || null,
+        references: parseMessageIds(getHeader(headers, 'references')),
+        subject: decodeHeaderValue(getHeader(headers, 'subject')).trim(),
+        from: parseAddressList(getHeader(headers, 'from'))[0] || null,
+        replyTo: parseAddressList(getHeader(headers, 'reply-to'))[0] || null,
+        to: parseAddressList((headers.get('to') || []).join(', ')),
+        cc: parseAddressList((headers.get('cc') || []).join(', ')),
+        date: Number.isNaN(date.getTime()) ? null : date,
+        text,
+        html,
+        attachments: result.attachments,
+        headers: {
+            autoSubmitted: getHeader(headers, 'auto-submitted').toLowerCase() || null,
+            precedence: getHeader(headers, 'precedence').toLowerCase() || null
+        }
+    };
+};
+
+/**
+ * The new part of a reply: stops at the quoted original ("On ... wrote:",
+ * "-----Original Message-----") and drops ">" quoted lines
+ * @param {string} text
+ * @returns {string}
+ */
+exports.extractReplyText = (text) => {
+    const lines = String(text || '').split(/\r?\n/);
+    const kept = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const nextLine = lines[i + 1] || '';
+        if (/^-{2,}\s*Original Message\s*-{2,}/i.test(line.trim())) break;
+        if (/^On .+wrote:\s*$/i.test(line.trim()) || (/^On .+/i.test(line.trim()) && /wrote:\s*$/i.test(nextLine.trim()))) break;
+        if (/^>/.test(line)) continue;
+        kept.push(line);
+    }
+    const reply = kept.join('\n').trim();
+    return reply || String(text || '').trim();
+};
+
+exports.parseAddressList = parseAddressList;
+exports.decodeHeaderValue = decodeHeaderValue;
@@ -0,0 +1,210 @@
+const Vehicle = require('../models/Vehicle');
+const Sale = require('../models/Sale');
+
+const CLOSED_SALE_STATUSES = ['approved', 'invoice_generated', 'completed'];
+
+const DEFAULT_YEAR_BAND = parseInt(process.env.PRICING_YEAR_BAND || '1', 10);
+const DEFAULT_MILEAGE_BAND = parseInt(process.env.PRICING_MILEAGE_BAND || '30000', 10);
+const DEFAULT_TARGET_MARGIN_PERCENT = parseFloat(process.env.PRICING_TARGET_MARGIN_PERCENT || '10');
+const MIN_COMPARABLES = 3;
+const MAX_COMPARABLES = 20;
+
+// Matching passes from strictest to loosest; later passes only run when too few comparables are found
+const MATCH_PASSES = [
+    { level: 'exact', matchTrim: true, matchRegion: true, bandMultiplier: 1 },
+    { level: 'any_trim', matchTrim: false, matchRegion: true, bandMultiplier: 1 },
+    { level: 'any_region', matchTrim: false, matchRegion: false, bandMultiplier: 1 },
+    { level: 'wide_band', matchTrim: false, matchRegion: false, bandMultiplier: 2 }
+];
+
+const roundToCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Percentile of a list of numbers using linear interpolation
+ * @param {number[]} values
+ * @param {number} p - 0..1
+ * @returns {number|null}
+ */
+const percentile = (values, p) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return roundToCurrency(sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower));
+};
+
+/**
+ * Build a pricing recommendation for a purchase lead from our own history:
+ * closed sales give the sell range and completed purchases give the buy price.
+ * Comparables match on make and model, a year band and a mileage band, and
+ * prefer the same trim and region; matching is relaxed step by step when
+ * fewer than MIN_COMPARABLES are found.
+ * @param {Object} vehicleInfo - Lead vehicleInfo (make, model, year, mileage, trim, region)
+ * @param {Object} [options]
+ * @param {number} [options.yearBand] - +/- model years
+ * @param {number} [options.mileageBand] - +/- kilometres
+ * @param {number} [options.targetMarginPercent] - Margin to protect when suggesting a buy price
+ * @param {Array} [options.excludeVehicleIds] - Vehicles to leave out (e.g. the lead's own car)
+ * @returns {Promise<Object>}
+ */
+exports.buildPricingRecommendation = async (vehicleInfo = {}, options = {}) => {
+    if (!vehicleInfo.make || !vehicleInfo.model) {
+        const error = new Error('Lead needs a make and model before a price can be recommended');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const yearBand = Number.isFinite(options.yearBand) ? options.yearBand : DEFAULT_YEAR_BAND;
+    const mileageBand = Number.isFinite(options.mileageBand) ? options.mileageBand : DEFAULT_MILEAGE_BAND;
+    const targetMarginPercent = Number.isFinite(options.targetMarginPercent)
+        ? options.targetMarginPercent
+        : DEFAULT_TARGET_MARGIN_PERCENT;
+
+    const criteria = {
+        make: vehicleInfo.make,
+        model: vehicleInfo.model,
+        year: vehicleInfo.year,
+        mileage: vehicleInfo.mileage,
+        trim: vehicleInfo.trim,
+        region: vehicleInfo.region,
+        yearBand,
+        mileageBand
+    };
+
+    const widestBand = Math.max(...MATCH_PASSES.map(p => p.bandMultiplier));
+    const query = {
+        make: { $regex: `^\\s*${escapeRegex(vehicleInfo.make.trim())}\\s*$`, $options: 'i' },
+        model: { $regex: `^\\s*${escapeRegex(vehicleInfo.model.trim())}\\s*$`, $options: 'i' }
+    };
+    if (Number.isFinite(Number(vehicleInfo.year)) && vehicleInfo.year) {
+        query.year = {
+            $gte: Number(vehicleInfo.year) - yearBand * widestBand,
+            $lte: Number(vehicleInfo.year) + yearBand * widestBand
+        };
+    }
+    if (options.excludeVehicleIds && options.excludeVehicleIds.length > 0) {
+        query._id = { $nin: options.excludeVehicleIds };
+    }
+
+    const vehicles = await Vehicle.find(query)
+        .select('vehicleId leadId make model year mileage trim region status ownershipType purchasePrice costBasis purchaseMeta createdAt')
+        .populate('leadId', 'leadId');
+
+    const sales = vehicles.length > 0
+        ? await Sale.find({ vehicleId: { $in: vehicles.map(v => v._id) }, status: { $in: CLOSED_SALE_STATUSES } })
+            .select('saleId vehicleId sellingPrice status createdAt')
+        : [];
+    const saleByVehicle = new Map(sales.map(sale => [sale.vehicleId.toString(), sale]));
+
+    const isWithinBands = (vehicle, multiplier) => {
+        if (vehicleInfo.year && vehicle.year && Math.abs(vehicle.year - vehicleInfo.year) > yearBand * multiplier) return false;
+        if (Number.isFinite(vehicleInfo.mileage) && Number.isFinite(vehicle.mileage) &&
+            Math.abs(vehicle.mileage - vehicleInfo.mileage) > mileageBand * multiplier) return false;
+        return true;
+    };
+
+    // Only cars with a closed sale or an owned purchase price can inform the recommendation
+    const pricedVehicles = vehicles.filter(vehicle => saleByVehicle.has(vehicle._id.toString()) ||
+        (vehicle.ownershipType !== 'consignment' && (vehicle.costBasis?.buyingPrice || vehicle.purchasePrice)));
+
+    // Run passes until enough comparables are found; each vehicle keeps the strictest level it matched
+    const matched = new Map();
+    let matchLevel = null;
+    for (const pass of MATCH_PASSES) {
+        pricedVehicles.forEach(vehicle => {
+            if (matched.has(vehicle._id.toString())) return;
+            if (!isWithinBands(vehicle, pass.bandMultiplier)) return;
+            if (pass.matchTrim && vehicleInfo.trim && !sameText(vehicle.trim, vehicleInfo.trim)) return;
+            if (pass.matchRegion && vehicleInfo.region && !sameText(vehicle.region, vehicleInfo.region)) return;
+            matched.set(vehicle._id.toString(), { vehicle, matchLevel: pass.level });
+        });
+        matchLevel = pass.level;
+        if (matched.size >= MIN_COMPARABLES) break;
+    }
+
+    const comparables = [...matched.values()]
+        .map(({ vehicle, matchLevel: level }) => {
+            const sale = saleByVehicle.get(vehicle._id.toString());
+            const isOwned = vehicle.ownershipType !== 'consignment';
+            const buyPrice = isOwned ? (vehicle.costBasis?.buyingPrice || vehicle.purchasePrice || null) : null;
+            const totalCost = isOwned ? (vehicle.costBasis?.total || null) : null;
+            return {
+                vehicleId: vehicle.vehicleId,
+                leadId: vehicle.leadId?.leadId,
+                make: vehicle.make,
+                model: vehicle.model,
+                year: vehicle.year,
+                mileage: vehicle.mileage,
+                trim: vehicle.trim,
+                region: vehicle.region,
+                ownershipType: vehicle.ownershipType,
+                status: vehicle.status,
+                matchLevel: level,
+                buyPrice,
+                totalCost,
+                sellPrice: sale ? sale.sellingPrice : null,
+                saleId: sale ? sale.saleId : null,
+                date: sale ? sale.createdAt : (vehicle.purchaseMeta?.purchasedAt || vehicle.createdAt)
+            };
+        })
+        .filter(c => c.buyPrice || c.sellPrice)
+        .sort((a, b) => MATCH_PASSES.findIndex(p => p.level === a.matchLevel) - MATCH_PASSES.findIndex(p => p.level === b.matchLevel) ||
+            new Date(b.date) - new Date(a.date))
+        .slice(0, MAX_COMPARABLES);
+
+    const sellPrices = comparables.filter(c => c.sellPrice).map(c => c.sellPrice);
+    const buyPrices = comparables.filter(c => c.buyPrice).map(c => c.buyPrice);
+    const onCosts = comparables
+        .filter(c => c.buyPrice && c.totalCost && c.totalCost >= c.buyPrice)
+        .map(c => c.totalCost - c.buyPrice);
+
+    const sellRange = sellPrices.length > 0 ? {
+        min: percentile(sellPrices, 0.25),
+        median: percentile(sellPrices, 0.5),
+        max: percentile(sellPrices, 0.75)
+    } : null;
+    const typicalOnCosts = percentile(onCosts, 0.5) || 0;
+    const medianBuyPrice = percentile(buyPrices, 0.5);
+
+    // Buy price that still leaves the target margin on the median sell price
+    const marginCappedBuyPrice = sellRange
+        ? roundToCurrency(sellRange.median * (1 - targetMarginPercent / 100) - typicalOnCosts)
+        : null;
+    const candidates = [medianBuyPrice, marginCappedBuyPrice].filter(v => Number.isFinite(v) && v > 0);
+    const suggestedBuyPrice = candidates.length > 0 ? Math.min(...candidates) : null;
+
+    let expectedMargin = null;
+    if (suggestedBuyPrice && sellRange) {
+        const amount = roundToCurrency(sellRange.median - suggestedBuyPrice - typicalOnCosts);
+        expectedMargin = {
+            amount,
+            percentage: roundToCurrency((amount / sellRange.median) * 100)
+        };
+    }
+
+    const askingPrice = vehicleInfo.askingPrice || null;
+
+    return {
+        criteria,
+        matchLevel: comparables.length > 0 ? matchLevel : null,
+        confidence: sellPrices.length >= 5 && buyPrices.length >= 5 ? 'high' : (comparables.length >= MIN_COMPARABLES ? 'medium' : 'low'),
+        suggestedBuyPrice,
+        sellRange,
+        typicalOnCosts,
+        targetMarginPercent,
+        expectedMargin,
+        askingPrice,
+        askingAboveSuggested: Boolean(askingPrice && suggestedBuyPrice && askingPrice > suggestedBuyPrice),
+        comparableCounts: {
+            total: comparables.length,
+            sales: sellPrices.length,
+            purchases: buyPrices.length
+        },
+        comparables
+    };
+};
@@ -0,0 +1,217 @@
+const WMI_TABLE = require('./data/wmi.json');
+
+const VIN_LENGTH = 17;
+
+// ISO 3780 orders characters A-Z, then 1-9, then 0 when defining WMI ranges
+const RANGE_ORDER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ1234567890';
+
+// Characters I, O and Q are never used in a VIN
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Model-year codes (position 10) repeat every 30 years starting at 1980
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const MODEL_YEAR_BASE = 1980;
+
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const CHECK_DIGIT_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// WMI regions where the position-9 check digit is mandatory (North America and China)
+const CHECK_DIGIT_REQUIRED_PREFIXES = ['1', '2', '3', '4', '5', 'L'];
+
+const rangeIndex = (code) => code.split('').map(ch => RANGE_ORDER.indexOf(ch));
+
+const isWithinRange = (code, from, to) => {
+    const value = rangeIndex(code);
+    const lower = rangeIndex(from);
+    const upper = rangeIndex(to);
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] < lower[i]) return false;
+        if (value[i] > lower[i]) break;
+    }
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] > upper[i]) return false;
+        if (value[i] < upper[i]) break;
+    }
+    return true;
+};
+
+const normalizeMake = (make) => String(make || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Normalize a VIN-like string. Whitespace and hyphens are stripped and letters
+ * upper-cased only when the result is a 17-character VIN; shorter chassis
+ * numbers are just trimmed.
+ * @param {string} vin
+ * @returns {string}
+ */
+exports.normalizeVin = (vin) => {
+    const trimmed = String(vin || '').trim();
+    const compact = trimmed.replace(/[\s-]/g, '').toUpperCase();
+    return compact.length === VIN_LENGTH ? compact : trimmed;
+};
+
+/**
+ * Compute the position-9 check digit of a 17-character VIN
+ * @param {string} vin - Normalized VIN
+ * @returns {string} '0'-'9' or 'X'
+ */
+exports.computeCheckDigit = (vin) => {
+    const sum = vin.split('').reduce((acc, ch, i) => {
+        const value = /[0-9]/.test(ch) ? Number(ch) : (TRANSLITERATION[ch] || 0);
+        return acc + value * CHECK_DIGIT_WEIGHTS[i];
+    }, 0);
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+};
+
+/**
+ * Candidate model years for a position-10 code, newest first
+ * @param {string} code
+ * @returns {number[]}
+ */
+const getModelYearCandidates = (code) => {
+    const index = MODEL_YEAR_CODES.indexOf(code);
+    if (index === -1) return [];
+    const candidates = [];
+    for (let year = MODEL_YEAR_BASE + index; year <= new Date().getFullYear() + 1; year += 30) {
+        candidates.unshift(year);
+    }
+    return candidates;
+};
+
+/**
+ * Decode a 17-character VIN against the bundled WMI table
+ * @param {string} vin
+ * @returns {{vin: string, isValid: boolean, errors: string[], wmi: string, manufacturer: string|null,
+ *   makes: string[], country: string|null, region: string|null, modelYear: number|null,
+ *   modelYearCandidates: number[], checkDigit: Object}}
+ */
+exports.decodeVin = (vin) => {
+    const normalized = exports.normalizeVin(vin);
+    const errors = [];
+
+    if (normalized.length !== VIN_LENGTH) {
+        errors.push(`VIN must be ${VIN_LENGTH} characters`);
+    } else if (!VIN_PATTERN.test(normalized)) {
+        errors.push('VIN may only contain letters and digits, excluding I, O and Q');
+    }
+
+    if (errors.length > 0) {
+        return { vin: normalized, isValid: false, errors };
+    }
+
+    const wmi = normalized.slice(0, 3);
+    const manufacturerEntry = WMI_TABLE.manufacturers[wmi] || WMI_TABLE.manufacturers[wmi.slice(0, 2)] || null;
+    const countryEntry = WMI_TABLE.countries.find(c => isWithinRange(normalized.slice(0, 2), c.from, c.to));
+    const regionEntry = WMI_TABLE.regions.find(r => isWithinRange(normalized[0], r.from, r.to));
+
+    const checkDigitRequired = CHECK_DIGIT_REQUIRED_PREFIXES.includes(normalized[0]);
+    const expectedCheckDigit = exports.computeCheckDigit(normalized);
+    const checkDigitValid = normalized[8] === expectedCheckDigit;
+    if (checkDigitRequired && !checkDigitValid) {
+        errors.push(`VIN check digit is invalid (expected ${expectedCheckDigit} at position 9)`);
+    }
+
+    // North American VINs use a letter at position 7 for model years from 2010 onwards
+    let modelYearCandidates = getModelYearCandidates(normalized[9]);
+    if (regionEntry?.region === 'North America' && modelYearCandidates.length > 1) {
+        const isLaterCycle = /[A-Z]/.test(normalized[6]);
+        modelYearCandidates = modelYearCandidates.filter(year => (year >= 2010) === isLaterCycle);
+    }
+
+    return {
+        vin: normalized,
+        isValid: errors.length === 0,
+        errors,
+        wmi,
+        manufacturer: manufacturerEntry?.manufacturer || null,
+        makes: manufacturerEntry?.makes || [],
+        country: countryEntry?.country || null,
+        region: regionEntry?.region || null,
+        modelYear: modelYearCandidates[0] || null,
+        modelYearCandidates,
+        checkDigit: {
+            required: checkDigitRequired,
+            expected: expectedCheckDigit,
+            actual: normalized[8],
+            valid: checkDigitValid
+        }
+    };
+};
+
+/**
+ * Compare a decoded VIN with the vehicle details entered on the lead
+ * @param {Object} decoded - Result of decodeVin
+ * @param {Object} vehicleInfo - Lead vehicleInfo (make, year)
+ * @returns {string[]} Warnings; empty when everything agrees
+ */
+exports.getVehicleInfoWarnings = (decoded, vehicleInfo = {}) => {
+    const warnings = [];
+    if (!decoded || !decoded.isValid) return warnings;
+
+    if (!decoded.manufacturer) {
+        warnings.push(`Manufacturer code ${decoded.wmi} is not in the WMI table; make could not be verified`);
+    } else if (vehicleInfo.make) {
+        const make = normalizeMake(vehicleInfo.make);
+        const matches = decoded.makes.some(candidate => {
+            const normalizedCandidate = normalizeMake(candidate);
+            return normalizedCandidate.startsWith(make) || make.startsWith(normalizedCandidate);
+        });
+        if (!matches) {
+            warnings.push(`VIN decodes to ${decoded.manufacturer} but make was entered as ${vehicleInfo.make}`);
+        }
+    }
+
+    const year = parseInt(vehicleInfo.year, 10);
+    if (decoded.modelYearCandidates.length === 0) {
+        warnings.push(`Model year code ${decoded.vin[9]} could not be decoded`);
+    } else if (Number.isFinite(year) && !decoded.modelYearCandidates.includes(year)) {
+        warnings.push(`VIN decodes to model year ${decoded.modelYear} but year was entered as ${year}`);
+    }
+
+    return warnings;
+};
+
+/**
+ * Validate and decode the VIN of a lead's vehicleInfo.
+ * Values that are not 17 characters long are treated as legacy chassis numbers:
+ * they are accepted but not decoded.
+ * @param {string} vin
+ * @param {Object} [vehicleInfo]
+ * @returns {{vin: string, errors: string[], warnings: string[], decoded: Object|null}}
+ */
+exports.inspectVin = (vin, vehicleInfo = {}) => {
+    const normalized = exports.normalizeVin(vin);
+
+    if (normalized.length !== VIN_LENGTH) {
+        return {
+            vin: normalized,
+            errors: [],
+            warnings: [`${normalized} is not a ${VIN_LENGTH}-character VIN; treated as a chassis number and not decoded`],
+            decoded: null
+        };
+    }
+
+    const decoded = exports.decodeVin(normalized);
+    if (!decoded.isValid) {
+        return { vin: normalized, errors: decoded.errors, warnings: [], decoded: null };
+    }
+
+    return {
+        vin: normalized,
+        errors: [],
+        warnings: exports.getVehicleInfoWarnings(decoded, vehicleInfo),
+        decoded: {
+            wmi: decoded.wmi,
+            manufacturer: decoded.manufacturer,
+            country: decoded.country,
+            region: decoded.region,
+            modelYear: decoded.modelYear,
+            checkDigitValid: decoded.checkDigit.valid
+        }
+    };
+};
@@ -0,0 +1,216 @@
+const Lead = require('../models/Lead');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const logger = require('./logger');
+const { logLead, logSystem } = require('./auditLogger');
+const { findDuplicateLeads } = require('./leadDuplicates');
+const { getLeadPipeline } = require('./leadPipeline');
+const whatsappService = require('../services/whatsappService');
+
+// Free-text messages are only allowed this long after the customer's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Order outbound statuses move through; failed can happen at any point
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, read: 3 };
+
+/**
+ * Normalise a phone number to the digits-with-country-code form WhatsApp uses.
+ * Local numbers (leading 0) get WHATSAPP_DEFAULT_COUNTRY_CODE; a 00 prefix is dropped.
+ * @param {string} phone
+ * @returns {string|null}
+ */
+exports.normalizeWhatsAppNumber = (phone) => {
+    let digits = String(phone || '').replace(/\D/g, '');
+    if (digits.startsWith('00')) digits = digits.slice(2);
+    else if (digits.startsWith('0')) digits = `${process.env.WHATSAPP_DEFAULT_COUNTRY_CODE || '971'}${digits.slice(1)}`;
+    return digits.length >= 8 ? digits : null;
+};
+
+/**
+ * Whether free text may be sent: the customer messaged us within the last 24 hours
+ * @param {string} phone - Normalised number
+ * @returns {Promise<{open: boolean, lastInboundAt: Date|null}>}
+ */
+exports.getSessionWindow = async (phone) => {
+    const lastInbound = await WhatsAppMessage.findOne({ phone, direction: 'inbound' })
+        .sort({ createdAt: -1 })
+        .select('receivedAt createdAt');
+    const lastInboundAt = lastInbound ? (lastInbound.receivedAt || lastInbound.createdAt) : null;
+    return {
+        open: Boolean(lastInboundAt && Date.now() - lastInboundAt.getTime() < SESSION_WINDOW_MS),
+        lastInboundAt
+    };
+};
+
+/**
+ * Find the lead an inbound number belongs to: an open lead of either type with a
+ * matching phone number (newest first), otherwise the newest closed one
+ * @param {string} phone
+ * @returns {Promise<Object|null>} Lead document
+ */
+exports.findLeadForPhone = async (phone) => {
+    const candidates = [];
+    for (const type of ['purchase', 'sales']) {
+        const pipeline = await getLeadPipeline(type);
+        const closedStages = pipeline.stages.filter(s => s.isTerminal).map(s => s.key);
+        const duplicates = await findDuplicateLeads({ contactInfo: { phone } }, { type });
+        duplicates
+            .filter(d => d.matchedOn.includes('phone'))
+            .forEach(d => candidates.push({ ...d, isOpen: !closedStages.includes(d.status) }));
+    }
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => (b.isOpen - a.isOpen) || (new Date(b.createdAt) - new Date(a.createdAt)));
+    return Lead.findById(candidates[0]._id);
+};
+
+/**
+ * Values for a template's placeholders. Explicit parameters win; the rest come
+ * from the lead according to the template's variable sources.
+ * @param {Object} template - WhatsAppTemplate
+ * @param {Object} lead - Lead (assignedTo populated for managerName)
+ * @param {Array<string>} [provided]
+ * @returns {{parameters: Array<string>, missing: Array<string>}}
+ */
+exports.resolveTemplateParameters = (template, lead, provided = []) => {
+    const count = Math.max(template.getPlaceholderCount(), template.variables.length);
+    const vehicle = [lead.vehicleInfo?.make, lead.vehicleInfo?.model, lead.vehicleInfo?.year].filter(Boolean).join(' ');
+    const fromLead = {
+        contactName: lead.contactInfo?.name,
+        vehicle,
+        leadId: lead.leadId,
+        managerName: lead.assignedTo?.name
+    };
+
+    const parameters = [];
+    const missing = [];
+    for (let i = 0; i < count; i++) {
+        const variable = template.variables[i] || { source: 'custom' };
+        const explicit = provided[i];
+        const value = explicit !== undefined && explicit !== null && explicit !== ''
+            ? String(explicit)
+            : fromLead[variable.source];
+        if (!value) missing.push(variable.label || `{{${i + 1}}}`);
+        parameters.push(value || '');
+    }
+    return { parameters, missing };
+};
+
+/**
+ * Send a WhatsApp message to a lead's contact and store it on the lead's conversation.
+ * Provider failures are stored as failed messages and rethrown with statusCode 502.
+ * @param {Object} options
+ * @param {Object} options.req
+ * @param {Object} options.lead
+ * @param {string} options.phone - Normalised number
+ * @param {string} [options.text] - Free text
+ * @param {Object} [options.template] - WhatsAppTemplate
+ * @param {Array<string>} [options.parameters] - Resolved template parameters
+ * @returns {Promise<Object>} WhatsAppMessage
+ */
+exports.sendLeadMessage = async ({ req, lead, phone, text, template, parameters = [] }) => {
+    const message = new WhatsAppMessage({
+        lead: lead._id,
+        direction: 'outbound',
+        phone,
+        type: template ? 'template' : 'text',
+        text: template ? template.render(parameters) : text,
+        template: template ? { name: template.name, language: template.language, parameters } : undefined,
+        status: 'queued',
+        sentBy: req.userId,
+        sentByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+    });
+
+    try {
+        const { providerMessageId } = template
+            ? await whatsappService.sendTemplateMessage(phone, template.name, template.language, parameters)
+            : await whatsappService.sendTextMessage(phone, text);
+        message.providerMessageId = providerMessageId;
+        message.status = 'sent';
+        message.statusUpdatedAt = new Date();
+        await message.save();
+    } catch (error) {
+        message.status = 'failed';
+        message.error = error.message;
+        message.statusUpdatedAt = new Date();
+        await message.save();
+
+        const sendError = new Error(`WhatsApp message could not be sent: ${error.message}`);
+        sendError.statusCode = 502;
+        sendError.whatsAppMessage = message;
+        throw sendError;
+    }
+
+    await logLead(req, 'lead_whatsapp_sent', `Sent WhatsApp ${message.type} message to ${lead.contactInfo.name} on lead ${lead.leadId}`, lead, {
+        messageId: message._id,
+        phone,
+        template: template ? template.name : undefined
+    });
+
+    return message;
+};
+
+/**
+ * Store inbound messages from the webhook and attach them to leads by phone number.
+ * Redelivered messages (same provider id) are skipped.
+ * @param {Array} messages - From whatsappService.parseWebhookPayload
+ * @returns {Promise<{stored: number, matched: number, unmatched: number}>}
+ */
+exports.recordInboundMessages = async (messages) => {
+    let stored = 0;
+    let matched = 0;
+    for (const inbound of messages) {
+        if (inbound.providerMessageId && await WhatsAppMessage.exists({ providerMessageId: inbound.providerMessageId })) continue;
+
+        const phone = exports.normalizeWhatsAppNumber(inbound.phone) || inbound.phone;
+        const lead = await exports.findLeadForPhone(phone);
+
+        const message = await WhatsAppMessage.create({
+            ...inbound,
+            phone,
+            lead: lead ? lead._id : null,
+            direction: 'inbound',
+            status: 'received',
+            statusUpdatedAt: new Date()
+        });
+        stored += 1;
+
+        if (lead) {
+            matched += 1;
+            await logSystem('lead_whatsapp_received', `WhatsApp message from ${inbound.profileName || phone} on lead ${lead.leadId}`, lead, 'Lead', {
+                messageId: message._id,
+                phone,
+                type: message.type
+            });
+        } else {
+            logger.warn(`WhatsApp message ${message._id} from ${phone} matches no lead`);
+        }
+    }
+    return { stored, matched, unmatched: stored - matched };
+};
+
+/**
+ * Apply delivery status callbacks to outbound messages
+ * @param {Array} statuses - From whatsappService.parseWebhookPayload
+ * @returns {Promise<number>} Messages updated
+ */
+exports.applyStatusUpdates = async (statuses) => {
+    let updated = 0;
+    for (const update of statuses) {
+        const message = await WhatsAppMessage.findOne({ providerMessageId: update.providerMessageId, direction: 'outbound' });
+        if (!message) continue;
+
+        if (update.status === 'failed') {
+            message.status = 'failed';
+            message.error = update.error || 'Delivery failed';
+        } else if (update.status in STATUS_RANK && message.status !== 'failed' &&
+            STATUS_RANK[update.status] > (STATUS_RANK[message.status] ?? -1)) {
+            message.status = update.status;
+        } else {
+            continue;
+        }
+        message.statusUpdatedAt = update.timestamp;
+        await message.save();
+        updated += 1;
+    }
+    return updated;
+};
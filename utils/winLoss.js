@@ -0,0 +1,240 @@
+const Lead = require('../models/Lead');
+const Sale = require('../models/Sale');
+const LossReason = require('../models/LossReason');
+const { getLeadPipeline } = require('./leadPipeline');
+
+const LOSS_STATUSES = LossReason.LOSS_STATUSES;
+
+// Vehicle price bands (AED): each runs from its min up to (not including) the next band's min
+const PRICE_BANDS = [
+    { key: '0-25k', min: 0 },
+    { key: '25k-50k', min: 25000 },
+    { key: '50k-100k', min: 50000 },
+    { key: '100k-200k', min: 100000 },
+    { key: '200k+', min: 200000 }
+];
+
+const UNSPECIFIED_REASON = 'Unspecified';
+
+/**
+ * Price band key for a vehicle price
+ * @param {number} price
+ * @returns {string}
+ */
+exports.getPriceBand = (price) => {
+    if (!Number.isFinite(price) || price <= 0) return 'unknown';
+    const band = PRICE_BANDS.find((b, index) => index === PRICE_BANDS.length - 1 || price < PRICE_BANDS[index + 1].min);
+    return band.key;
+};
+
+/**
+ * Loss details for a lead moving to lost or cancelled. The reason must be an
+ * active reason offered for that status and lead type.
+ * @param {Object} params
+ * @param {string} params.status - Target status
+ * @param {string} params.leadType - purchase or sales
+ * @param {string} params.lossReasonId
+ * @param {string} [params.competitor]
+ * @param {number} [params.lostPrice]
+ * @param {Object} req - Request (for the actor)
+ * @returns {Promise<Object|null>} Lead.lossDetails, or null when the status is not a loss
+ * @throws {Error} With statusCode 400 when the reason is missing or does not apply
+ */
+exports.resolveLossDetails = async ({ status, leadType, lossReasonId, competitor, lostPrice }, req) => {
+    if (!LOSS_STATUSES.includes(status)) return null;
+
+    if (!lossReasonId) {
+        const error = new Error(`A loss reason is required to move a lead to ${status}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const reason = await LossReason.findById(lossReasonId);
+    if (!reason || !reason.appliesTo(status, leadType)) {
+        const error = new Error(`Loss reason is not available for ${leadType} leads moving to ${status}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return {
+        reason: reason._id,
+        reasonLabel: reason.label,
+        status,
+        competitor: competitor ? String(competitor).trim() : undefined,
+        lostPrice: lostPrice !== undefined && lostPrice !== null && lostPrice !== '' ? Number(lostPrice) : undefined,
+        recordedAt: new Date(),
+        recordedBy: req.userId,
+        recordedByModel: req.userRole === 'admin' ? 'Admin' : 'Manager'
+    };
+};
+
+const emptyGroup = (key, label) => ({
+    key,
+    label: label || key,
+    closed: 0,
+    won: 0,
+    lost: 0,
+    cancelled: 0,
+    winRate: 0,
+    reasons: {},
+    lostPriceTotal: 0,
+    lostPriceCount: 0
+});
+
+const finishGroup = (group) => {
+    const { lostPriceTotal, lostPriceCount, ...rest } = group;
+    return {
+        ...rest,
+        winRate: group.closed > 0 ? Math.round((group.won / group.closed) * 1000) / 10 : 0,
+        averageLostPrice: lostPriceCount > 0 ? Math.round(lostPriceTotal / lostPriceCount) : null,
+        reasons: Object.entries(group.reasons)
+            .sort((a, b) => b[1] - a[1])
+            .map(([reason, count]) => ({ reason, count }))
+    };
+};
+
+const addToGroup = (groups, key, label, outcome) => {
+    if (!groups.has(key)) groups.set(key, emptyGroup(key, label));
+    const group = groups.get(key);
+    group.closed += 1;
+    group[outcome.result] += 1;
+    if (outcome.result !== 'won') {
+        group.reasons[outcome.reason] = (group.reasons[outcome.reason] || 0) + 1;
+        if (Number.isFinite(outcome.lostPrice)) {
+            group.lostPriceTotal += outcome.lostPrice;
+            group.lostPriceCount += 1;
+        }
+    }
+};
+
+/**
+ * Win-loss breakdown of closed leads by loss reason, source, manager, make and price band.
+ * Purchase leads are won when they reach a closed stage other than lost/cancelled
+ * (inventory, consignment); sales leads when a sale references them.
+ * @param {Object} [options]
+ * @param {string} [options.leadType] - purchase (default) or sales
+ * @param {Date} [options.startDate] - Closed on or after
+ * @param {Date} [options.endDate] - Closed on or before
+ * @param {string} [options.assignedTo] - Manager ID
+ * @returns {Promise<Object>}
+ */
+exports.buildWinLossReport = async ({ leadType = 'purchase', startDate, endDate, assignedTo } = {}) => {
+    const pipeline = await getLeadPipeline(leadType);
+    const closedStages = pipeline.stages.filter(stage => stage.isTerminal).map(stage => stage.key);
+
+    const query = { type: leadType, mergedInto: null };
+    if (assignedTo) query.assignedTo = assignedTo;
+
+    // Sales leads stay open in the pipeline after a sale, so sold leads count as closed too
+    const soldLeadIds = leadType === 'sales' ? await Sale.distinct('leadId', { leadId: { $ne: null } }) : [];
+    if (soldLeadIds.length > 0) {
+        query.$or = [{ status: { $in: closedStages } }, { _id: { $in: soldLeadIds } }];
+    } else {
+        query.status = { $in: closedStages };
+    }
+    const soldLeads = new Set(soldLeadIds.map(String));
+
+    if (startDate || endDate) {
+        const range = {};
+        if (startDate) range.$gte = new Date(startDate);
+        if (endDate) range.$lte = new Date(endDate);
+        query.$and = [{ $or: [{ stageEnteredAt: range }, { stageEnteredAt: null, updatedAt: range }] }];
+    }
+
+    const leads = await Lead.find(query)
+        .select('leadId status source assignedTo vehicleInfo.make vehicleInfo.askingPrice vehicleInfo.expectedPrice lossDetails')
+        .populate('assignedTo', 'name email')
+        .lean();
+
+    const totals = { closed: 0, won: 0, lost: 0, cancelled: 0 };
+    const reasons = new Map();
+    const competitors = new Map();
+    const dimensions = {
+        source: new Map(),
+        manager: new Map(),
+        make: new Map(),
+        priceBand: new Map()
+    };
+
+    leads.forEach(lead => {
+        const isLoss = LOSS_STATUSES.includes(lead.status) && !soldLeads.has(String(lead._id));
+        const outcome = {
+            result: isLoss ? lead.status : 'won',
+            reason: lead.lossDetails?.reasonLabel || UNSPECIFIED_REASON,
+            lostPrice: lead.lossDetails?.lostPrice
+        };
+
+        totals.closed += 1;
+        totals[outcome.result] += 1;
+
+        if (isLoss) {
+            const key = lead.lossDetails?.reason ? String(lead.lossDetails.reason) : UNSPECIFIED_REASON;
+            if (!reasons.has(key)) {
+                reasons.set(key, { reasonId: lead.lossDetails?.reason || null, reason: outcome.reason, lost: 0, cancelled: 0, count: 0, lostPriceTotal: 0, lostPriceCount: 0, askingPriceGapTotal: 0, askingPriceGapCount: 0 });
+            }
+            const entry = reasons.get(key);
+            entry.count += 1;
+            entry[lead.status] += 1;
+            if (Number.isFinite(outcome.lostPrice)) {
+                entry.lostPriceTotal += outcome.lostPrice;
+                entry.lostPriceCount += 1;
+                if (Number.isFinite(lead.vehicleInfo?.askingPrice)) {
+                    entry.askingPriceGapTotal += outcome.lostPrice - lead.vehicleInfo.askingPrice;
+                    entry.askingPriceGapCount += 1;
+                }
+            }
+
+            const competitor = lead.lossDetails?.competitor;
+            if (competitor) {
+                const competitorKey = competitor.toLowerCase();
+                if (!competitors.has(competitorKey)) competitors.set(competitorKey, { competitor, count: 0, lostPriceTotal: 0, lostPriceCount: 0 });
+                const competitorEntry = competitors.get(competitorKey);
+                competitorEntry.count += 1;
+                if (Number.isFinite(outcome.lostPrice)) {
+                    competitorEntry.lostPriceTotal += outcome.lostPrice;
+                    competitorEntry.lostPriceCount += 1;
+                }
+            }
+        }
+
+        const price = lead.vehicleInfo?.askingPrice || lead.vehicleInfo?.expectedPrice;
+        const manager = lead.assignedTo;
+        addToGroup(dimensions.source, lead.source || 'unknown', null, outcome);
+        addToGroup(dimensions.manager, manager?._id ? String(manager._id) : 'unassigned', manager?.name || 'Unassigned', outcome);
+        addToGroup(dimensions.make, (lead.vehicleInfo?.make || 'Unknown').trim().toLowerCase(), lead.vehicleInfo?.make || 'Unknown', outcome);
+        addToGroup(dimensions.priceBand, exports.getPriceBand(price), null, outcome);
+    });
+
+    const lossCount = totals.lost + totals.cancelled;
+    const bandOrder = [...PRICE_BANDS.map(b => b.key), 'unknown'];
+
+    return {
+        leadType,
+        period: { startDate: startDate || null, endDate: endDate || null },
+        totals: {
+            ...totals,
+            winRate: totals.closed > 0 ? Math.round((totals.won / totals.closed) * 1000) / 10 : 0
+        },
+        reasons: [...reasons.values()]
+            .map(({ lostPriceTotal, lostPriceCount, askingPriceGapTotal, askingPriceGapCount, ...entry }) => ({
+                ...entry,
+                share: lossCount > 0 ? Math.round((entry.count / lossCount) * 1000) / 10 : 0,
+                averageLostPrice: lostPriceCount > 0 ? Math.round(lostPriceTotal / lostPriceCount) : null,
+                averageGapToAskingPrice: askingPriceGapCount > 0 ? Math.round(askingPriceGapTotal / askingPriceGapCount) : null
+            }))
+            .sort((a, b) => b.count - a.count),
+        competitors: [...competitors.values()]
+            .map(({ lostPriceTotal, lostPriceCount, ...entry }) => ({
+                ...entry,
+                averageLostPrice: lostPriceCount > 0 ? Math.round(lostPriceTotal / lostPriceCount) : null
+            }))
+            .sort((a, b) => b.count - a.count),
+        bySource: [...dimensions.source.values()].map(finishGroup).sort((a, b) => b.closed - a.closed),
+        byManager: [...dimensions.manager.values()].map(finishGroup).sort((a, b) => b.closed - a.closed),
+        byMake: [...dimensions.make.values()].map(finishGroup).sort((a, b) => b.closed - a.closed),
+        byPriceBand: [...dimensions.priceBand.values()].map(finishGroup)
+            .sort((a, b) => bandOrder.indexOf(a.key) - bandOrder.indexOf(b.key))
+    };
+};
+
+exports.PRICE_BANDS = PRICE_BANDS;
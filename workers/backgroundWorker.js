@@ -5,6 +5,10 @@
  * - Follow-up reminders
  * - Weekly reports
  * - Webhook retries
+ * - Expired vehicle reservation release
+ * - Lead score refresh
+ * - Lead stage SLA checks and escalation
+ * - Committing spreadsheet lead imports
  * 
  * Uses BullMQ for job queue management
  */
@@ -19,7 +23,13 @@ const connectDB = require('../config/database');
 const Manager = require('../models/Manager');
 const Investor = require('../models/Investor');
 const FollowUp = require('../models/FollowUp');
-const { sendFollowUpReminder } = require('../utils/emailService');
+const Vehicle = require('../models/Vehicle');
+const { sendFollowUpReminder, sendNotificationEmail } = require('../utils/emailService');
+const { logSystem } = require('../utils/auditLogger');
+const { rescoreLeads } = require('../utils/leadScoring');
+const { getLeadPipeline } = require('../utils/leadPipeline');
+const { checkLeadSlas } = require('../utils/leadSla');
+const { commitLeadImport, failLeadImport } = require('../utils/leadImport');
 
 // Redis connection
 const connection = new IORedis({
@@ -32,6 +42,10 @@ const connection = new IORedis({
 const reminderQueue = new Queue('reminders', { connection });
 const cleanupQueue = new Queue('cleanup', { connection });
 const reportQueue = new Queue('reports', { connection });
+const inventoryQueue = new Queue('inventory', { connection });
+const leadQueue = new Queue('leads', { connection });
+const slaQueue = new Queue('lead-sla', { connection });
+const leadImportQueue = new Queue('lead-imports', { connection });
 
 // ============================================
 // WORKERS
@@ -151,6 +165,127 @@ const reportWorker = new Worker(
     { connection }
 );
 
+/**
+ * Work out which manager should hear about a reservation: the manager on the
+ * customer's sales lead, then the manager who reserved, then the purchase lead's manager
+ */
+async function resolveReservationManager(vehicle, reservation) {
+    const Lead = require('../models/Lead');
+
+    if (reservation.salesLeadId) {
+        const salesLead = await Lead.findById(reservation.salesLeadId).populate('assignedTo', 'name email');
+        if (salesLead?.assignedTo?.email) return salesLead.assignedTo;
+    }
+
+    if (reservation.reservedByModel === 'Manager' && reservation.reservedBy) {
+        const manager = await Manager.findById(reservation.reservedBy).select('name email');
+        if (manager?.email) return manager;
+    }
+
+    const purchaseLead = await Lead.findById(vehicle.leadId).populate('assignedTo', 'name email');
+    return purchaseLead?.assignedTo?.email ? purchaseLead.assignedTo : null;
+}
+
+/**
+ * Inventory Worker - Release reservations whose hold has expired
+ */
+const inventoryWorker = new Worker(
+    'inventory',
+    async (job) => {
+        logger.info(`Processing inventory job: ${job.id}`);
+
+        const now = new Date();
+
+        const vehicles = await Vehicle.find({
+            reservations: { $elemMatch: { status: 'active', expiresAt: { $lt: now } } }
+        });
+
+        let released = 0;
+        for (const vehicle of vehicles) {
+            try {
+                const reservation = vehicle.releaseReservation('expired', {
+                    reason: 'Reservation hold expired'
+                });
+                await vehicle.save();
+                released += 1;
+
+                await logSystem('vehicle_reservation_expired', `Reservation for ${reservation.customerName} on vehicle ${vehicle.vehicleId} expired and was released`, vehicle, 'Vehicle', {
+                    reservationId: reservation._id,
+                    customerName: reservation.customerName,
+                    depositAmount: reservation.depositAmount,
+                    expiresAt: reservation.expiresAt
+                });
+
+                const manager = await resolveReservationManager(vehicle, reservation);
+                if (manager) {
+                    await sendNotificationEmail(
+                        manager.email,
+                        `Reservation expired: ${vehicle.vehicleId}`,
+                        `<p>Hi ${manager.name},</p>
+                        <p>The reservation on <strong>${vehicle.make} ${vehicle.model} ${vehicle.year || ''}</strong> (${vehicle.vehicleId}) for <strong>${reservation.customerName}</strong> expired on ${reservation.expiresAt.toLocaleString()} and the car is back on sale.</p>
+                        <p>Deposit: AED ${(reservation.depositAmount || 0).toLocaleString()}${reservation.paymentReference ? ` (ref: ${reservation.paymentReference})` : ''}</p>`
+                    );
+                }
+            } catch (error) {
+                logger.error(`Failed to release reservation on vehicle ${vehicle.vehicleId}:`, error);
+            }
+        }
+
+        logger.info(`Reservation expiry completed: ${released} released`);
+    },
+    { connection }
+);
+
+/**
+ * Lead Worker - Refresh lead scores, whose freshness and activity factors decay over time
+ * (hourly, and queued by the API when the scoring weights change)
+ */
+const leadWorker = new Worker(
+    'leads',
+    async (job) => {
+        logger.info(`Processing lead job: ${job.id}`);
+
+        // Closed leads keep the score they had when they left the pipeline
+        const pipeline = await getLeadPipeline('purchase');
+        const closedStages = pipeline.stages.filter(stage => stage.isTerminal).map(stage => stage.key);
+
+        const { scanned, updated } = await rescoreLeads({ status: { $nin: closedStages } });
+        logger.info(`Lead score refresh completed: ${updated} of ${scanned} open leads changed`);
+    },
+    { connection }
+);
+
+/**
+ * SLA Worker - Flag leads that overstay their stage SLA and escalate to the manager, then admins
+ */
+const slaWorker = new Worker(
+    'lead-sla',
+    async (job) => {
+        logger.info(`Processing lead SLA job: ${job.id}`);
+
+        const totals = await checkLeadSlas();
+        logger.info(`Lead SLA check completed: ${totals.checked} checked, ${totals.atRisk} at risk, ${totals.breached} breached, ${totals.managerEscalations} manager and ${totals.adminEscalations} admin escalation(s)`);
+    },
+    { connection }
+);
+
+/**
+ * Lead Import Worker - Create the leads of an import queued by the API
+ * (one import at a time; the client polls the LeadImport for progress)
+ */
+const leadImportWorker = new Worker(
+    'lead-imports',
+    async (job) => {
+        logger.info(`Processing lead import job: ${job.id}`);
+
+        const leadImport = await commitLeadImport(job.data.importId);
+        if (!leadImport) {
+            logger.warn(`Lead import ${job.data.importId} not found`);
+        }
+    },
+    { connection, concurrency: 1 }
+);
+
 // ============================================
 // JOB SCHEDULERS
 // ============================================
@@ -207,6 +342,48 @@ async function scheduleWeeklyReports() {
     logger.info('Weekly report job scheduled');
 }
 
+/**
+ * Schedule expired reservation release
+ * Runs every 15 minutes
+ */
+async function scheduleReservationExpiry() {
+    await inventoryQueue.add('release-expired-reservations', {}, {
+        repeat: {
+            every: 15 * 60 * 1000 // 15 minutes
+        }
+    });
+
+    logger.info('Reservation expiry job scheduled');
+}
+
+/**
+ * Schedule lead score refresh
+ * Runs every hour
+ */
+async function scheduleLeadScoring() {
+    await leadQueue.add('refresh-lead-scores', {}, {
+        repeat: {
+            every: 60 * 60 * 1000 // 1 hour
+        }
+    });
+
+    logger.info('Lead score refresh job scheduled');
+}
+
+/**
+ * Schedule lead SLA checks
+ * Runs every 30 minutes
+ */
+async function scheduleLeadSlaChecks() {
+    await slaQueue.add('check-lead-slas', {}, {
+        repeat: {
+            every: 30 * 60 * 1000 // 30 minutes
+        }
+    });
+
+    logger.info('Lead SLA check job scheduled');
+}
+
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -227,6 +404,25 @@ reportWorker.on('completed', (job) => {
     logger.info(`Report job ${job.id} completed`);
 });
 
+inventoryWorker.on('failed', (job, err) => {
+    logger.error(`Inventory job ${job.id} failed:`, err);
+});
+
+leadWorker.on('failed', (job, err) => {
+    logger.error(`Lead job ${job.id} failed:`, err);
+});
+
+slaWorker.on('failed', (job, err) => {
+    logger.error(`Lead SLA job ${job.id} failed:`, err);
+});
+
+leadImportWorker.on('failed', async (job, err) => {
+    logger.error(`Lead import job ${job.id} failed (attempt ${job.attemptsMade}):`, err);
+    if (job.attemptsMade >= (job.opts.attempts || 1)) {
+        await failLeadImport(job.data.importId, err.message).catch(error => logger.error('Fail lead import error:', error));
+    }
+});
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -239,13 +435,16 @@ async function startWorker() {
         // Schedule recurring jobs
         await scheduleCleanup();
         await scheduleWeeklyReports();
+        await scheduleReservationExpiry();
+        await scheduleLeadScoring();
+        await scheduleLeadSlaChecks();
 
         // Schedule follow-up reminders every hour
         setInterval(scheduleFollowUpReminders, 60 * 60 * 1000); // 1 hour
         scheduleFollowUpReminders(); // Run immediately on start
 
         logger.info('🚀 Background worker started successfully');
-        logger.info('Workers active: reminders, cleanup, reports');
+        logger.info('Workers active: reminders, cleanup, reports, inventory, leads, lead-sla, lead-imports');
     } catch (error) {
         logger.error('Failed to start background worker:', error);
         process.exit(1);
@@ -258,6 +457,10 @@ process.on('SIGTERM', async () => {
     await reminderWorker.close();
     await cleanupWorker.close();
     await reportWorker.close();
+    await inventoryWorker.close();
+    await leadWorker.close();
+    await slaWorker.close();
+    await leadImportWorker.close();
     await connection.quit();
     process.exit(0);
 });
@@ -271,6 +474,10 @@ module.exports = {
     reminderQueue,
     cleanupQueue,
     reportQueue,
+    inventoryQueue,
+    leadQueue,
+    slaQueue,
+    leadImportQueue,
     scheduleFollowUpReminders
 };
 